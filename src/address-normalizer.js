@@ -0,0 +1,213 @@
+/**
+ * Address normalization rules, enabled with ADDRESS_NORMALIZATION
+ */
+const ADDRESS_RULES = ['title_case', 'street_suffix', 'unit_designator', 'zip'];
+
+/**
+ * Street suffix spellings mapped to their USPS standard abbreviation
+ * (Publication 28, Appendix C1)
+ */
+const USPS_STREET_SUFFIXES = {
+  ALLEY: 'ALY', ALLEE: 'ALY', ALLY: 'ALY', ALY: 'ALY',
+  AVENUE: 'AVE', AV: 'AVE', AVEN: 'AVE', AVENU: 'AVE', AVN: 'AVE', AVNUE: 'AVE', AVE: 'AVE',
+  BEND: 'BND', BND: 'BND',
+  BOULEVARD: 'BLVD', BOUL: 'BLVD', BOULV: 'BLVD', BLVD: 'BLVD',
+  CIRCLE: 'CIR', CIRC: 'CIR', CIRCL: 'CIR', CRCL: 'CIR', CRCLE: 'CIR', CIR: 'CIR',
+  COURT: 'CT', CRT: 'CT', CT: 'CT',
+  COVE: 'CV', CV: 'CV',
+  CROSSING: 'XING', CRSSNG: 'XING', XING: 'XING',
+  DRIVE: 'DR', DRIV: 'DR', DRV: 'DR', DR: 'DR',
+  EXPRESSWAY: 'EXPY', EXPRESS: 'EXPY', EXPW: 'EXPY', EXPY: 'EXPY',
+  FREEWAY: 'FWY', FREEWY: 'FWY', FRWAY: 'FWY', FRWY: 'FWY', FWY: 'FWY',
+  HIGHWAY: 'HWY', HIGHWY: 'HWY', HIWAY: 'HWY', HIWY: 'HWY', HWAY: 'HWY', HWY: 'HWY',
+  HOLLOW: 'HOLW', HLLW: 'HOLW', HOLLOWS: 'HOLW', HOLWS: 'HOLW', HOLW: 'HOLW',
+  LANE: 'LN', LN: 'LN',
+  LOOP: 'LOOP', LOOPS: 'LOOP',
+  MOUNTAIN: 'MTN', MNTAIN: 'MTN', MNTN: 'MTN', MOUNTIN: 'MTN', MTIN: 'MTN', MTN: 'MTN',
+  PARKWAY: 'PKWY', PARKWY: 'PKWY', PKWAY: 'PKWY', PKY: 'PKWY', PKWY: 'PKWY',
+  PIKE: 'PIKE', PIKES: 'PIKE',
+  PLACE: 'PL', PL: 'PL',
+  PLAZA: 'PLZ', PLZA: 'PLZ', PLZ: 'PLZ',
+  ROAD: 'RD', RD: 'RD',
+  SQUARE: 'SQ', SQR: 'SQ', SQRE: 'SQ', SQU: 'SQ', SQ: 'SQ',
+  STREET: 'ST', STRT: 'ST', STR: 'ST', ST: 'ST',
+  TERRACE: 'TER', TERR: 'TER', TER: 'TER',
+  TRACE: 'TRCE', TRACES: 'TRCE', TRCE: 'TRCE',
+  TRAIL: 'TRL', TRAILS: 'TRL', TRLS: 'TRL', TRL: 'TRL',
+  WAY: 'WAY', WY: 'WAY',
+};
+
+/**
+ * Secondary unit designators mapped to their USPS abbreviation (Appendix C2)
+ */
+const USPS_UNIT_DESIGNATORS = {
+  APARTMENT: 'APT', APT: 'APT',
+  BUILDING: 'BLDG', BLDG: 'BLDG',
+  FLOOR: 'FL', FL: 'FL',
+  LOT: 'LOT',
+  ROOM: 'RM', RM: 'RM',
+  SPACE: 'SPC', SPC: 'SPC',
+  SUITE: 'STE', STE: 'STE',
+  UNIT: 'UNIT',
+};
+
+/**
+ * Directionals kept in capitals by title casing
+ */
+const DIRECTIONALS = new Set(['N', 'S', 'E', 'W', 'NE', 'NW', 'SE', 'SW']);
+
+/**
+ * Other words kept in capitals (PO Box, US Hwy, roman numerals)
+ */
+const UPPERCASE_WORDS = new Set(['PO', 'US', 'II', 'III', 'IV']);
+
+/**
+ * Words kept lowercase unless they start the value ("Lake of the Woods")
+ */
+const LOWERCASE_WORDS = new Set(['of', 'the', 'and']);
+
+/**
+ * Title-case one word, e.g. "WINSTON-SALEM" -> "Winston-Salem", "O'NEIL" -> "O'Neil",
+ * "MCDONALD" -> "McDonald", "42ND" -> "42nd", "12B" -> "12B"
+ */
+function titleCaseWord(word, first) {
+  const upper = word.toUpperCase();
+  if (/\d/.test(word)) {
+    const ordinal = /^(\d+)(ST|ND|RD|TH)$/.exec(upper);
+    return ordinal ? `${ordinal[1]}${ordinal[2].toLowerCase()}` : upper;
+  }
+  if (DIRECTIONALS.has(upper) || UPPERCASE_WORDS.has(upper)) {
+    return upper;
+  }
+  const lower = word.toLowerCase();
+  if (!first && LOWERCASE_WORDS.has(lower)) {
+    return lower;
+  }
+  return lower
+    .replace(/(^|[-/])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase())
+    .replace(/^([a-z]')([a-z])/i, (match, prefix, letter) => prefix + letter.toUpperCase())
+    .replace(/^Mc([a-z])(?=[a-z])/, (match, letter) => `Mc${letter.toUpperCase()}`);
+}
+
+/**
+ * Title-case an address component. Values already in mixed case are kept,
+ * so hand-entered spellings ("DeKalb", "McAllen") are not flattened.
+ * @param {string} value - Address line, city or county
+ * @returns {string} Title-cased value
+ */
+function titleCaseAddress(value) {
+  if (/[a-z]/.test(value) && /[A-Z]/.test(value)) {
+    return value;
+  }
+  return value.split(' ').map((word, index) => (word === '' ? word : titleCaseWord(word, index === 0))).join(' ');
+}
+
+/**
+ * Write an abbreviation in the case style of the word it replaces
+ */
+function matchCase(abbreviation, original) {
+  if (original === original.toUpperCase()) {
+    return abbreviation;
+  }
+  return abbreviation.charAt(0) + abbreviation.slice(1).toLowerCase();
+}
+
+/**
+ * Fold a word for the USPS tables ("Apt." -> "APT")
+ */
+function tableKey(word) {
+  return word.replace(/\.$/, '').toUpperCase();
+}
+
+/**
+ * Abbreviate the unit designators from words[start] on; a designator needs a
+ * following identifier ("APT 4")
+ */
+function standardizeUnits(words, start) {
+  for (let i = start; i < words.length - 1; i++) {
+    const abbreviation = USPS_UNIT_DESIGNATORS[tableKey(words[i])];
+    if (abbreviation) {
+      words[i] = matchCase(abbreviation, words[i]);
+    }
+  }
+}
+
+/**
+ * Standardize the street suffix and unit designators of a street line,
+ * e.g. "12 Park Avenue Apartment 4" -> "12 Park Ave Apt 4"
+ * @param {string} value - Address line 1
+ * @param {Object} rules - { streetSuffix, unitDesignator } flags
+ * @returns {string} Standardized address line
+ */
+function standardizeStreetLine(value, { streetSuffix = true, unitDesignator = true } = {}) {
+  const words = value.split(/\s+/).filter(Boolean);
+
+  // A unit ("APT 4", "# 4", "#6-206") follows the house number and street name
+  let streetEnd = words.length;
+  for (let i = 2; i < words.length; i++) {
+    if (words[i].startsWith('#') || (USPS_UNIT_DESIGNATORS[tableKey(words[i])] && i + 1 < words.length)) {
+      streetEnd = i;
+      break;
+    }
+  }
+
+  if (unitDesignator) {
+    standardizeUnits(words, streetEnd);
+  }
+
+  if (streetSuffix) {
+    // Skip a trailing post-directional ("MAIN ST NW"); a suffix needs a street name before it
+    let suffixIndex = streetEnd - 1;
+    if (suffixIndex > 2 && DIRECTIONALS.has(tableKey(words[suffixIndex]))) {
+      suffixIndex--;
+    }
+    const abbreviation = suffixIndex >= 2 ? USPS_STREET_SUFFIXES[tableKey(words[suffixIndex])] : null;
+    if (abbreviation) {
+      words[suffixIndex] = matchCase(abbreviation, words[suffixIndex]);
+    }
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * Standardize the unit designators of an address line 2 ("Suite 100" -> "Ste 100")
+ * @param {string} value - Address line 2
+ * @returns {string} Standardized line
+ */
+function standardizeUnitLine(value) {
+  const words = value.split(/\s+/).filter(Boolean);
+  standardizeUnits(words, 0);
+  return words.join(' ');
+}
+
+/**
+ * Validate a US ZIP or ZIP+4, restoring leading zeros lost when the feed
+ * sent the ZIP as a number (2134 -> "02134")
+ * @param {*} value - Feed ZIP
+ * @returns {string|null} "12345" or "12345-6789", or null if not a ZIP
+ */
+function normalizeZip(value) {
+  const text = String(value).trim();
+  let digits;
+  if (/^\d{5}(-\d{4})?$/.test(text)) {
+    return text;
+  } else if (/^\d{5} \d{4}$/.test(text)) {
+    digits = text.replace(' ', '');
+  } else if (/^\d{3,4}$/.test(text)) {
+    return text.padStart(5, '0');
+  } else if (/^\d{7,9}$/.test(text)) {
+    digits = text.padStart(9, '0');
+  } else {
+    return null;
+  }
+  return `${digits.slice(0, 5)}-${digits.slice(5)}`;
+}
+
+module.exports = {
+  ADDRESS_RULES,
+  titleCaseAddress,
+  standardizeStreetLine,
+  standardizeUnitLine,
+  normalizeZip,
+};
@@ -0,0 +1,158 @@
+const { VALID_STATE_CODES } = require('./properties');
+const { normalizeCanadianPostalCode } = require('./countries');
+
+/**
+ * Common street suffixes (USPS abbreviations and spelled-out forms) that end
+ * the street portion of a one-line address. Suffixes that are also common in
+ * city names (SPRINGS, HEIGHTS, BEACH, LAKE, CITY, ...) are intentionally
+ * excluded so "HOUSE SPRINGS" or "GLENN HEIGHTS" stay part of the city.
+ */
+const STREET_SUFFIXES = new Set([
+  'ALY', 'ALLEY', 'AVE', 'AV', 'AVENUE', 'BLVD', 'BOULEVARD', 'BND', 'BEND',
+  'CIR', 'CIRCLE', 'CT', 'COURT', 'CV', 'COVE', 'DR', 'DRIVE', 'EXPY', 'EXPRESSWAY',
+  'FWY', 'FREEWAY', 'HOLW', 'HOLLOW', 'HWY', 'HIGHWAY', 'LN', 'LANE', 'LOOP',
+  'MTN', 'PATH', 'PIKE', 'PKWY', 'PARKWAY', 'PL', 'PLACE', 'PLZ', 'PLAZA',
+  'RD', 'ROAD', 'RUN', 'SQ', 'SQUARE', 'ST', 'STREET', 'TER', 'TERRACE',
+  'TRCE', 'TRACE', 'TRL', 'TRAIL', 'WAY', 'XING', 'CROSSING',
+]);
+
+/**
+ * Abbreviated post-directionals that may follow a street suffix (e.g. "MAIN ST NW").
+ * Spelled-out directionals are not accepted here because they usually start a
+ * city name ("WEST CARROLLTON").
+ */
+const POST_DIRECTIONALS = new Set(['N', 'S', 'E', 'W', 'NE', 'NW', 'SE', 'SW']);
+
+/**
+ * Secondary unit designators that take a following identifier (e.g. "UNIT A")
+ */
+const UNIT_DESIGNATORS = new Set(['APT', 'UNIT', 'STE', 'SUITE', 'BLDG', 'LOT', 'RM', 'FL', 'SPC']);
+
+const ZIP_PATTERN = /^\d{5}(-\d{4})?$/;
+
+/**
+ * Split the tokens following the state/ZIP tail into street and city parts
+ * @param {string[]} tokens - Street and city tokens without state or ZIP
+ * @returns {{street: string, city: string|null}} Street line and city
+ */
+function splitStreetAndCity(tokens) {
+  // Find the last street suffix that still leaves at least one token for the city
+  let streetEnd = -1;
+  for (let i = tokens.length - 2; i >= 1; i--) {
+    if (STREET_SUFFIXES.has(tokens[i].toUpperCase())) {
+      streetEnd = i;
+      break;
+    }
+  }
+
+  if (streetEnd === -1) {
+    return { street: tokens.join(' '), city: null };
+  }
+
+  // Absorb a trailing post-directional and unit designator ("# 4", "#6-206", "UNIT A")
+  let next = streetEnd + 1;
+  if (next < tokens.length - 1 && POST_DIRECTIONALS.has(tokens[next].toUpperCase())) {
+    next++;
+  }
+  if (next < tokens.length - 1 && tokens[next].startsWith('#')) {
+    next += tokens[next] === '#' ? 2 : 1;
+  } else if (next < tokens.length - 2 && UNIT_DESIGNATORS.has(tokens[next].toUpperCase())) {
+    next += 2;
+  }
+
+  return {
+    street: tokens.slice(0, next).join(' '),
+    city: next < tokens.length ? tokens.slice(next).join(' ') : null,
+  };
+}
+
+/**
+ * Parse a single-line US or Canadian address such as "158 BRIANS WOODS RD MAPLE HILL NC 28454",
+ * "123 Main St, Springfield, IL 62701" or "150 King St W, Toronto, ON M5H 1J9" into its components.
+ * @param {string} address - One-line address
+ * @returns {Object|null} { addressLine1, addressLine2, city, state, zip } or null if the
+ *   address does not end in a recognizable state, territory or province code
+ */
+function parseSingleLineAddress(address) {
+  if (typeof address !== 'string' || address.trim() === '') {
+    return null;
+  }
+
+  // Comma-separated addresses carry their own structure: "street, [unit,] city, ST ZIP"
+  const segments = address.split(',').map(s => s.trim()).filter(Boolean);
+  const tokens = segments[segments.length - 1].split(/\s+/);
+
+  let zip = null;
+  if (tokens.length > 0 && ZIP_PATTERN.test(tokens[tokens.length - 1])) {
+    zip = tokens.pop();
+  } else if (tokens.length > 1 && normalizeCanadianPostalCode(tokens.slice(-2).join(' '))) {
+    zip = tokens.splice(-2).join(' ');
+  } else if (tokens.length > 0 && normalizeCanadianPostalCode(tokens[tokens.length - 1])) {
+    zip = tokens.pop();
+  }
+
+  if (tokens.length === 0 || !VALID_STATE_CODES.has(tokens[tokens.length - 1].toUpperCase())) {
+    return null;
+  }
+  const state = tokens.pop().toUpperCase();
+
+  let street;
+  let city;
+  let addressLine2 = null;
+
+  if (segments.length > 1) {
+    street = segments[0];
+    city = tokens.length > 0 ? tokens.join(' ') : segments[segments.length - 2];
+    const middle = segments.slice(1, tokens.length > 0 ? -1 : -2);
+    if (middle.length > 0) {
+      addressLine2 = middle.join(' ');
+    }
+  } else {
+    ({ street, city } = splitStreetAndCity(tokens));
+  }
+
+  if (!street) {
+    return null;
+  }
+
+  return {
+    addressLine1: street,
+    addressLine2,
+    city: city || null,
+    state,
+    zip,
+  };
+}
+
+/**
+ * Expand a record's one-line `address` field into discrete address fields.
+ * Records that already carry city/state/zip are returned unchanged.
+ * @param {Object} record - Raw feed record
+ * @param {string} [field='address'] - Name of the one-line address field
+ * @returns {Object} Record with addressLine1/city/state/zip filled in when parseable
+ */
+function expandSingleLineAddress(record, field = 'address') {
+  const value = record[field];
+  if (!value || record.city || record.state || record.zip) {
+    return record;
+  }
+
+  const parsed = parseSingleLineAddress(value);
+  if (!parsed) {
+    return record;
+  }
+
+  const expanded = { ...record };
+  for (const [key, partValue] of Object.entries(parsed)) {
+    if (partValue !== null && (expanded[key] === undefined || expanded[key] === null)) {
+      expanded[key] = partValue;
+    }
+  }
+  return expanded;
+}
+
+module.exports = {
+  parseSingleLineAddress,
+  expandSingleLineAddress,
+  STREET_SUFFIXES,
+};
@@ -4,45 +4,346 @@ const { program } = require('commander');
 const path = require('path');
 const Importer = require('./importer');
 const logger = require('./logger');
+const config = require('./config');
+const FeedSnapshots = require('./feed-snapshots');
+const FeedInbox = require('./feed-inbox');
 
 /**
  * CLI entry point for the HubSpot Listings Importer
  */
 
+/**
+ * Collect repeated option values into an array
+ */
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+/**
+ * Build feed sources from several --file/--url options. Each source is named
+ * after its file (without extension) or URL hostname ("stdin" for --file -)
+ * and shares the FEED_* settings from the environment.
+ */
+function buildCliSources(files, urls) {
+  const used = new Set();
+  const uniqueName = (base) => {
+    let name = base;
+    for (let n = 2; used.has(name); n++) {
+      name = `${base}-${n}`;
+    }
+    used.add(name);
+    return name;
+  };
+
+  return [
+    ...files.map(file => {
+      if (file === '-') {
+        return config.getDefaultSource({ name: uniqueName('stdin'), type: 'stdin', url: null, filePath: null });
+      }
+      const filePath = path.resolve(file);
+      const fileName = path.basename(filePath).replace(/\.gz$/i, '');
+      const name = uniqueName(path.basename(fileName, path.extname(fileName)));
+      return config.getDefaultSource({ name, type: 'file', url: null, filePath });
+    }),
+    ...urls.map(url => {
+      let hostname = url;
+      try {
+        hostname = new URL(url).hostname;
+      } catch (error) {
+        // Invalid URLs are reported when the source is fetched
+      }
+      return config.getDefaultSource({ name: uniqueName(hostname), type: 'url', url, filePath: null });
+    }),
+  ];
+}
+
 program
   .name('hubspot-listings-importer')
-  .description('Import JSON real estate feeds into HubSpot Listings')
+  .description('Import JSON, NDJSON, CSV or XML real estate feeds (plain, gzip or ZIP) into HubSpot Listings')
   .version('1.1.0')
-  .option('-f, --file <path>', 'Path to JSON feed file')
-  .option('-u, --url <url>', 'URL to JSON feed')
+  .option('-f, --file <path>', 'Path to feed file, or - for standard input (repeat to import several files)', collect, [])
+  .option('-u, --url <url>', 'URL to feed (repeat to import several URLs)', collect, [])
+  .option('-s, --sources <path>', 'JSON file describing named feed sources')
+  .option('--source <names>', 'Only import these sources from the sources file (comma-separated)')
+  .option('--format <format>', 'Feed format: auto, json, ndjson, csv, xml or reso (default: auto)')
+  .option('--record-path <path>', 'JSON Pointer or JSONPath of the listings array (e.g. /payload/items or $.payload.items)')
+  .option('--strict-record-path', 'Fail when the listings array is not found instead of guessing', false)
+  .option('--entries <globs>', 'Files to import from a ZIP feed (comma-separated globs, default: all JSON, CSV and XML files)')
+  .option('--timezone <zone>', 'IANA time zone of feed dates without an offset (e.g. America/Chicago, default: UTC)')
+  .option('--duplicates <policy>', 'Listings sharing an ID or name: last, newest, merge, reject or off (default: last)')
   .option('--dry-run', 'Run without making changes to HubSpot', false)
-  .parse(process.argv);
+  .option('--force', 'Import even if the feed is unchanged since the last import', false)
+  .action(main);
+
+program
+  .command('replay <snapshot>')
+  .description('Re-run the import against an archived feed snapshot (path or file name in FEED_SNAPSHOT_DIR)')
+  .option('-s, --sources <path>', 'JSON file describing named feed sources (settings for the replayed source)')
+  .option('--source <name>', 'Replay with this source\'s settings (default: the source the snapshot was archived for)')
+  .option('--dry-run', 'Run without making changes to HubSpot', false)
+  .action(replay);
+
+program
+  .command('watch-inbox <dir>')
+  .description('Poll a drop folder and import each feed file that lands in it, moving it to processed/ or failed/')
+  .option('-s, --sources <path>', 'JSON file describing named feed sources (settings for the inbox files)')
+  .option('--source <name>', 'Import files with this source\'s settings from the sources file')
+  .option('--interval <ms>', 'Milliseconds between polls (default: INBOX_POLL_INTERVAL or 10000)')
+  .option('--stable-time <ms>', 'Milliseconds a file must stay unchanged before import (default: INBOX_STABLE_TIME or 5000)')
+  .option('--once', 'Import the files in the inbox now and exit', false)
+  .option('--dry-run', 'Run without making changes to HubSpot or moving files', false)
+  .action(watchInbox);
 
-const options = program.opts();
+/**
+ * Settings of a named source from the sources file, or the FEED_* settings
+ * @param {string} name - Source name
+ * @param {boolean} required - The name was given explicitly and must exist in the sources file
+ */
+function findSourceSettings(name, required) {
+  if (config.get('feedSourcesFile')) {
+    const source = config.getSources().find(candidate => candidate.name === name);
+    if (source) {
+      return source;
+    }
+    if (required) {
+      throw new Error(`Unknown feed source(s): ${name}`);
+    }
+  }
+  return config.getDefaultSource({ name });
+}
 
-async function main() {
+/**
+ * Build the feed source for a snapshot replay, using the settings of the named
+ * source from the sources file (or the FEED_* settings)
+ */
+function buildReplaySource(snapshot, sourceName) {
+  const snapshots = new FeedSnapshots(config.get('feedSnapshotDir'));
+  const found = snapshots.resolve(snapshot);
+  return snapshots.replaySource(found, findSourceSettings(sourceName || found.sourceName, Boolean(sourceName)));
+}
+
+/**
+ * Print the import summary and exit with the run's status
+ */
+function reportResults(importer, results) {
+  // Display summary
+  console.log('\n' + '='.repeat(80));
+  console.log('IMPORT SUMMARY');
+  console.log('='.repeat(80));
+  console.log(`Records created:  ${results.created}`);
+  console.log(`Records updated:  ${results.updated}`);
+  console.log(`Errors:           ${results.failed}`);
+  if (results.rejected > 0) {
+    console.log(`  Rejected:       ${results.rejected} (invalid properties, not sent to HubSpot)`);
+  }
+  if (results.duplicates && results.duplicates.length > 0) {
+    console.log(`Duplicates:       ${results.duplicates.length} in-feed collision(s), listed below`);
+  }
+  console.log(`Duration:         ${(results.duration / 1000).toFixed(2)}s`);
+  if (results.sources.length === 1 && results.sources[0].snapshot) {
+    console.log(`Snapshot:         ${results.sources[0].snapshot}`);
+  }
+  if (results.sources.length > 1) {
+    console.log('-'.repeat(80));
+    results.sources.forEach(result => {
+      console.log(`${result.name.padEnd(18)}${importer.describeSource(result)}`);
+    });
+  }
+  console.log('='.repeat(80) + '\n');
+
+  if (results.duplicates && results.duplicates.length > 0) {
+    console.log('DUPLICATES:');
+    results.duplicates.forEach((duplicate, idx) => {
+      const source = results.sources.length > 1 ? `[${duplicate.source}] ` : '';
+      console.log(`  ${idx + 1}. ${source}${duplicate.keys.join(', ')} - ${duplicate.resolution}`);
+    });
+    console.log('\n');
+  }
+
+  if (results.errors && results.errors.length > 0) {
+    console.log('ERRORS:');
+    results.errors.forEach((err, idx) => {
+      const source = results.sources.length > 1 ? `[${err.source}] ` : '';
+      console.log(`  ${idx + 1}. ${source}Listing: ${err.external_listing_id || err.hs_name} - ${err.error}`);
+    });
+    console.log('\n');
+  }
+
+  if (results.success) {
+    logger.info('Import completed successfully');
+    process.exit(0);
+  } else {
+    logger.error('Import completed with errors');
+    process.exit(1);
+  }
+}
+
+async function replay(snapshot, replayOptions) {
   try {
+    // A replay imports exactly the archived payload: no change detection, no new snapshot
+    process.env.FEED_CHANGE_DETECTION = 'false';
+    process.env.FEED_SNAPSHOTS = 'false';
+
+    if (replayOptions.sources) {
+      process.env.FEED_SOURCES_FILE = path.resolve(replayOptions.sources);
+    }
+
+    if (replayOptions.dryRun) {
+      process.env.DRY_RUN = 'true';
+      logger.info('Running in DRY-RUN mode - no changes will be made to HubSpot');
+    }
+
+    config.reload();
+    const source = buildReplaySource(snapshot, replayOptions.source);
+    logger.info(`Replaying snapshot ${source.filePath} as feed source '${source.name}'`);
+
+    const importer = new Importer({ sources: [source] });
+    reportResults(importer, await importer.run());
+  } catch (error) {
+    logger.error('Fatal error during replay', {
+      error: error.message,
+      stack: error.stack,
+    });
+    process.exit(1);
+  }
+}
+
+async function watchInbox(dir, inboxOptions) {
+  try {
+    if (inboxOptions.sources && !inboxOptions.source) {
+      throw new Error('--source is required to pick the inbox settings from the sources file');
+    }
+    if (inboxOptions.sources) {
+      process.env.FEED_SOURCES_FILE = path.resolve(inboxOptions.sources);
+    }
+
+    if (inboxOptions.interval) {
+      process.env.INBOX_POLL_INTERVAL = inboxOptions.interval;
+    }
+
+    if (inboxOptions.stableTime) {
+      process.env.INBOX_STABLE_TIME = inboxOptions.stableTime;
+    }
+
+    if (inboxOptions.dryRun) {
+      process.env.DRY_RUN = 'true';
+      logger.info('Running in DRY-RUN mode - no changes will be made to HubSpot');
+    }
+
+    config.reload();
+    const inbox = new FeedInbox(dir, {
+      importer: new Importer(),
+      source: findSourceSettings(inboxOptions.source || config.get('feedSourceName'), Boolean(inboxOptions.source)),
+      interval: config.get('inboxPollInterval'),
+      stableTime: config.get('inboxStableTime'),
+      dryRun: config.get('dryRun'),
+    });
+
+    if (inboxOptions.once) {
+      const results = await inbox.runOnce();
+      console.log(`\nInbox: ${results.length} file(s) imported`);
+      results.forEach(result => {
+        const outcome = result.error ? `FAILED - ${result.error}` : `${result.created} created, ${result.updated} updated, ${result.failed} failed`;
+        console.log(`  ${result.file.padEnd(30)}${result.status.padEnd(11)}${outcome}`);
+      });
+      console.log('');
+      process.exit(results.every(result => result.status === 'processed') ? 0 : 1);
+    }
+
+    // Finish the file being imported before exiting
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.once(signal, () => {
+        logger.info(`Received ${signal}, stopping after the current file...`);
+        inbox.stop();
+      });
+    }
+    await inbox.start();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Fatal error while watching inbox', {
+      error: error.message,
+      stack: error.stack,
+    });
+    process.exit(1);
+  }
+}
+
+async function main(options) {
+  try {
+    const feedCount = options.file.length + options.url.length;
+    const sourcesFile = options.sources || process.env.FEED_SOURCES_FILE;
+
     // Validate input
-    if (!options.file && !options.url) {
-      logger.error('Error: Either --file or --url must be provided\n');
+    if (feedCount === 0 && !sourcesFile) {
+      logger.error('Error: Either --file, --url or --sources must be provided\n');
       program.help();
       return; // Let help display before exit
     }
 
-    if (options.file && options.url) {
-      logger.error('Error: Cannot specify both --file and --url\n');
+    if (feedCount > 0 && options.sources) {
+      logger.error('Error: Cannot combine --sources with --file or --url\n');
       program.help();
       return; // Let help display before exit
     }
 
-    // Set configuration based on CLI options
-    if (options.file) {
-      const filePath = path.resolve(options.file);
+    if (options.file.filter(file => file === '-').length > 1) {
+      logger.error('Error: Standard input (--file -) can only be read once\n');
+      program.help();
+      return; // Let help display before exit
+    }
+
+    if (options.source && feedCount > 0) {
+      logger.error('Error: --source selects entries from a sources file\n');
+      program.help();
+      return; // Let help display before exit
+    }
+
+    // Set configuration based on CLI options (before sources are built from it)
+    if (options.format) {
+      process.env.FEED_FORMAT = options.format;
+    }
+
+    if (options.entries) {
+      process.env.FEED_ARCHIVE_ENTRIES = options.entries;
+    }
+
+    if (options.timezone) {
+      process.env.FEED_TIMEZONE = options.timezone;
+    }
+
+    if (options.duplicates) {
+      process.env.DUPLICATE_POLICY = options.duplicates;
+    }
+
+    if (options.recordPath !== undefined) {
+      process.env.FEED_RECORD_PATH = options.recordPath;
+    }
+
+    if (options.strictRecordPath) {
+      process.env.FEED_RECORD_PATH_STRICT = 'true';
+    }
+
+    let sources = null;
+    if (feedCount > 0) {
+      // Explicit feeds replace any FEED_SOURCES_FILE from the environment
+      delete process.env.FEED_SOURCES_FILE;
+    }
+    if (feedCount > 1) {
+      sources = buildCliSources(options.file, options.url);
+    } else if (options.file[0] === '-') {
+      process.env.FEED_SOURCE = 'stdin';
+    } else if (options.file.length === 1) {
+      const filePath = path.resolve(options.file[0]);
       process.env.FEED_SOURCE = 'file';
       process.env.FEED_FILE_PATH = filePath;
-    } else if (options.url) {
+    } else if (options.url.length === 1) {
       process.env.FEED_SOURCE = 'url';
-      process.env.FEED_URL = options.url;
+      process.env.FEED_URL = options.url[0];
+    } else {
+      process.env.FEED_SOURCES_FILE = path.resolve(sourcesFile);
+      if (options.source) {
+        process.env.FEED_SOURCE_NAMES = options.source;
+      }
     }
 
     if (options.dryRun) {
@@ -50,34 +351,20 @@ async function main() {
       logger.info('Running in DRY-RUN mode - no changes will be made to HubSpot');
     }
 
-    const importer = new Importer();
-    const results = await importer.run();
-
-    // Display summary
-    console.log('\n' + '='.repeat(80));
-    console.log('IMPORT SUMMARY');
-    console.log('='.repeat(80));
-    console.log(`Records created:  ${results.created}`);
-    console.log(`Records updated:  ${results.updated}`);
-    console.log(`Errors:           ${results.failed}`);
-    console.log(`Duration:         ${(results.duration / 1000).toFixed(2)}s`);
-    console.log('='.repeat(80) + '\n');
-
-    if (results.errors && results.errors.length > 0) {
-      console.log('ERRORS:');
-      results.errors.forEach((err, idx) => {
-        console.log(`  ${idx + 1}. External Listing ID: ${err.external_listing_id} - ${err.error}`);
-      });
-      console.log('\n');
+    if (options.force) {
+      process.env.FEED_FORCE = 'true';
     }
 
-    if (results.success) {
-      logger.info('Import completed successfully');
+    config.reload();
+    const importer = new Importer({ sources });
+    const results = await importer.run();
+
+    if (results.unchanged) {
+      console.log('\nFeed unchanged since last import - nothing to do (use --force to re-import)\n');
       process.exit(0);
-    } else {
-      logger.error('Import completed with errors');
-      process.exit(1);
     }
+
+    reportResults(importer, results);
   } catch (error) {
     logger.error('Fatal error during import', {
       error: error.message,
@@ -99,4 +386,4 @@ process.on('uncaughtException', (error) => {
 });
 
 // Run the importer
-main();
+program.parse(process.argv);
@@ -1,6 +1,73 @@
 const dotenv = require('dotenv');
 const fs = require('fs');
 const path = require('path');
+const { parseRecordPath } = require('./record-path');
+const { loadFieldMapping } = require('./field-mapping');
+const { LOT_SIZE_UNITS } = require('./lot-size');
+const { isValidTimeZone } = require('./timezone');
+const { loadClassificationRules } = require('./listing-classifier');
+const { ADDRESS_RULES } = require('./address-normalizer');
+const { DEFAULT_MEDIA, checkMediaSettings } = require('./media-gallery');
+const { DUPLICATE_POLICIES } = require('./duplicate-resolver');
+
+/**
+ * Supported feed pagination modes
+ */
+const PAGINATION_MODES = ['none', 'page', 'offset', 'cursor'];
+
+/**
+ * Built-in pagination settings for a feed source
+ */
+const DEFAULT_PAGINATION = {
+  mode: 'none',
+  pageParam: 'page',
+  pageStart: 1,
+  pageSizeParam: 'pageSize',
+  pageSize: 100,
+  offsetParam: 'offset',
+  limitParam: 'limit',
+  cursorParam: 'cursor',
+  nextField: 'next',
+  totalField: 'recordCount',
+  maxPages: 1000,
+};
+
+/**
+ * Built-in CSV/TSV settings for a feed source
+ */
+const DEFAULT_CSV = {
+  delimiter: null,
+  header: 'auto',
+  columns: [],
+  addressField: 'address',
+};
+
+/**
+ * Supported feed formats ('auto' detects JSON, CSV/TSV or XML from the extension or content type)
+ */
+const FEED_FORMATS = ['auto', 'json', 'ndjson', 'csv', 'xml', 'reso'];
+
+/**
+ * Built-in RESO Web API (OData) query settings for a feed source
+ */
+const DEFAULT_RESO = {
+  top: 200,
+  filter: null,
+  select: null,
+  orderby: null,
+  expand: null,
+};
+
+/**
+ * Configuration keys holding credentials (redacted from all log output)
+ */
+const SECRET_KEYS = [
+  'hubspotAccessToken',
+  'feedAuthToken',
+  'feedAuthPassword',
+  'feedApiKey',
+  'feedOAuthClientSecret',
+];
 
 /**
  * Configuration module that reads secrets from /etc/secrets/.env and Render environment variables
@@ -40,34 +107,110 @@ class Config {
     this.config = {
       hubspotAccessToken: process.env.HUBSPOT_ACCESS_TOKEN || process.env.HUBSPOT_API_TOKEN,
       feedUrl: process.env.FEED_URL,
-      feedSource: process.env.FEED_SOURCE || 'url', // 'url' or 'file'
+      feedSource: process.env.FEED_SOURCE || 'url', // 'url', 'file' or 'stdin'
       feedFilePath: process.env.FEED_FILE_PATH,
       dryRun: process.env.DRY_RUN === 'true',
       logLevel: process.env.LOG_LEVEL || 'info',
       retryAttempts: this.parseIntSafe(process.env.RETRY_ATTEMPTS, 3),
       retryDelay: this.parseIntSafe(process.env.RETRY_DELAY, 1000),
       batchSize: this.parseIntSafe(process.env.BATCH_SIZE, 100),
+      csvDelimiter: process.env.CSV_DELIMITER || DEFAULT_CSV.delimiter, // Defaults by file extension (.tsv => tab)
+      csvHeader: process.env.CSV_HEADER || DEFAULT_CSV.header, // 'auto', 'true' or 'false'
+      csvColumns: this.parseList(process.env.CSV_COLUMNS),
+      csvAddressField: process.env.CSV_ADDRESS_FIELD || DEFAULT_CSV.addressField,
+      feedPagination: (process.env.FEED_PAGINATION || DEFAULT_PAGINATION.mode).toLowerCase(), // 'none', 'page', 'offset' or 'cursor'
+      feedPageParam: process.env.FEED_PAGE_PARAM || DEFAULT_PAGINATION.pageParam,
+      feedPageStart: this.parseIntSafe(process.env.FEED_PAGE_START, DEFAULT_PAGINATION.pageStart, 0),
+      feedPageSizeParam: process.env.FEED_PAGE_SIZE_PARAM || DEFAULT_PAGINATION.pageSizeParam,
+      feedPageSize: this.parseIntSafe(process.env.FEED_PAGE_SIZE, DEFAULT_PAGINATION.pageSize),
+      feedOffsetParam: process.env.FEED_OFFSET_PARAM || DEFAULT_PAGINATION.offsetParam,
+      feedLimitParam: process.env.FEED_LIMIT_PARAM || DEFAULT_PAGINATION.limitParam,
+      feedCursorParam: process.env.FEED_CURSOR_PARAM || DEFAULT_PAGINATION.cursorParam,
+      feedNextField: process.env.FEED_NEXT_FIELD || DEFAULT_PAGINATION.nextField,
+      feedTotalField: process.env.FEED_TOTAL_FIELD || DEFAULT_PAGINATION.totalField,
+      feedMaxPages: this.parseIntSafe(process.env.FEED_MAX_PAGES, DEFAULT_PAGINATION.maxPages),
+      changeDetection: process.env.FEED_CHANGE_DETECTION !== 'false',
+      forceImport: process.env.FEED_FORCE === 'true',
+      feedStateFile: path.resolve(process.env.FEED_STATE_FILE || path.join('data', '.feed-state.json')),
+      feedAuthType: (process.env.FEED_AUTH_TYPE || 'none').toLowerCase(), // none, bearer, basic, api_key, oauth2
+      feedAuthToken: process.env.FEED_AUTH_TOKEN,
+      feedAuthUsername: process.env.FEED_AUTH_USERNAME,
+      feedAuthPassword: process.env.FEED_AUTH_PASSWORD,
+      feedApiKey: process.env.FEED_API_KEY,
+      feedApiKeyHeader: process.env.FEED_API_KEY_HEADER || 'X-API-Key',
+      feedApiKeyParam: process.env.FEED_API_KEY_PARAM,
+      feedOAuthTokenUrl: process.env.FEED_OAUTH_TOKEN_URL,
+      feedOAuthClientId: process.env.FEED_OAUTH_CLIENT_ID,
+      feedOAuthClientSecret: process.env.FEED_OAUTH_CLIENT_SECRET,
+      feedOAuthScope: process.env.FEED_OAUTH_SCOPE,
+      feedSourceName: process.env.FEED_SOURCE_NAME || 'default',
+      feedFormat: (process.env.FEED_FORMAT || 'auto').toLowerCase(), // 'auto', 'json', 'ndjson', 'csv', 'xml' or 'reso'
+      resoTop: this.parseIntSafe(process.env.RESO_TOP, DEFAULT_RESO.top),
+      resoFilter: process.env.RESO_FILTER || DEFAULT_RESO.filter, // OData $filter, e.g. "StandardStatus eq 'Active'"
+      resoSelect: process.env.RESO_SELECT || DEFAULT_RESO.select,
+      resoOrderBy: process.env.RESO_ORDERBY || DEFAULT_RESO.orderby,
+      resoExpand: process.env.RESO_EXPAND || DEFAULT_RESO.expand, // e.g. "Media" for photo URLs
+      feedRecordPath: process.env.FEED_RECORD_PATH || null, // JSON Pointer or JSONPath of the listings array
+      feedRecordPathStrict: process.env.FEED_RECORD_PATH_STRICT === 'true', // Fail instead of guessing where listings are
+      feedArchiveEntries: this.parseList(process.env.FEED_ARCHIVE_ENTRIES), // Globs picking files inside a ZIP feed
+      feedTimezone: process.env.FEED_TIMEZONE || 'UTC', // IANA time zone of feed dates that carry no offset
+      schemaValidation: process.env.SCHEMA_VALIDATION !== 'false', // Reject listings that do not fit the property schema
+      lotSizeUnit: (process.env.LOT_SIZE_UNIT || 'feed').toLowerCase(), // Unit hs_lot_size is written in ('feed' keeps the feed's unit)
+      addressNormalization: this.parseList(process.env.ADDRESS_NORMALIZATION), // Address rules to apply ('all', or names from ADDRESS_RULES)
+      fieldMappingFile: process.env.FIELD_MAPPING_FILE ? path.resolve(process.env.FIELD_MAPPING_FILE) : null, // JSON/YAML field mapping
+      classificationRulesFile: process.env.CLASSIFICATION_RULES_FILE ? path.resolve(process.env.CLASSIFICATION_RULES_FILE) : null, // JSON/YAML listing type rules
+      mediaGroupBy: process.env.MEDIA_GROUP_BY || DEFAULT_MEDIA.groupBy, // Field shared by the rows of one listing ('none' = one row per listing)
+      mediaUrlTemplate: process.env.MEDIA_URL_TEMPLATE || DEFAULT_MEDIA.urlTemplate, // Image URL built from row fields, e.g. {mediaGuid}
+      duplicatePolicy: (process.env.DUPLICATE_POLICY || 'last').toLowerCase(), // Listings sharing an ID or hs_name: last, newest, merge, reject or off
+      feedSnapshots: process.env.FEED_SNAPSHOTS !== 'false', // Archive each run's raw feed payload
+      feedSnapshotDir: path.resolve(process.env.FEED_SNAPSHOT_DIR || path.join('data', 'snapshots')),
+      feedSnapshotKeep: this.parseIntSafe(process.env.FEED_SNAPSHOT_KEEP, 30, 0), // Per source; 0 keeps all
+      feedSnapshotMaxAgeDays: this.parseIntSafe(process.env.FEED_SNAPSHOT_MAX_AGE_DAYS, 0, 0), // 0 = no age limit
+      feedAllowedHosts: this.parseList(process.env.FEED_ALLOWED_HOSTS), // Trusted internal feed hosts exempt from SSRF checks
+      feedSourcesFile: process.env.FEED_SOURCES_FILE ? path.resolve(process.env.FEED_SOURCES_FILE) : null,
+      feedSourceNames: this.parseList(process.env.FEED_SOURCE_NAMES), // Run only these named sources
+      inboxPollInterval: this.parseIntSafe(process.env.INBOX_POLL_INTERVAL, 10000), // watch-inbox: ms between polls
+      inboxStableTime: this.parseIntSafe(process.env.INBOX_STABLE_TIME, 5000, 0), // watch-inbox: ms a file must stay unchanged
     };
 
     this.loaded = true;
     this.validate();
   }
 
+  /**
+   * Re-read the configuration, e.g. after the CLI has set FEED_* variables
+   * from its options (modules read settings as soon as they are loaded)
+   */
+  reload() {
+    this.loaded = false;
+    this.loadConfig();
+  }
+
   /**
    * Safely parse integer with fallback to default
    */
-  parseIntSafe(value, defaultValue) {
+  parseIntSafe(value, defaultValue, min = 1) {
     if (!value) {
       return defaultValue;
     }
     const parsed = parseInt(value, 10);
-    if (isNaN(parsed) || parsed <= 0) {
+    if (isNaN(parsed) || parsed < min) {
       console.warn(`Invalid numeric value "${value}", using default ${defaultValue}`);
       return defaultValue;
     }
     return parsed;
   }
 
+  /**
+   * Parse a comma-separated list into trimmed, non-empty entries
+   */
+  parseList(value) {
+    if (!value) {
+      return [];
+    }
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+
   /**
    * Validate required configuration
    */
@@ -80,7 +223,62 @@ class Config {
     if (!this.config.hubspotAccessToken) {
       throw new Error('HUBSPOT_ACCESS_TOKEN or HUBSPOT_API_TOKEN is required');
     }
+
+    if (!FEED_FORMATS.includes(this.config.feedFormat)) {
+      throw new Error(`Invalid FEED_FORMAT "${this.config.feedFormat}" (expected ${FEED_FORMATS.join(', ')})`);
+    }
+
+    if (!PAGINATION_MODES.includes(this.config.feedPagination)) {
+      throw new Error(`Invalid FEED_PAGINATION "${this.config.feedPagination}" (expected none, page, offset or cursor)`);
+    }
+
+    if (this.config.feedRecordPath) {
+      try {
+        parseRecordPath(this.config.feedRecordPath);
+      } catch (error) {
+        throw new Error(`Invalid FEED_RECORD_PATH: ${error.message}`);
+      }
+    }
+
+    if (!isValidTimeZone(this.config.feedTimezone)) {
+      throw new Error(`Invalid FEED_TIMEZONE "${this.config.feedTimezone}" (expected an IANA time zone such as America/Chicago)`);
+    }
+
+    if (this.config.lotSizeUnit !== 'feed' && !LOT_SIZE_UNITS.includes(this.config.lotSizeUnit)) {
+      throw new Error(`Invalid LOT_SIZE_UNIT "${this.config.lotSizeUnit}" (expected feed, ${LOT_SIZE_UNITS.join(', ')})`);
+    }
+
+    for (const rule of this.config.addressNormalization) {
+      if (rule !== 'all' && rule !== 'none' && !ADDRESS_RULES.includes(rule)) {
+        throw new Error(`Invalid ADDRESS_NORMALIZATION rule "${rule}" (expected all, none, ${ADDRESS_RULES.join(', ')})`);
+      }
+    }
+
+    if (!DUPLICATE_POLICIES.includes(this.config.duplicatePolicy)) {
+      throw new Error(`Invalid DUPLICATE_POLICY "${this.config.duplicatePolicy}" (expected ${DUPLICATE_POLICIES.join(', ')})`);
+    }
+
+    const mediaProblems = checkMediaSettings(
+      { groupBy: this.config.mediaGroupBy, urlTemplate: this.config.mediaUrlTemplate },
+      { groupBy: 'MEDIA_GROUP_BY', urlTemplate: 'MEDIA_URL_TEMPLATE' }
+    );
+    if (mediaProblems.length > 0) {
+      throw new Error(`Invalid media settings: ${mediaProblems.join('; ')}`);
+    }
+
+    // Fail at startup rather than on the first listing
+    if (this.config.fieldMappingFile) {
+      loadFieldMapping(this.config.fieldMappingFile);
+    }
+    if (this.config.classificationRulesFile) {
+      loadClassificationRules(this.config.classificationRulesFile);
+    }
     
+    // Sources file entries are validated when the file is loaded
+    if (this.config.feedSourcesFile) {
+      return;
+    }
+
     // Only validate feed source if CLI args haven't been processed yet
     const hasFeedSource = this.config.feedUrl || this.config.feedFilePath;
     
@@ -108,6 +306,272 @@ class Config {
     return this.config[key];
   }
 
+  /**
+   * Build the feed source described by the FEED_* environment variables.
+   * A source bundles everything needed to import one vendor feed.
+   * @param {Object} [overrides] - Values that replace the environment settings (e.g. name, url)
+   * @returns {Object} Source settings
+   */
+  getDefaultSource(overrides = {}) {
+    const c = this.getAll();
+    return {
+      name: c.feedSourceName,
+      type: c.feedSource,
+      format: c.feedFormat,
+      url: c.feedUrl || null,
+      filePath: c.feedFilePath || null,
+      archiveEntries: c.feedArchiveEntries,
+      recordPath: c.feedRecordPath,
+      recordPathStrict: c.feedRecordPathStrict,
+      timezone: c.feedTimezone,
+      duplicatePolicy: c.duplicatePolicy,
+      mappingFile: c.fieldMappingFile,
+      classificationRulesFile: c.classificationRulesFile,
+      pagination: {
+        mode: c.feedPagination,
+        pageParam: c.feedPageParam,
+        pageStart: c.feedPageStart,
+        pageSizeParam: c.feedPageSizeParam,
+        pageSize: c.feedPageSize,
+        offsetParam: c.feedOffsetParam,
+        limitParam: c.feedLimitParam,
+        cursorParam: c.feedCursorParam,
+        nextField: c.feedNextField,
+        totalField: c.feedTotalField,
+        maxPages: c.feedMaxPages,
+      },
+      csv: {
+        delimiter: c.csvDelimiter,
+        header: c.csvHeader,
+        columns: c.csvColumns,
+        addressField: c.csvAddressField,
+      },
+      auth: {
+        type: c.feedAuthType,
+        token: c.feedAuthToken,
+        username: c.feedAuthUsername,
+        password: c.feedAuthPassword,
+        apiKey: c.feedApiKey,
+        apiKeyHeader: c.feedApiKeyHeader,
+        apiKeyParam: c.feedApiKeyParam,
+        tokenUrl: c.feedOAuthTokenUrl,
+        clientId: c.feedOAuthClientId,
+        clientSecret: c.feedOAuthClientSecret,
+        scope: c.feedOAuthScope,
+      },
+      media: {
+        groupBy: c.mediaGroupBy,
+        urlTemplate: c.mediaUrlTemplate,
+      },
+      reso: {
+        top: c.resoTop,
+        filter: c.resoFilter,
+        select: c.resoSelect,
+        orderby: c.resoOrderBy,
+        expand: c.resoExpand,
+      },
+      fieldMap: {},
+      defaults: {},
+      ...overrides,
+    };
+  }
+
+  /**
+   * Get the feed sources for this run: every entry of FEED_SOURCES_FILE
+   * (optionally limited to FEED_SOURCE_NAMES), or the single environment source
+   * @returns {Object[]} Source settings
+   */
+  getSources() {
+    const sourcesFile = this.get('feedSourcesFile');
+    if (!sourcesFile) {
+      return [this.getDefaultSource()];
+    }
+
+    const sources = this.loadSourcesFile(sourcesFile);
+    const selected = this.get('feedSourceNames');
+    if (selected.length === 0) {
+      return sources;
+    }
+
+    const unknown = selected.filter(name => !sources.some(source => source.name === name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown feed source(s): ${unknown.join(', ')}`);
+    }
+    return sources.filter(source => selected.includes(source.name));
+  }
+
+  /**
+   * Load and validate a sources file.
+   * String values may reference secrets as ${ENV_VAR}; they are resolved from the
+   * environment after /etc/secrets/.env has been loaded.
+   * @param {string} filePath - JSON file with an array of sources or { "sources": [...] }
+   * @returns {Object[]} Normalized sources
+   */
+  loadSourcesFile(filePath) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read feed sources file ${filePath}: ${error.message}`);
+    }
+
+    const entries = Array.isArray(parsed) ? parsed : parsed && parsed.sources;
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error(`Feed sources file ${filePath} must contain a non-empty "sources" array`);
+    }
+
+    const baseDir = path.dirname(filePath);
+    const sources = entries.map((entry, index) => this.normalizeSource(this.interpolateEnv(entry), index, baseDir));
+
+    const seen = new Set();
+    for (const source of sources) {
+      if (seen.has(source.name)) {
+        throw new Error(`Duplicate feed source name "${source.name}"`);
+      }
+      seen.add(source.name);
+    }
+    return sources;
+  }
+
+  /**
+   * Normalize one sources file entry. Sources do not inherit the FEED_* settings
+   * of the environment source, so one vendor's credentials never leak to another.
+   * @param {Object} entry - Raw entry ({ name, url | file, format, recordPath, recordPathStrict, archiveEntries,
+   *   pagination, csv, reso, media, auth, fieldMap, mappingFile, classificationRulesFile, timezone,
+   *   duplicatePolicy, defaults })
+   * @param {number} index - Entry position (for error messages)
+   * @param {string} baseDir - Directory relative file paths are resolved against
+   * @returns {Object} Source settings
+   */
+  normalizeSource(entry, index, baseDir) {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`Feed source #${index + 1} must be an object`);
+    }
+    if (!entry.name || typeof entry.name !== 'string') {
+      throw new Error(`Feed source #${index + 1} is missing a "name"`);
+    }
+    const file = entry.file || entry.filePath;
+    if (Boolean(entry.url) === Boolean(file)) {
+      throw new Error(`Feed source "${entry.name}" must set exactly one of "url" or "file"`);
+    }
+
+    const pagination = { ...DEFAULT_PAGINATION, ...entry.pagination };
+    pagination.mode = String(pagination.mode).toLowerCase();
+    if (!PAGINATION_MODES.includes(pagination.mode)) {
+      throw new Error(`Feed source "${entry.name}" has invalid pagination mode "${pagination.mode}"`);
+    }
+
+    const format = String(entry.format || 'auto').toLowerCase();
+    if (!FEED_FORMATS.includes(format)) {
+      throw new Error(`Feed source "${entry.name}" has invalid format "${format}"`);
+    }
+
+    const recordPath = entry.recordPath === undefined || entry.recordPath === null ? null : String(entry.recordPath);
+    if (recordPath !== null) {
+      try {
+        parseRecordPath(recordPath);
+      } catch (error) {
+        throw new Error(`Feed source "${entry.name}" has an invalid recordPath: ${error.message}`);
+      }
+    }
+
+    const timezone = entry.timezone === undefined || entry.timezone === null ? 'UTC' : entry.timezone;
+    if (!isValidTimeZone(timezone)) {
+      throw new Error(`Feed source "${entry.name}" has an invalid timezone "${timezone}"`);
+    }
+
+    const duplicatePolicy = String(entry.duplicatePolicy || 'last').toLowerCase();
+    if (!DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+      throw new Error(`Feed source "${entry.name}" has invalid duplicatePolicy "${duplicatePolicy}" (expected ${DUPLICATE_POLICIES.join(', ')})`);
+    }
+
+    const media = { ...DEFAULT_MEDIA, ...entry.media };
+    const mediaProblems = checkMediaSettings(media);
+    if (mediaProblems.length > 0) {
+      throw new Error(`Feed source "${entry.name}" has invalid media settings: ${mediaProblems.join('; ')}`);
+    }
+
+    const mappingFile = entry.mappingFile ? path.resolve(baseDir, String(entry.mappingFile)) : null;
+    if (mappingFile) {
+      try {
+        loadFieldMapping(mappingFile);
+      } catch (error) {
+        throw new Error(`Feed source "${entry.name}" has an invalid mappingFile: ${error.message}`);
+      }
+    }
+
+    const classificationRulesFile = entry.classificationRulesFile
+      ? path.resolve(baseDir, String(entry.classificationRulesFile))
+      : null;
+    if (classificationRulesFile) {
+      try {
+        loadClassificationRules(classificationRulesFile);
+      } catch (error) {
+        throw new Error(`Feed source "${entry.name}" has an invalid classificationRulesFile: ${error.message}`);
+      }
+    }
+
+    return {
+      ...entry,
+      name: entry.name,
+      type: file ? 'file' : 'url',
+      format,
+      url: entry.url || null,
+      filePath: file ? path.resolve(baseDir, file) : null,
+      archiveEntries: Array.isArray(entry.archiveEntries)
+        ? entry.archiveEntries.map(String)
+        : this.parseList(entry.archiveEntries),
+      recordPath,
+      recordPathStrict: entry.recordPathStrict === true,
+      pagination,
+      csv: { ...DEFAULT_CSV, ...entry.csv },
+      reso: { ...DEFAULT_RESO, ...entry.reso },
+      media,
+      auth: { type: 'none', ...entry.auth },
+      fieldMap: entry.fieldMap || {},
+      mappingFile,
+      classificationRulesFile,
+      timezone,
+      duplicatePolicy,
+      defaults: entry.defaults || {},
+    };
+  }
+
+  /**
+   * Replace ${ENV_VAR} references in every string of a value
+   */
+  interpolateEnv(value) {
+    if (typeof value === 'string') {
+      return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+        if (process.env[name] === undefined) {
+          throw new Error(`Environment variable ${name} referenced in feed sources file is not set`);
+        }
+        return process.env[name];
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.interpolateEnv(item));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = this.interpolateEnv(item);
+      }
+      return result;
+    }
+    return value;
+  }
+
+  /**
+   * Get secret values that must be redacted from logs
+   */
+  getSecrets() {
+    if (!this.loaded) {
+      return [];
+    }
+    return SECRET_KEYS.map(key => this.config[key]).filter(Boolean);
+  }
+
   /**
    * Get all configuration
    */
@@ -0,0 +1,132 @@
+const { COUNTRY_CODES } = require('./properties');
+const { normalizeZip } = require('./address-normalizer');
+
+/**
+ * Canadian postal code ("K1A 0B1"). D, F, I, O, Q and U are never used;
+ * W and Z never start one.
+ */
+const CA_POSTAL_CODE = /^([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])\s?(\d[ABCEGHJ-NPRSTV-Z]\d)$/i;
+
+/**
+ * Country of each state, territory and province code
+ */
+const REGION_COUNTRY = new Map(
+  COUNTRY_CODES.flatMap(country => country.regions.map(region => [region.value, country.value]))
+);
+
+/**
+ * Validate a Canadian postal code, restoring the space and capitals
+ * ("m5v2t6" -> "M5V 2T6")
+ * @param {*} value - Feed postal code
+ * @returns {string|null} "A1A 1A1", or null if not a Canadian postal code
+ */
+function normalizeCanadianPostalCode(value) {
+  const match = CA_POSTAL_CODE.exec(String(value).trim());
+  return match ? `${match[1]} ${match[2]}`.toUpperCase() : null;
+}
+
+/**
+ * Postal code validation by country
+ */
+const POSTAL_CODE_FORMATS = {
+  US: normalizeZip,
+  CA: normalizeCanadianPostalCode,
+};
+
+/**
+ * Validate and format a postal code for a country
+ * @param {*} value - Feed postal code
+ * @param {string} [country] - Country code (default: US)
+ * @returns {string|null} Formatted postal code, or null if it is not valid for the country
+ */
+function normalizePostalCode(value, country = 'US') {
+  return (POSTAL_CODE_FORMATS[country] || normalizeZip)(value);
+}
+
+/**
+ * Country a state, territory or province code belongs to
+ * @param {string} code - Region code (e.g. "TX", "PR", "ON")
+ * @returns {string|null} Country code, or null if unknown
+ */
+function countryOfRegion(code) {
+  return REGION_COUNTRY.get(code) || null;
+}
+
+/**
+ * Detect a listing's country from its region code, or from a postal code
+ * only one country uses (Canadian postal codes; a five-digit code alone is
+ * not proof of a US address)
+ * @param {Object} listing - Transformed listing
+ * @returns {string|null} Country code, or null if it cannot be told
+ */
+function detectCountry(listing) {
+  if (listing.state_code) {
+    return countryOfRegion(listing.state_code);
+  }
+  if (listing.hs_zip && normalizeCanadianPostalCode(listing.hs_zip)) {
+    return 'CA';
+  }
+  return null;
+}
+
+/**
+ * Canada Post writes the unit before the civic number ("1203-150 King St W")
+ * when the unit is a bare identifier
+ */
+function canadianStreetLine(address1, address2) {
+  const unit = /^(?:(?:apt|apartment|unit|suite|ste)\.?\s+|#\s*)?(\d+[a-z]?|[a-z])$/i.exec(address2.trim());
+  if (unit && /^\d/.test(address1)) {
+    return `${unit[1].toUpperCase()}-${address1}`;
+  }
+  return `${address1} ${address2}`;
+}
+
+/**
+ * Build hs_name from a listing's address following its country's conventions:
+ * "123 Main St Apt 4, Springfield, IL 62701" (US and territories) or
+ * "4-123 Main St, Toronto ON M5V 2T6" (Canada)
+ * @param {Object} listing - Transformed listing (country, hs_address_1, hs_address_2,
+ *   hs_city, hs_state_province, state_code, hs_zip)
+ * @returns {string|null} Listing name, or null if the listing has no address
+ */
+function formatListingName(listing) {
+  const parts = [];
+
+  // Street address
+  if (listing.hs_address_1) {
+    let street = listing.hs_address_1;
+    if (listing.hs_address_2) {
+      street = listing.country === 'CA'
+        ? canadianStreetLine(street, listing.hs_address_2)
+        : `${street} ${listing.hs_address_2}`;
+    }
+    parts.push(street);
+  }
+
+  if (listing.country === 'CA') {
+    // City, province code and postal code share one line ("Toronto ON M5V 2T6")
+    const postalCode = listing.hs_zip && (normalizeCanadianPostalCode(listing.hs_zip) || listing.hs_zip);
+    const line = [listing.hs_city, listing.state_code || listing.hs_state_province, postalCode].filter(Boolean).join(' ');
+    if (line) {
+      parts.push(line);
+    }
+  } else {
+    if (listing.hs_city) {
+      parts.push(listing.hs_city);
+    }
+    const region = [listing.hs_state_province, listing.hs_zip].filter(Boolean);
+    if (region.length) {
+      parts.push(region.join(' '));
+    }
+  }
+
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+module.exports = {
+  normalizeCanadianPostalCode,
+  normalizePostalCode,
+  countryOfRegion,
+  detectCountry,
+  formatListingName,
+};
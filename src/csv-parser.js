@@ -0,0 +1,159 @@
+/**
+ * Minimal RFC 4180 style CSV/TSV parser for vendor feed exports.
+ *
+ * Supports quoted fields (including embedded delimiters, newlines and
+ * doubled "" quotes), CRLF line endings, a leading UTF-8 BOM and
+ * configurable delimiters.
+ */
+
+/**
+ * Split delimited text into rows of raw string cells
+ * @param {string} content - Raw delimited text
+ * @param {string} delimiter - Single-character field delimiter
+ * @returns {string[][]} Parsed rows (blank lines are skipped)
+ */
+function parseRows(content, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  // Strip UTF-8 byte order mark
+  if (content.charCodeAt(0) === 0xfeff) {
+    i = 1;
+  }
+
+  const endRow = () => {
+    row.push(field);
+    field = '';
+    // Skip blank lines (a single empty cell)
+    if (!(row.length === 1 && row[0] === '')) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\r') {
+      if (content[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else if (char === '\n') {
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field at end of input');
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Guess whether the first row is a header row.
+ * A header row has no empty, duplicate or purely numeric cells.
+ * @param {string[]} firstRow - First parsed row
+ * @returns {boolean} True if the row looks like column names
+ */
+function looksLikeHeader(firstRow) {
+  const seen = new Set();
+  for (const cell of firstRow) {
+    const name = cell.trim();
+    if (name === '' || seen.has(name) || !isNaN(Number(name))) {
+      return false;
+    }
+    seen.add(name);
+  }
+  return true;
+}
+
+/**
+ * Pick a delimiter for a file based on its extension
+ * @param {string} filePath - Path or URL of the feed
+ * @returns {string} Tab for .tsv/.tab files, comma otherwise
+ */
+function delimiterForPath(filePath) {
+  return /\.(tsv|tab)$/i.test(filePath || '') ? '\t' : ',';
+}
+
+/**
+ * Parse CSV/TSV text into an array of plain record objects
+ * @param {string} content - Raw delimited text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] - Field delimiter ("\t" or "tab" for TSV)
+ * @param {boolean|string} [options.header='auto'] - true, false, or 'auto' to detect the header row
+ * @param {string[]} [options.columns] - Column names to use when the input has no header row
+ * @returns {Object[]} One object per data row; empty cells become null
+ */
+function parseCsv(content, options = {}) {
+  let delimiter = options.delimiter || ',';
+  if (delimiter === 'tab' || delimiter === '\\t') {
+    delimiter = '\t';
+  }
+  if (delimiter.length !== 1) {
+    throw new Error(`CSV delimiter must be a single character, got "${delimiter}"`);
+  }
+
+  const rows = parseRows(String(content), delimiter);
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = options.header === undefined ? 'auto' : options.header;
+  const hasHeader = header === 'auto' ? looksLikeHeader(rows[0]) : header === true || header === 'true';
+
+  let columns;
+  if (hasHeader) {
+    columns = rows.shift().map(name => name.trim());
+  } else if (options.columns && options.columns.length > 0) {
+    columns = options.columns;
+  } else {
+    throw new Error('CSV feed has no header row; set CSV_COLUMNS to name the columns');
+  }
+
+  return rows.map(cells => {
+    const record = {};
+    columns.forEach((column, index) => {
+      const value = cells[index] !== undefined ? cells[index].trim() : '';
+      record[column] = value === '' ? null : value;
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  parseCsv,
+  parseRows,
+  looksLikeHeader,
+  delimiterForPath,
+};
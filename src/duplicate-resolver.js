@@ -0,0 +1,263 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+
+/**
+ * What happens to listings of one feed that share an external_listing_id or hs_name
+ * ('off' sends every listing as it arrives, without detection)
+ */
+const DUPLICATE_POLICIES = ['last', 'newest', 'merge', 'reject', 'off'];
+
+/**
+ * Listing properties that identify a listing in HubSpot
+ */
+const KEY_PROPERTIES = ['external_listing_id', 'hs_name'];
+
+/**
+ * Identity keys of a listing. hs_name is compared the way HubSpot's search
+ * matches it (ignoring case and repeated spaces).
+ * @param {Object} listing - Transformed listing
+ * @returns {Array<[string, string]>} [property, key] pairs
+ */
+function listingKeys(listing) {
+  const keys = [];
+  for (const property of KEY_PROPERTIES) {
+    const value = listing[property];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    const text = String(value).trim();
+    keys.push([property, property === 'hs_name' ? text.replace(/\s+/g, ' ').toLowerCase() : text]);
+  }
+  return keys;
+}
+
+/**
+ * Split colliding listings into groups connected by a shared key (A and B
+ * share an ID, B and C a name: one group of three)
+ * @param {Array<{index: number, listing: Object}>} entries - Listings with their feed position
+ * @returns {Array<Array<{index: number, listing: Object}>>} Groups, each in feed order
+ */
+function groupCollisions(entries) {
+  const groups = [];
+  const byKey = new Map();
+
+  for (const entry of entries) {
+    const keys = listingKeys(entry.listing).map(([property, key]) => `${property}\u0000${key}`);
+    let group = null;
+    for (const key of keys) {
+      const other = byKey.get(key);
+      if (!other || other === group) {
+        continue;
+      }
+      if (!group) {
+        group = other;
+        continue;
+      }
+      // The listing joins two groups: fold the other one in
+      group.entries.push(...other.entries);
+      group.keys.push(...other.keys);
+      other.keys.forEach(otherKey => byKey.set(otherKey, group));
+      other.merged = true;
+    }
+    if (!group) {
+      group = { entries: [], keys: [] };
+      groups.push(group);
+    }
+    group.entries.push(entry);
+    for (const key of keys) {
+      if (byKey.get(key) !== group) {
+        byKey.set(key, group);
+        group.keys.push(key);
+      }
+    }
+  }
+
+  return groups
+    .filter(group => !group.merged)
+    .map(group => group.entries.sort((a, b) => a.index - b.index));
+}
+
+/**
+ * Combine listings field by field: later listings win for the fields they set
+ */
+function mergeListings(listings) {
+  const merged = {};
+  for (const listing of listings) {
+    for (const [property, value] of Object.entries(listing)) {
+      if (value !== undefined && value !== null && value !== '') {
+        merged[property] = value;
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Resolve one group of colliding listings with a policy
+ * @param {Array<{index: number, listing: Object}>} entries - Colliding listings, in feed order
+ * @param {string} policy - 'last', 'newest', 'merge' or 'reject' ('merge' applies only
+ *   when every record has the same external_listing_id; other groups are resolved with 'last')
+ * @returns {{listing: Object|null, collision: Object}} Listing to import (null when
+ *   rejected) and the collision for the run summary ({ keys, records, policy, resolution },
+ *   policy being the one actually applied)
+ */
+function resolveCollision(entries, policy) {
+  const records = entries.map(({ index, listing }) => ({
+    record: index + 1,
+    external_listing_id: listing.external_listing_id,
+    hs_name: listing.hs_name,
+  }));
+  const numbers = records.map(record => record.record).join(', ');
+
+  // Keys held by more than one listing of the group, as the feed wrote them
+  const counts = new Map();
+  for (const { listing } of entries) {
+    for (const [property, key] of listingKeys(listing)) {
+      const id = `${property}\u0000${key}`;
+      const seen = counts.get(id) || { text: `${property} "${listing[property]}"`, count: 0 };
+      seen.count++;
+      counts.set(id, seen);
+    }
+  }
+  const keys = [...counts.values()].filter(key => key.count > 1).map(key => key.text);
+
+  // Only records of one listing are merged: listings with different IDs that
+  // share a name are two listings, and fall back to 'last'
+  const ids = new Set(entries.map(({ listing }) => {
+    const id = listingKeys(listing).find(([property]) => property === 'external_listing_id');
+    return id ? id[1] : null;
+  }));
+  const mergeable = ids.size === 1 && !ids.has(null);
+  const note = policy === 'merge' && !mergeable ? ' (different external_listing_id values, not merged)' : '';
+  if (note) {
+    policy = 'last';
+  }
+
+  let listing = null;
+  let resolution;
+  if (policy === 'merge') {
+    listing = mergeListings(entries.map(entry => entry.listing));
+    resolution = `merged records ${numbers}`;
+  } else if (policy === 'reject') {
+    resolution = `rejected records ${numbers}`;
+  } else {
+    let kept = entries[entries.length - 1];
+    if (policy === 'newest') {
+      // Latest listing_start_date; without dates (or on a tie) the later record wins
+      const dateOf = entry => (typeof entry.listing.listing_start_date === 'number' ? entry.listing.listing_start_date : -Infinity);
+      kept = entries.reduce((best, entry) => (dateOf(entry) >= dateOf(best) ? entry : best));
+    }
+    listing = kept.listing;
+    resolution = `kept record ${kept.index + 1} of ${numbers}${note}`;
+  }
+
+  return { listing, collision: { keys, records, policy, resolution } };
+}
+
+/**
+ * Detects listings of one feed that share an external_listing_id or hs_name
+ * and resolves them before anything is sent to HubSpot, where the second
+ * search-then-create of a pair could race the first.
+ *
+ * Every listing has to be seen before any can be sent, so listings are
+ * spooled to a temporary NDJSON file while the feed streams in and only
+ * their keys stay in memory. listings() then reads the spool back, holding
+ * only colliding listings until the end.
+ */
+class DuplicateResolver {
+  /**
+   * @param {string} policy - 'last', 'newest', 'merge' or 'reject'
+   */
+  constructor(policy) {
+    this.policy = policy;
+    this.seen = new Map(KEY_PROPERTIES.map(property => [property, new Set()]));
+    this.repeated = new Map(KEY_PROPERTIES.map(property => [property, new Set()]));
+    this.collisions = [];
+    this.spool = null;
+  }
+
+  /**
+   * Add a transformed listing
+   * @param {Object} listing - Transformed listing
+   * @param {number} index - Position of its record in the feed
+   */
+  async add(listing, index) {
+    if (!this.spool) {
+      const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'listing-spool-'));
+      const file = path.join(dir, 'listings.ndjson');
+      this.spool = { dir, file, stream: fs.createWriteStream(file) };
+    }
+
+    for (const [property, key] of listingKeys(listing)) {
+      const seen = this.seen.get(property);
+      if (seen.has(key)) {
+        this.repeated.get(property).add(key);
+      } else {
+        seen.add(key);
+      }
+    }
+
+    if (!this.spool.stream.write(`${JSON.stringify([index, listing])}\n`)) {
+      await once(this.spool.stream, 'drain');
+    }
+  }
+
+  /**
+   * Read the listings back once the feed has been read: listings without a
+   * duplicate in feed order, then one listing per resolved collision (none
+   * for rejected ones). Collisions are recorded in this.collisions.
+   * @returns {AsyncGenerator<Object>} Listings to import
+   */
+  async *listings() {
+    if (!this.spool) {
+      return;
+    }
+    this.spool.stream.end();
+    await once(this.spool.stream, 'finish');
+    this.seen = null;
+
+    const held = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(this.spool.file), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) {
+        continue;
+      }
+      const [index, listing] = JSON.parse(line);
+      if (listingKeys(listing).some(([property, key]) => this.repeated.get(property).has(key))) {
+        held.push({ index, listing });
+      } else {
+        yield listing;
+      }
+    }
+
+    for (const entries of groupCollisions(held)) {
+      const { listing, collision } = resolveCollision(entries, this.policy);
+      this.collisions.push(collision);
+      if (listing) {
+        yield listing;
+      }
+    }
+  }
+
+  /**
+   * Remove the spool file
+   */
+  async close() {
+    if (!this.spool) {
+      return;
+    }
+    this.spool.stream.destroy();
+    await fs.promises.rm(this.spool.dir, { recursive: true, force: true });
+    this.spool = null;
+  }
+}
+
+module.exports = {
+  DUPLICATE_POLICIES,
+  DuplicateResolver,
+  listingKeys,
+  resolveCollision,
+};
@@ -0,0 +1,198 @@
+const axios = require('axios');
+const config = require('./config');
+const logger = require('./logger');
+const { checkUrl, checkRedirect, createGuardedLookup, findBlockedError } = require('./url-guard');
+
+/**
+ * Supported feed authentication types
+ */
+const AUTH_TYPES = ['none', 'bearer', 'basic', 'api_key', 'oauth2'];
+
+/**
+ * Refresh OAuth2 tokens this many milliseconds before they expire
+ */
+const TOKEN_EXPIRY_SKEW_MS = 60000;
+
+/**
+ * Applies credentials to feed requests.
+ *
+ * Supports a static bearer token, HTTP basic auth, an API key sent as a header
+ * or query parameter, and the OAuth2 client-credentials grant (tokens are
+ * cached until shortly before they expire). Every secret is registered with
+ * the logger so it is redacted from log output. The token endpoint, and each
+ * redirect from it, is refused when it points at an internal address.
+ */
+class FeedAuth {
+  /**
+   * @param {Object} options
+   * @param {string} [options.type='none'] - One of AUTH_TYPES
+   * @param {string} [options.token] - Bearer token
+   * @param {string} [options.username] - Basic auth username
+   * @param {string} [options.password] - Basic auth password
+   * @param {string} [options.apiKey] - API key value
+   * @param {string} [options.apiKeyHeader='X-API-Key'] - Header name for the API key
+   * @param {string} [options.apiKeyParam] - Query parameter name (sends the key in the URL instead of a header)
+   * @param {string} [options.tokenUrl] - OAuth2 token endpoint
+   * @param {string} [options.clientId] - OAuth2 client ID
+   * @param {string} [options.clientSecret] - OAuth2 client secret
+   * @param {string} [options.scope] - OAuth2 scope
+   */
+  constructor(options = {}) {
+    this.options = { apiKeyHeader: 'X-API-Key', ...options, type: (options.type || 'none').toLowerCase() };
+    this.cachedToken = null;
+    this.tokenExpiresAt = 0;
+    // Token requests carry the client secret, so they pass the same address checks as feed requests
+    this.lookup = createGuardedLookup(() => config.get('feedAllowedHosts'));
+    this.validate();
+
+    const { token, password, apiKey, clientSecret, username } = this.options;
+    logger.addSecrets(token, password, apiKey, clientSecret);
+    if (this.options.type === 'basic') {
+      logger.addSecrets(Buffer.from(`${username}:${password}`).toString('base64'));
+    }
+  }
+
+  /**
+   * Build FeedAuth from the loaded configuration
+   * @param {Object} config - Config module
+   */
+  static fromConfig(config) {
+    return new FeedAuth({
+      type: config.get('feedAuthType'),
+      token: config.get('feedAuthToken'),
+      username: config.get('feedAuthUsername'),
+      password: config.get('feedAuthPassword'),
+      apiKey: config.get('feedApiKey'),
+      apiKeyHeader: config.get('feedApiKeyHeader'),
+      apiKeyParam: config.get('feedApiKeyParam'),
+      tokenUrl: config.get('feedOAuthTokenUrl'),
+      clientId: config.get('feedOAuthClientId'),
+      clientSecret: config.get('feedOAuthClientSecret'),
+      scope: config.get('feedOAuthScope'),
+    });
+  }
+
+  /**
+   * Check that the options required by the auth type are present
+   */
+  validate() {
+    const { type } = this.options;
+    const required = {
+      none: [],
+      bearer: ['token'],
+      basic: ['username', 'password'],
+      api_key: ['apiKey'],
+      oauth2: ['tokenUrl', 'clientId', 'clientSecret'],
+    }[type];
+
+    if (!required) {
+      throw new Error(`Invalid feed auth type "${type}" (expected ${AUTH_TYPES.join(', ')})`);
+    }
+
+    const missing = required.filter(key => !this.options[key]);
+    if (missing.length > 0) {
+      throw new Error(`Feed auth type "${type}" requires: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Apply credentials to a request
+   * @param {string} url - Request URL
+   * @param {Object} [headers] - Existing request headers
+   * @returns {Promise<{url: string, headers: Object}>} URL and headers with credentials added
+   */
+  async apply(url, headers = {}) {
+    const { type, token, username, password, apiKey, apiKeyHeader, apiKeyParam } = this.options;
+    const result = { url, headers: { ...headers } };
+
+    if (type === 'bearer') {
+      result.headers.Authorization = `Bearer ${token}`;
+    } else if (type === 'basic') {
+      result.headers.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+    } else if (type === 'api_key') {
+      if (apiKeyParam) {
+        const authedUrl = new URL(url);
+        authedUrl.searchParams.set(apiKeyParam, apiKey);
+        result.url = authedUrl.toString();
+      } else {
+        result.headers[apiKeyHeader] = apiKey;
+      }
+    } else if (type === 'oauth2') {
+      result.headers.Authorization = `Bearer ${await this.getAccessToken()}`;
+    }
+
+    return result;
+  }
+
+  /**
+   * Names of the headers apply() puts credentials in
+   * @returns {string[]} Header names (none when the credential is sent in the URL)
+   */
+  headerNames() {
+    const { type, apiKeyHeader, apiKeyParam } = this.options;
+    if (type === 'api_key') {
+      return apiKeyParam ? [] : [apiKeyHeader];
+    }
+    return type === 'none' ? [] : ['Authorization'];
+  }
+
+  /**
+   * Drop a cached OAuth2 token (e.g. after a 401) so the next request fetches a new one
+   */
+  invalidate() {
+    this.cachedToken = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  /**
+   * Get an OAuth2 access token, using the cached token while it is still valid
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken() {
+    if (this.cachedToken && Date.now() < this.tokenExpiresAt - TOKEN_EXPIRY_SKEW_MS) {
+      return this.cachedToken;
+    }
+
+    const { tokenUrl, clientId, clientSecret, scope } = this.options;
+    const body = new URLSearchParams({ grant_type: 'client_credentials' });
+    if (scope) {
+      body.set('scope', scope);
+    }
+
+    checkUrl(tokenUrl, config.get('feedAllowedHosts'));
+    logger.info(`Requesting OAuth2 access token from ${tokenUrl}`);
+    let response;
+    try {
+      response = await axios.post(tokenUrl, body.toString(), {
+        timeout: 30000,
+        auth: { username: clientId, password: clientSecret },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+        lookup: this.lookup,
+        beforeRedirect: options => checkRedirect(options, config.get('feedAllowedHosts')),
+      });
+    } catch (error) {
+      const blocked = findBlockedError(error);
+      if (blocked) {
+        throw blocked;
+      }
+      throw new Error(`OAuth2 token request failed: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+    }
+
+    const accessToken = response.data && response.data.access_token;
+    if (!accessToken) {
+      throw new Error('OAuth2 token response did not include an access_token');
+    }
+
+    const expiresIn = Number(response.data.expires_in) || 3600;
+    this.cachedToken = accessToken;
+    this.tokenExpiresAt = Date.now() + expiresIn * 1000;
+    logger.addSecrets(accessToken);
+    logger.debug(`OAuth2 access token cached for ${expiresIn}s`);
+
+    return accessToken;
+  }
+}
+
+FeedAuth.AUTH_TYPES = AUTH_TYPES;
+
+module.exports = FeedAuth;
@@ -1,15 +1,41 @@
 const axios = require('axios');
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const logger = require('./logger');
 const config = require('./config');
+const { parseCsv, delimiterForPath } = require('./csv-parser');
+const { expandSingleLineAddress } = require('./address-parser');
+const { JsonArrayStream } = require('./json-stream');
+const { NdjsonStream, parseNdjson } = require('./ndjson-stream');
+const { selectRecords } = require('./record-path');
+const { pipeline } = require('stream');
+const FeedState = require('./feed-state');
+const FeedSnapshots = require('./feed-snapshots');
+const FeedAuth = require('./feed-auth');
+const ResoAdapter = require('./reso-adapter');
+const { parseXmlFeed } = require('./xml-feed');
+const ZipArchive = require('./zip-archive');
+const { checkUrl, checkRedirect, createGuardedLookup, findBlockedError } = require('./url-guard');
 
 /**
- * Fetch JSON feed data from a URL or local file
+ * Files picked from a ZIP feed when no FEED_ARCHIVE_ENTRIES globs are set
+ */
+const DEFAULT_ARCHIVE_ENTRIES = ['**/*.json', '**/*.ndjson', '**/*.jsonl', '**/*.csv', '**/*.tsv', '**/*.tab', '**/*.xml'];
+
+/**
+ * Fetch JSON, CSV/TSV or XML feed data from a URL or local file,
+ * optionally gzip-compressed or packed in a ZIP archive
  */
 class FeedFetcher {
   constructor() {
     this.retryAttempts = config.get('retryAttempts');
     this.retryDelay = config.get('retryDelay');
+    this.auths = new Map();
+    // Resolves feed hosts and refuses internal addresses on every connection
+    this.lookup = createGuardedLookup(() => config.get('feedAllowedHosts'));
   }
 
   /**
@@ -20,57 +46,78 @@ class FeedFetcher {
   }
 
   /**
-   * Validate URL to prevent SSRF attacks
+   * Validate URL to prevent SSRF attacks.
+   * Rejects non-HTTP(S) URLs, localhost and IP literals in private, loopback,
+   * link-local, multicast or reserved ranges (IPv4 and IPv6). Hostnames are
+   * checked again after DNS resolution when the request connects, and every
+   * redirect hop goes through the same checks. Hosts in FEED_ALLOWED_HOSTS
+   * skip the address checks.
+   * @throws {BlockedUrlError} If the URL points at a blocked address
    */
   validateUrl(url) {
-    try {
-      const parsedUrl = new URL(url);
-      
-      // Only allow http and https protocols
-      if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
-        throw new Error('Only HTTP and HTTPS protocols are allowed');
-      }
+    checkUrl(url, config.get('feedAllowedHosts'));
+    return true;
+  }
 
-      // Prevent requests to private IP ranges
-      const hostname = parsedUrl.hostname.toLowerCase();
-      
-      // Block localhost and loopback
-      if (hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '::1') {
-        throw new Error('Requests to localhost are not allowed');
-      }
+  /**
+   * Re-validate each redirect before it is followed
+   * @param {Object} options - Request options of the next hop (from follow-redirects)
+   */
+  validateRedirect(options) {
+    checkRedirect(options, config.get('feedAllowedHosts'));
+  }
 
-      // Block private IP ranges (basic check)
-      if (hostname.match(/^(10\.|172\.(1[6-9]|2[0-9]|3[0-1])\.|192\.168\.)/)) {
-        throw new Error('Requests to private IP ranges are not allowed');
+  /**
+   * Remove credential headers from a redirect to another host, so a feed host
+   * redirecting to a CDN or another domain does not hand it the feed's credentials
+   * @param {Object} options - Request options of the next hop (from follow-redirects)
+   * @param {string} url - URL of the original request
+   * @param {FeedAuth} auth - Authenticator whose headers are removed
+   */
+  dropCredentials(options, url, auth) {
+    const location = new URL(options.href || `${options.protocol}//${options.host}${options.path}`);
+    if (location.host === new URL(url).host || !options.headers) {
+      return;
+    }
+    const names = auth.headerNames().map(name => name.toLowerCase());
+    for (const header of Object.keys(options.headers)) {
+      if (names.includes(header.toLowerCase())) {
+        delete options.headers[header];
       }
-
-      return true;
-    } catch (error) {
-      throw new Error(`Invalid feed URL: ${error.message}`);
     }
   }
 
   /**
-   * Fetch feed data with retry logic
+   * Issue a GET request for the feed with retry logic
+   * @param {string} url - Feed URL
+   * @param {Object} [requestOptions] - Extra axios options (e.g. responseType)
+   * @param {Object} [source] - Feed source whose credentials are applied (defaults to FEED_* settings)
+   * @returns {Promise<Object>} Axios response
    */
-  async fetchFeed(url) {
-    // Validate URL to prevent SSRF
-    this.validateUrl(url);
-    
-    logger.info(`Fetching feed from: ${url}`);
-    
+  async requestFeed(url, requestOptions = {}, source = null) {
     let lastError;
-    
+
+    const auth = this.getAuth(source);
+
     for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
       try {
-        const response = await axios.get(url, {
+        const request = await auth.apply(url, {
+          'Accept': 'application/json, text/csv;q=0.9, text/tab-separated-values;q=0.9, application/xml;q=0.8, text/xml;q=0.8',
+          ...requestOptions.headers,
+        });
+        const response = await axios.get(request.url, {
           timeout: 30000, // 30 second timeout
-          headers: {
-            'Accept': 'application/json',
+          ...requestOptions,
+          headers: request.headers,
+          lookup: this.lookup,
+          beforeRedirect: options => {
+            this.validateRedirect(options);
+            this.dropCredentials(options, request.url, auth);
           },
         });
 
-        if (response.status !== 200) {
+        // 304 is only accepted when the caller opted in via validateStatus
+        if (response.status !== 200 && response.status !== 304) {
           throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
 
@@ -79,14 +126,25 @@ class FeedFetcher {
           contentType: response.headers['content-type'],
         });
 
-        return response.data;
+        return response;
       } catch (error) {
+        // A refused address will not change between attempts
+        const blocked = findBlockedError(error);
+        if (blocked) {
+          throw blocked;
+        }
+
         lastError = error;
         logger.warn(`Attempt ${attempt}/${this.retryAttempts} failed to fetch feed`, {
           error: error.message,
           statusCode: error.response?.status,
         });
 
+        // An expired or revoked OAuth2 token is refreshed on the next attempt
+        if (error.response?.status === 401) {
+          auth.invalidate();
+        }
+
         if (attempt < this.retryAttempts) {
           const delay = this.retryDelay * attempt;
           logger.info(`Retrying in ${delay}ms...`);
@@ -99,76 +157,1044 @@ class FeedFetcher {
   }
 
   /**
-   * Validate feed data structure
+   * Fetch feed data with retry logic
+   * @param {string} url - Feed URL
+   * @param {Object} [source] - Feed source (auth, format and CSV settings)
    */
-  validateFeed(data) {
-    if (!data) {
-      throw new Error('Feed data is empty or null');
+  async fetchFeed(url, source = null) {
+    // Validate URL to prevent SSRF
+    this.validateUrl(url);
+    
+    logger.info(`Fetching feed from: ${url}`);
+
+    // Raw bytes, so gzip and ZIP bodies can be recognized by their signature
+    const response = await this.requestFeed(url, { responseType: 'arraybuffer' }, source);
+    const contentType = response.headers['content-type'] || '';
+    const feedSource = source || config.getDefaultSource();
+    let body = Buffer.from(response.data);
+    const compression = this.detectCompression(url, contentType, body);
+
+    if (compression === 'zip') {
+      const spool = await this.spoolStream([body]);
+      try {
+        return await this.collectRecords(await this.openZipRecords(spool.filePath, feedSource));
+      } finally {
+        this.removeFile(spool.filePath);
+      }
     }
 
-    // Handle different feed structures
-    if (Array.isArray(data)) {
-      logger.info(`Feed contains ${data.length} listings`);
-      return data;
+    let location = url;
+    if (compression === 'gzip') {
+      body = zlib.gunzipSync(body);
+      location = this.stripCompressionExtension(url);
+    }
+
+    try {
+      return this.parseTextFeed(body.toString('utf8'), location, contentType, feedSource);
+    } catch (error) {
+      if (error instanceof SyntaxError && this.detectFormat(location, contentType, feedSource.format) === 'json') {
+        throw new Error(`Invalid JSON in feed: ${error.message}`);
+      }
+      throw error;
     }
+  }
 
-    // Check for common wrapper properties
-    if (data.listings && Array.isArray(data.listings)) {
-      logger.info(`Feed contains ${data.listings.length} listings (in 'listings' property)`);
-      return data.listings;
+  /**
+   * Read a value from an object using a dotted path (e.g. "meta.next")
+   */
+  getPathValue(data, fieldPath) {
+    if (!data || typeof data !== 'object' || !fieldPath) {
+      return undefined;
     }
+    return fieldPath.split('.').reduce(
+      (value, key) => (value !== null && value !== undefined ? value[key] : undefined),
+      data
+    );
+  }
+
+  /**
+   * Build pagination options from configuration
+   * @returns {Object} Pagination mode, parameter names and limits
+   */
+  getPaginationOptions() {
+    return config.getDefaultSource().pagination;
+  }
 
-    if (data.results && Array.isArray(data.results)) {
-      logger.info(`Feed contains ${data.results.length} listings (in 'results' property)`);
-      return data.results;
+  /**
+   * Read the total record count the API reports for the whole feed.
+   * Looks at the page wrapper first, then at the first record (some APIs,
+   * like the VRM feed, repeat recordCount/pageCount on every row).
+   * @returns {number|null} Reported total or null if not present
+   */
+  getReportedCount(data, records, field) {
+    const candidates = [this.getPathValue(data, field)];
+    if (records.length > 0) {
+      candidates.push(this.getPathValue(records[0], field));
+    }
+    for (const candidate of candidates) {
+      const count = Number(candidate);
+      if (candidate !== null && candidate !== undefined && candidate !== '' && Number.isInteger(count) && count >= 0) {
+        return count;
+      }
     }
+    return null;
+  }
+
+  /**
+   * Build the URL for a page request
+   * @param {string} baseUrl - Feed URL
+   * @param {Object} options - Pagination options
+   * @param {Object} state - Current page number, offset or cursor
+   * @returns {string} URL with pagination query parameters applied
+   */
+  buildPageUrl(baseUrl, options, state) {
+    const pageUrl = new URL(baseUrl);
 
-    if (data.data && Array.isArray(data.data)) {
-      logger.info(`Feed contains ${data.data.length} listings (in 'data' property)`);
-      return data.data;
+    if (options.mode === 'page') {
+      pageUrl.searchParams.set(options.pageParam, String(state.page));
+      pageUrl.searchParams.set(options.pageSizeParam, String(options.pageSize));
+    } else if (options.mode === 'offset') {
+      pageUrl.searchParams.set(options.offsetParam, String(state.offset));
+      pageUrl.searchParams.set(options.limitParam, String(options.pageSize));
+    } else if (options.mode === 'cursor' && state.cursor) {
+      pageUrl.searchParams.set(options.cursorParam, state.cursor);
     }
 
-    if (data.properties && Array.isArray(data.properties)) {
-      logger.info(`Feed contains ${data.properties.length} listings (in 'properties' property)`);
-      return data.properties;
+    return pageUrl.toString();
+  }
+
+  /**
+   * Fetch every page of a paged feed and verify the result is complete.
+   * Supports page-number, offset/limit and cursor/next-link pagination.
+   * Fails if fewer records arrive than the API's reported total, so a
+   * truncated feed is never imported silently.
+   * @param {string} url - Feed URL (first page)
+   * @param {Object} [options] - Pagination options (defaults to configuration)
+   * @param {Object} [source] - Feed source (auth and CSV settings)
+   * @returns {Promise<Object[]>} All records across pages
+   */
+  async fetchPaginatedFeed(url, options = this.getPaginationOptions(), source = null) {
+    logger.info(`Fetching paginated feed (${options.mode} mode)`);
+
+    const records = [];
+    const state = { page: options.pageStart, offset: 0, cursor: null };
+    let nextUrl = this.buildPageUrl(url, options, state);
+    let expectedTotal = null;
+    let expectedPages = null;
+    let pagesFetched = 0;
+
+    while (nextUrl) {
+      if (pagesFetched >= options.maxPages) {
+        throw new Error(`Paginated feed exceeded FEED_MAX_PAGES (${options.maxPages})`);
+      }
+
+      const data = await this.fetchFeed(nextUrl, source);
+      const pageRecords = Array.isArray(data) && data.length === 0 ? [] : this.validateFeed(data, source);
+      pagesFetched++;
+      records.push(...pageRecords);
+
+      if (expectedTotal === null) {
+        expectedTotal = this.getReportedCount(data, pageRecords, options.totalField);
+      }
+      if (expectedPages === null) {
+        expectedPages = this.getReportedCount(data, pageRecords, 'pageCount');
+      }
+
+      logger.info(`Fetched page ${pagesFetched}${expectedPages ? `/${expectedPages}` : ''}`, {
+        records: pageRecords.length,
+        total: records.length,
+      });
+
+      nextUrl = null;
+      if (options.mode === 'cursor') {
+        const next = this.getPathValue(data, options.nextField);
+        if (next) {
+          // A next link is followed as-is; a bare cursor is sent as a query parameter
+          nextUrl = /^https?:\/\//i.test(String(next))
+            ? String(next)
+            : this.buildPageUrl(url, options, { cursor: String(next) });
+        }
+      } else {
+        // Prefer the API's own page/record counts; fall back to a short page
+        let lastPage;
+        if (pageRecords.length === 0) {
+          lastPage = true;
+        } else if (expectedPages !== null) {
+          lastPage = pagesFetched >= expectedPages;
+        } else if (expectedTotal !== null) {
+          lastPage = records.length >= expectedTotal;
+        } else {
+          lastPage = pageRecords.length < options.pageSize;
+        }
+        if (!lastPage) {
+          state.page++;
+          state.offset += pageRecords.length;
+          nextUrl = this.buildPageUrl(url, options, state);
+        }
+      }
     }
 
-    // If it's a single object, treat it as a single listing
-    if (typeof data === 'object') {
-      logger.info('Feed contains a single listing object');
-      return [data];
+    if (expectedTotal !== null) {
+      if (records.length < expectedTotal) {
+        throw new Error(
+          `Paginated feed is incomplete: received ${records.length} of ${expectedTotal} reported records across ${pagesFetched} page(s)`
+        );
+      }
+      if (records.length > expectedTotal) {
+        logger.warn(`Paginated feed returned more records than reported (${records.length} > ${expectedTotal})`);
+      }
+    } else {
+      logger.warn(`Feed does not report '${options.totalField}'; page completeness could not be verified`);
+    }
+
+    logger.info(`Fetched ${records.length} records across ${pagesFetched} page(s)`);
+    return records;
+  }
+
+  /**
+   * Decide how to parse a feed body
+   * @param {string} source - File path or URL
+   * @param {string} [contentType] - HTTP Content-Type header, if any
+   * @param {string} [format] - Configured format; anything but 'auto' (or 'reso') wins
+   * @returns {string} 'csv', 'xml' or 'json'
+   */
+  detectFormat(source, contentType = '', format = 'auto') {
+    if (['json', 'ndjson', 'csv', 'xml'].includes(format)) {
+      return format;
+    }
+
+    const pathname = this.getPathname(source);
+    if (/\.(ndjson|jsonl)$/i.test(pathname) || /application\/(x-)?(ndjson|jsonl|jsonlines)\b/i.test(contentType)) {
+      return 'ndjson';
+    }
+    if (/\.(csv|tsv|tab)$/i.test(pathname) || /text\/(csv|tab-separated-values)/i.test(contentType)) {
+      return 'csv';
+    }
+    if (/\.xml$/i.test(pathname) || /[/+]xml\b/i.test(contentType)) {
+      return 'xml';
     }
+    return 'json';
+  }
+
+  /**
+   * The path part of a URL, or the file path itself
+   */
+  getPathname(location) {
+    try {
+      return new URL(location).pathname;
+    } catch (error) {
+      // Not a URL - treat as a file path
+      return location || '';
+    }
+  }
+
+  /**
+   * Decide whether a feed body is gzip-compressed or a ZIP archive.
+   * When the first bytes are known their signature decides; otherwise the
+   * extension (.gz, .zip) or content type does. Content-Encoding: gzip is
+   * already undone by the HTTP client and needs no handling here.
+   * @param {string} location - File path or URL
+   * @param {string} [contentType] - HTTP Content-Type header, if any
+   * @param {Buffer} [header] - Leading bytes of the body, if available
+   * @returns {string|null} 'gzip', 'zip' or null for a plain feed
+   */
+  detectCompression(location, contentType = '', header = null) {
+    if (header) {
+      if (header.length >= 2 && header[0] === 0x1f && header[1] === 0x8b) {
+        return 'gzip';
+      }
+      if (header.length >= 4 && header.readUInt32LE(0) === 0x04034b50) {
+        return 'zip';
+      }
+      return null;
+    }
+
+    const pathname = this.getPathname(location);
+    if (/\.gz$/i.test(pathname) || /application\/(x-)?gzip/i.test(contentType)) {
+      return 'gzip';
+    }
+    if (/\.zip$/i.test(pathname) || /application\/(x-)?zip/i.test(contentType)) {
+      return 'zip';
+    }
+    return null;
+  }
+
+  /**
+   * Detect compression of a local file from its first bytes
+   */
+  detectFileCompression(filePath) {
+    const header = Buffer.alloc(4);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+      return this.detectCompression(filePath, '', header.subarray(0, bytesRead));
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Drop a trailing .gz so the inner format can be detected ("feed.csv.gz" => "feed.csv")
+   */
+  stripCompressionExtension(location) {
+    try {
+      const url = new URL(location);
+      url.pathname = url.pathname.replace(/\.gz$/i, '');
+      return url.toString();
+    } catch (error) {
+      return location.replace(/\.gz$/i, '');
+    }
+  }
+
+  /**
+   * Decompress a gzip byte stream
+   * @param {Readable} stream - Compressed file or HTTP response stream
+   * @returns {Readable} Decompressed stream (fails if the input is not gzip)
+   */
+  gunzipStream(stream) {
+    const gunzip = zlib.createGunzip();
+    pipeline(stream, gunzip, () => {});
+    return gunzip;
+  }
+
+  /**
+   * Open the matching entries of a ZIP feed as one record stream.
+   * Entries are picked by the source's archiveEntries globs (every JSON, CSV/TSV
+   * and XML file by default) and imported one after another in archive order.
+   * @param {string} filePath - ZIP archive
+   * @param {Object} source - Feed source (archive entries, format and CSV settings)
+   * @param {Function} [cleanup] - Called once iteration ends or fails
+   * @returns {Promise<AsyncIterable<Object>>} Records of all selected entries
+   */
+  async openZipRecords(filePath, source, cleanup = () => {}) {
+    const archive = ZipArchive.open(filePath);
+    const selected = source.archiveEntries && source.archiveEntries.length > 0;
+    const patterns = selected ? source.archiveEntries : DEFAULT_ARCHIVE_ENTRIES;
+    // Hidden files and macOS resource forks (__MACOSX/._feed.json) are never feeds
+    const entries = archive.match(patterns)
+      .filter(entry => !entry.name.split('/').some(part => part.startsWith('.') || part === '__MACOSX'));
+
+    if (entries.length === 0) {
+      throw new Error(`No files in ZIP archive ${path.basename(filePath)} match ${patterns.join(', ')}`);
+    }
+    logger.info(`Reading ${entries.length} file(s) from ZIP archive ${path.basename(filePath)}`, {
+      entries: entries.map(entry => entry.name),
+    });
+
+    return this.iterateZipEntries(archive, entries, source, cleanup);
+  }
+
+  /**
+   * Yield the records of each selected ZIP entry in turn
+   */
+  async *iterateZipEntries(archive, entries, source, cleanup) {
+    try {
+      for (const entry of entries) {
+        logger.info(`Importing ZIP entry: ${entry.name}`);
+        const format = this.detectFormat(entry.name, '', source.format);
+        if (format === 'json') {
+          yield* this.streamJsonRecords(archive.openEntry(entry), source);
+        } else if (format === 'ndjson') {
+          yield* this.streamNdjsonRecords(archive.openEntry(entry));
+        } else {
+          const content = await this.readStreamText(archive.openEntry(entry));
+          yield* this.validateFeed(this.parseTextFeed(content, entry.name, '', source));
+        }
+      }
+    } finally {
+      cleanup();
+    }
+  }
+
+  /**
+   * Read every record of an async iterable into an array
+   */
+  async collectRecords(records) {
+    const collected = [];
+    for await (const record of records) {
+      collected.push(record);
+    }
+    return collected;
+  }
+
+  /**
+   * Check whether a feed should be parsed as CSV/TSV
+   * @param {string} source - File path or URL
+   * @param {string} [contentType] - HTTP Content-Type header, if any
+   * @returns {boolean} True for .csv/.tsv/.tab sources or CSV/TSV content types
+   */
+  isDelimitedFeed(source, contentType = '') {
+    return this.detectFormat(source, contentType) === 'csv';
+  }
+
+  /**
+   * Parse a feed body according to its format
+   * @param {string} content - Raw feed text
+   * @param {string} location - File path or URL
+   * @param {string} contentType - HTTP Content-Type header, if any
+   * @param {Object} source - Feed source (format and CSV settings)
+   * @returns {Object[]|Object} Listing records (CSV/XML) or parsed JSON
+   */
+  parseTextFeed(content, location, contentType, source) {
+    const format = this.detectFormat(location, contentType, source.format);
+    if (format === 'csv') {
+      return this.parseDelimitedFeed(content, location, contentType, source.csv);
+    }
+    if (format === 'xml') {
+      const listings = parseXmlFeed(content);
+      logger.info(`Parsed ${listings.length} XML listings`);
+      return listings;
+    }
+    if (format === 'ndjson') {
+      const { records, skippedCount, skipped } = parseNdjson(content);
+      logger.info(`Parsed ${records.length} NDJSON records`);
+      this.reportSkippedLines(skippedCount, skipped);
+      return records;
+    }
+    return JSON.parse(content);
+  }
+
+  /**
+   * Warn about malformed NDJSON lines, by line number
+   * @param {number} skippedCount - Lines skipped
+   * @param {Array<{line: number, error: string}>} skipped - The first skipped lines
+   */
+  reportSkippedLines(skippedCount, skipped) {
+    if (skippedCount === 0) {
+      return;
+    }
+    const more = skippedCount > skipped.length ? ` (first ${skipped.length} shown)` : '';
+    logger.warn(`Skipped ${skippedCount} malformed NDJSON line(s)${more}`, {
+      lines: skipped.map(({ line, error }) => `line ${line}: ${error}`),
+    });
+  }
 
-    throw new Error('Unable to parse feed structure');
+  /**
+   * Parse CSV/TSV feed content into listing records.
+   * One-line addresses are split into street, city, state and ZIP so they
+   * map onto the regular address fields in the transformer.
+   * @param {string} content - Raw delimited text
+   * @param {string} source - File path or URL (used to pick a default delimiter)
+   * @param {string} [contentType] - HTTP Content-Type header, if any
+   * @param {Object} [csvOptions] - { delimiter, header, columns, addressField } (defaults to CSV_* settings)
+   * @returns {Object[]} Parsed listing records
+   */
+  parseDelimitedFeed(content, source, contentType = '', csvOptions = config.getDefaultSource().csv) {
+    const defaultDelimiter = /tab-separated-values/i.test(contentType) ? '\t' : delimiterForPath(source);
+    const records = parseCsv(content, {
+      delimiter: csvOptions.delimiter || defaultDelimiter,
+      header: csvOptions.header,
+      columns: csvOptions.columns,
+    });
+
+    let expanded = 0;
+    const listings = records.map(record => {
+      const result = expandSingleLineAddress(record, csvOptions.addressField);
+      if (result !== record) {
+        expanded++;
+      }
+      return result;
+    });
+
+    logger.info(`Parsed ${listings.length} CSV records`, { addressesSplit: expanded });
+    return listings;
+  }
+
+  /**
+   * Validate feed data structure and find its listing records
+   * @param {*} data - Parsed feed document or record array
+   * @param {Object} [source] - Feed source whose record path applies (omit for
+   *   record arrays that were already extracted: CSV, XML, ZIP entries, pages)
+   */
+  validateFeed(data, source = null) {
+    if (!data) {
+      throw new Error('Feed data is empty or null');
+    }
+
+    const selected = selectRecords(data, this.getRecordOptions(source));
+    this.logRecordSelection(selected.records.length, selected);
+    return selected.records;
+  }
+
+  /**
+   * Record path settings of a feed source, in JsonArrayStream/selectRecords form
+   */
+  getRecordOptions(source) {
+    if (!source) {
+      return {};
+    }
+    return { path: source.recordPath === undefined ? null : source.recordPath, strict: Boolean(source.recordPathStrict) };
+  }
+
+  /**
+   * Log how many listings a feed holds and where they were found
+   * @param {number} count - Listings found
+   * @param {Object} selection - { location, single, fallback } from selectRecords or a JsonArrayStream
+   */
+  logRecordSelection(count, { location, single, fallback }) {
+    if (fallback) {
+      logger.warn(`${fallback}; falling back to the default record lookup`);
+    }
+    if (single) {
+      logger.info('Feed contains a single listing object');
+    } else {
+      logger.info(`Feed contains ${count} listings${location ? ` (${location})` : ''}`);
+    }
   }
 
   /**
    * Fetch and validate feed
+   * @param {Object} [source] - Feed source (defaults to FEED_* settings)
    */
-  async getFeed() {
-    const feedSource = config.get('feedSource');
-    
+  async getFeed(source = config.getDefaultSource()) {
     let data;
-    if (feedSource === 'file') {
-      data = await this.fetchFromFile();
+    // Whether data is a whole feed document the record path applies to
+    let document = false;
+    if (source.type === 'file') {
+      data = await this.fetchFromFile(source.filePath, source);
+      // ZIP entries are mapped (and their records located) as they are read
+      const zip = this.detectFileCompression(source.filePath) === 'zip';
+      if (source.format === 'reso' && !zip) {
+        data = this.getResoAdapter().mapResponse(data);
+      }
+      document = source.format !== 'reso' && !zip;
+    } else if (source.format === 'reso') {
+      data = await this.getResoAdapter().fetchAll(source);
+    } else if (source.pagination.mode !== 'none') {
+      data = await this.fetchPaginatedFeed(source.url, source.pagination, source);
     } else {
-      const url = config.get('feedUrl');
-      data = await this.fetchFeed(url);
+      data = await this.fetchFeed(source.url, source);
+      document = true;
     }
     
-    return this.validateFeed(data);
+    return this.validateFeed(data, document ? source : null);
+  }
+
+  /**
+   * Pipe a raw byte stream through the incremental JSON array parser
+   * @param {Readable} source - File or HTTP response stream
+   * @param {Object} [options] - JsonArrayStream options (recordKeys, path, strict)
+   * @returns {JsonArrayStream} Object stream of listing records
+   */
+  parseJsonStream(source, options = {}) {
+    const parser = new JsonArrayStream(options);
+    // pipeline destroys both streams on error, which surfaces the error to the consumer
+    pipeline(source, parser, () => {});
+    return parser;
+  }
+
+  /**
+   * Read all text from a stream (used when a streamed URL turns out to be CSV)
+   */
+  async readStreamText(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  /**
+   * Hash a stream while copying it to a temporary file, so the content hash is
+   * known before any record is imported without holding the body in memory
+   * @param {Readable} stream - HTTP response stream
+   * @returns {Promise<{filePath: string, contentHash: string}>} Spool file and SHA-256 hash
+   */
+  async spoolStream(stream) {
+    const filePath = path.join(os.tmpdir(), `feed-${process.pid}-${Date.now()}.tmp`);
+    const hash = crypto.createHash('sha256');
+    const output = fs.createWriteStream(filePath);
+
+    try {
+      for await (const chunk of stream) {
+        hash.update(chunk);
+        if (!output.write(chunk)) {
+          await new Promise(resolve => output.once('drain', resolve));
+        }
+      }
+      await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+    } catch (error) {
+      output.destroy();
+      this.removeFile(filePath);
+      throw error;
+    }
+
+    return { filePath, contentHash: hash.digest('hex') };
+  }
+
+  /**
+   * Compute the SHA-256 hash of a local file by streaming it
+   */
+  async hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Delete a temporary file, ignoring errors
+   */
+  removeFile(filePath) {
+    try {
+      fs.unlinkSync(filePath);
+    } catch (error) {
+      // Already removed
+    }
+  }
+
+  /**
+   * Yield records from a parser stream, logging the feed size when done
+   * @param {JsonArrayStream} parser - Incremental JSON parser
+   * @param {Function} [cleanup] - Called once iteration ends or fails
+   */
+  async *iterateParser(parser, cleanup = () => {}) {
+    try {
+      for await (const record of parser) {
+        yield record;
+      }
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        throw new Error(`Invalid JSON in feed: ${error.message}`);
+      }
+      throw error;
+    } finally {
+      cleanup();
+    }
+
+    this.logRecordSelection(parser.count, { location: parser.location, single: parser.singleObject, fallback: parser.fallback });
+    if (parser.skipped > 0) {
+      logger.warn(`Skipped ${parser.skipped} listing element(s) that are not JSON objects`);
+    }
+  }
+
+  /**
+   * Open a local feed file as a record stream
+   * @param {string} filePath - Feed file
+   * @param {Object} [source] - Feed source (format and CSV settings)
+   * @param {Function} [cleanup] - Called once the file has been read (e.g. to delete a spool file)
+   */
+  async openFileRecords(filePath, source = config.getDefaultSource(), cleanup = () => {}) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    const compression = this.detectFileCompression(filePath);
+    if (compression === 'zip') {
+      return this.openZipRecords(filePath, source, cleanup);
+    }
+    const location = compression ? this.stripCompressionExtension(filePath) : filePath;
+    const format = this.detectFormat(location, '', source.format);
+    if (format !== 'json' && format !== 'ndjson') {
+      try {
+        return this.validateFeed(await this.fetchFromFile(filePath, source));
+      } finally {
+        cleanup();
+      }
+    }
+    logger.info(`Streaming feed from file: ${filePath}`);
+    let stream = fs.createReadStream(filePath);
+    if (compression) {
+      stream = this.gunzipStream(stream);
+    }
+    return format === 'ndjson'
+      ? this.streamNdjsonRecords(stream, cleanup)
+      : this.streamJsonRecords(stream, source, cleanup);
+  }
+
+  /**
+   * Parse a JSON byte stream into records
+   * @param {Readable} stream - File, ZIP entry or HTTP response stream
+   * @param {Object} source - Feed source
+   * @param {Function} [cleanup] - Called once iteration ends or fails
+   */
+  streamJsonRecords(stream, source, cleanup = () => {}) {
+    if (source.format === 'reso') {
+      // A saved OData response: stream its "value" array through the RESO mapping
+      const parser = this.parseJsonStream(stream, { recordKeys: ['value'] });
+      return this.mapRecords(this.iterateParser(parser, cleanup), ResoAdapter.mapResoRecord);
+    }
+    return this.iterateParser(this.parseJsonStream(stream, this.getRecordOptions(source)), cleanup);
+  }
+
+  /**
+   * Parse an NDJSON byte stream into records, reporting malformed lines once done
+   * @param {Readable} stream - File, ZIP entry, HTTP response or stdin stream
+   * @param {Function} [cleanup] - Called once iteration ends or fails
+   */
+  async *streamNdjsonRecords(stream, cleanup = () => {}) {
+    const parser = new NdjsonStream();
+    pipeline(stream, parser, () => {});
+    try {
+      for await (const record of parser) {
+        yield record;
+      }
+    } finally {
+      cleanup();
+    }
+    logger.info(`Feed contains ${parser.count} NDJSON records`);
+    this.reportSkippedLines(parser.skippedCount, parser.skipped);
+  }
+
+  /**
+   * Apply a mapping function to every record of an async iterable
+   */
+  async *mapRecords(records, mapRecord) {
+    for await (const record of records) {
+      yield mapRecord(record);
+    }
+  }
+
+  /**
+   * Open a feed source as a stream of records, with change detection.
+   *
+   * Validators from the last successful import are sent as If-None-Match /
+   * If-Modified-Since headers; a 304 response or an unchanged content hash
+   * returns { unchanged: true } without reading any records. Otherwise the
+   * returned `records` async iterable yields raw feed records one at a time:
+   * JSON files and non-paginated JSON URLs are parsed incrementally, while CSV,
+   * XML, paginated and RESO feeds are fetched in full (pagination must be verified
+   * complete before anything is imported).
+   *
+   * Unless FEED_SNAPSHOTS is false, the raw payload of a changed feed is
+   * archived before import and its path returned as `snapshot`.
+   *
+   * Call `commit()` after a successful import to save the new validators, and
+   * `close()` if the records will not be read, to remove a spooled download
+   * (reading the records to the end removes it as well).
+   *
+   * @param {Object} [options]
+   * @param {Object} [options.source] - Feed source (defaults to FEED_* settings)
+   * @param {boolean} [options.force] - Skip change detection and always import
+   * @returns {Promise<{unchanged: boolean, reason?: string, records?: AsyncIterable<Object>, snapshot?: string, commit: Function, close?: Function}>}
+   */
+  async openFeed({ source = config.getDefaultSource(), force = config.get('forceImport') } = {}) {
+    const changeDetection = config.get('changeDetection');
+    const archive = config.get('feedSnapshots');
+    const hashing = changeDetection || archive;
+    const feedState = this.getFeedState();
+
+    const stdin = source.type === 'stdin';
+    const filePath = source.type === 'file' ? source.filePath : null;
+    const url = source.type === 'url' ? source.url : null;
+    const stateKey = filePath ? `file:${path.resolve(filePath)}` : stdin ? `stdin:${source.name}` : url;
+    const previous = changeDetection && !force ? feedState.get(stateKey) : null;
+
+    const validators = { etag: null, lastModified: null, contentHash: null };
+    const commit = () => {
+      if (changeDetection) {
+        feedState.set(stateKey, validators);
+        logger.debug(`Saved feed validators for ${stateKey}`);
+      }
+    };
+    const unchanged = (reason) => ({ unchanged: true, reason, commit: () => {} });
+
+    // Local file: compare content hash
+    if (filePath) {
+      if (hashing && fs.existsSync(filePath)) {
+        validators.contentHash = await this.hashFile(filePath);
+        if (previous && previous.contentHash === validators.contentHash) {
+          return unchanged('content hash matches last import');
+        }
+      }
+      const snapshot = archive && validators.contentHash
+        ? await this.archiveFile(source, filePath, filePath, validators.contentHash)
+        : null;
+      return { unchanged: false, records: await this.openFileRecords(filePath, source), snapshot, commit, close: () => {} };
+    }
+
+    // Standard input: spooled to a temporary file (it can only be read once), then read like a file
+    if (stdin) {
+      logger.info('Reading feed from standard input');
+      const spooled = await this.spoolStream(this.stdin || process.stdin);
+      const cleanup = () => this.removeFile(spooled.filePath);
+      validators.contentHash = spooled.contentHash;
+      if (previous && previous.contentHash === validators.contentHash) {
+        cleanup();
+        return unchanged('content hash matches last import');
+      }
+      try {
+        const stdinSource = source.format === 'auto' ? { ...source, format: this.sniffFormat(spooled.filePath) } : source;
+        const snapshot = archive
+          ? await this.archiveFile(stdinSource, spooled.filePath, 'stdin', validators.contentHash)
+          : null;
+        return { unchanged: false, records: await this.openFileRecords(spooled.filePath, stdinSource, cleanup), snapshot, commit, close: cleanup };
+      } catch (error) {
+        cleanup();
+        throw error;
+      }
+    }
+
+    // Paginated or RESO URL: hash the combined records once every page has arrived
+    if (source.pagination.mode !== 'none' || source.format === 'reso') {
+      const records = source.format === 'reso'
+        ? await this.getResoAdapter().fetchAll(source)
+        : await this.fetchPaginatedFeed(url, source.pagination, source);
+      if (hashing) {
+        validators.contentHash = crypto.createHash('sha256').update(JSON.stringify(records)).digest('hex');
+        if (previous && previous.contentHash === validators.contentHash) {
+          return unchanged('content hash matches last import');
+        }
+      }
+      const snapshot = archive ? await this.archiveRecords(source, records, validators.contentHash) : null;
+      return { unchanged: false, records, snapshot, commit, close: () => {} };
+    }
+
+    // Single URL: conditional request, then stream (spooled to disk when hashing or archiving)
+    this.validateUrl(url);
+    logger.info(`Streaming feed from: ${url}`);
+
+    const headers = {};
+    if (previous && previous.etag) {
+      headers['If-None-Match'] = previous.etag;
+    }
+    if (previous && previous.lastModified) {
+      headers['If-Modified-Since'] = previous.lastModified;
+    }
+
+    const response = await this.requestFeed(url, {
+      responseType: 'stream',
+      headers,
+      validateStatus: status => status === 200 || status === 304,
+    }, source);
+
+    if (response.status === 304) {
+      response.data.destroy();
+      return unchanged('server returned 304 Not Modified');
+    }
+
+    validators.etag = response.headers.etag || null;
+    validators.lastModified = response.headers['last-modified'] || null;
+    const contentType = response.headers['content-type'] || '';
+
+    let body = response.data;
+    let spoolPath = null;
+    if (hashing) {
+      const spooled = await this.spoolStream(response.data);
+      spoolPath = spooled.filePath;
+      validators.contentHash = spooled.contentHash;
+      if (previous && previous.contentHash === validators.contentHash) {
+        this.removeFile(spoolPath);
+        return unchanged('content hash matches last import');
+      }
+      body = fs.createReadStream(spoolPath);
+    }
+    const cleanup = () => spoolPath && this.removeFile(spoolPath);
+    const snapshot = archive
+      ? await this.archiveFile(source, spoolPath, url, validators.contentHash, contentType)
+      : null;
+
+    const compression = this.detectCompression(url, contentType);
+    if (compression === 'zip') {
+      // The ZIP directory sits at the end of the archive, so it must be on disk
+      if (!spoolPath) {
+        spoolPath = (await this.spoolStream(body)).filePath;
+      }
+      try {
+        return { unchanged: false, records: await this.openZipRecords(spoolPath, source, cleanup), snapshot, commit, close: cleanup };
+      } catch (error) {
+        cleanup();
+        throw error;
+      }
+    }
+
+    let location = url;
+    if (compression === 'gzip') {
+      body = this.gunzipStream(body);
+      location = this.stripCompressionExtension(url);
+    }
+
+    const release = () => {
+      body.destroy();
+      cleanup();
+    };
+    const format = this.detectFormat(location, contentType, source.format);
+    if (format === 'ndjson') {
+      return { unchanged: false, records: this.streamNdjsonRecords(body, cleanup), snapshot, commit, close: release };
+    }
+    if (format !== 'json') {
+      const content = await this.readStreamText(body);
+      cleanup();
+      return { unchanged: false, records: this.validateFeed(this.parseTextFeed(content, location, contentType, source)), snapshot, commit, close: () => {} };
+    }
+
+    return { unchanged: false, records: this.streamJsonRecords(body, source, cleanup), snapshot, commit, close: release };
+  }
+
+  /**
+   * Guess the format of a feed without a file name (standard input) from its
+   * first bytes: "[" is JSON, "<" is XML, "{" is NDJSON when the first line is
+   * a complete object and more lines follow (else JSON); anything else is CSV.
+   * @param {string} filePath - Spooled feed (may be gzip-compressed)
+   * @returns {string} 'json', 'ndjson', 'xml' or 'csv' ('auto' for a ZIP archive)
+   */
+  sniffFormat(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    let head = Buffer.alloc(64 * 1024);
+    try {
+      head = head.subarray(0, fs.readSync(fd, head, 0, head.length, 0));
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const compression = this.detectCompression('', '', head);
+    if (compression === 'zip') {
+      return 'auto'; // Every entry is detected by its own name
+    }
+    if (compression === 'gzip') {
+      try {
+        // Only the start of the payload was read, so flush instead of expecting the end
+        head = zlib.gunzipSync(head, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      } catch (error) {
+        return 'json';
+      }
+    }
+
+    const text = head.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    if (text.startsWith('[')) {
+      return 'json';
+    }
+    if (text.startsWith('<')) {
+      return 'xml';
+    }
+    if (text.startsWith('{')) {
+      const lines = text.split('\n').filter(line => line.trim() !== '');
+      try {
+        return lines.length > 1 && !Array.isArray(JSON.parse(lines[0])) ? 'ndjson' : 'json';
+      } catch (error) {
+        return 'json';
+      }
+    }
+    return text === '' ? 'json' : 'csv';
+  }
+
+  /**
+   * Pick the snapshot file extension that keeps a payload's format
+   * (".tsv", ".xml", ".csv.gz", ".zip", ...), so a replay parses it the same way
+   */
+  snapshotExtension(location, contentType, source, compression) {
+    if (compression === 'zip') {
+      return '.zip';
+    }
+    const inner = compression ? this.stripCompressionExtension(location) : location;
+    const extension = path.extname(this.getPathname(inner)).toLowerCase();
+
+    let result;
+    if (['.json', '.ndjson', '.jsonl', '.csv', '.tsv', '.tab', '.xml'].includes(extension)) {
+      result = extension;
+    } else if (/tab-separated-values/i.test(contentType)) {
+      result = '.tsv';
+    } else {
+      result = `.${this.detectFormat(inner, contentType, source.format)}`;
+    }
+    return compression ? `${result}.gz` : result;
+  }
+
+  /**
+   * Archive a raw feed payload. Failures are logged and never stop an import.
+   * @param {Object} source - Feed source
+   * @param {string} filePath - Payload on disk (feed file or spooled download)
+   * @param {string} location - Original file path or URL (decides the extension)
+   * @param {string} contentHash - SHA-256 of the payload
+   * @param {string} [contentType] - HTTP Content-Type header, if any
+   * @returns {Promise<string|null>} Snapshot path
+   */
+  async archiveFile(source, filePath, location, contentHash, contentType = '') {
+    try {
+      const compression = this.detectFileCompression(filePath);
+      return await this.getSnapshots().saveFile(source.name, filePath, {
+        contentHash,
+        extension: this.snapshotExtension(location, contentType, source, compression),
+        compressed: compression !== null,
+      });
+    } catch (error) {
+      logger.warn(`Could not archive feed snapshot for '${source.name}'`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Archive the combined records of a paginated or RESO feed
+   * @returns {Promise<string|null>} Snapshot path
+   */
+  async archiveRecords(source, records, contentHash) {
+    try {
+      return await this.getSnapshots().saveRecords(source.name, records, contentHash);
+    } catch (error) {
+      logger.warn(`Could not archive feed snapshot for '${source.name}'`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Lazily create the authenticator for a feed source (one per source name,
+   * so cached OAuth2 tokens are reused across requests but never shared)
+   * @param {Object} [source] - Feed source (defaults to FEED_* settings)
+   */
+  getAuth(source = null) {
+    const name = source ? source.name : config.get('feedSourceName');
+    if (!this.auths.has(name)) {
+      this.auths.set(name, source ? new FeedAuth(source.auth) : FeedAuth.fromConfig(config));
+    }
+    return this.auths.get(name);
+  }
+
+  /**
+   * Lazily create the RESO Web API adapter
+   */
+  getResoAdapter() {
+    if (!this.resoAdapter) {
+      this.resoAdapter = new ResoAdapter(this);
+    }
+    return this.resoAdapter;
+  }
+
+  /**
+   * Lazily create the feed snapshot archive
+   */
+  getSnapshots() {
+    if (!this.snapshots) {
+      this.snapshots = new FeedSnapshots(config.get('feedSnapshotDir'), {
+        keep: config.get('feedSnapshotKeep'),
+        maxAgeDays: config.get('feedSnapshotMaxAgeDays'),
+      });
+    }
+    return this.snapshots;
+  }
+
+  /**
+   * Lazily create the feed state store
+   */
+  getFeedState() {
+    if (!this.feedState) {
+      this.feedState = new FeedState(config.get('feedStateFile'));
+    }
+    return this.feedState;
   }
 
   /**
    * Fetch feed from local file
+   * @param {string} [filePath] - Feed file (defaults to FEED_FILE_PATH)
+   * @param {Object} [source] - Feed source (format and CSV settings)
    */
-  async fetchFromFile() {
-    const filePath = config.get('feedFilePath');
+  async fetchFromFile(filePath = config.get('feedFilePath'), source = config.getDefaultSource()) {
     logger.info(`Reading feed from file: ${filePath}`);
+    let format = this.detectFormat(filePath, '', source.format);
 
     try {
-      const content = fs.readFileSync(filePath, 'utf8');
-      const data = JSON.parse(content);
+      const compression = this.detectFileCompression(filePath);
+      if (compression === 'zip') {
+        return await this.collectRecords(await this.openZipRecords(filePath, source));
+      }
+
+      let content = fs.readFileSync(filePath);
+      let location = filePath;
+      if (compression === 'gzip') {
+        content = zlib.gunzipSync(content);
+        location = this.stripCompressionExtension(filePath);
+        format = this.detectFormat(location, '', source.format);
+      }
+      const data = this.parseTextFeed(content.toString('utf8'), location, '', source);
 
       logger.info('Feed file loaded successfully');
       return data;
@@ -176,7 +1202,7 @@ class FeedFetcher {
       if (error.code === 'ENOENT') {
         throw new Error(`File not found: ${filePath}`);
       }
-      if (error instanceof SyntaxError) {
+      if (error instanceof SyntaxError && format === 'json') {
         throw new Error(`Invalid JSON in file: ${error.message}`);
       }
       throw error;
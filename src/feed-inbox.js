@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Subdirectories of the inbox that receive imported and failed files
+ */
+const PROCESSED_DIR = 'processed';
+const FAILED_DIR = 'failed';
+
+/**
+ * Names of files that are still being uploaded (SFTP clients, browsers and
+ * editors write to a temporary name and rename it when done)
+ */
+const PARTIAL_FILE = /^\.|~$|\.(tmp|part|partial|filepart|crdownload|swp)$/i;
+
+/**
+ * Drop-folder inbox: imports feed files that partners upload into a local
+ * directory.
+ *
+ * Each poll lists the regular files in the directory. A file is imported once
+ * its size and modification time have not changed for `stableTime`
+ * milliseconds, so uploads in progress are left alone. Imported files are
+ * moved to processed/ (or failed/ when the import failed or any listing was
+ * rejected) as <timestamp>-<name>, next to a <timestamp>-<name>.result.json
+ * sidecar holding the import results.
+ */
+class FeedInbox {
+  /**
+   * @param {string} directory - Inbox directory
+   * @param {Object} options
+   * @param {Object} options.importer - Importer that runs each file
+   * @param {Object} options.source - Feed source settings applied to every file
+   * @param {number} [options.interval] - Milliseconds between polls
+   * @param {number} [options.stableTime] - Milliseconds a file must stay unchanged before import
+   * @param {boolean} [options.dryRun] - Leave files in the inbox and write no sidecars
+   */
+  constructor(directory, { importer, source, interval = 10000, stableTime = 5000, dryRun = false }) {
+    this.directory = path.resolve(directory);
+    this.importer = importer;
+    this.source = source;
+    this.interval = interval;
+    this.stableTime = stableTime;
+    this.dryRun = dryRun;
+    this.pending = new Map(); // File name => { signature, since }
+    this.handled = new Map(); // Dry run: file name => signature already imported
+    this.stopped = false;
+    this.timer = null;
+    this.wake = null;
+  }
+
+  /**
+   * Directory receiving files with the given status
+   */
+  archiveDirectory(status) {
+    return path.join(this.directory, status === 'processed' ? PROCESSED_DIR : FAILED_DIR);
+  }
+
+  /**
+   * List the inbox files with their size and modification time
+   * @returns {Array<{name: string, signature: string}>}
+   */
+  scan() {
+    const files = [];
+    for (const entry of fs.readdirSync(this.directory, { withFileTypes: true })) {
+      if (!entry.isFile() || PARTIAL_FILE.test(entry.name)) {
+        continue;
+      }
+      try {
+        const stats = fs.statSync(path.join(this.directory, entry.name));
+        files.push({ name: entry.name, signature: `${stats.size}:${stats.mtimeMs}` });
+      } catch (error) {
+        // Renamed or removed since it was listed
+      }
+    }
+    return files.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Find the files that have stayed unchanged for stableTime
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {string[]} Names of files ready to import
+   */
+  findStable(now = Date.now()) {
+    const files = this.scan();
+    const ready = [];
+
+    for (const { name, signature } of files) {
+      if (this.handled.get(name) === signature) {
+        continue;
+      }
+      const seen = this.pending.get(name);
+      if (!seen || seen.signature !== signature) {
+        this.pending.set(name, { signature, since: now });
+        if (this.stableTime > 0) {
+          continue;
+        }
+      }
+      if (now - this.pending.get(name).since >= this.stableTime) {
+        ready.push(name);
+      }
+    }
+
+    // Forget files that were removed from the inbox
+    const present = new Set(files.map(file => file.name));
+    for (const name of [...this.pending.keys(), ...this.handled.keys()]) {
+      if (!present.has(name)) {
+        this.pending.delete(name);
+        this.handled.delete(name);
+      }
+    }
+    return ready;
+  }
+
+  /**
+   * Import every stable file, one at a time
+   * @returns {Promise<Object[]>} Sidecar results of the imported files
+   */
+  async poll() {
+    const results = [];
+    for (const name of this.findStable()) {
+      if (this.stopped) {
+        break;
+      }
+      results.push(await this.importFile(name));
+    }
+    return results;
+  }
+
+  /**
+   * Import one inbox file and archive it with its result
+   * @param {string} name - File name inside the inbox
+   * @returns {Promise<Object>} Sidecar result
+   */
+  async importFile(name) {
+    const filePath = path.join(this.directory, name);
+    const startedAt = new Date();
+    const source = { ...this.source, type: 'file', url: null, filePath };
+    logger.info(`Importing inbox file ${name} as feed source '${source.name}'`);
+
+    let result;
+    try {
+      this.importer.sources = [source];
+      const results = await this.importer.run();
+      result = { status: results.success ? 'processed' : 'failed', ...results, error: null };
+    } catch (error) {
+      result = { status: 'failed', success: false, created: 0, updated: 0, failed: 0, errors: [], error: error.message };
+    }
+
+    const finishedAt = new Date();
+    const sidecar = {
+      file: name,
+      source: source.name,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      ...result,
+    };
+
+    if (this.dryRun) {
+      this.handled.set(name, this.pending.get(name).signature);
+      logger.info(`[DRY-RUN] Would move inbox file ${name} to ${result.status}/`);
+    } else {
+      this.archive(name, sidecar, finishedAt);
+    }
+    this.pending.delete(name);
+
+    const log = result.status === 'processed' ? logger.info : logger.error;
+    log.call(logger, `Inbox file ${name} ${result.status}`, {
+      created: sidecar.created,
+      updated: sidecar.updated,
+      failed: sidecar.failed,
+      ...(sidecar.error ? { error: sidecar.error } : {}),
+    });
+    return sidecar;
+  }
+
+  /**
+   * Move a file to processed/ or failed/ and write its sidecar
+   * (sidecar.archivedAs is set to the file's new path)
+   */
+  archive(name, sidecar, date) {
+    const directory = this.archiveDirectory(sidecar.status);
+    fs.mkdirSync(directory, { recursive: true });
+
+    const timestamp = date.toISOString().replace(/[:.]/g, '-');
+    const archivedPath = path.join(directory, `${timestamp}-${name}`);
+    // Move first: a file whose sidecar could not be written is never imported twice
+    fs.renameSync(path.join(this.directory, name), archivedPath);
+    sidecar.archivedAs = archivedPath;
+
+    const sidecarPath = `${archivedPath}.result.json`;
+    fs.writeFileSync(`${sidecarPath}.tmp`, JSON.stringify(sidecar, null, 2));
+    fs.renameSync(`${sidecarPath}.tmp`, sidecarPath);
+  }
+
+  /**
+   * Import the files that are in the inbox now. Files seen for the first time
+   * are checked again after stableTime; those still changing are left for
+   * the next run.
+   * @returns {Promise<Object[]>} Sidecar results
+   */
+  async runOnce() {
+    this.ensureDirectory();
+    const results = await this.poll();
+    if (this.pending.size > 0 && !this.stopped) {
+      await this.sleep(this.stableTime);
+      results.push(...await this.poll());
+    }
+    return results;
+  }
+
+  /**
+   * Poll the inbox until stop() is called
+   * @returns {Promise<void>} Resolves once stopped (after the file being imported)
+   */
+  async start() {
+    this.ensureDirectory();
+    logger.info(`Watching inbox ${this.directory} (every ${this.interval}ms, files stable for ${this.stableTime}ms)`);
+    while (!this.stopped) {
+      try {
+        await this.poll();
+      } catch (error) {
+        logger.error('Inbox poll failed', { error: error.message });
+      }
+      if (!this.stopped) {
+        await this.sleep(this.interval);
+      }
+    }
+    logger.info('Stopped watching inbox');
+  }
+
+  /**
+   * Stop polling; an import in progress is finished first
+   */
+  stop() {
+    this.stopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.wake();
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      this.wake = resolve;
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        resolve();
+      }, ms);
+    });
+  }
+
+  ensureDirectory() {
+    if (!fs.existsSync(this.directory) || !fs.statSync(this.directory).isDirectory()) {
+      throw new Error(`Inbox directory not found: ${this.directory}`);
+    }
+  }
+}
+
+FeedInbox.PROCESSED_DIR = PROCESSED_DIR;
+FeedInbox.FAILED_DIR = FAILED_DIR;
+
+module.exports = FeedInbox;
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const logger = require('./logger');
+
+/**
+ * Snapshots of combined paginated/RESO records end in this suffix
+ * (they hold transformer-ready records rather than the vendor's raw payload)
+ */
+const RECORDS_EXTENSION = '.records.json';
+
+/**
+ * Archive of raw feed payloads, one gzip file per import run.
+ *
+ * Snapshots are stored as <directory>/<source>/<timestamp>-<hash><ext>.gz,
+ * where the hash is the first 12 hex digits of the payload's SHA-256 and the
+ * extension keeps the feed format (.json, .csv, .tsv, .xml; ZIP and gzip
+ * payloads are kept as they arrived). Retention limits are applied per source
+ * after every save.
+ */
+class FeedSnapshots {
+  /**
+   * @param {string} directory - Archive directory
+   * @param {Object} [options]
+   * @param {number} [options.keep] - Snapshots kept per source (0 = unlimited)
+   * @param {number} [options.maxAgeDays] - Delete snapshots older than this (0 = never)
+   */
+  constructor(directory, { keep = 0, maxAgeDays = 0 } = {}) {
+    this.directory = directory;
+    this.keep = keep;
+    this.maxAgeDays = maxAgeDays;
+  }
+
+  /**
+   * Directory holding one source's snapshots
+   */
+  sourceDirectory(sourceName) {
+    return path.join(this.directory, String(sourceName).replace(/[^A-Za-z0-9._-]/g, '_'));
+  }
+
+  /**
+   * Build a snapshot file name ("2025-01-06T10-00-00-000Z-3f2a9c1b7d4e.json.gz")
+   */
+  fileName(contentHash, extension, date = new Date()) {
+    const timestamp = date.toISOString().replace(/[:.]/g, '-');
+    return `${timestamp}-${contentHash.slice(0, 12)}${extension}`;
+  }
+
+  /**
+   * Read the archive time from a snapshot file name
+   * @returns {number|null} Milliseconds since the epoch
+   */
+  archivedAt(name) {
+    const match = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/.exec(name);
+    return match ? Date.parse(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`) : null;
+  }
+
+  /**
+   * Find an existing snapshot of the same payload
+   * @returns {string|null} Snapshot path
+   */
+  findByHash(sourceName, contentHash) {
+    const marker = `-${contentHash.slice(0, 12)}.`;
+    const match = this.list(sourceName).find(name => name.includes(marker));
+    return match ? path.join(this.sourceDirectory(sourceName), match) : null;
+  }
+
+  /**
+   * Archive a payload file
+   * @param {string} sourceName - Feed source name
+   * @param {string} filePath - Raw payload (local feed file or spooled download)
+   * @param {Object} options
+   * @param {string} options.contentHash - SHA-256 of the payload
+   * @param {string} options.extension - Format extension (e.g. ".csv", ".json.gz", ".zip")
+   * @param {boolean} [options.compressed] - Payload is already gzip/ZIP and is copied as-is
+   * @returns {Promise<string>} Snapshot path
+   */
+  async saveFile(sourceName, filePath, { contentHash, extension, compressed = false }) {
+    return this.write(sourceName, contentHash, compressed ? extension : `${extension}.gz`, output =>
+      compressed
+        ? pipeline(fs.createReadStream(filePath), output)
+        : pipeline(fs.createReadStream(filePath), zlib.createGzip(), output));
+  }
+
+  /**
+   * Archive the combined records of a paginated or RESO feed
+   * @param {string} sourceName - Feed source name
+   * @param {Object[]} records - Records as fetched
+   * @param {string} contentHash - SHA-256 of the serialized records
+   * @returns {Promise<string>} Snapshot path
+   */
+  async saveRecords(sourceName, records, contentHash) {
+    return this.write(sourceName, contentHash, `${RECORDS_EXTENSION}.gz`, output => {
+      output.end(zlib.gzipSync(JSON.stringify(records)));
+      return new Promise((resolve, reject) => {
+        output.on('finish', resolve);
+        output.on('error', reject);
+      });
+    });
+  }
+
+  /**
+   * Write a snapshot through a temporary file, then apply retention.
+   * A payload identical to an archived one is not stored twice; the existing
+   * snapshot is renamed to the current time so retention keeps it.
+   */
+  async write(sourceName, contentHash, extension, writeContent) {
+    const directory = this.sourceDirectory(sourceName);
+    const snapshotPath = path.join(directory, this.fileName(contentHash, extension));
+
+    const existing = this.findByHash(sourceName, contentHash);
+    if (existing) {
+      fs.renameSync(existing, snapshotPath);
+      logger.debug(`Feed payload already archived; renewed ${snapshotPath}`);
+      return snapshotPath;
+    }
+
+    fs.mkdirSync(directory, { recursive: true });
+    const tempPath = `${snapshotPath}.tmp`;
+
+    try {
+      await writeContent(fs.createWriteStream(tempPath));
+      fs.renameSync(tempPath, snapshotPath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+
+    logger.info(`Archived feed snapshot: ${snapshotPath}`);
+    this.prune(sourceName);
+    return snapshotPath;
+  }
+
+  /**
+   * Snapshot file names of a source, oldest first (names start with the archive time)
+   */
+  list(sourceName) {
+    const directory = this.sourceDirectory(sourceName);
+    if (!fs.existsSync(directory)) {
+      return [];
+    }
+    return fs.readdirSync(directory)
+      .filter(name => this.archivedAt(name) !== null && !name.endsWith('.tmp'))
+      .sort();
+  }
+
+  /**
+   * Delete snapshots beyond the retention count or age limit
+   * @returns {string[]} Removed file names
+   */
+  prune(sourceName) {
+    const directory = this.sourceDirectory(sourceName);
+    const names = this.list(sourceName);
+    const cutoff = this.maxAgeDays > 0 ? Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+    const removed = names.filter((name, index) => {
+      const tooMany = this.keep > 0 && index < names.length - this.keep;
+      const tooOld = cutoff !== null && this.archivedAt(name) < cutoff;
+      return tooMany || tooOld;
+    });
+    for (const name of removed) {
+      fs.rmSync(path.join(directory, name), { force: true });
+    }
+    if (removed.length > 0) {
+      logger.info(`Removed ${removed.length} old feed snapshot(s) for '${sourceName}'`);
+    }
+    return removed;
+  }
+
+  /**
+   * Locate a snapshot for replay
+   * @param {string} snapshot - Path, or a file name (or <source>/<file>) inside the archive
+   * @returns {{filePath: string, sourceName: string, records: boolean}}
+   */
+  resolve(snapshot) {
+    let filePath = [snapshot, path.join(this.directory, snapshot)].find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+
+    if (!filePath && fs.existsSync(this.directory)) {
+      filePath = fs.readdirSync(this.directory)
+        .map(source => path.join(this.directory, source, snapshot))
+        .find(candidate => fs.existsSync(candidate));
+    }
+    if (!filePath) {
+      throw new Error(`Snapshot not found: ${snapshot}`);
+    }
+
+    filePath = path.resolve(filePath);
+    return {
+      filePath,
+      sourceName: path.basename(path.dirname(filePath)),
+      records: path.basename(filePath).replace(/\.gz$/i, '').endsWith(RECORDS_EXTENSION),
+    };
+  }
+
+  /**
+   * Build the feed source that re-imports a snapshot with the settings
+   * (CSV options, field map, defaults, ...) of the source it was archived for
+   * @param {Object} found - Result of resolve()
+   * @param {Object} base - Settings of the original feed source
+   * @returns {Object} File source reading the snapshot
+   */
+  replaySource(found, base) {
+    return {
+      ...base,
+      type: 'file',
+      url: null,
+      filePath: found.filePath,
+      pagination: { ...base.pagination, mode: 'none' },
+      // Paginated and RESO snapshots hold the fetched records, already mapped and located
+      format: found.records ? 'json' : base.format,
+      recordPath: found.records ? null : base.recordPath,
+    };
+  }
+}
+
+FeedSnapshots.RECORDS_EXTENSION = RECORDS_EXTENSION;
+
+module.exports = FeedSnapshots;
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Persistent per-feed validators (ETag, Last-Modified, content hash) used to
+ * skip re-importing a feed that has not changed since the last successful run.
+ * State is kept in a small JSON file keyed by feed URL or file path.
+ */
+class FeedState {
+  /**
+   * @param {string} filePath - Location of the JSON state file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = null;
+  }
+
+  /**
+   * Load state from disk (missing or unreadable files start empty)
+   */
+  load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    this.entries = {};
+    if (!fs.existsSync(this.filePath)) {
+      return this.entries;
+    }
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        this.entries = parsed;
+      }
+    } catch (error) {
+      logger.warn(`Ignoring unreadable feed state file ${this.filePath}`, { error: error.message });
+    }
+    return this.entries;
+  }
+
+  /**
+   * Get saved validators for a feed
+   * @param {string} key - Feed URL or file key
+   * @returns {Object|null} { etag, lastModified, contentHash, importedAt } or null
+   */
+  get(key) {
+    return this.load()[key] || null;
+  }
+
+  /**
+   * Save validators for a feed and write the state file
+   * @param {string} key - Feed URL or file key
+   * @param {Object} validators - { etag, lastModified, contentHash }
+   */
+  set(key, validators) {
+    this.load()[key] = {
+      ...validators,
+      importedAt: new Date().toISOString(),
+    };
+    this.save();
+  }
+
+  /**
+   * Write state atomically (temp file + rename) so a crash never leaves it half-written
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.entries, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = FeedState;
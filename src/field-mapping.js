@@ -0,0 +1,375 @@
+const fs = require('fs');
+const path = require('path');
+const { parseRecordPath, resolvePath } = require('./record-path');
+const YAML = require('yaml');
+const { LISTINGS_PROPERTIES, HUBSPOT_OWNED_PROPERTIES } = require('./properties');
+
+/**
+ * The built-in feed aliases, shipped as a mapping file
+ */
+const DEFAULT_MAPPING_FILE = path.join(__dirname, 'field-mapping.default.json');
+
+/**
+ * Value conversions a mapped property can use
+ */
+const FIELD_TYPES = ['string', 'number', 'boolean', 'date', 'enum', 'state_code', 'lot_size'];
+
+/**
+ * Settings allowed in one property's mapping
+ */
+const SPEC_KEYS = ['from', 'type', 'default', 'required', 'options', 'values', 'unknown'];
+
+/**
+ * What an enum does with a feed value it cannot match
+ */
+const UNKNOWN_POLICIES = ['omit', 'default', 'reject'];
+
+/**
+ * Properties the importer sets itself
+ */
+const RESERVED_PROPERTIES = ['feed_source', 'listing_type_rule', 'image_count', 'additional_image_urls'];
+
+const KNOWN_PROPERTIES = new Map(
+  [...LISTINGS_PROPERTIES, ...HUBSPOT_OWNED_PROPERTIES].map(property => [property.name, property])
+);
+
+/**
+ * Parse a source path into its segments.
+ *
+ * Accepts a field name ("listPrice"), a dotted path with optional indexes
+ * ("address.street", "media[0].url") or a JSON Pointer / JSONPath
+ * ("/address/street", "$.address.street").
+ * @param {string} sourcePath - Source path
+ * @returns {string[]} Property names and array indexes, outermost first
+ * @throws {Error} If the path is empty or malformed
+ */
+function parseSourcePath(sourcePath) {
+  const text = String(sourcePath).trim();
+  if (text === '') {
+    throw new Error('Empty source path');
+  }
+  if (text.startsWith('/') || text.startsWith('$')) {
+    return parseRecordPath(text);
+  }
+
+  const segments = [];
+  for (const part of text.split('.')) {
+    const match = /^([^[\]]*)((?:\[\d+\])*)$/.exec(part);
+    if (!match || (match[1] === '' && (match[2] === '' || segments.length === 0))) {
+      throw new Error(`Invalid source path "${text}"`);
+    }
+    if (match[1] !== '') {
+      segments.push(match[1]);
+    }
+    segments.push(...(match[2].match(/\d+/g) || []));
+  }
+  return segments;
+}
+
+/**
+ * Read a source path from a feed record. A field whose name is the whole path
+ * (e.g. a CSV column called "Address.Line1") wins over a nested lookup.
+ * @param {Object} record - Feed record
+ * @param {{path: string, segments: string[]}} source - Compiled source path
+ * @returns {*} The value, or undefined if the path does not exist
+ */
+function readSourcePath(record, { path: sourcePath, segments }) {
+  if (Object.prototype.hasOwnProperty.call(record, sourcePath)) {
+    return record[sourcePath];
+  }
+  return resolvePath(record, segments);
+}
+
+/**
+ * Fold an enum value for matching: case, spaces, hyphens and underscores are
+ * ignored, so "For Sale", "FOR-SALE" and "for_sale" all match.
+ * @param {*} value - Feed value, option value, label or synonym
+ * @returns {string} Folded value
+ */
+function foldEnumValue(value) {
+  return String(value).replace(/[\s_-]+/g, '').toLowerCase();
+}
+
+/**
+ * Read a mapping file (JSON, or YAML for .yaml/.yml files)
+ * @param {string} filePath - Mapping file
+ * @returns {Object} Parsed document
+ */
+function readMappingFile(filePath) {
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    return /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    // YAML messages end with a code frame after the line and column
+    throw new Error(`Unable to read field mapping ${filePath}: ${error.message.split(':\n')[0]}`);
+  }
+}
+
+/**
+ * Check that a default value suits the property's type
+ */
+function defaultMatchesType(value, type) {
+  if (type === 'number') {
+    return typeof value === 'number';
+  }
+  if (type === 'lot_size') {
+    return typeof value === 'number' || typeof value === 'string';
+  }
+  if (type === 'boolean') {
+    return typeof value === 'boolean';
+  }
+  if (type === 'date') {
+    return typeof value === 'string' || typeof value === 'number';
+  }
+  return typeof value === 'string';
+}
+
+/**
+ * Validate a source path's code table ({ path, codes }), which translates
+ * vendor codes (e.g. propertyType 10) to property values. A code mapped to
+ * null is known but leaves the property unset.
+ * @param {Object} entry - Coded source path
+ * @param {string} type - Property type
+ * @param {Function} problem - Records a validation problem
+ * @returns {Object} Code => value
+ */
+function compileCodes(entry, type, problem) {
+  for (const key of Object.keys(entry)) {
+    if (key !== 'path' && key !== 'codes') {
+      problem(`${entry.path}: unknown setting "${key}" (expected path, codes)`);
+    }
+  }
+  const codes = entry.codes;
+  if (!codes || typeof codes !== 'object' || Array.isArray(codes)) {
+    problem(`${entry.path}: "codes" must map vendor codes to values`);
+    return {};
+  }
+  for (const [code, value] of Object.entries(codes)) {
+    if (value !== null && !defaultMatchesType(value, type)) {
+      problem(`${entry.path} code "${code}" maps to ${JSON.stringify(value)}, which does not match type ${type}`);
+    }
+  }
+  return codes;
+}
+
+/**
+ * Build an enum's folded lookup: HubSpot option labels, then the synonyms in
+ * "values", then the option values themselves (each winning over the last).
+ * @param {Object|undefined} definition - Property definition (for option labels)
+ * @param {string[]} options - Option values
+ * @param {Object} values - Synonyms (feed value => option value)
+ * @param {Function} problem - Records a validation problem
+ * @returns {Map<string, string>} Folded value => option value
+ */
+function buildEnumLookup(definition, options, values, problem) {
+  const lookup = new Map();
+  for (const option of (definition && definition.options) || []) {
+    if (options.includes(option.value)) {
+      lookup.set(foldEnumValue(option.label), option.value);
+    }
+  }
+
+  const synonyms = new Map();
+  for (const [feedValue, option] of Object.entries(values)) {
+    const folded = foldEnumValue(feedValue);
+    if (synonyms.has(folded) && synonyms.get(folded).option !== option) {
+      problem(`values "${synonyms.get(folded).feedValue}" and "${feedValue}" match the same feed values but map to different options`);
+    }
+    synonyms.set(folded, { feedValue, option });
+    lookup.set(folded, option);
+  }
+
+  for (const option of options) {
+    lookup.set(foldEnumValue(option), option);
+  }
+  return lookup;
+}
+
+/**
+ * Validate and compile one property's mapping
+ * @param {string} name - HubSpot property name
+ * @param {Object} spec - Property mapping ({ from, type, default, required, options, values })
+ * @param {string[]} problems - Validation problems are appended here
+ * @returns {Object} Compiled property mapping
+ */
+function compileProperty(name, spec, problems) {
+  const problem = message => problems.push(`${name}: ${message}`);
+
+  for (const key of Object.keys(spec)) {
+    if (!SPEC_KEYS.includes(key)) {
+      problem(`unknown setting "${key}" (expected ${SPEC_KEYS.join(', ')})`);
+    }
+  }
+
+  const type = spec.type === undefined ? 'string' : spec.type;
+  if (!FIELD_TYPES.includes(type)) {
+    problem(`unknown type "${type}" (expected ${FIELD_TYPES.join(', ')})`);
+  }
+
+  const paths = spec.from === undefined || spec.from === null ? [] : [].concat(spec.from);
+  const from = [];
+  for (const entry of paths) {
+    // A source path, or { path, codes } for a field holding vendor codes
+    const isCoded = entry !== null && typeof entry === 'object' && !Array.isArray(entry);
+    const sourcePath = isCoded ? entry.path : entry;
+    if (typeof sourcePath !== 'string') {
+      problem(`source paths must be strings or { path, codes } objects, got ${JSON.stringify(entry)}`);
+      continue;
+    }
+    try {
+      from.push({
+        path: sourcePath,
+        segments: parseSourcePath(sourcePath),
+        codes: isCoded ? compileCodes(entry, type, problem) : null,
+      });
+    } catch (error) {
+      problem(error.message);
+    }
+  }
+  const hasDefault = spec.default !== undefined && spec.default !== null;
+  if (paths.length === 0 && !hasDefault) {
+    problem('needs "from" source paths or a "default"');
+  }
+
+  if (spec.required !== undefined && typeof spec.required !== 'boolean') {
+    problem('"required" must be true or false');
+  }
+
+  let options = null;
+  let values = {};
+  let lookup = null;
+  let unknown = null;
+  if (type === 'enum') {
+    const definition = KNOWN_PROPERTIES.get(name);
+    options = spec.options !== undefined
+      ? spec.options
+      : definition && definition.options ? definition.options.map(option => option.value) : null;
+    if (!Array.isArray(options) || options.length === 0 || !options.every(option => typeof option === 'string')) {
+      problem('enum needs "options" (a list of HubSpot option values)');
+      options = [];
+    }
+    values = spec.values || {};
+    if (typeof values !== 'object' || Array.isArray(values)) {
+      problem('"values" must map feed values to option values');
+      values = {};
+    }
+    for (const [feedValue, option] of Object.entries(values)) {
+      if (!options.includes(option)) {
+        problem(`value "${feedValue}" maps to unknown option "${option}"`);
+      }
+    }
+    lookup = buildEnumLookup(KNOWN_PROPERTIES.get(name), options, values, problem);
+
+    unknown = spec.unknown === undefined ? (hasDefault ? 'default' : 'omit') : spec.unknown;
+    if (!UNKNOWN_POLICIES.includes(unknown)) {
+      problem(`unknown "${unknown}" is not one of ${UNKNOWN_POLICIES.join(', ')}`);
+    } else if (unknown === 'default' && !hasDefault) {
+      problem('unknown: default needs a "default"');
+    }
+  } else if (spec.options !== undefined || spec.values !== undefined || spec.unknown !== undefined) {
+    problem('"options", "values" and "unknown" only apply to enum properties');
+  }
+
+  if (options) {
+    for (const source of from) {
+      for (const [code, option] of Object.entries(source.codes || {})) {
+        if (option !== null && !options.includes(option)) {
+          problem(`${source.path} code "${code}" maps to unknown option "${option}"`);
+        }
+      }
+    }
+  }
+
+  if (hasDefault) {
+    if (!defaultMatchesType(spec.default, type)) {
+      problem(`default ${JSON.stringify(spec.default)} does not match type ${type}`);
+    } else if (type === 'enum' && !options.includes(spec.default)) {
+      problem(`default "${spec.default}" is not one of the enum options`);
+    }
+  }
+
+  return {
+    name,
+    type,
+    from,
+    default: hasDefault ? spec.default : null,
+    required: spec.required === true,
+    options,
+    values,
+    lookup,
+    unknown,
+  };
+}
+
+/**
+ * Validate and compile a mapping document
+ * @param {Object} document - Parsed mapping ({ inherit, properties })
+ * @param {Object} base - Property specs the document is merged over (by name)
+ * @param {string} label - File name for error messages
+ * @returns {{file: string, properties: Object[]}} Compiled mapping, properties in declaration order
+ * @throws {Error} Listing every problem found
+ */
+function compileFieldMapping(document, base, label) {
+  if (!document || typeof document !== 'object' || !document.properties || typeof document.properties !== 'object') {
+    throw new Error(`Invalid field mapping ${label}: expected a "properties" object`);
+  }
+
+  const problems = [];
+  const specs = document.inherit === false ? {} : { ...base };
+  for (const [name, spec] of Object.entries(document.properties)) {
+    if (spec === null || spec === false) {
+      // Drop an inherited property
+      delete specs[name];
+      continue;
+    }
+    if (!KNOWN_PROPERTIES.has(name) || RESERVED_PROPERTIES.includes(name)) {
+      problems.push(`${name}: ${RESERVED_PROPERTIES.includes(name) ? 'is set by the importer' : 'unknown HubSpot property'}`);
+      continue;
+    }
+    // A field name or list of names is shorthand for { from: ... }
+    const entry = typeof spec === 'string' || Array.isArray(spec) ? { from: spec } : spec;
+    if (typeof entry !== 'object') {
+      problems.push(`${name}: expected an object, a source path or a list of source paths`);
+      continue;
+    }
+    // Overrides keep the settings they do not mention, unless they change the type;
+    // enum synonyms are added to the inherited ones
+    const inherited = specs[name] && (entry.type === undefined || entry.type === specs[name].type) ? specs[name] : {};
+    specs[name] = { ...inherited, ...entry };
+    if (inherited.values && entry.values && typeof entry.values === 'object' && !Array.isArray(entry.values)) {
+      specs[name].values = { ...inherited.values, ...entry.values };
+    }
+  }
+
+  const properties = Object.entries(specs).map(([name, spec]) => compileProperty(name, spec, problems));
+  if (problems.length > 0) {
+    throw new Error(`Invalid field mapping ${label}: ${problems.join('; ')}`);
+  }
+  return { file: label, properties };
+}
+
+/**
+ * Load a field mapping. A custom mapping file is merged over the built-in
+ * mapping property by property (set "inherit": false to start from scratch,
+ * or a property to null to drop it).
+ * @param {string|null} [filePath] - Mapping file (JSON or YAML); null for the built-in mapping
+ * @returns {{file: string, properties: Object[]}} Compiled mapping
+ * @throws {Error} If the file cannot be read or is invalid
+ */
+function loadFieldMapping(filePath = null) {
+  const builtIn = readMappingFile(DEFAULT_MAPPING_FILE);
+  if (!filePath) {
+    return compileFieldMapping(builtIn, {}, path.basename(DEFAULT_MAPPING_FILE));
+  }
+  return compileFieldMapping(readMappingFile(filePath), builtIn.properties, filePath);
+}
+
+module.exports = {
+  DEFAULT_MAPPING_FILE,
+  FIELD_TYPES,
+  UNKNOWN_POLICIES,
+  foldEnumValue,
+  parseSourcePath,
+  readSourcePath,
+  loadFieldMapping,
+};
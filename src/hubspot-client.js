@@ -120,10 +120,11 @@ class HubSpotClient {
    * Create a property if it doesn't exist
    */
   async createPropertyIfNotExists(property, existingProperties) {
-    const exists = existingProperties.some(p => p.name === property.name);
+    const existing = existingProperties.find(p => p.name === property.name);
     
-    if (exists) {
+    if (existing) {
       logger.debug(`Property ${property.name} already exists`);
+      await this.syncPropertyOptions(property, existing);
       return;
     }
 
@@ -160,6 +161,46 @@ class HubSpotClient {
     }
   }
 
+  /**
+   * Add the options of a select property that the existing HubSpot property
+   * lacks (e.g. new state_code regions). Options are only ever added, so
+   * options created in HubSpot by hand are kept.
+   * @param {Object} property - Property definition (LISTINGS_PROPERTIES)
+   * @param {Object} existing - Property as returned by HubSpot
+   */
+  async syncPropertyOptions(property, existing) {
+    if (property.type !== 'enumeration' || !property.options) {
+      return;
+    }
+    const current = existing.options || [];
+    const known = new Set(current.map(option => option.value));
+    const missing = property.options.filter(option => !known.has(option.value));
+    if (missing.length === 0) {
+      return;
+    }
+
+    const values = missing.map(option => option.value).join(', ');
+    if (config.get('dryRun')) {
+      logger.info(`[DRY-RUN] Would add options to property ${property.name}: ${values}`);
+      return;
+    }
+
+    try {
+      const options = [
+        ...current,
+        ...missing.map((option, index) => ({ ...option, displayOrder: current.length + index })),
+      ];
+      await this.retry(
+        () => this.client.crm.properties.coreApi.update(this.objectType, property.name, { options }),
+        `update property ${property.name}`
+      );
+      logger.info(`Added options to property ${property.name}: ${values}`);
+    } catch (error) {
+      logger.error(`Failed to update property ${property.name}`, { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Ensure all required properties exist
    */
@@ -262,11 +303,21 @@ class HubSpotClient {
     'hs_price',
     'auction_start_date',
     'auction_end_date',
+    'feed_source',
+    'primary_image_url',
+    'image_count',
+    'additional_image_urls',
   ];
 
+  /**
+   * Gallery fields, updated together and only from a record that has an image
+   */
+  static GALLERY_FIELDS = ['primary_image_url', 'image_count', 'additional_image_urls'];
+
   /**
    * Prepare properties for update - only include updatable fields.
-   * If hs_price is set, also clear legacy list_price field.
+   * If hs_price is set, also clear legacy list_price field. Gallery fields
+   * are left out when the record has no image, so the stored gallery is kept.
    * @param {Object} properties - Full listing properties
    * @returns {Object} Properties filtered to only updatable fields
    */
@@ -280,6 +331,15 @@ class HubSpotClient {
       }
     }
 
+    // A record without images says nothing about the gallery; an empty
+    // additional_image_urls is only sent to drop extra images of a listing
+    // that now has a single one
+    if (!updateProps.primary_image_url) {
+      for (const field of HubSpotClient.GALLERY_FIELDS) {
+        delete updateProps[field];
+      }
+    }
+
     // Backfill + cleanup: if hs_price is being set, clear legacy list_price field.
     // We use null (not undefined) to explicitly clear the field in HubSpot.
     // This ensures stale list_price data is removed during migration to hs_price.
@@ -3,14 +3,24 @@ const feedFetcher = require('./feed-fetcher');
 const transformer = require('./transformer');
 const logger = require('./logger');
 const config = require('./config');
+const { validateListing, describeProblems } = require('./schema-validator');
+const { groupMediaRows } = require('./media-gallery');
+const { DuplicateResolver } = require('./duplicate-resolver');
 
 /**
  * Main importer class that orchestrates the import process
  */
 class Importer {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object[]} [options.sources] - Feed sources to import (defaults to config.getSources())
+   */
+  constructor(options = {}) {
     this.hubspotClient = new HubSpotClient();
     this.batchSize = config.get('batchSize');
+    this.schemaValidation = config.get('schemaValidation');
+    this.sources = options.sources || null;
+    this.initialized = false;
   }
 
   /**
@@ -29,53 +39,338 @@ class Importer {
     }
   }
 
+  /**
+   * Create an empty results accumulator
+   */
+  createTotals() {
+    return {
+      created: 0,
+      updated: 0,
+      failed: 0,
+      rejected: 0,
+      errors: [],
+    };
+  }
+
+  /**
+   * Check a transformed listing against the property schema before it is sent
+   * to HubSpot. Invalid listings are counted as failed (and rejected) with
+   * field-level reasons in the run errors.
+   * @param {Object} listing - Transformed listing
+   * @param {Object} totalResults - Running totals to update
+   * @returns {boolean} True if the listing may be upserted
+   */
+  checkListing(listing, totalResults) {
+    if (!this.schemaValidation) {
+      return true;
+    }
+    const problems = validateListing(listing);
+    if (problems.length === 0) {
+      return true;
+    }
+
+    totalResults.rejected++;
+    totalResults.failed++;
+    totalResults.errors.push({
+      external_listing_id: listing.external_listing_id,
+      hs_name: listing.hs_name,
+      error: `Rejected before upsert: ${describeProblems(problems)}`,
+      fields: problems,
+    });
+    logger.debug(`Listing ${listing.external_listing_id || listing.hs_name} failed schema validation`, { problems });
+    return false;
+  }
+
+  /**
+   * Upsert a single batch and add its results to the running totals
+   * @param {Object[]} batch - Transformed listings
+   * @param {number} batchNumber - 1-based batch number
+   * @param {number|null} batchCount - Total number of batches, if known
+   * @param {Object} totalResults - Running totals to update
+   */
+  async processBatch(batch, batchNumber, batchCount, totalResults) {
+    logger.info(`Processing batch ${batchNumber}${batchCount ? `/${batchCount}` : ''}...`);
+
+    try {
+      const results = await this.hubspotClient.batchUpsert(batch);
+
+      totalResults.created += results.created;
+      totalResults.updated += results.updated;
+      totalResults.failed += results.failed;
+      totalResults.errors.push(...results.errors);
+
+      logger.info(`Batch ${batchNumber} completed`, {
+        created: results.created,
+        updated: results.updated,
+        failed: results.failed,
+      });
+    } catch (error) {
+      logger.error(`Batch ${batchNumber} failed`, { error: error.message });
+      totalResults.failed += batch.length;
+    }
+  }
+
   /**
    * Process listings in batches
    */
   async processListings(listings) {
     logger.info(`Processing ${listings.length} listings...`);
-    
+
+    const totalResults = this.createTotals();
+    const valid = listings.filter(listing => this.checkListing(listing, totalResults));
+
     const batches = [];
-    for (let i = 0; i < listings.length; i += this.batchSize) {
-      batches.push(listings.slice(i, i + this.batchSize));
+    for (let i = 0; i < valid.length; i += this.batchSize) {
+      batches.push(valid.slice(i, i + this.batchSize));
     }
 
     logger.info(`Split into ${batches.length} batches of max ${this.batchSize} listings`);
 
-    const totalResults = {
+    for (let i = 0; i < batches.length; i++) {
+      await this.processBatch(batches[i], i + 1, batches.length, totalResults);
+    }
+
+    return totalResults;
+  }
+
+  /**
+   * Stream records through transformation into bounded upsert batches.
+   * The next batch is not read from the feed until the current one has been
+   * upserted, so at most one batch of listings is held in memory at a time.
+   * Consecutive rows of one listing (one row per media item) are merged into
+   * one record with its image gallery first. Unless the duplicate policy is
+   * 'off', listings are spooled to disk until the whole feed has been read so
+   * listings sharing an external_listing_id or hs_name can be resolved first.
+   * @param {AsyncIterable<Object>} records - Raw feed records
+   * @param {Object} [source] - Feed source whose field map, media settings, duplicate policy and defaults apply
+   * @returns {Promise<Object>} Upsert totals plus fetched/transformed counts and duplicates
+   */
+  async processStream(records, source = null) {
+    const totalResults = this.createTotals();
+    totalResults.fetched = 0;
+    totalResults.transformed = 0;
+    totalResults.duplicates = [];
+
+    // Warnings aggregate across the whole stream and are summarized at the end
+    transformer.resetWarnings();
+
+    let batch = [];
+    let batchNumber = 0;
+    const send = async listing => {
+      batch.push(listing);
+      if (batch.length >= this.batchSize) {
+        batchNumber++;
+        await this.processBatch(batch, batchNumber, null, totalResults);
+        batch = [];
+      }
+    };
+
+    const media = source ? source.media : config.getDefaultSource().media;
+    const mediaStats = {};
+    const listings = groupMediaRows(records, media, mediaStats);
+
+    const policy = source ? source.duplicatePolicy : config.get('duplicatePolicy');
+    const resolver = policy !== 'off' ? new DuplicateResolver(policy) : null;
+
+    try {
+      for await (const record of listings) {
+        const index = totalResults.fetched;
+        const listing = transformer.transformRecord(record, index, source);
+        totalResults.fetched++;
+        if (!listing) {
+          continue;
+        }
+
+        totalResults.transformed++;
+        if (!this.checkListing(listing, totalResults)) {
+          continue;
+        }
+        if (resolver) {
+          await resolver.add(listing, index);
+        } else {
+          await send(listing);
+        }
+      }
+
+      if (resolver) {
+        for await (const listing of resolver.listings()) {
+          await send(listing);
+        }
+        this.recordDuplicates(resolver.collisions, totalResults);
+      }
+    } finally {
+      if (resolver) {
+        await resolver.close();
+      }
+    }
+
+    if (batch.length > 0) {
+      batchNumber++;
+      await this.processBatch(batch, batchNumber, null, totalResults);
+    }
+
+    if (mediaStats.rows > mediaStats.listings) {
+      logger.info(`Grouped ${mediaStats.rows} feed rows into ${mediaStats.listings} listings with their media`);
+    }
+    if (mediaStats.split > 0) {
+      logger.warn(`Media rows of ${mediaStats.split} listing(s) were not consecutive, so their gallery was split across records; `
+        + `sort the feed by ${media.groupBy} (examples: ${mediaStats.splitExamples.join(', ')})`);
+    }
+    logger.info(`Fetched ${totalResults.fetched} listings from feed`);
+    logger.info(`Transformed ${totalResults.transformed} listings`);
+    if (totalResults.rejected > 0) {
+      logger.warn(`Rejected ${totalResults.rejected} listing(s) that do not fit the Listings property schema`);
+    }
+    if (totalResults.duplicates.length > 0) {
+      logger.warn(`Resolved ${totalResults.duplicates.length} in-feed duplicate(s) with policy '${policy}'`);
+    }
+    transformer.logWarningSummary();
+
+    return totalResults;
+  }
+
+  /**
+   * Add resolved in-feed duplicates to the running totals. Listings rejected
+   * by the 'reject' policy count as failed, with the collision in the run errors.
+   * @param {Object[]} collisions - Collisions from DuplicateResolver
+   * @param {Object} totalResults - Running totals to update
+   */
+  recordDuplicates(collisions, totalResults) {
+    for (const collision of collisions) {
+      totalResults.duplicates.push(collision);
+      logger.debug(`In-feed duplicate: ${collision.keys.join(', ')} - ${collision.resolution}`);
+      if (collision.policy !== 'reject') {
+        continue;
+      }
+      totalResults.failed += collision.records.length;
+      for (const record of collision.records) {
+        totalResults.errors.push({
+          external_listing_id: record.external_listing_id,
+          hs_name: record.hs_name,
+          error: `Rejected as an in-feed duplicate (${collision.keys.join(', ')}; records ${collision.records.map(entry => entry.record).join(', ')})`,
+        });
+      }
+    }
+  }
+
+  /**
+   * Count the failed listings that were never sent to HubSpot: schema
+   * rejections and in-feed duplicates rejected by the 'reject' policy.
+   * @param {Object} totals - Totals from processStream
+   * @returns {number} Rejected listings
+   */
+  countRejections(totals) {
+    return totals.rejected + totals.duplicates
+      .filter(collision => collision.policy === 'reject')
+      .reduce((count, collision) => count + collision.records.length, 0);
+  }
+
+  /**
+   * Import one feed source. Feed and import errors are caught and reported in
+   * the source's result so the remaining sources still run; HubSpot
+   * initialization errors are fatal and propagate.
+   * @param {Object} source - Feed source
+   * @returns {Promise<Object>} Per-source result
+   */
+  async runSource(source) {
+    const startTime = Date.now();
+    const result = {
+      name: source.name,
+      success: true,
+      unchanged: false,
+      fetched: 0,
+      transformed: 0,
       created: 0,
       updated: 0,
       failed: 0,
+      rejected: 0,
       errors: [],
+      duplicates: [],
+      error: null,
+      snapshot: null,
+      duration: 0,
     };
 
-    for (let i = 0; i < batches.length; i++) {
-      logger.info(`Processing batch ${i + 1}/${batches.length}...`);
-      
+    logger.info(`Importing feed source '${source.name}'...`);
+
+    let feed;
+    try {
+      // Open feed (skips the source if unchanged since the last import)
+      feed = await feedFetcher.openFeed({ source });
+    } catch (error) {
+      return this.failSource(result, error, startTime);
+    }
+
+    if (feed.unchanged) {
+      logger.info(`Feed source '${source.name}' unchanged (${feed.reason}); skipping import. Use --force to re-import.`);
+      result.unchanged = true;
+      result.duration = Date.now() - startTime;
+      return result;
+    }
+    result.snapshot = feed.snapshot || null;
+
+    // HubSpot environment is initialized once, before the first changed source.
+    // Its errors are fatal, so the unread feed (and any spooled download) is released first.
+    if (!this.initialized) {
       try {
-        const results = await this.hubspotClient.batchUpsert(batches[i]);
-        
-        totalResults.created += results.created;
-        totalResults.updated += results.updated;
-        totalResults.failed += results.failed;
-        totalResults.errors.push(...results.errors);
-
-        logger.info(`Batch ${i + 1} completed`, {
-          created: results.created,
-          updated: results.updated,
-          failed: results.failed,
-        });
+        await this.initialize();
       } catch (error) {
-        logger.error(`Batch ${i + 1} failed`, { error: error.message });
-        totalResults.failed += batches[i].length;
+        feed.close();
+        throw error;
       }
+      this.initialized = true;
     }
 
-    return totalResults;
+    try {
+      // Stream feed data through transformation into upsert batches
+      logger.info(`Streaming feed source '${source.name}' into HubSpot...`);
+      const totals = await this.processStream(feed.records, source);
+
+      Object.assign(result, {
+        fetched: totals.fetched,
+        transformed: totals.transformed,
+        created: totals.created,
+        updated: totals.updated,
+        failed: totals.failed,
+        rejected: totals.rejected,
+        errors: totals.errors.map(error => ({ ...error, source: source.name })),
+        duplicates: totals.duplicates.map(duplicate => ({ ...duplicate, source: source.name })),
+        success: totals.failed === 0,
+      });
+
+      // Remember this feed version unless a HubSpot write failed. Rejected listings
+      // would be rejected again on a re-import, so they do not hold the state back.
+      const writeFailures = totals.failed - this.countRejections(totals);
+      if (writeFailures > 0) {
+        logger.warn(`Feed state for source '${source.name}' not saved: ${writeFailures} listing(s) failed to write to HubSpot; the feed will be imported again on the next run`);
+      } else if (!config.get('dryRun')) {
+        feed.commit();
+      }
+
+      if (totals.transformed === 0) {
+        logger.warn(`No valid listings to import from feed source '${source.name}' after transformation`);
+      }
+    } catch (error) {
+      return this.failSource(result, error, startTime);
+    }
+
+    result.duration = Date.now() - startTime;
+    return result;
+  }
+
+  /**
+   * Mark a source result as failed
+   */
+  failSource(result, error, startTime) {
+    logger.error(`Feed source '${result.name}' failed`, { error: error.message });
+    result.success = false;
+    result.error = error;
+    result.duration = Date.now() - startTime;
+    return result;
   }
 
   /**
-   * Run the complete import process
+   * Run the complete import process for every feed source
    */
   async run() {
     const startTime = Date.now();
@@ -84,57 +379,75 @@ class Importer {
     logger.info('='.repeat(80));
 
     try {
-      // Step 1: Initialize HubSpot environment
-      await this.initialize();
-
-      // Step 2: Fetch feed data
-      logger.info('Fetching feed data...');
-      const feedData = await feedFetcher.getFeed();
-      logger.info(`Fetched ${feedData.length} listings from feed`);
-
-      // Step 3: Transform data
-      logger.info('Transforming feed data to HubSpot format...');
-      const transformedListings = transformer.transformListings(feedData);
-      logger.info(`Transformed ${transformedListings.length} listings`);
-
-      if (transformedListings.length === 0) {
-        logger.warn('No valid listings to import after transformation');
-        return {
-          success: true,
-          created: 0,
-          updated: 0,
-          failed: 0,
-          duration: Date.now() - startTime,
-        };
+      const sources = this.sources || config.getSources();
+      logger.info(`Fetching feed data from ${sources.length} source(s)...`);
+
+      const sourceResults = [];
+      for (const source of sources) {
+        sourceResults.push(await this.runSource(source));
       }
 
-      // Step 4: Process and upsert listings
-      const results = await this.processListings(transformedListings);
+      // Nothing was imported at all: surface the failure as before
+      const failedSources = sourceResults.filter(result => result.error);
+      if (failedSources.length === sourceResults.length) {
+        if (failedSources.length === 1) {
+          throw failedSources[0].error;
+        }
+        throw new Error(`All feed sources failed: ${failedSources.map(result => `${result.name}: ${result.error.message}`).join('; ')}`);
+      }
 
-      // Step 5: Log summary
-      const duration = Date.now() - startTime;
+      const results = {
+        success: sourceResults.every(result => result.success),
+        unchanged: sourceResults.every(result => result.unchanged),
+        created: 0,
+        updated: 0,
+        failed: 0,
+        rejected: 0,
+        errors: [],
+        duplicates: [],
+        duration: Date.now() - startTime,
+        sources: sourceResults.map(({ error, ...result }) => ({
+          ...result,
+          error: error ? error.message : null,
+        })),
+      };
+      let transformed = 0;
+      for (const result of sourceResults) {
+        transformed += result.transformed;
+        results.created += result.created;
+        results.updated += result.updated;
+        results.failed += result.failed;
+        results.rejected += result.rejected;
+        results.errors.push(...result.errors);
+        results.duplicates.push(...result.duplicates);
+      }
+
+      if (results.unchanged) {
+        return results;
+      }
+
+      // Log summary
       logger.info('='.repeat(80));
       logger.info('Import completed', {
-        duration: `${(duration / 1000).toFixed(2)}s`,
-        total: transformedListings.length,
+        duration: `${(results.duration / 1000).toFixed(2)}s`,
+        total: transformed,
         created: results.created,
         updated: results.updated,
         failed: results.failed,
+        rejected: results.rejected,
       });
+      if (sources.length > 1) {
+        for (const result of results.sources) {
+          logger.info(`  ${result.name}: ${this.describeSource(result)}`);
+        }
+      }
       logger.info('='.repeat(80));
 
       if (results.errors.length > 0) {
         logger.error('Errors occurred during import:', results.errors);
       }
 
-      return {
-        success: results.failed === 0,
-        created: results.created,
-        updated: results.updated,
-        failed: results.failed,
-        errors: results.errors,
-        duration,
-      };
+      return results;
     } catch (error) {
       const duration = Date.now() - startTime;
       logger.error('Import failed', {
@@ -146,6 +459,21 @@ class Importer {
       throw error;
     }
   }
+
+  /**
+   * One-line description of a source result for summaries
+   * @param {Object} result - Per-source result from run()
+   * @returns {string} e.g. "12 created, 3 updated, 0 failed"
+   */
+  describeSource(result) {
+    if (result.error) {
+      return `FAILED - ${result.error}`;
+    }
+    if (result.unchanged) {
+      return 'unchanged';
+    }
+    return `${result.created} created, ${result.updated} updated, ${result.failed} failed`;
+  }
 }
 
 module.exports = Importer;
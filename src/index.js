@@ -4,12 +4,18 @@ const path = require('path');
 
 // Check for file path argument BEFORE loading any modules that use config
 const fileArg = process.argv[2];
+const isStdinImport = fileArg === '-';
 const isFileImport = fileArg && !fileArg.startsWith('-');
-if (isFileImport) {
+if (isStdinImport) {
+  process.env.FEED_SOURCE = 'stdin';
+} else if (isFileImport) {
   const filePath = path.resolve(fileArg);
   process.env.FEED_SOURCE = 'file';
   process.env.FEED_FILE_PATH = filePath;
 }
+if (process.argv.includes('--force')) {
+  process.env.FEED_FORCE = 'true';
+}
 
 // Now load modules that depend on config
 const Importer = require('./importer');
@@ -21,10 +27,14 @@ const logger = require('./logger');
  * Usage:
  *   node src/index.js ./data/properties_combined.json
  *   node src/index.js (uses FEED_URL environment variable)
+ *   node src/index.js ./data/properties_combined.json --force (re-import an unchanged feed)
+ *   jq -c '.items[]' export.json | node src/index.js - (NDJSON or JSON from standard input)
  */
 async function main() {
   try {
-    if (isFileImport) {
+    if (isStdinImport) {
+      logger.info('Importing from standard input');
+    } else if (isFileImport) {
       logger.info(`Importing from file: ${path.resolve(fileArg)}`);
     }
 
@@ -0,0 +1,264 @@
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { DEFAULT_RECORD_KEYS, parseRecordPath, selectRecords } = require('./record-path');
+
+/**
+ * Incremental JSON array parser.
+ *
+ * Accepts raw text or Buffer chunks and emits one parsed object per element of
+ * the feed's listings array, so memory use is bounded by the largest single
+ * record instead of the whole document. The listings array is the one a record
+ * path points to, or else the root array or the first root-level property named
+ * in recordKeys. When no such array is found, the buffered document is resolved
+ * at the end of input the way selectRecords() does it (a bare root object is a
+ * single listing; strict mode fails instead).
+ */
+class JsonArrayStream extends Transform {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.recordKeys] - Root-level properties that may hold the listings array
+   * @param {string} [options.path] - JSON Pointer or JSONPath of the listings array
+   * @param {boolean} [options.strict] - Fail when the listings array is not found
+   */
+  constructor(options = {}) {
+    super({ readableObjectMode: true });
+    this.decoder = new StringDecoder('utf8');
+    this.recordKeys = options.recordKeys || DEFAULT_RECORD_KEYS;
+    this.path = options.path === undefined ? null : options.path;
+    this.segments = this.path === null ? null : parseRecordPath(this.path);
+    this.strict = Boolean(options.strict);
+
+    this.root = null; // '[' or '{' once the first token is seen
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.targetDepth = null; // Depth of the listings array's elements
+    this.finished = false; // Listings array has been closed
+    this.capture = null; // Text of the element currently being read
+    this.keyBuffer = null; // Object key currently being read
+    this.containers = []; // Open objects/arrays while the listings array is being looked for
+    this.rootBuffer = ''; // Document text, kept until the listings array is found
+    this.position = 0;
+
+    this.count = 0;
+    this.skipped = 0; // Elements that are not listing objects (null, numbers, arrays, ...)
+    this.recordKey = null;
+    this.location = null; // Where the listings were found, for logging
+    this.fallback = null; // Why the record path was not used
+    this.singleObject = false;
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      const text = typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+      this.scan(text);
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      this.scan(this.decoder.end());
+
+      if (this.root === null) {
+        throw new Error('Feed data is empty or null');
+      }
+
+      if (this.targetDepth === null) {
+        if (this.depth !== 0 || this.inString) {
+          throw new SyntaxError('Unexpected end of JSON input');
+        }
+        const selected = selectRecords(JSON.parse(this.rootBuffer), {
+          path: this.path,
+          strict: this.strict,
+          recordKeys: this.recordKeys,
+        });
+        this.singleObject = selected.single;
+        this.location = selected.location;
+        this.fallback = selected.fallback;
+        for (const record of selected.records) {
+          this.pushRecord(record);
+        }
+      } else if (!this.finished) {
+        throw new SyntaxError('Unexpected end of JSON input');
+      }
+
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  /**
+   * Scan a chunk of text, emitting every listing element it completes
+   * @param {string} text - Next chunk of feed text
+   */
+  scan(text) {
+    const bufferingRoot = this.targetDepth === null;
+    let captureFrom = this.capture !== null ? 0 : -1;
+
+    for (let i = 0; i < text.length && !this.finished; i++) {
+      const ch = text[i];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (ch === '\\') {
+          this.escaped = true;
+        } else if (ch === '"') {
+          this.inString = false;
+          if (this.keyBuffer !== null) {
+            // String values pass through here too, but a key always precedes its value
+            this.containers[this.containers.length - 1].key = this.keyBuffer;
+            this.keyBuffer = null;
+          }
+          continue;
+        }
+        if (this.keyBuffer !== null) {
+          this.keyBuffer += ch;
+        }
+        continue;
+      }
+
+      if (ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t') {
+        continue;
+      }
+
+      if (this.root === null) {
+        if (ch === '[' || ch === '{') {
+          this.root = ch;
+          this.depth = 1;
+          this.openContainer(ch);
+          continue;
+        }
+        throw new SyntaxError(`Unexpected token "${ch}" at position ${this.position + i}; expected a JSON array or object`);
+      }
+
+      // First character of a new element inside the listings array
+      if (this.depth === this.targetDepth && this.capture === null && ch !== ',' && ch !== ']') {
+        this.capture = '';
+        captureFrom = i;
+      }
+
+      if (ch === '"') {
+        this.inString = true;
+        if (this.targetDepth === null && this.containers[this.containers.length - 1].type === '{') {
+          this.keyBuffer = '';
+        }
+      } else if (ch === '{' || ch === '[') {
+        this.depth++;
+        if (this.targetDepth === null) {
+          this.openContainer(ch);
+        }
+      } else if (ch === '}' || ch === ']') {
+        if (this.capture !== null && this.depth === this.targetDepth) {
+          this.emitCapture(text.slice(captureFrom, i));
+          captureFrom = -1;
+        }
+        this.depth--;
+        if (this.depth < 0) {
+          throw new SyntaxError(`Unexpected token "${ch}" at position ${this.position + i}`);
+        }
+        if (this.targetDepth === null) {
+          this.containers.pop();
+        } else if (this.depth < this.targetDepth) {
+          this.finished = true;
+        }
+      } else if (ch === ',') {
+        if (this.capture !== null && this.depth === this.targetDepth) {
+          this.emitCapture(text.slice(captureFrom, i));
+          captureFrom = -1;
+        } else if (this.targetDepth === null && this.containers[this.containers.length - 1].type === '[') {
+          this.containers[this.containers.length - 1].index++;
+        }
+      }
+    }
+
+    if (this.capture !== null && captureFrom >= 0) {
+      this.capture += text.slice(captureFrom);
+    }
+    if (bufferingRoot && this.targetDepth === null) {
+      this.rootBuffer += text;
+    }
+    this.position += text.length;
+  }
+
+  /**
+   * Track a newly opened object or array and check whether it is the listings array
+   * @param {string} type - '{' or '['
+   */
+  openContainer(type) {
+    const parent = this.containers[this.containers.length - 1];
+    const level = this.containers.length; // Path segments leading to the new container
+    let matched = true;
+    if (parent) {
+      const segment = parent.type === '{' ? parent.key : String(parent.index);
+      matched = parent.matched && this.segments !== null && level <= this.segments.length
+        && this.segments[level - 1] === segment;
+    }
+    this.containers.push({ type, key: null, index: 0, matched });
+
+    if (type !== '[') {
+      return;
+    }
+    if (this.segments !== null) {
+      if (matched && level === this.segments.length) {
+        this.startTarget(`at record path ${this.path}`);
+      }
+    } else if (!parent) {
+      this.startTarget(null);
+    } else if (level === 1 && this.recordKeys.includes(parent.key)) {
+      this.recordKey = parent.key;
+      this.startTarget(`in '${parent.key}' property`);
+    }
+  }
+
+  /**
+   * Start emitting the elements of the array just opened
+   */
+  startTarget(location) {
+    this.targetDepth = this.depth;
+    this.location = location;
+    this.containers = [];
+    this.rootBuffer = '';
+  }
+
+  /**
+   * Parse and push the element text collected so far
+   * @param {string} tail - Remaining element text from the current chunk
+   */
+  emitCapture(tail) {
+    const raw = (this.capture + tail).trim();
+    this.capture = null;
+
+    let record;
+    try {
+      record = JSON.parse(raw);
+    } catch (error) {
+      throw new SyntaxError(`Invalid JSON in listing ${this.count + this.skipped + 1}: ${error.message}`);
+    }
+
+    this.pushRecord(record);
+  }
+
+  /**
+   * Emit one listing. Elements that are not objects are counted in `skipped`
+   * instead: pushing null would end the stream.
+   * @param {*} record - Parsed array element
+   */
+  pushRecord(record) {
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+      this.skipped++;
+      return;
+    }
+    this.count++;
+    this.push(record);
+  }
+}
+
+module.exports = {
+  JsonArrayStream,
+  DEFAULT_RECORD_KEYS,
+};
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { HUBSPOT_OWNED_PROPERTIES } = require('./properties');
+const { foldEnumValue, parseSourcePath, readSourcePath } = require('./field-mapping');
+
+/**
+ * The built-in ruleset (the original listing type thresholds), shipped as a rules file
+ */
+const DEFAULT_RULES_FILE = path.join(__dirname, 'classification-rules.default.json');
+
+/**
+ * Settings allowed in one rule
+ */
+const RULE_KEYS = ['name', 'type', 'when'];
+
+/**
+ * Comparisons a condition can make. Numeric comparisons read a missing or
+ * non-numeric value as 0; eq, ne and in compare text ignoring case and separators.
+ */
+const OPERATORS = ['eq', 'ne', 'in', 'gt', 'gte', 'lt', 'lte', 'matches', 'exists'];
+
+const LISTING_TYPES = HUBSPOT_OWNED_PROPERTIES.find(property => property.name === 'hs_listing_type')
+  .options.map(option => option.value);
+
+/**
+ * Read a rules file (JSON, or YAML for .yaml/.yml files)
+ * @param {string} filePath - Rules file
+ * @returns {Object} Parsed document
+ */
+function readRulesFile(filePath) {
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    return /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    // YAML messages end with a code frame after the line and column
+    throw new Error(`Unable to read classification rules ${filePath}: ${error.message.split(':\n')[0]}`);
+  }
+}
+
+/**
+ * Compare two values as numbers or as folded text
+ */
+function sameValue(actual, expected) {
+  if (typeof expected === 'number') {
+    return (Number(actual) || 0) === expected;
+  }
+  if (typeof expected === 'boolean') {
+    return actual === expected || (actual !== undefined && actual !== null && String(actual).toLowerCase() === String(expected));
+  }
+  return actual !== undefined && actual !== null && typeof actual !== 'object' && foldEnumValue(actual) === foldEnumValue(expected);
+}
+
+/**
+ * Check one comparison
+ */
+function compare(operator, actual, expected) {
+  const number = Number(actual) || 0;
+  switch (operator) {
+    case 'eq':
+      return sameValue(actual, expected);
+    case 'ne':
+      return !sameValue(actual, expected);
+    case 'in':
+      return expected.some(value => sameValue(actual, value));
+    case 'gt':
+      return number > expected;
+    case 'gte':
+      return number >= expected;
+    case 'lt':
+      return number < expected;
+    case 'lte':
+      return number <= expected;
+    case 'matches':
+      return actual !== undefined && actual !== null && typeof actual !== 'object' && expected.test(String(actual));
+    case 'exists':
+      return (actual !== undefined && actual !== null && actual !== '') === expected;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validate and compile a condition: { field | raw, <operator>: value, ... },
+ * { all: [...] }, { any: [...] }, or a list of conditions that must all hold
+ * @param {*} condition - Condition from the rules file
+ * @param {Function} problem - Records a validation problem
+ * @returns {Function} (context) => boolean
+ */
+function compileCondition(condition, problem) {
+  if (Array.isArray(condition)) {
+    const tests = condition.map(entry => compileCondition(entry, problem));
+    return context => tests.every(test => test(context));
+  }
+  if (!condition || typeof condition !== 'object') {
+    problem(`conditions must be objects or lists, got ${JSON.stringify(condition)}`);
+    return () => false;
+  }
+
+  const groups = ['all', 'any'].filter(key => condition[key] !== undefined);
+  if (groups.length > 0) {
+    if (groups.length > 1 || Object.keys(condition).length > 1) {
+      problem('"all" and "any" groups take no other settings');
+    }
+    const entries = condition[groups[0]];
+    if (!Array.isArray(entries) || entries.length === 0) {
+      problem(`"${groups[0]}" needs a non-empty list of conditions`);
+      return () => false;
+    }
+    const tests = entries.map(entry => compileCondition(entry, problem));
+    return groups[0] === 'all'
+      ? context => tests.every(test => test(context))
+      : context => tests.some(test => test(context));
+  }
+
+  // A transformed property ("hs_bedrooms") or a raw feed field ("property_type", "details.style")
+  let read;
+  if (typeof condition.field === 'string' && condition.raw === undefined) {
+    read = context => context.listing[condition.field];
+  } else if (typeof condition.raw === 'string' && condition.field === undefined) {
+    try {
+      const source = { path: condition.raw, segments: parseSourcePath(condition.raw) };
+      read = context => readSourcePath(context.record, source);
+    } catch (error) {
+      problem(error.message);
+      return () => false;
+    }
+  } else {
+    problem(`conditions need one of "field" or "raw", got ${JSON.stringify(condition)}`);
+    return () => false;
+  }
+
+  const comparisons = [];
+  for (const [key, expected] of Object.entries(condition)) {
+    if (key === 'field' || key === 'raw') {
+      continue;
+    }
+    const where = condition.field || condition.raw;
+    if (!OPERATORS.includes(key)) {
+      problem(`${where}: unknown operator "${key}" (expected ${OPERATORS.join(', ')})`);
+    } else if (['gt', 'gte', 'lt', 'lte'].includes(key) && typeof expected !== 'number') {
+      problem(`${where}: "${key}" needs a number`);
+    } else if (key === 'in' && !Array.isArray(expected)) {
+      problem(`${where}: "in" needs a list of values`);
+    } else if (key === 'exists' && typeof expected !== 'boolean') {
+      problem(`${where}: "exists" needs true or false`);
+    } else if (key === 'matches') {
+      try {
+        comparisons.push([key, new RegExp(expected, 'i')]);
+      } catch (error) {
+        problem(`${where}: invalid "matches" pattern: ${error.message}`);
+      }
+    } else {
+      comparisons.push([key, expected]);
+    }
+  }
+  if (Object.keys(condition).every(key => key === 'field' || key === 'raw')) {
+    problem(`${condition.field || condition.raw}: condition needs an operator (${OPERATORS.join(', ')})`);
+  }
+
+  return context => {
+    const actual = read(context);
+    return comparisons.every(([operator, expected]) => compare(operator, actual, expected));
+  };
+}
+
+/**
+ * Validate and compile a rules document
+ * @param {Object} document - Parsed rules ({ rules: [{ name, type, when }] })
+ * @param {string} label - File name for error messages
+ * @returns {{file: string, rules: Object[]}} Compiled rules, in order
+ * @throws {Error} Listing every problem found
+ */
+function compileRules(document, label) {
+  if (!document || typeof document !== 'object' || !Array.isArray(document.rules)) {
+    throw new Error(`Invalid classification rules ${label}: expected a "rules" list`);
+  }
+
+  const problems = [];
+  const names = new Set();
+  const rules = document.rules.map((rule, index) => {
+    const name = rule && typeof rule.name === 'string' && rule.name !== '' ? rule.name : `#${index + 1}`;
+    const problem = message => problems.push(`${name}: ${message}`);
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      problem('expected an object');
+      return null;
+    }
+
+    for (const key of Object.keys(rule)) {
+      if (!RULE_KEYS.includes(key)) {
+        problem(`unknown setting "${key}" (expected ${RULE_KEYS.join(', ')})`);
+      }
+    }
+    if (name.startsWith('#')) {
+      problem('needs a "name"');
+    } else if (names.has(name)) {
+      problem('duplicate rule name');
+    }
+    names.add(name);
+    if (!LISTING_TYPES.includes(rule.type)) {
+      problem(`type ${JSON.stringify(rule.type)} is not one of ${LISTING_TYPES.join(', ')}`);
+    }
+
+    // A rule without conditions always matches (a catch-all at the end of the list)
+    const test = rule.when === undefined ? () => true : compileCondition(rule.when, problem);
+    return { name, type: rule.type, test };
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid classification rules ${label}: ${problems.join('; ')}`);
+  }
+  return { file: label, rules };
+}
+
+/**
+ * Load a classification ruleset. A custom rules file replaces the built-in rules.
+ * @param {string|null} [filePath] - Rules file (JSON or YAML); null for the built-in rules
+ * @returns {{file: string, rules: Object[]}} Compiled rules
+ * @throws {Error} If the file cannot be read or is invalid
+ */
+function loadClassificationRules(filePath = null) {
+  const file = filePath || DEFAULT_RULES_FILE;
+  return compileRules(readRulesFile(file), filePath || path.basename(DEFAULT_RULES_FILE));
+}
+
+/**
+ * Classify a listing with the first rule whose conditions hold
+ * @param {{rules: Object[]}} ruleset - Compiled rules
+ * @param {Object} listing - Transformed listing (plus derived fields such as lot_size_sqft)
+ * @param {Object} [record] - Raw feed record, for "raw" conditions
+ * @returns {{type: string, rule: string}|null} Listing type and the rule that matched,
+ *   or null if no rule matched
+ */
+function classifyListing(ruleset, listing, record = {}) {
+  const context = { listing, record };
+  const rule = ruleset.rules.find(candidate => candidate.test(context));
+  return rule ? { type: rule.type, rule: rule.name } : null;
+}
+
+module.exports = {
+  DEFAULT_RULES_FILE,
+  OPERATORS,
+  loadClassificationRules,
+  classifyListing,
+};
@@ -1,5 +1,26 @@
 const config = require('./config');
 
+/**
+ * Log data keys whose values are always masked
+ */
+const SENSITIVE_KEY_PATTERN = /authorization|password|secret|api[-_]?key|access[-_]?token/i;
+
+/**
+ * Query string parameters in logged text: [prefix, name, value]
+ */
+const QUERY_PARAM_PATTERN = /([?&])([^=&#\s"']+)=([^&#\s"']*)/g;
+
+/**
+ * Decode a query parameter name ("api%5Fkey" is api_key)
+ */
+function decodeParamName(name) {
+  try {
+    return decodeURIComponent(name.replace(/\+/g, ' '));
+  } catch (error) {
+    return name;
+  }
+}
+
 /**
  * Simple logger with configurable log levels
  */
@@ -12,6 +33,55 @@ class Logger {
       debug: 3,
     };
     this.currentLevel = null; // Lazy loaded
+    this.secrets = new Set(); // Runtime secrets (e.g. OAuth2 tokens) to redact
+  }
+
+  /**
+   * Register secret values that must never appear in log output
+   * @param {...string} values - Secret values (empty values are ignored)
+   */
+  addSecrets(...values) {
+    for (const value of values) {
+      if (typeof value === 'string' && value.length >= 4) {
+        this.secrets.add(value);
+      }
+    }
+  }
+
+  /**
+   * Replace every known secret in a string with [REDACTED], as written and
+   * URL-encoded. Secrets come from configuration and from addSecrets().
+   * Values of credential-like query parameters are masked as well.
+   */
+  redact(text) {
+    let redacted = text;
+    for (const secret of [...config.getSecrets(), ...this.secrets]) {
+      if (!secret || secret.length < 4) {
+        continue;
+      }
+      const forms = new Set([secret, encodeURIComponent(secret), new URLSearchParams({ v: secret }).toString().slice(2)]);
+      for (const form of forms) {
+        if (redacted.includes(form)) {
+          redacted = redacted.split(form).join('[REDACTED]');
+        }
+      }
+    }
+    return redacted.replace(QUERY_PARAM_PATTERN, (match, prefix, name, value) => (
+      value && value !== '[REDACTED]' && SENSITIVE_KEY_PATTERN.test(decodeParamName(name)) ? `${prefix}${name}=[REDACTED]` : match
+    ));
+  }
+
+  /**
+   * Serialize log data, masking credential-like keys and known secret values
+   */
+  formatData(data) {
+    const json = JSON.stringify(data, (key, value) => {
+      if (SENSITIVE_KEY_PATTERN.test(key) && value !== null && value !== undefined && typeof value !== 'object') {
+        return '[REDACTED]';
+      }
+      return value;
+    }, 2);
+    return this.redact(json);
   }
 
   getCurrentLevel() {
@@ -28,9 +98,9 @@ class Logger {
       const logMessage = `[${timestamp}] [${level.toUpperCase()}] ${message}`;
       
       if (data) {
-        console.log(logMessage, JSON.stringify(data, null, 2));
+        console.log(this.redact(logMessage), this.formatData(data));
       } else {
-        console.log(logMessage);
+        console.log(this.redact(logMessage));
       }
     }
   }
@@ -0,0 +1,92 @@
+/**
+ * Square feet per unit of each lot size unit
+ */
+const SQFT_PER_UNIT = {
+  sqft: 1,
+  acres: 43560,
+  sqm: 10.7639104,
+  hectares: 107639.104,
+};
+
+/**
+ * Units lot_size_units can hold (HubSpot has no hectare option, so hectares
+ * are converted to square meters)
+ */
+const LOT_SIZE_UNITS = ['sqft', 'acres', 'sqm'];
+
+/**
+ * Unit spellings found in feeds, folded (lowercase, without spaces, dots,
+ * hyphens and underscores)
+ */
+const UNIT_ALIASES = {
+  sf: 'sqft', sqft: 'sqft', ft2: 'sqft', 'ft²': 'sqft', sqfeet: 'sqft', squarefeet: 'sqft', squarefoot: 'sqft',
+  ac: 'acres', acre: 'acres', acres: 'acres',
+  sqm: 'sqm', m2: 'sqm', 'm²': 'sqm', sqmeters: 'sqm', squaremeter: 'sqm', squaremeters: 'sqm', squaremetre: 'sqm', squaremetres: 'sqm',
+  ha: 'hectares', hectare: 'hectares', hectares: 'hectares',
+};
+
+/**
+ * Decimal places kept when a lot size is converted
+ */
+const PRECISION = { sqft: 0, sqm: 0, acres: 3 };
+
+/**
+ * Recognize a lot size unit
+ * @param {*} value - Unit text (e.g. "ac", "Sq. Ft.", "m²")
+ * @returns {string|null} sqft, acres, sqm or hectares, or null if not recognized
+ */
+function parseLotSizeUnit(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return UNIT_ALIASES[String(value).replace(/[\s._-]+/g, '').toLowerCase()] || null;
+}
+
+/**
+ * Parse a lot size, detecting a unit suffix ("1.73 ac", "10,000 sq ft")
+ * @param {*} value - Feed value
+ * @returns {{size: number, unit: string|null}|null} Size and detected unit,
+ *   or null if the value is not a lot size (no number, or an unknown suffix)
+ */
+function parseLotSize(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { size: value, unit: null } : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = /^\s*(\d[\d,]*(?:\.\d+)?|\.\d+)\s*(.*?)\s*$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const size = parseFloat(match[1].replace(/,/g, ''));
+  if (match[2] === '') {
+    return { size, unit: null };
+  }
+  const unit = parseLotSizeUnit(match[2]);
+  return unit ? { size, unit } : null;
+}
+
+/**
+ * Convert a lot size between units
+ * @param {number} size - Lot size
+ * @param {string} from - Unit of size
+ * @param {string} to - Target unit
+ * @returns {number} Converted size (unchanged if the units match)
+ */
+function convertLotSize(size, from, to) {
+  if (from === to) {
+    return size;
+  }
+  const converted = size * SQFT_PER_UNIT[from] / SQFT_PER_UNIT[to];
+  const factor = 10 ** (PRECISION[to] !== undefined ? PRECISION[to] : 3);
+  return Math.round(converted * factor) / factor;
+}
+
+module.exports = {
+  LOT_SIZE_UNITS,
+  parseLotSizeUnit,
+  parseLotSize,
+  convertLotSize,
+};
@@ -0,0 +1,212 @@
+const { parseSourcePath, readSourcePath } = require('./field-mapping');
+
+/**
+ * Built-in media gallery settings for a feed source
+ */
+const DEFAULT_MEDIA = {
+  groupBy: 'assetId', // Rows sharing this field are one listing ('none' turns grouping off)
+  urlTemplate: null, // e.g. "https://cdn.example.com/photos/{mediaGuid}.jpg"
+};
+
+/**
+ * Fields describing the one media item a feed row carries
+ */
+const MEDIA_FIELDS = {
+  order: 'mediaOrder',
+  guid: 'mediaGuid',
+  title: 'mediaTitle',
+  url: 'imageUrl',
+};
+
+/**
+ * {field} placeholders in a URL template
+ */
+const PLACEHOLDER = /\{([^{}]+)\}/g;
+
+/**
+ * Check a source's media settings
+ * @param {Object} media - { groupBy, urlTemplate }
+ * @param {Object} [names] - How each setting is named in messages (e.g. the environment variable)
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function checkMediaSettings(media, names = { groupBy: '"groupBy"', urlTemplate: '"urlTemplate"' }) {
+  const problems = [];
+  if (typeof media.groupBy !== 'string' || media.groupBy === '') {
+    problems.push(`${names.groupBy} must be a field name, or "none"`);
+  } else if (media.groupBy !== 'none') {
+    try {
+      parseSourcePath(media.groupBy);
+    } catch (error) {
+      problems.push(`${names.groupBy}: ${error.message}`);
+    }
+  }
+  if (media.urlTemplate !== null && media.urlTemplate !== undefined) {
+    if (typeof media.urlTemplate !== 'string' || !/^https?:\/\//i.test(media.urlTemplate)) {
+      problems.push(`${names.urlTemplate} must be an http(s) URL, got ${JSON.stringify(media.urlTemplate)}`);
+    } else if (!/\{[^{}]+\}/.test(media.urlTemplate)) {
+      problems.push(`${names.urlTemplate} has no {field} placeholder (e.g. {${MEDIA_FIELDS.guid}})`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Build a media URL from a template, filling each {field} with the row's
+ * (URL-encoded) value
+ * @param {string} template - e.g. "https://cdn.example.com/{mediaGuid}.jpg"
+ * @param {Object} row - Feed row
+ * @returns {string|null} URL, or null if the row lacks a placeholder's field
+ */
+function buildMediaUrl(template, row) {
+  let complete = true;
+  const url = template.replace(PLACEHOLDER, (match, field) => {
+    const value = row[field.trim()];
+    if (value === undefined || value === null || value === '') {
+      complete = false;
+      return '';
+    }
+    return encodeURIComponent(String(value));
+  });
+  return complete ? url : null;
+}
+
+/**
+ * Read the media item of one feed row. The URL template, when set, wins
+ * over the row's own image URL.
+ * @param {Object} row - Feed row
+ * @param {string|null} urlTemplate - Media URL template
+ * @returns {{order: number, guid: *, title: *, url: string}|null} Media item, or null if the row has no image
+ */
+function readMediaItem(row, urlTemplate) {
+  const own = typeof row[MEDIA_FIELDS.url] === 'string' ? row[MEDIA_FIELDS.url].trim() : '';
+  const url = (urlTemplate && buildMediaUrl(urlTemplate, row)) || own;
+  if (!url) {
+    return null;
+  }
+  const order = Number(row[MEDIA_FIELDS.order]);
+  return {
+    order: row[MEDIA_FIELDS.order] !== null && row[MEDIA_FIELDS.order] !== '' && Number.isFinite(order) ? order : Infinity,
+    guid: row[MEDIA_FIELDS.guid] ?? null,
+    title: row[MEDIA_FIELDS.title] ?? null,
+    url,
+  };
+}
+
+/**
+ * Merge the rows of one listing into a single record with an ordered gallery.
+ * The row of the first image by mediaOrder (ties keep feed order) supplies the
+ * listing fields; its image becomes primaryImageUrl. The gallery is added as
+ * "media" (items) and "pictures" (distinct URLs, primary first).
+ * @param {Object[]} rows - Feed rows of one listing, in feed order
+ * @param {Object} media - Media settings ({ urlTemplate })
+ * @returns {Object} Listing record (a lone row, or rows without images, are returned as sent)
+ */
+function mergeMediaRows(rows, media) {
+  // A listing sent as one row already names its only image
+  if (rows.length === 1 && !media.urlTemplate) {
+    return rows[0];
+  }
+
+  const items = [];
+  for (const row of rows) {
+    const item = readMediaItem(row, media.urlTemplate);
+    if (item) {
+      items.push({ item, row });
+    }
+  }
+  if (items.length === 0) {
+    return rows[0];
+  }
+
+  // Array.prototype.sort is stable, so equal orders keep feed order
+  items.sort((a, b) => (a.item.order === b.item.order ? 0 : a.item.order < b.item.order ? -1 : 1));
+  const pictures = [...new Set(items.map(({ item }) => item.url))];
+
+  return {
+    ...items[0].row,
+    primaryImageUrl: pictures[0],
+    media: items.map(({ item }) => ({ ...item, order: Number.isFinite(item.order) ? item.order : null })),
+    pictures,
+  };
+}
+
+/**
+ * Split groups reported by example (the rest are only counted)
+ */
+const MAX_SPLIT_EXAMPLES = 5;
+
+/**
+ * Group consecutive feed rows that share a listing key (one row per media
+ * item, as joined listing/media exports send them) into one record each.
+ * Only consecutive rows are grouped, so the feed is still streamed; rows of
+ * a key that comes back after other listings become a separate record, and
+ * the key is counted in stats.split (the feed is not sorted by the key).
+ * @param {AsyncIterable<Object>|Iterable<Object>} records - Feed rows
+ * @param {Object} [media] - Media settings ({ groupBy, urlTemplate })
+ * @param {Object} [stats] - Counters updated as rows are read ({ rows, listings,
+ *   split, splitExamples })
+ * @returns {AsyncGenerator<Object>} Listing records
+ */
+async function* groupMediaRows(records, media = DEFAULT_MEDIA, stats = {}) {
+  const settings = { ...DEFAULT_MEDIA, ...media };
+  const groupBy = settings.groupBy !== 'none'
+    ? { path: settings.groupBy, segments: parseSourcePath(settings.groupBy) }
+    : null;
+  stats.rows = 0;
+  stats.listings = 0;
+  stats.split = 0;
+  stats.splitExamples = [];
+
+  let rows = [];
+  let key = null;
+  const grouped = new Set(); // Keys whose rows have been grouped already
+
+  const flush = () => {
+    const record = mergeMediaRows(rows, settings);
+    rows = [];
+    stats.listings++;
+    if (key !== null) {
+      grouped.add(key);
+    }
+    return record;
+  };
+
+  for await (const row of records) {
+    stats.rows++;
+    if (!row || typeof row !== 'object') {
+      if (rows.length > 0) {
+        yield flush();
+      }
+      stats.listings++;
+      yield row;
+      continue;
+    }
+
+    const value = groupBy ? readSourcePath(row, groupBy) : undefined;
+    const rowKey = value === undefined || value === null || value === '' || typeof value === 'object' ? null : String(value);
+    if (rows.length > 0 && (rowKey === null || rowKey !== key)) {
+      yield flush();
+    }
+    if (rows.length === 0 && rowKey !== null && grouped.has(rowKey)) {
+      stats.split++;
+      if (stats.splitExamples.length < MAX_SPLIT_EXAMPLES) {
+        stats.splitExamples.push(rowKey);
+      }
+    }
+    key = rowKey;
+    rows.push(row);
+  }
+
+  if (rows.length > 0) {
+    yield flush();
+  }
+}
+
+module.exports = {
+  DEFAULT_MEDIA,
+  MEDIA_FIELDS,
+  checkMediaSettings,
+  buildMediaUrl,
+  mergeMediaRows,
+  groupMediaRows,
+};
@@ -0,0 +1,162 @@
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Malformed lines kept (with their error) for the report; later ones are only counted
+ */
+const MAX_REPORTED_LINES = 20;
+
+/**
+ * Parse one NDJSON line
+ * @param {string} text - Line text (without the newline)
+ * @returns {{record?: Object, error?: string}|null} Parsed record or error, null for a blank line
+ */
+function parseLine(text) {
+  const trimmed = text.trim();
+  if (trimmed === '') {
+    return null;
+  }
+  let value;
+  try {
+    value = JSON.parse(trimmed);
+  } catch (error) {
+    return { error: error.message };
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return { error: `expected a JSON object, got ${Array.isArray(value) ? 'an array' : JSON.stringify(value)}` };
+  }
+  return { record: value };
+}
+
+/**
+ * Tracks line numbers and malformed lines while NDJSON is parsed
+ */
+class NdjsonLineParser {
+  constructor() {
+    this.lineNumber = 0;
+    this.count = 0;
+    this.skippedCount = 0;
+    this.skipped = []; // First MAX_REPORTED_LINES malformed lines: { line, error }
+  }
+
+  /**
+   * Parse the next line
+   * @returns {Object|null} The record, or null for a blank or malformed line
+   */
+  next(text) {
+    this.lineNumber++;
+    const result = parseLine(this.lineNumber === 1 ? text.replace(/^\uFEFF/, '') : text);
+    if (!result) {
+      return null;
+    }
+    if (result.error) {
+      this.skippedCount++;
+      if (this.skipped.length < MAX_REPORTED_LINES) {
+        this.skipped.push({ line: this.lineNumber, error: result.error });
+      }
+      return null;
+    }
+    this.count++;
+    return result.record;
+  }
+
+  /**
+   * Fail when no line at all was a JSON object (most likely not an NDJSON feed)
+   */
+  finish() {
+    if (this.count === 0 && this.skippedCount > 0) {
+      const first = this.skipped[0];
+      throw new Error(`Invalid NDJSON feed: none of ${this.skippedCount} line(s) is a JSON object (line ${first.line}: ${first.error})`);
+    }
+  }
+}
+
+/**
+ * Incremental JSON Lines / NDJSON parser.
+ *
+ * Accepts raw text or Buffer chunks and emits one object per line, so memory
+ * use is bounded by the longest line. Blank lines are ignored. A line that is
+ * not a JSON object is skipped and recorded in `skipped` with its line number
+ * instead of failing the whole feed.
+ */
+class NdjsonStream extends Transform {
+  constructor() {
+    super({ readableObjectMode: true });
+    this.decoder = new StringDecoder('utf8');
+    this.lines = new NdjsonLineParser();
+    this.buffer = ''; // Text after the last complete line
+  }
+
+  get count() {
+    return this.lines.count;
+  }
+
+  get skippedCount() {
+    return this.lines.skippedCount;
+  }
+
+  get skipped() {
+    return this.lines.skipped;
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      this.buffer += typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+      let start = 0;
+      let end;
+      while ((end = this.buffer.indexOf('\n', start)) !== -1) {
+        this.pushLine(this.buffer.slice(start, end));
+        start = end + 1;
+      }
+      this.buffer = this.buffer.slice(start);
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      this.buffer += this.decoder.end();
+      if (this.buffer !== '') {
+        this.pushLine(this.buffer);
+        this.buffer = '';
+      }
+      this.lines.finish();
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  pushLine(text) {
+    const record = this.lines.next(text);
+    if (record) {
+      this.push(record);
+    }
+  }
+}
+
+/**
+ * Parse a complete NDJSON document
+ * @param {string} text - Feed text
+ * @returns {{records: Object[], skippedCount: number, skipped: Array<{line: number, error: string}>}}
+ */
+function parseNdjson(text) {
+  const lines = new NdjsonLineParser();
+  const records = [];
+  for (const line of text.split('\n')) {
+    const record = lines.next(line);
+    if (record) {
+      records.push(record);
+    }
+  }
+  lines.finish();
+  return { records, skippedCount: lines.skippedCount, skipped: lines.skipped };
+}
+
+module.exports = {
+  NdjsonStream,
+  parseNdjson,
+  MAX_REPORTED_LINES,
+};
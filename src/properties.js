@@ -74,6 +74,45 @@ const US_STATE_CODES = [
   { label: 'Wyoming', value: 'WY' },
 ];
 
+/**
+ * US territory codes (USPS), addressed like states
+ */
+const US_TERRITORY_CODES = [
+  { label: 'American Samoa', value: 'AS' },
+  { label: 'Guam', value: 'GU' },
+  { label: 'Northern Mariana Islands', value: 'MP' },
+  { label: 'Puerto Rico', value: 'PR' },
+  { label: 'U.S. Virgin Islands', value: 'VI' },
+];
+
+/**
+ * Canadian province and territory codes (Canada Post)
+ */
+const CA_PROVINCE_CODES = [
+  { label: 'Alberta', value: 'AB' },
+  { label: 'British Columbia', value: 'BC' },
+  { label: 'Manitoba', value: 'MB' },
+  { label: 'New Brunswick', value: 'NB' },
+  { label: 'Newfoundland and Labrador', value: 'NL' },
+  { label: 'Northwest Territories', value: 'NT' },
+  { label: 'Nova Scotia', value: 'NS' },
+  { label: 'Nunavut', value: 'NU' },
+  { label: 'Ontario', value: 'ON' },
+  { label: 'Prince Edward Island', value: 'PE' },
+  { label: 'Quebec', value: 'QC' },
+  { label: 'Saskatchewan', value: 'SK' },
+  { label: 'Yukon', value: 'YT' },
+];
+
+/**
+ * Countries listings can be located in (ISO 3166-1 alpha-2), with the region
+ * codes state_code accepts for each
+ */
+const COUNTRY_CODES = [
+  { label: 'United States', value: 'US', regions: [...US_STATE_CODES, ...US_TERRITORY_CODES] },
+  { label: 'Canada', value: 'CA', regions: CA_PROVINCE_CODES },
+];
+
 /**
  * Define all required Listings properties for HubSpot
  */
@@ -94,6 +133,14 @@ const LISTINGS_PROPERTIES = [
     groupName: 'listing_information',
     description: 'Secondary reference identifier for the listing',
   },
+  {
+    name: 'feed_source',
+    label: 'Feed Source',
+    type: 'string',
+    fieldType: 'text',
+    groupName: 'listing_information',
+    description: 'Name of the feed source the listing was imported from',
+  },
   {
     name: 'listing_start_date',
     label: 'Listing Start Date',
@@ -135,6 +182,14 @@ const LISTINGS_PROPERTIES = [
   },
   // NOTE: hs_listing_type is HubSpot-owned — do NOT create or modify
   // Valid internal values: house, townhouse, multi_family, condos_co_ops, lots_land, apartments, manufactured
+  {
+    name: 'listing_type_rule',
+    label: 'Listing Type Rule',
+    type: 'string',
+    fieldType: 'text',
+    groupName: 'listing_information',
+    description: 'Classification rule that set the listing type ("feed" when the feed sent the type)',
+  },
   //
   // NOTE: The following HubSpot-owned properties are NOT defined here because they already
   // exist with hs_ prefix (e.g., hs_square_footage, hs_bedrooms, hs_bathrooms, hs_lot_size,
@@ -159,8 +214,17 @@ const LISTINGS_PROPERTIES = [
     type: 'enumeration',
     fieldType: 'select',
     groupName: 'listing_information',
-    description: 'US state code (e.g., CA, NY, TX)',
-    options: US_STATE_CODES,
+    description: 'State, territory or province code (e.g., CA, NY, PR, ON)',
+    options: COUNTRY_CODES.flatMap(country => country.regions),
+  },
+  {
+    name: 'country',
+    label: 'Country',
+    type: 'enumeration',
+    fieldType: 'select',
+    groupName: 'listing_information',
+    description: 'Country where property is located',
+    options: COUNTRY_CODES.map(({ label, value }) => ({ label, value })),
   },
   // NOTE: hs_zip is HubSpot-owned property - not defined here
   {
@@ -188,6 +252,22 @@ const LISTINGS_PROPERTIES = [
     groupName: 'listing_information',
     description: 'URL to the main property image',
   },
+  {
+    name: 'image_count',
+    label: 'Image Count',
+    type: 'number',
+    fieldType: 'number',
+    groupName: 'listing_information',
+    description: 'Number of images in the listing gallery',
+  },
+  {
+    name: 'additional_image_urls',
+    label: 'Additional Image URLs',
+    type: 'string',
+    fieldType: 'textarea',
+    groupName: 'listing_information',
+    description: 'Gallery image URLs after the primary image, in order, one per line',
+  },
   {
     name: 'is_new_listing',
     label: 'Is New Listing',
@@ -246,13 +326,49 @@ const LISTINGS_PROPERTIES = [
 ];
 
 /**
- * Valid state codes set for quick lookup
+ * HubSpot-owned Listings properties the importer writes. They exist on every
+ * Listings object and are never created or modified by the importer.
+ */
+const HUBSPOT_OWNED_PROPERTIES = [
+  { name: 'hs_name', label: 'Listing Name', type: 'string', required: true },
+  { name: 'hs_price', label: 'Price', type: 'number' },
+  { name: 'hs_square_footage', label: 'Square Footage', type: 'number' },
+  { name: 'hs_bathrooms', label: 'Bathrooms', type: 'number' },
+  { name: 'hs_bedrooms', label: 'Bedrooms', type: 'number' },
+  { name: 'hs_lot_size', label: 'Lot Size', type: 'number' },
+  { name: 'hs_city', label: 'City', type: 'string' },
+  { name: 'hs_state_province', label: 'State/Province', type: 'string' },
+  { name: 'hs_zip', label: 'ZIP/Postal Code', type: 'string' },
+  { name: 'hs_address_1', label: 'Address 1', type: 'string' },
+  { name: 'hs_address_2', label: 'Address 2', type: 'string' },
+  {
+    name: 'hs_listing_type',
+    label: 'Listing Type',
+    type: 'enumeration',
+    options: [
+      { label: 'House', value: 'house' },
+      { label: 'Townhouse', value: 'townhouse' },
+      { label: 'Multi-Family', value: 'multi_family' },
+      { label: 'Condos/Co-ops', value: 'condos_co_ops' },
+      { label: 'Lots/Land', value: 'lots_land' },
+      { label: 'Apartments', value: 'apartments' },
+      { label: 'Manufactured', value: 'manufactured' },
+    ],
+  },
+];
+
+/**
+ * Valid state, territory and province codes for quick lookup
  */
-const VALID_STATE_CODES = new Set(US_STATE_CODES.map(s => s.value));
+const VALID_STATE_CODES = new Set(COUNTRY_CODES.flatMap(country => country.regions.map(s => s.value)));
 
 module.exports = {
   LISTINGS_PROPERTIES,
+  HUBSPOT_OWNED_PROPERTIES,
   US_STATE_CODES,
+  US_TERRITORY_CODES,
+  CA_PROVINCE_CODES,
+  COUNTRY_CODES,
   VALID_STATE_CODES,
   normalizePropertyName,
 };
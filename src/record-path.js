@@ -0,0 +1,127 @@
+/**
+ * Wrapper properties that hold the listings array when no record path is set
+ */
+const DEFAULT_RECORD_KEYS = ['listings', 'results', 'data', 'properties'];
+
+/**
+ * Parse a record path into its segments.
+ *
+ * Accepts a JSON Pointer ("/payload/items", "" for the root) or a JSONPath
+ * made of child names and indexes ("$.payload.items", "$['payload']['items'][*]").
+ * A trailing "[*]" or ".*" is allowed and ignored (the path names the array).
+ * @param {string} expression - Record path
+ * @returns {string[]} Property names and array indexes, outermost first
+ * @throws {Error} If the path is not a JSON Pointer or a supported JSONPath
+ */
+function parseRecordPath(expression) {
+  const text = String(expression).trim();
+  if (text === '' || text.startsWith('/')) {
+    return text === '' ? [] : text.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+  if (!text.startsWith('$')) {
+    throw new Error(`Invalid record path "${text}": use a JSON Pointer (/payload/items) or JSONPath ($.payload.items)`);
+  }
+
+  const segments = [];
+  const token = /\.([A-Za-z_$][\w$-]*)|\[\s*(\d+)\s*\]|\[\s*'((?:[^'\\]|\\.)*)'\s*\]|\[\s*"((?:[^"\\]|\\.)*)"\s*\]/y;
+  let position = 1;
+  while (position < text.length) {
+    if (/^(\[\s*\*\s*\]|\.\*)$/.test(text.slice(position))) {
+      break;
+    }
+    token.lastIndex = position;
+    const match = token.exec(text);
+    if (!match) {
+      throw new Error(`Unsupported JSONPath "${text}" at "${text.slice(position)}": only child names and array indexes are supported`);
+    }
+    const quoted = match[3] !== undefined ? match[3] : match[4];
+    segments.push(match[1] || match[2] || quoted.replace(/\\(.)/g, '$1'));
+    position = token.lastIndex;
+  }
+  return segments;
+}
+
+/**
+ * Follow path segments into a parsed document
+ * @returns {*} The value at the path, or undefined if it does not exist
+ */
+function resolvePath(data, segments) {
+  let value = data;
+  for (const segment of segments) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Describe a value found at a record path (for error messages)
+ */
+function describeValue(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return typeof value === 'object' ? 'an object' : `a ${typeof value}`;
+}
+
+/**
+ * Find the listing records in a parsed feed document.
+ *
+ * With a record path, the array it points to holds the records. Without one
+ * (or when the path does not lead to an array outside strict mode) the root
+ * array or the first wrapper property in recordKeys is used, and a bare object
+ * is taken to be a single listing. Strict mode never guesses: the path (or,
+ * without a path, the root or a wrapper property) must hold an array.
+ * @param {*} data - Parsed feed document
+ * @param {Object} [options]
+ * @param {string} [options.path] - JSON Pointer or JSONPath of the records array
+ * @param {boolean} [options.strict] - Fail instead of falling back
+ * @param {string[]} [options.recordKeys] - Wrapper properties that may hold the records
+ * @returns {{records: Object[], location: string|null, single: boolean, fallback: string|null}}
+ *   location names where the records were found; fallback explains an ignored record path
+ * @throws {Error} If no records array is found in strict mode
+ */
+function selectRecords(data, { path = null, strict = false, recordKeys = DEFAULT_RECORD_KEYS } = {}) {
+  let fallback = null;
+
+  if (path !== null && path !== undefined) {
+    const value = resolvePath(data, parseRecordPath(path));
+    if (Array.isArray(value)) {
+      return { records: value, location: `at record path ${path}`, single: false, fallback };
+    }
+    fallback = value === undefined
+      ? `Record path "${path}" not found in feed`
+      : `Record path "${path}" points to ${describeValue(value)}, not an array of listings`;
+    if (strict) {
+      throw new Error(fallback);
+    }
+  }
+
+  if (Array.isArray(data)) {
+    return { records: data, location: null, single: false, fallback };
+  }
+
+  const key = data && typeof data === 'object'
+    ? recordKeys.find(name => Array.isArray(data[name]))
+    : undefined;
+  if (key !== undefined) {
+    return { records: data[key], location: `in '${key}' property`, single: false, fallback };
+  }
+
+  if (strict) {
+    throw new Error(`Feed has no listings array (expected a root array or a ${recordKeys.join(', ')} property); set a record path`);
+  }
+  if (data && typeof data === 'object') {
+    return { records: [data], location: null, single: true, fallback };
+  }
+  throw new Error('Unable to parse feed structure');
+}
+
+module.exports = {
+  DEFAULT_RECORD_KEYS,
+  parseRecordPath,
+  resolvePath,
+  selectRecords,
+};
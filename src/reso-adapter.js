@@ -0,0 +1,228 @@
+const logger = require('./logger');
+
+/**
+ * RESO StandardStatus values mapped to listing_status options.
+ * Keys are compared without spaces so both "Active Under Contract" and
+ * "ActiveUnderContract" (lookup name) match.
+ */
+const RESO_STATUS_MAP = {
+  active: 'for_sale',
+  // No listing_status option; left unset like the VRM "Coming Soon" code
+  comingsoon: null,
+  activeundercontract: 'under_contract',
+  pending: 'under_contract',
+  closed: 'sold',
+  withdrawn: 'withdrawn',
+  canceled: 'withdrawn',
+  cancelled: 'withdrawn',
+  hold: 'withdrawn',
+  expired: 'expired',
+};
+
+/**
+ * Return the first value that is not null, undefined or an empty string
+ */
+function firstPresent(...values) {
+  return values.find(value => value !== null && value !== undefined && value !== '');
+}
+
+/**
+ * Map a RESO StandardStatus to a listing_status option
+ * @param {string} status - RESO StandardStatus (e.g. "Active Under Contract")
+ * @returns {string|null} listing_status value or null if unknown
+ */
+function mapResoStatus(status) {
+  if (status === null || status === undefined) {
+    return null;
+  }
+  return RESO_STATUS_MAP[String(status).replace(/\s+/g, '').toLowerCase()] || null;
+}
+
+/**
+ * Build a street line from RESO address components when UnparsedAddress is absent
+ */
+function buildStreetAddress(record) {
+  const parts = [record.StreetNumber, record.StreetDirPrefix, record.StreetName, record.StreetSuffix, record.StreetDirSuffix]
+    .filter(part => part !== null && part !== undefined && String(part).trim() !== '')
+    .map(part => String(part).trim());
+  return parts.length > 0 ? parts.join(' ') : null;
+}
+
+/**
+ * Pick lot size and units from the RESO lot size fields
+ * @returns {{lotSize: number, lotSizeUnits: string}|null}
+ */
+function mapLotSize(record) {
+  if (firstPresent(record.LotSizeSquareFeet) !== undefined) {
+    return { lotSize: record.LotSizeSquareFeet, lotSizeUnits: 'sqft' };
+  }
+  if (firstPresent(record.LotSizeAcres) !== undefined) {
+    return { lotSize: record.LotSizeAcres, lotSizeUnits: 'acres' };
+  }
+  if (firstPresent(record.LotSizeArea) !== undefined) {
+    const units = { 'square feet': 'sqft', acres: 'acres', 'square meters': 'sqm' }[String(record.LotSizeUnits || '').toLowerCase()];
+    return units ? { lotSize: record.LotSizeArea, lotSizeUnits: units } : null;
+  }
+  return null;
+}
+
+/**
+ * Map a RESO Data Dictionary Property record onto the field names
+ * DataTransformer.transformListing understands. The original RESO fields are
+ * kept so a source's fieldMap can still reference them.
+ * @param {Object} record - RESO Property resource record
+ * @returns {Object} Listing record
+ */
+function mapResoRecord(record) {
+  const photos = Array.isArray(record.Media)
+    ? [...record.Media]
+      .filter(media => media && media.MediaURL)
+      .sort((a, b) => (a.Order ?? Infinity) - (b.Order ?? Infinity))
+    : [];
+
+  const mapped = {
+    externalListingId: firstPresent(record.ListingKey, record.ListingKeyNumeric),
+    referenceId: record.ListingId,
+    listPrice: record.ListPrice,
+    listingStatus: mapResoStatus(record.StandardStatus),
+    // Read by hs_listing_type, whose values include the RESO lookups ("Condominium", ...)
+    property_type: firstPresent(record.PropertySubType, record.PropertyType),
+    squareFootage: firstPresent(record.LivingArea, record.BuildingAreaTotal),
+    bedrooms: record.BedroomsTotal,
+    bathrooms: firstPresent(record.BathroomsTotalDecimal, record.BathroomsTotalInteger),
+    address: firstPresent(record.UnparsedAddress, buildStreetAddress(record)),
+    unit: record.UnitNumber,
+    city: record.City,
+    state: record.StateOrProvince,
+    zip: record.PostalCode,
+    county: record.CountyOrParish,
+    listingStartDate: firstPresent(record.ListingContractDate, record.OnMarketDate),
+    listingEndDate: record.ExpirationDate,
+    primaryImageUrl: photos.length > 0 ? photos[0].MediaURL : null,
+    pictures: photos.length > 0 ? photos.map(media => media.MediaURL) : null,
+    ...mapLotSize(record),
+  };
+
+  const listing = { ...record };
+  for (const [field, value] of Object.entries(mapped)) {
+    if (firstPresent(value) !== undefined) {
+      listing[field] = value;
+    }
+  }
+  return listing;
+}
+
+/**
+ * Feed adapter for RESO Web API (OData) endpoints.
+ *
+ * Pages through a resource with $top/$skip, following @odata.nextLink when
+ * the server provides one, and maps every record with mapResoRecord. Requests
+ * go through FeedFetcher, so URL validation, retries and feed auth apply.
+ */
+class ResoAdapter {
+  /**
+   * @param {Object} fetcher - FeedFetcher used for requests
+   */
+  constructor(fetcher) {
+    this.fetcher = fetcher;
+  }
+
+  /**
+   * Build a page URL. OData system query options keep their literal
+   * "$" because some servers do not decode "%24top".
+   * @param {string} resourceUrl - Resource URL (e.g. https://api.example.com/odata/Property)
+   * @param {Object} options - RESO query options
+   * @param {number} skip - Records to skip
+   * @returns {string} Page URL
+   */
+  buildUrl(resourceUrl, options, skip = 0) {
+    const pageUrl = new URL(resourceUrl);
+    const params = { $top: options.top, $skip: skip, $count: 'true' };
+    for (const key of ['filter', 'select', 'orderby', 'expand']) {
+      if (options[key]) {
+        params[`$${key}`] = options[key];
+      }
+    }
+
+    for (const key of Object.keys(params)) {
+      pageUrl.searchParams.delete(key);
+    }
+    const query = Object.entries(params)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+    pageUrl.search = pageUrl.search ? `${pageUrl.search}&${query}` : query;
+    return pageUrl.toString();
+  }
+
+  /**
+   * Map the records of one OData response (or a saved response file)
+   * @param {Object} data - Parsed response body ({ value: [...] })
+   * @returns {Object[]} Mapped listing records
+   */
+  mapResponse(data) {
+    if (!data || !Array.isArray(data.value)) {
+      throw new Error('RESO response is missing the "value" array');
+    }
+    return data.value.map(mapResoRecord);
+  }
+
+  /**
+   * Fetch every record of a RESO resource
+   * @param {Object} source - Feed source with url, reso options and pagination.maxPages
+   * @returns {Promise<Object[]>} Mapped listing records
+   */
+  async fetchAll(source) {
+    const options = source.reso;
+    const maxPages = source.pagination.maxPages;
+    logger.info(`Fetching RESO feed from: ${source.url}`);
+
+    const records = [];
+    let nextUrl = this.buildUrl(source.url, options);
+    let skip = 0;
+    let expectedTotal = null;
+    let pagesFetched = 0;
+
+    while (nextUrl) {
+      if (pagesFetched >= maxPages) {
+        throw new Error(`RESO feed exceeded FEED_MAX_PAGES (${maxPages})`);
+      }
+
+      this.fetcher.validateUrl(nextUrl);
+      const response = await this.fetcher.requestFeed(nextUrl, {}, source);
+      const data = response.data;
+      const pageRecords = this.mapResponse(data);
+
+      pagesFetched++;
+      records.push(...pageRecords);
+      if (expectedTotal === null && Number.isInteger(data['@odata.count'])) {
+        expectedTotal = data['@odata.count'];
+      }
+      logger.info(`Fetched RESO page ${pagesFetched}`, { records: pageRecords.length, total: records.length });
+
+      // Server-driven paging wins; otherwise keep skipping until a short page
+      const nextLink = data['@odata.nextLink'];
+      if (nextLink) {
+        nextUrl = new URL(nextLink, nextUrl).toString();
+      } else if (pageRecords.length >= options.top && (expectedTotal === null || records.length < expectedTotal)) {
+        skip += pageRecords.length;
+        nextUrl = this.buildUrl(source.url, options, skip);
+      } else {
+        nextUrl = null;
+      }
+    }
+
+    if (expectedTotal !== null && records.length < expectedTotal) {
+      throw new Error(
+        `RESO feed is incomplete: received ${records.length} of ${expectedTotal} reported records across ${pagesFetched} page(s)`
+      );
+    }
+
+    logger.info(`Fetched ${records.length} RESO records across ${pagesFetched} page(s)`);
+    return records;
+  }
+}
+
+ResoAdapter.mapResoRecord = mapResoRecord;
+ResoAdapter.mapResoStatus = mapResoStatus;
+
+module.exports = ResoAdapter;
@@ -0,0 +1,108 @@
+const { LISTINGS_PROPERTIES, HUBSPOT_OWNED_PROPERTIES } = require('./properties');
+
+/**
+ * Longest value HubSpot accepts for a text property
+ */
+const MAX_STRING_LENGTH = 65536;
+
+/**
+ * Enum options listed in full in a rejection reason (longer lists are summarized)
+ */
+const MAX_LISTED_OPTIONS = 8;
+
+/**
+ * Every property a listing may carry, by name
+ */
+const SCHEMA = new Map(
+  [...LISTINGS_PROPERTIES, ...HUBSPOT_OWNED_PROPERTIES].map(property => [property.name, {
+    ...property,
+    optionValues: property.options ? new Set(property.options.map(option => option.value)) : null,
+  }])
+);
+
+/**
+ * Describe a value for a rejection reason
+ */
+function describe(value) {
+  const text = JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+/**
+ * Check one property value against its definition
+ * @returns {string|null} Reason the value is invalid, or null if valid
+ */
+function checkValue(definition, value) {
+  switch (definition.type) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : `${describe(value)} is not a number`;
+    case 'bool':
+      return typeof value === 'boolean' ? null : `expected true or false, got ${describe(value)}`;
+    case 'date':
+      if (!Number.isInteger(value)) {
+        return `expected a date as epoch milliseconds, got ${describe(value)}`;
+      }
+      return value % 86400000 === 0 ? null : `${new Date(value).toISOString()} is not at midnight UTC (date-only property)`;
+    case 'enumeration': {
+      if (definition.optionValues.has(value)) {
+        return null;
+      }
+      const values = [...definition.optionValues];
+      return values.length <= MAX_LISTED_OPTIONS
+        ? `${describe(value)} is not one of ${values.join(', ')}`
+        : `${describe(value)} is not a valid option`;
+    }
+    default:
+      if (typeof value !== 'string') {
+        return `expected text, got ${describe(value)}`;
+      }
+      return value.length > MAX_STRING_LENGTH ? `is ${value.length} characters long (max ${MAX_STRING_LENGTH})` : null;
+  }
+}
+
+/**
+ * Check a transformed listing against the Listings property schema
+ * (LISTINGS_PROPERTIES and the HubSpot-owned properties): unknown properties,
+ * value types, enum options, text length and required properties.
+ * Null values clear a property in HubSpot and are accepted.
+ * @param {Object} listing - Transformed listing
+ * @returns {Array<{property: string, reason: string}>} Problems found (empty if valid)
+ */
+function validateListing(listing) {
+  const problems = [];
+
+  for (const [property, value] of Object.entries(listing)) {
+    if (value === null || value === undefined) {
+      continue;
+    }
+    const definition = SCHEMA.get(property);
+    const reason = definition ? checkValue(definition, value) : 'not a Listings property';
+    if (reason) {
+      problems.push({ property, reason });
+    }
+  }
+
+  for (const definition of SCHEMA.values()) {
+    const value = listing[definition.name];
+    if (definition.required && (value === undefined || value === null || value === '')) {
+      problems.push({ property: definition.name, reason: 'is required' });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * One-line summary of validation problems
+ * @param {Array<{property: string, reason: string}>} problems - Result of validateListing()
+ * @returns {string} e.g. 'listing_status: "For Sale" is not one of ...; hs_price: "abc" is not a number'
+ */
+function describeProblems(problems) {
+  return problems.map(({ property, reason }) => `${property}: ${reason}`).join('; ');
+}
+
+module.exports = {
+  MAX_STRING_LENGTH,
+  validateListing,
+  describeProblems,
+};
@@ -0,0 +1,243 @@
+const DAY_MS = 86400000;
+
+/**
+ * Date parts formatters by IANA time zone name
+ */
+const formatters = new Map();
+
+/**
+ * Get a formatter that splits an instant into its wall-clock parts in a time zone
+ * @param {string} timeZone - IANA time zone name (e.g. "America/Chicago")
+ * @returns {Intl.DateTimeFormat} Formatter
+ * @throws {RangeError} If the time zone is unknown
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check an IANA time zone name
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} True if the runtime knows the time zone
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @param {number} epochMs - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getWallTime(epochMs, timeZone) {
+  if (timeZone === 'UTC') {
+    const date = new Date(epochMs);
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: date.getUTCHours(),
+      minute: date.getUTCMinutes(),
+      second: date.getUTCSeconds(),
+    };
+  }
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(epochMs))) {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @returns {number} Milliseconds to add to UTC to get wall-clock time
+ */
+function getOffset(epochMs, timeZone) {
+  const wall = getWallTime(epochMs, timeZone);
+  const wallAsUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+  return wallAsUtc - Math.floor(epochMs / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to an instant. A time repeated when
+ * daylight saving ends resolves to its first occurrence; a time skipped when
+ * it starts is moved forward by the gap (02:30 becomes 03:30).
+ * @param {Object} wall - { year, month (1-12), day, hour, minute, second, millisecond }
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Epoch milliseconds
+ */
+function wallTimeToEpoch({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) {
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  if (timeZone === 'UTC') {
+    return wallAsUtc;
+  }
+  // The offsets a day either side bracket any transition on this date
+  const before = getOffset(wallAsUtc - DAY_MS, timeZone);
+  const after = getOffset(wallAsUtc + DAY_MS, timeZone);
+  const candidates = [wallAsUtc - before, wallAsUtc - after]
+    .filter(epochMs => getOffset(epochMs, timeZone) === wallAsUtc - epochMs);
+  return candidates.length > 0 ? Math.min(...candidates) : wallAsUtc - before;
+}
+
+/**
+ * Date-only value for HubSpot: midnight UTC of the calendar date the instant
+ * falls on in a time zone
+ * @param {number} epochMs - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Epoch milliseconds at midnight UTC
+ */
+function toDateOnly(epochMs, timeZone) {
+  const wall = getWallTime(epochMs, timeZone);
+  return Date.UTC(wall.year, wall.month - 1, wall.day);
+}
+
+/**
+ * ISO 8601 date or date-time, optionally with a fraction of any length
+ * (.NET writes seven digits) and an offset: "2025-11-08", "2025-11-08T00:18:06.0977376",
+ * "2025-11-08 00:18:06Z", "2025-11-08T00:18:06-05:00"
+ */
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+/**
+ * US date with an optional 24- or 12-hour time: "11/08/2025", "11/8/2025 2:05 PM"
+ */
+const US_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?\s*([AP]M)?)?$/i;
+
+/**
+ * Epoch seconds or milliseconds sent as text ("1731024000", "1731024000000")
+ */
+const EPOCH = /^\d{9,13}(?:\.\d+)?$/;
+
+/**
+ * Zone designators that end strings Date can parse on its own (RFC 2822 and similar)
+ */
+const EXPLICIT_ZONE = /(?:\b(?:Z|UTC?|GMT|[ECMP][SD]T)|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Build an instant from parsed wall-clock parts, rejecting impossible dates
+ * and times ("02/30/2025", "25:00")
+ * @returns {number} Epoch milliseconds, or NaN
+ */
+function partsToEpoch(wall, offset, timeZone) {
+  const check = new Date(Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second));
+  if (check.getUTCFullYear() !== wall.year || check.getUTCMonth() !== wall.month - 1 || check.getUTCDate() !== wall.day
+    || check.getUTCHours() !== wall.hour || check.getUTCMinutes() !== wall.minute || check.getUTCSeconds() !== wall.second) {
+    return NaN;
+  }
+  if (offset === undefined) {
+    return wallTimeToEpoch(wall, timeZone);
+  }
+  if (/^z$/i.test(offset)) {
+    return wallTimeToEpoch(wall, 'UTC');
+  }
+  const [, sign, hours, minutes] = /^([+-])(\d{2}):?(\d{2})$/.exec(offset);
+  const offsetMs = (parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60000;
+  return wallTimeToEpoch(wall, 'UTC') - (sign === '-' ? -offsetMs : offsetMs);
+}
+
+/**
+ * Milliseconds of a fraction of a second, truncated ("0977376" -> 97)
+ */
+function fractionToMs(fraction) {
+  return fraction ? parseInt(`${fraction}00`.slice(0, 3), 10) : 0;
+}
+
+/**
+ * Parse a date string. Dates and times without an offset are wall-clock time
+ * in the given time zone, never the server's.
+ * @param {string} text - Date text (ISO 8601, MM/DD/YYYY, epoch seconds or
+ *   milliseconds, or any other format Date understands)
+ * @param {string} [timeZone] - IANA time zone of values without an offset
+ * @returns {number} Epoch milliseconds, or NaN if the text is not a valid date
+ */
+function parseDateString(text, timeZone = 'UTC') {
+  const value = text.trim();
+
+  if (EPOCH.test(value)) {
+    const number = parseFloat(value);
+    return Math.floor(number < 10000000000 ? number * 1000 : number);
+  }
+
+  let match = ISO_DATE.exec(value);
+  if (match) {
+    const [, year, month, day, hour = '0', minute = '0', second = '0', fraction, offset] = match;
+    const wall = {
+      year: parseInt(year, 10),
+      month: parseInt(month, 10),
+      day: parseInt(day, 10),
+      hour: parseInt(hour, 10),
+      minute: parseInt(minute, 10),
+      second: parseInt(second, 10),
+      millisecond: fractionToMs(fraction),
+    };
+    return partsToEpoch(wall, offset, timeZone);
+  }
+
+  match = US_DATE.exec(value);
+  if (match) {
+    const [, month, day, year, hour = '0', minute = '0', second = '0', fraction, meridiem] = match;
+    let hours = parseInt(hour, 10);
+    if (meridiem) {
+      if (hours < 1 || hours > 12) {
+        return NaN;
+      }
+      hours = (hours % 12) + (/^pm$/i.test(meridiem) ? 12 : 0);
+    }
+    const wall = {
+      year: parseInt(year, 10),
+      month: parseInt(month, 10),
+      day: parseInt(day, 10),
+      hour: hours,
+      minute: parseInt(minute, 10),
+      second: parseInt(second, 10),
+      millisecond: fractionToMs(fraction),
+    };
+    return partsToEpoch(wall, undefined, timeZone);
+  }
+
+  // Other formats ("Nov 8, 2025 10:00"): Date reads them in the server's zone,
+  // so a value without a zone is re-read as wall-clock time in timeZone
+  const date = new Date(value);
+  if (isNaN(date.getTime()) || EXPLICIT_ZONE.test(value)) {
+    return date.getTime();
+  }
+  return wallTimeToEpoch({
+    year: date.getFullYear(),
+    month: date.getMonth() + 1,
+    day: date.getDate(),
+    hour: date.getHours(),
+    minute: date.getMinutes(),
+    second: date.getSeconds(),
+    millisecond: date.getMilliseconds(),
+  }, timeZone);
+}
+
+module.exports = {
+  isValidTimeZone,
+  wallTimeToEpoch,
+  toDateOnly,
+  parseDateString,
+};
@@ -1,76 +1,45 @@
 const logger = require('./logger');
-const { US_STATE_CODES, VALID_STATE_CODES } = require('./properties');
+const config = require('./config');
+const { VALID_STATE_CODES } = require('./properties');
+const { loadFieldMapping, readSourcePath, foldEnumValue } = require('./field-mapping');
+const { parseLotSize, convertLotSize } = require('./lot-size');
+const {
+  ADDRESS_RULES,
+  titleCaseAddress,
+  standardizeStreetLine,
+  standardizeUnitLine,
+} = require('./address-normalizer');
+const { normalizePostalCode, countryOfRegion, detectCountry, formatListingName } = require('./countries');
+const { parseDateString, toDateOnly } = require('./timezone');
+const { loadClassificationRules, classifyListing } = require('./listing-classifier');
 
 /**
- * Normalize epoch milliseconds to midnight UTC for HubSpot date-only fields.
- * HubSpot Date picker fields (Show date only) require epoch milliseconds at 00:00:00 UTC.
- * @param {number|null} epochMs - Epoch milliseconds timestamp
- * @returns {number|null} Epoch milliseconds at midnight UTC, or null if input is null/undefined
+ * Returned by readProperty() when an unknown enum value rejects the listing
  */
-function toHubSpotDateOnly(epochMs) {
-  if (epochMs == null) return null;
-  const d = new Date(Number(epochMs));
-  d.setUTCHours(0, 0, 0, 0);
-  return d.getTime();
-}
+const REJECT_LISTING = Symbol('rejectListing');
 
 /**
- * Infer HubSpot listing type based on property characteristics
- * Uses HubSpot's native hs_listing_type enum values
+ * Infer HubSpot listing type from property characteristics with the built-in
+ * classification rules (see classification-rules.default.json)
  * @param {Object} params - Property characteristics
  * @param {number|string} params.squareFootage - Square footage of the property
  * @param {number|string} params.bedrooms - Number of bedrooms
  * @param {number|string} params.bathrooms - Number of bathrooms
- * @param {number|string} params.lotSize - Lot size in square feet
+ * @param {number|string} params.lotSize - Lot size in square feet (see applyLotSize())
  * @returns {string} Inferred HubSpot listing type (internal enum value)
  */
 function inferHsListingType({ squareFootage, bedrooms, bathrooms, lotSize }) {
-  const sf = Number(squareFootage) || 0;
-  const beds = Number(bedrooms) || 0;
-  const baths = Number(bathrooms) || 0;
-  const lot = Number(lotSize) || 0;
-
-  // Lots / Land
-  if (sf === 0 && beds === 0 && baths === 0 && lot >= 5000) {
-    return 'lots_land';
-  }
-
-  // Manufactured
-  if (sf >= 400 && sf <= 1800 && lot >= 3000 && lot <= 20000 && beds >= 1) {
-    return 'manufactured';
-  }
-
-  // Apartments (larger-scale multi-unit)
-  if (beds >= 10 || baths >= 8 || (sf >= 8000 && beds >= 8)) {
-    return 'apartments';
-  }
-
-  // Multi-Family (duplex / triplex / small multi-unit)
-  if (beds >= 5 || baths >= 3.5 || (sf >= 2500 && beds >= 4)) {
-    return 'multi_family';
-  }
-
-  // Condos / Co-ops
-  if (sf > 0 && sf <= 1200 && beds <= 2 && lot < 1000) {
-    return 'condos_co_ops';
-  }
-
-  // Townhouse
-  if (sf >= 1200 && sf <= 2200 && lot >= 1000 && lot <= 4000) {
-    return 'townhouse';
-  }
-
-  // House (default residential)
-  if (sf >= 1000 && beds >= 2) {
-    return 'house';
-  }
-
-  // Fallback
-  return 'house';
+  const match = classifyListing(transformer.getClassificationRules({ classificationRulesFile: null }), {
+    hs_square_footage: squareFootage,
+    hs_bedrooms: bedrooms,
+    hs_bathrooms: bathrooms,
+    lot_size_sqft: lotSize,
+  });
+  return match ? match.type : 'house';
 }
 
 /**
- * State name to code mapping for deriving stateCode
+ * State, territory and province name to code mapping for deriving stateCode
  */
 const STATE_NAME_TO_CODE = {
   'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR',
@@ -86,56 +55,14 @@ const STATE_NAME_TO_CODE = {
   'south carolina': 'SC', 'south dakota': 'SD', 'tennessee': 'TN', 'texas': 'TX',
   'utah': 'UT', 'vermont': 'VT', 'virginia': 'VA', 'washington': 'WA',
   'west virginia': 'WV', 'wisconsin': 'WI', 'wyoming': 'WY',
+  'american samoa': 'AS', 'guam': 'GU', 'northern mariana islands': 'MP', 'puerto rico': 'PR',
+  'u.s. virgin islands': 'VI', 'us virgin islands': 'VI', 'virgin islands': 'VI',
+  'alberta': 'AB', 'british columbia': 'BC', 'manitoba': 'MB', 'new brunswick': 'NB',
+  'newfoundland and labrador': 'NL', 'newfoundland': 'NL', 'northwest territories': 'NT',
+  'nova scotia': 'NS', 'nunavut': 'NU', 'ontario': 'ON', 'prince edward island': 'PE',
+  'quebec': 'QC', 'québec': 'QC', 'saskatchewan': 'SK', 'yukon': 'YT',
 };
 
-/**
- * Valid HubSpot auction_status enum values
- */
-const VALID_AUCTION_STATUS = new Set([
-  'not_on_auction',
-  'upcoming',
-  'active',
-  'ended',
-  'sold',
-]);
-
-/**
- * Auction status mapping from human-readable strings to HubSpot internal values
- */
-const AUCTION_STATUS_MAP = {
-  'For Sale': 'active',
-  'Bidding Started': 'active',
-  'Upcoming': 'upcoming',
-  'Ended': 'ended',
-  'Sold': 'sold',
-};
-
-/**
- * Normalize auction status to HubSpot-approved enum value
- * @param {string|null} status - Raw auction status from feed
- * @returns {string|null} HubSpot-approved auction status or null if should be omitted
- */
-function normalizeAuctionStatus(status) {
-  if (status === null || status === undefined || status === '') {
-    return null;
-  }
-
-  const statusStr = String(status).trim();
-
-  // If it's already a valid HubSpot internal value, use it
-  if (VALID_AUCTION_STATUS.has(statusStr)) {
-    return statusStr;
-  }
-
-  // Try to map human-readable string to internal value
-  if (AUCTION_STATUS_MAP[statusStr] !== undefined) {
-    return AUCTION_STATUS_MAP[statusStr];
-  }
-
-  // Unknown value - omit field to avoid INVALID_OPTION errors
-  return null;
-}
-
 /**
  * Transform JSON feed data to HubSpot Listings format
  * 
@@ -146,6 +73,8 @@ function normalizeAuctionStatus(status) {
  */
 class DataTransformer {
   constructor() {
+    this.mappings = new Map(); // Mapping file ('' for the built-in mapping) => compiled mapping
+    this.ruleSets = new Map(); // Rules file ('' for the built-in rules) => compiled rules
     this.resetWarnings();
   }
 
@@ -160,9 +89,17 @@ class DataTransformer {
       dateOutOfRange: { count: 0, examples: [] },
       unsupportedDateType: { count: 0, examples: [] },
       dateParseError: { count: 0, examples: [] },
+      missingRequired: { count: 0, examples: [] },
+      unknownCode: { count: 0, examples: [], counts: new Map() }, // Reported per distinct code
+      unknownEnumValue: { count: 0, examples: [] },
+      enumRejected: { count: 0, examples: [] },
+      invalidZip: { count: 0, examples: [] },
+      regionCountryMismatch: { count: 0, examples: [] },
     };
     // Maximum examples to collect per warning type
     this.maxExamples = 3;
+    // Maximum distinct values listed for warnings counted per value
+    this.maxCounted = 10;
   }
 
   /**
@@ -171,20 +108,35 @@ class DataTransformer {
    * @param {string} example - Example value that caused the warning
    */
   trackWarning(type, example) {
-    if (this.warnings[type]) {
-      this.warnings[type].count++;
-      if (this.warnings[type].examples.length < this.maxExamples) {
-        this.warnings[type].examples.push(example);
+    const data = this.warnings[type];
+    if (!data) {
+      return;
+    }
+    data.count++;
+    if (data.counts) {
+      const seen = data.counts.get(example) || 0;
+      data.counts.set(example, seen + 1);
+      if (seen > 0) {
+        return;
       }
     }
+    if (data.examples.length < this.maxExamples) {
+      data.examples.push(example);
+    }
   }
 
   /**
    * Format examples for warning message
-   * @param {Object} data - Warning data with count and examples
+   * @param {Object} data - Warning data with count and examples (or counts per distinct value)
    * @returns {string} Formatted examples string
    */
   formatWarningExamples(data) {
+    if (data.counts) {
+      // Every distinct value once, most frequent first
+      const counted = [...data.counts].sort((a, b) => b[1] - a[1]);
+      const listed = counted.slice(0, this.maxCounted).map(([value, count]) => `"${value}" x${count}`).join(', ');
+      return ` in ${counted.length} distinct value(s): ${listed}${counted.length > this.maxCounted ? ', ...' : ''}`;
+    }
     if (data.examples.length === 0) {
       return '';
     }
@@ -205,6 +157,12 @@ class DataTransformer {
       dateOutOfRange: 'Date values out of reasonable range (1900-2100)',
       unsupportedDateType: 'Unsupported date types encountered',
       dateParseError: 'Errors parsing date values',
+      missingRequired: 'Listings skipped for missing required properties',
+      unknownCode: 'Unknown vendor codes (not in the mapping\'s code tables)',
+      unknownEnumValue: 'Values matching no option (omitted or defaulted)',
+      enumRejected: 'Listings skipped for values matching no option',
+      invalidZip: 'Values that are not a valid ZIP or postal code for the listing country (sent unchanged)',
+      regionCountryMismatch: 'State/province codes outside the listing country (omitted)',
     };
 
     let hasWarnings = false;
@@ -225,245 +183,324 @@ class DataTransformer {
   }
 
   /**
-   * Get the first available field value from a list of possible field names
+   * Get the field mapping for a feed source: its mapping file, FIELD_MAPPING_FILE
+   * for sources that do not set one, or the built-in mapping. Mappings are
+   * loaded (and validated) once per file.
+   * @param {Object} [source] - Feed source ({ mappingFile })
+   * @returns {{file: string, properties: Object[]}} Compiled mapping
    */
-  getFirstAvailableField(feedListing, ...fieldNames) {
-    for (const fieldName of fieldNames) {
-      if (feedListing[fieldName] !== undefined && feedListing[fieldName] !== null) {
-        return feedListing[fieldName];
-      }
+  getFieldMapping(source = null) {
+    const file = source && source.mappingFile !== undefined ? source.mappingFile : config.get('fieldMappingFile');
+    const key = file || '';
+    if (!this.mappings.has(key)) {
+      this.mappings.set(key, loadFieldMapping(file || null));
     }
-    return null;
+    return this.mappings.get(key);
   }
 
   /**
-   * Transform a single listing from feed format to HubSpot format
+   * Get the listing type classification rules for a feed source: its rules
+   * file, CLASSIFICATION_RULES_FILE for sources that do not set one, or the
+   * built-in rules. Rules are loaded (and validated) once per file.
+   * @param {Object} [source] - Feed source ({ classificationRulesFile })
+   * @returns {{file: string, rules: Object[]}} Compiled rules
    */
-  transformListing(feedListing) {
-    const transformed = {};
-
-    // Required fields - external_listing_id is the primary key
-    const externalListingId = this.getFirstAvailableField(feedListing, 'externalListingId', 'external_listing_id', 'assetId', 'asset_id', 'id');
-    if (externalListingId) {
-      transformed.external_listing_id = String(externalListingId);
-    }
-
-    // Reference ID
-    const referenceId = this.getFirstAvailableField(feedListing, 'referenceId', 'reference_id', 'assetReferenceId', 'asset_reference_id');
-    if (referenceId) {
-      transformed.reference_id = String(referenceId);
-    }
-
-    // Listing Start Date (date-only field, normalized to midnight UTC)
-    const startDate = this.getFirstAvailableField(feedListing, 'listingStartDate', 'listing_start_date', 'startDate', 'start_date');
-    if (startDate) {
-      transformed.listing_start_date = toHubSpotDateOnly(this.parseDate(startDate));
-    }
-
-    // Listing End Date (date-only field, normalized to midnight UTC)
-    const endDate = this.getFirstAvailableField(feedListing, 'listingEndDate', 'listing_end_date', 'endDate', 'end_date');
-    if (endDate) {
-      transformed.listing_end_date = toHubSpotDateOnly(this.parseDate(endDate));
-    }
+  getClassificationRules(source = null) {
+    const file = source && source.classificationRulesFile !== undefined
+      ? source.classificationRulesFile
+      : config.get('classificationRulesFile');
+    const key = file || '';
+    if (!this.ruleSets.has(key)) {
+      this.ruleSets.set(key, loadClassificationRules(file || null));
+    }
+    return this.ruleSets.get(key);
+  }
 
-    // Price fields - use HubSpot's native 'hs_price' field (not custom 'list_price')
-    const priceValue = this.getFirstAvailableField(feedListing, 'listPrice', 'list_price', 'price');
-    if (priceValue !== null) {
-      const parsedPrice = this.parseNumber(priceValue);
-      if (parsedPrice !== null) {
-        transformed.hs_price = parsedPrice;
+  /**
+   * Read a mapped property from a feed record. Source paths are tried in
+   * order; the first value that converts to the property's type is used,
+   * then the mapping's default. An enum value matching no option is handled
+   * by the property's unknown-value policy.
+   * @param {Object} feedListing - Raw feed record
+   * @param {Object} property - Compiled property mapping
+   * @param {string} [timeZone] - IANA time zone of dates without an offset
+   * @returns {*} Converted value, null if the record has none, or REJECT_LISTING
+   */
+  readProperty(feedListing, property, timeZone = 'UTC') {
+    let unmatched;
+    for (const sourcePath of property.from) {
+      let value = readSourcePath(feedListing, sourcePath);
+      if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+        continue;
+      }
+      if (sourcePath.codes) {
+        value = this.decodeValue(value, sourcePath);
+        if (value === null) {
+          continue;
+        }
+      }
+      const converted = this.convertValue(value, property, timeZone);
+      if (converted !== null) {
+        return converted;
+      }
+      if (unmatched === undefined) {
+        unmatched = value;
       }
     }
 
-    // Status fields
-    const status = this.getFirstAvailableField(feedListing, 'listingStatus', 'listing_status', 'status');
-    if (status) {
-      transformed.listing_status = String(status);
-    }
-
-    // Square footage
-    const sqft = this.getFirstAvailableField(feedListing, 'squareFootage', 'square_footage', 'sqft');
-    if (sqft !== null) {
-      transformed.hs_square_footage = this.parseNumber(sqft);
-    }
-
-    // Bathrooms
-    const baths = this.getFirstAvailableField(feedListing, 'bathrooms', 'baths');
-    if (baths !== null) {
-      transformed.hs_bathrooms = this.parseNumber(baths);
-    }
-
-    // Bedrooms
-    const beds = this.getFirstAvailableField(feedListing, 'bedrooms', 'beds');
-    if (beds !== null) {
-      transformed.hs_bedrooms = this.parseNumber(beds);
+    if (property.type === 'enum' && unmatched !== undefined) {
+      const example = `${property.name}=${JSON.stringify(unmatched)}`;
+      if (property.unknown === 'reject') {
+        this.trackWarning('enumRejected', example);
+        logger.debug(`Listing rejected, unknown ${property.name} value: ${JSON.stringify(unmatched)}`);
+        return REJECT_LISTING;
+      }
+      this.trackWarning('unknownEnumValue', example);
+      logger.debug(`Unknown ${property.name} value ${JSON.stringify(unmatched)}, ${property.unknown === 'default' ? 'using the default' : 'omitted'}`);
+      if (property.unknown === 'omit') {
+        return null;
+      }
     }
+    return property.default !== null ? this.convertValue(property.default, property, timeZone) : null;
+  }
 
-    // Lot size
-    const lotSize = this.getFirstAvailableField(feedListing, 'lotSize', 'lot_size');
-    if (lotSize !== null) {
-      transformed.hs_lot_size = this.parseNumber(lotSize);
+  /**
+   * Translate a vendor code through its source path's code table
+   * @param {*} value - Feed value (e.g. 10 for propertyType)
+   * @param {Object} sourcePath - Compiled source path with codes
+   * @returns {*} The coded value, or null if the code is unknown or maps to null (the next source path is tried)
+   */
+  decodeValue(value, sourcePath) {
+    const code = String(value).trim();
+    if (Object.prototype.hasOwnProperty.call(sourcePath.codes, code)) {
+      return sourcePath.codes[code];
     }
+    this.trackWarning('unknownCode', `${sourcePath.path}=${code}`);
+    logger.debug(`Unknown ${sourcePath.path} code: ${code}`);
+    return null;
+  }
 
-    // Infer hs_listing_type using HubSpot native enum values
-    transformed.hs_listing_type = inferHsListingType({
-      squareFootage: transformed.hs_square_footage,
-      bedrooms: transformed.hs_bedrooms,
-      bathrooms: transformed.hs_bathrooms,
-      lotSize: transformed.hs_lot_size,
-    });
-
-    // Lot size units
-    const lotSizeUnits = this.getFirstAvailableField(feedListing, 'lotSizeUnits', 'lot_size_units');
-    if (lotSizeUnits) {
-      transformed.lot_size_units = String(lotSizeUnits);
+  /**
+   * Convert a feed value to a mapped property's type
+   * @param {*} value - Feed value
+   * @param {Object} property - Compiled property mapping
+   * @param {string} [timeZone] - IANA time zone of dates without an offset
+   * @returns {*} Converted value, or null if it cannot be converted
+   */
+  convertValue(value, property, timeZone = 'UTC') {
+    switch (property.type) {
+      case 'number':
+        return this.parseNumber(value);
+      case 'boolean':
+        return this.parseBoolean(value);
+      case 'date': {
+        // HubSpot date-only fields take midnight UTC of the calendar date,
+        // which is the date the listing had in the source's time zone
+        const epochMs = this.parseDate(value, timeZone);
+        return epochMs === null ? null : toDateOnly(epochMs, timeZone);
+      }
+      case 'state_code':
+        return this.parseStateCode(value);
+      case 'lot_size':
+        // { size, unit }, resolved by applyLotSize()
+        return parseLotSize(value);
+      case 'enum':
+        // Option values, labels and synonyms, ignoring case and separators
+        return typeof value === 'object' ? null : property.lookup.get(foldEnumValue(value)) || null;
+      default:
+        return typeof value === 'object' ? null : String(value);
     }
+  }
 
-    // Address fields
-    if (feedListing.city) {
-      transformed.hs_city = String(feedListing.city);
-    }
+  /**
+   * Transform a single listing from feed format to HubSpot format
+   * @param {Object} feedListing - Raw feed record
+   * @param {Object} [mapping] - Compiled field mapping (default: the built-in or FIELD_MAPPING_FILE mapping)
+   * @param {string} [timeZone] - IANA time zone of dates without an offset (default: FEED_TIMEZONE)
+   * @param {Object} [rules] - Compiled classification rules (default: the built-in or CLASSIFICATION_RULES_FILE rules)
+   * @returns {Object|null} Transformed listing, or null if a required property is missing
+   *   or an enum value rejects the listing
+   */
+  transformListing(
+    feedListing,
+    mapping = this.getFieldMapping(),
+    timeZone = config.get('feedTimezone'),
+    rules = this.getClassificationRules()
+  ) {
+    const transformed = {};
 
-    if (feedListing.state) {
-      transformed.hs_state_province = String(feedListing.state);
+    let rejected = false;
+    for (const property of mapping.properties) {
+      const value = this.readProperty(feedListing, property, timeZone);
+      if (value === REJECT_LISTING) {
+        rejected = true;
+      } else if (value !== null) {
+        transformed[property.name] = value;
+      }
     }
-
-    // Derive state_code from state or use provided stateCode
-    const stateCode = this.deriveStateCode(feedListing);
-    if (stateCode) {
-      transformed.state_code = stateCode;
+    if (rejected) {
+      return null;
     }
 
-    const zip = this.getFirstAvailableField(feedListing, 'zip', 'zipCode', 'zip_code', 'postal_code');
-    if (zip) {
-      transformed.hs_zip = String(zip);
+    const missing = mapping.properties.filter(property => property.required && transformed[property.name] === undefined);
+    if (missing.length > 0) {
+      const names = missing.map(property => property.name).join(', ');
+      const id = transformed.external_listing_id || transformed.hs_name;
+      this.trackWarning('missingRequired', id ? `${names} (listing ${id})` : names);
+      logger.debug(`Listing skipped, missing required properties: ${names}`);
+      return null;
     }
 
-    if (feedListing.county) {
-      transformed.county = String(feedListing.county);
-    }
+    this.applyCountry(transformed);
+    this.normalizeAddress(transformed);
+    const lotSizeSqft = this.applyLotSize(transformed);
+    this.applyGallery(transformed, feedListing);
 
-    const address1 = this.getFirstAvailableField(feedListing, 'addressLine1', 'address_line_1', 'address1', 'address', 'street');
-    if (address1) {
-      transformed.hs_address_1 = String(address1);
+    // A type the feed sends (mapped to HubSpot's hs_listing_type values) wins;
+    // otherwise the first classification rule that matches sets it
+    if (transformed.hs_listing_type !== undefined) {
+      transformed.listing_type_rule = 'feed';
+    } else {
+      const match = classifyListing(rules, { ...transformed, lot_size_sqft: lotSizeSqft }, feedListing);
+      if (match) {
+        transformed.hs_listing_type = match.type;
+        transformed.listing_type_rule = match.rule;
+        logger.debug(`Listing type ${match.type} from rule ${match.rule}`);
+      }
     }
 
-    const address2 = this.getFirstAvailableField(feedListing, 'addressLine2', 'address_line_2', 'address2', 'unit');
-    if (address2) {
-      transformed.hs_address_2 = String(address2);
+    // REQUIRED by HubSpot: hs_name
+    // Generate hs_name from address components if not already provided in the feed
+    if (!transformed.hs_name) {
+      // Final fallback (HubSpot requires hs_name)
+      transformed.hs_name =
+        formatListingName(transformed) ||
+        (transformed.external_listing_id ? `Listing ${transformed.external_listing_id}` : 'Listing');
     }
 
-    // URL fields
-    const listingUrl = this.getFirstAvailableField(feedListing, 'listingUrl', 'listing_url', 'propertyUrl', 'property_url', 'url');
-    if (listingUrl) {
-      transformed.listing_url = String(listingUrl);
-    }
+    return transformed;
+  }
 
-    const primaryImageUrl = this.getFirstAvailableField(feedListing, 'primaryImageUrl', 'primary_image_url', 'imageUrl', 'image_url', 'mediaUrl', 'media_url');
-    if (primaryImageUrl) {
-      transformed.primary_image_url = String(primaryImageUrl);
+  /**
+   * Fill in the listing's country when the feed sends none, from its state or
+   * province code or a Canadian postal code. A state_code belonging to another
+   * country than the one the feed sent is dropped.
+   * @param {Object} transformed - Transformed listing, updated in place
+   */
+  applyCountry(transformed) {
+    if (!transformed.country) {
+      const country = detectCountry(transformed);
+      if (country) {
+        transformed.country = country;
+      }
+      return;
     }
 
-    // Marketing flags
-    const isNewListing = this.getFirstAvailableField(feedListing, 'isNewListing', 'is_new_listing', 'isNew', 'is_new');
-    if (isNewListing !== null) {
-      transformed.is_new_listing = this.parseBoolean(isNewListing);
+    const region = transformed.state_code;
+    if (region && countryOfRegion(region) !== transformed.country) {
+      this.trackWarning('regionCountryMismatch', `${region} (${transformed.country})`);
+      logger.debug(`State code ${region} is not in country ${transformed.country}`);
+      delete transformed.state_code;
     }
+  }
 
-    const isFeatured = this.getFirstAvailableField(feedListing, 'isFeatured', 'is_featured', 'featured');
-    if (isFeatured !== null) {
-      transformed.is_featured = this.parseBoolean(isFeatured);
+  /**
+   * Apply the address rules enabled with ADDRESS_NORMALIZATION, before hs_name
+   * is built from the address: USPS street suffix and unit designator
+   * abbreviations, title casing and ZIP/postal code formatting for the
+   * listing's country.
+   * @param {Object} transformed - Transformed listing, updated in place
+   */
+  normalizeAddress(transformed) {
+    const enabled = config.get('addressNormalization');
+    const rules = new Set(enabled.includes('all') ? ADDRESS_RULES : enabled);
+    if (rules.size === 0) {
+      return;
     }
 
-    // marketing_eligible defaults to true if not provided.
-    // This ensures new listings are automatically eligible for marketing campaigns (emails, workflows).
-    // Override by explicitly setting marketingEligible: false in the feed data.
-    const marketingEligible = this.getFirstAvailableField(feedListing, 'marketingEligible', 'marketing_eligible');
-    if (marketingEligible !== null) {
-      transformed.marketing_eligible = this.parseBoolean(marketingEligible);
-    } else {
-      transformed.marketing_eligible = true;
+    if (transformed.hs_address_1 && (rules.has('street_suffix') || rules.has('unit_designator'))) {
+      transformed.hs_address_1 = standardizeStreetLine(transformed.hs_address_1, {
+        streetSuffix: rules.has('street_suffix'),
+        unitDesignator: rules.has('unit_designator'),
+      });
     }
-
-    // Auction fields - fail soft: invalid data is stripped, not blocking
-    // Auction status - normalize to HubSpot-approved enum values
-    const auctionStatus = this.getFirstAvailableField(feedListing, 'auctionStatus', 'auction_status');
-    if (auctionStatus) {
-      const normalizedStatus = normalizeAuctionStatus(auctionStatus);
-      if (normalizedStatus !== null) {
-        transformed.auction_status = normalizedStatus;
-      }
-      // If normalizedStatus is null, omit the field to avoid INVALID_OPTION errors
+    if (transformed.hs_address_2 && rules.has('unit_designator')) {
+      transformed.hs_address_2 = standardizeUnitLine(transformed.hs_address_2);
     }
 
-    // Auction dates - normalize to midnight UTC (HubSpot date-only fields)
-    const auctionStart = this.getFirstAvailableField(feedListing, 'auctionStartDate', 'auction_start_date');
-    if (auctionStart) {
-      const parsedStart = this.parseDate(auctionStart);
-      if (parsedStart !== null) {
-        const normalizedStart = toHubSpotDateOnly(parsedStart);
-        if (normalizedStart !== null) {
-          transformed.auction_start_date = normalizedStart;
+    if (rules.has('title_case')) {
+      for (const name of ['hs_address_1', 'hs_address_2', 'hs_city', 'county']) {
+        if (transformed[name]) {
+          transformed[name] = titleCaseAddress(transformed[name]);
         }
       }
-      // If parsing/normalization fails, omit the field to avoid INVALID_DATE errors
-    }
-
-    const auctionEnd = this.getFirstAvailableField(feedListing, 'auctionEndDate', 'auction_end_date');
-    if (auctionEnd) {
-      const parsedEnd = this.parseDate(auctionEnd);
-      if (parsedEnd !== null) {
-        const normalizedEnd = toHubSpotDateOnly(parsedEnd);
-        if (normalizedEnd !== null) {
-          transformed.auction_end_date = normalizedEnd;
-        }
+      // State names only; codes stay in capitals
+      if (transformed.hs_state_province && transformed.hs_state_province.trim().length > 2) {
+        transformed.hs_state_province = titleCaseAddress(transformed.hs_state_province);
       }
-      // If parsing/normalization fails, omit the field to avoid INVALID_DATE errors
     }
 
-    // REQUIRED by HubSpot: hs_name
-    // Generate hs_name from address components if not already provided in the feed
-    if (!transformed.hs_name) {
-      const parts = [];
-
-      // Street address
-      if (transformed.hs_address_1) {
-        let street = transformed.hs_address_1;
-
-        if (transformed.hs_address_2) {
-          street += ` ${transformed.hs_address_2}`;
-        }
-
-        parts.push(street);
+    if (rules.has('zip') && transformed.hs_zip) {
+      const zip = normalizePostalCode(transformed.hs_zip, transformed.country);
+      if (zip) {
+        transformed.hs_zip = zip;
+      } else {
+        this.trackWarning('invalidZip', transformed.hs_zip);
+        logger.debug(`Invalid ZIP code: ${transformed.hs_zip}`);
       }
-
-      // City
-      if (transformed.hs_city) {
-        parts.push(transformed.hs_city);
-      }
-
-      // State + ZIP
-      const stateZip = [];
-      if (transformed.hs_state_province) {
-        stateZip.push(transformed.hs_state_province);
-      }
-      if (transformed.hs_zip) {
-        stateZip.push(transformed.hs_zip);
-      }
-      if (stateZip.length) {
-        parts.push(stateZip.join(' '));
-      }
-
-      // Final fallback (HubSpot requires hs_name)
-      transformed.hs_name =
-        parts.length > 0
-          ? parts.join(', ')
-          : transformed.external_listing_id
-            ? `Listing ${transformed.external_listing_id}`
-            : 'Listing';
     }
+  }
 
-    return transformed;
+  /**
+   * Resolve the lot size's unit and convert it to the unit configured with
+   * LOT_SIZE_UNIT. A unit suffix on the value ("1.73 ac") wins over the
+   * lot_size_units companion field; without either the unit is unknown and
+   * the size is left as sent.
+   * @param {Object} transformed - Transformed listing, updated in place
+   * @returns {number|undefined} Lot size in square feet for classification
+   *   (sizes of unknown unit are taken as square feet)
+   */
+  applyLotSize(transformed) {
+    if (transformed.hs_lot_size === undefined) {
+      return undefined;
+    }
+    const lot = typeof transformed.hs_lot_size === 'object'
+      ? transformed.hs_lot_size
+      : { size: transformed.hs_lot_size, unit: null };
+    const unit = lot.unit || transformed.lot_size_units || null;
+    if (!unit) {
+      transformed.hs_lot_size = lot.size;
+      return lot.size;
+    }
+
+    const configured = config.get('lotSizeUnit');
+    // HubSpot has no hectare option
+    const target = configured !== 'feed' ? configured : unit === 'hectares' ? 'sqm' : unit;
+    transformed.hs_lot_size = convertLotSize(lot.size, unit, target);
+    transformed.lot_size_units = target;
+    return convertLotSize(lot.size, unit, 'sqft');
+  }
+
+  /**
+   * Fill the gallery properties from the record's ordered image URLs
+   * ("pictures", built from media rows, XML pictures or RESO Media): the
+   * first becomes primary_image_url unless the mapping set one, image_count
+   * counts the distinct images and additional_image_urls lists the rest, one
+   * per line (empty when there is only one image, clearing older galleries).
+   * @param {Object} transformed - Transformed listing, updated in place
+   * @param {Object} feedListing - Raw feed record
+   */
+  applyGallery(transformed, feedListing) {
+    const pictures = Array.isArray(feedListing.pictures)
+      ? feedListing.pictures.filter(url => typeof url === 'string').map(url => url.trim())
+      : [];
+    const urls = [...new Set([transformed.primary_image_url, ...pictures].filter(Boolean))];
+    if (urls.length === 0) {
+      return;
+    }
+    transformed.primary_image_url = urls[0];
+    transformed.image_count = urls.length;
+    transformed.additional_image_urls = urls.slice(1).join('\n');
   }
 
   /**
@@ -497,94 +534,81 @@ class DataTransformer {
   }
 
   /**
-   * Derive state code from state value or provided stateCode
+   * Convert a state code or state name to a valid state code
+   * @param {*} value - Feed value (e.g. "tx", "Texas")
+   * @returns {string|null} Two-letter code, or null if not recognized
    */
-  deriveStateCode(feedListing) {
-    // First check if stateCode is already provided
-    const providedCode = this.getFirstAvailableField(feedListing, 'stateCode', 'state_code');
-    if (providedCode) {
-      const code = String(providedCode).toUpperCase();
-      if (VALID_STATE_CODES.has(code)) {
-        return code;
-      }
-      // Track invalid stateCode for aggregated warning
-      this.trackWarning('invalidStateCode', String(providedCode));
-      logger.debug(`Invalid stateCode provided: ${providedCode}`);
-    }
-
-    // Try to derive from state field using getFirstAvailableField for flexibility
-    const state = this.getFirstAvailableField(feedListing, 'state', 'state_name');
-    if (!state) {
-      return null;
-    }
-
-    const stateStr = String(state).trim();
-    
-    // Check if it's already a valid 2-letter code
-    if (stateStr.length === 2 && VALID_STATE_CODES.has(stateStr.toUpperCase())) {
-      return stateStr.toUpperCase();
+  parseStateCode(value) {
+    const text = String(value).trim();
+    const code = text.toUpperCase();
+    if (VALID_STATE_CODES.has(code)) {
+      return code;
     }
 
     // Try to look up state name
-    const normalizedName = stateStr.toLowerCase();
-    if (STATE_NAME_TO_CODE[normalizedName]) {
-      return STATE_NAME_TO_CODE[normalizedName];
+    const fromName = STATE_NAME_TO_CODE[text.toLowerCase()];
+    if (fromName) {
+      return fromName;
     }
 
-    // Track state derivation failure for aggregated warning
-    this.trackWarning('stateDerivationFailed', state);
-    logger.debug(`Could not derive stateCode from state value: "${state}"`);
+    // Track the failure for aggregated warning
+    if (text.length === 2) {
+      this.trackWarning('invalidStateCode', text);
+      logger.debug(`Invalid stateCode provided: ${text}`);
+    } else {
+      this.trackWarning('stateDerivationFailed', text);
+      logger.debug(`Could not derive stateCode from state value: "${text}"`);
+    }
     return null;
   }
 
   /**
-   * Parse a date value to Unix timestamp in milliseconds
+   * Parse a date value to Unix timestamp in milliseconds. Numbers and digit
+   * strings are epoch seconds or milliseconds; date strings without an offset
+   * are read in timeZone (see parseDateString()).
+   * @param {*} value - Feed value
+   * @param {string} [timeZone] - IANA time zone of dates without an offset
+   * @returns {number|null} Epoch milliseconds, or null if invalid or outside 1900-2100
    */
-  parseDate(value) {
+  parseDate(value, timeZone = 'UTC') {
     if (!value) {
       return null;
     }
 
     try {
+      let timestamp;
+
       // Handle numeric timestamps (already in milliseconds or seconds)
       if (typeof value === 'number') {
         // If it looks like seconds (less than year 3000 in milliseconds)
-        const timestamp = value < 10000000000 ? value * 1000 : value;
-        const date = new Date(timestamp);
-        if (!isNaN(date.getTime())) {
-          return date.getTime();
-        }
-      }
-
-      // Handle string dates
-      if (typeof value === 'string') {
+        timestamp = value < 10000000000 ? value * 1000 : value;
+      } else if (typeof value === 'string') {
         // Reject obviously invalid patterns
         if (value.trim() === '' || value === 'null' || value === 'undefined') {
           return null;
         }
+        timestamp = parseDateString(value, timeZone);
+      } else {
+        this.trackWarning('unsupportedDateType', typeof value);
+        logger.debug(`Unsupported date type: ${typeof value}`);
+        return null;
+      }
 
-        const date = new Date(value);
-        
-        // Check if the date is valid and not in the distant past (before 1900) or far future (after 2100)
-        if (isNaN(date.getTime())) {
-          this.trackWarning('invalidDate', value);
-          logger.debug(`Invalid date value: ${value}`);
-          return null;
-        }
-
-        const year = date.getFullYear();
-        if (year < 1900 || year > 2100) {
-          this.trackWarning('dateOutOfRange', value);
-          logger.debug(`Date out of reasonable range: ${value}`);
-          return null;
-        }
+      if (!Number.isFinite(timestamp) || isNaN(new Date(timestamp).getTime())) {
+        this.trackWarning('invalidDate', value);
+        logger.debug(`Invalid date value: ${value}`);
+        return null;
+      }
 
-        return date.getTime();
+      // Check the date is not in the distant past (before 1900) or far future (after 2100)
+      const year = new Date(timestamp).getUTCFullYear();
+      if (year < 1900 || year > 2100) {
+        this.trackWarning('dateOutOfRange', value);
+        logger.debug(`Date out of reasonable range: ${value}`);
+        return null;
       }
 
-      this.trackWarning('unsupportedDateType', typeof value);
-      logger.debug(`Unsupported date type: ${typeof value}`);
-      return null;
+      return timestamp;
     } catch (error) {
       this.trackWarning('dateParseError', String(value));
       logger.debug(`Error parsing date: ${value}`, { error: error.message });
@@ -592,6 +616,75 @@ class DataTransformer {
     }
   }
 
+  /**
+   * Copy vendor-specific fields onto the field names transformListing understands.
+   * Existing values are never overwritten.
+   * @param {Object} feedListing - Raw feed record
+   * @param {Object} fieldMap - { vendorField: feedField }, e.g. { "ListPrice": "listPrice" }
+   * @returns {Object} Record with mapped fields added
+   */
+  applyFieldMap(feedListing, fieldMap) {
+    const entries = Object.entries(fieldMap || {});
+    if (entries.length === 0 || !feedListing || typeof feedListing !== 'object') {
+      return feedListing;
+    }
+
+    const mapped = { ...feedListing };
+    for (const [vendorField, feedField] of entries) {
+      const value = feedListing[vendorField];
+      if (value !== undefined && value !== null && (mapped[feedField] === undefined || mapped[feedField] === null)) {
+        mapped[feedField] = value;
+      }
+    }
+    return mapped;
+  }
+
+  /**
+   * Fill properties the feed left empty with the source's defaults and stamp
+   * the listing with the source name
+   * @param {Object} listing - Transformed listing
+   * @param {Object} source - Feed source ({ name, defaults })
+   * @returns {Object} The same listing
+   */
+  applySourceDefaults(listing, source) {
+    for (const [property, value] of Object.entries(source.defaults || {})) {
+      if (listing[property] === undefined || listing[property] === null || listing[property] === '') {
+        listing[property] = value;
+      }
+    }
+    listing.feed_source = source.name;
+    return listing;
+  }
+
+  /**
+   * Transform a single feed record, returning null for records that fail to
+   * transform or lack hs_name (required by HubSpot).
+   * Used by both the batch and streaming pipelines; warnings keep aggregating
+   * until the caller resets them.
+   * @param {Object} feedListing - Raw feed record
+   * @param {number} index - Position of the record in the feed (for error logs)
+   * @param {Object} [source] - Feed source whose field map, mapping, rules, time zone and defaults apply
+   * @returns {Object|null} Transformed listing or null if invalid
+   */
+  transformRecord(feedListing, index, source = null) {
+    try {
+      const record = source ? this.applyFieldMap(feedListing, source.fieldMap) : feedListing;
+      const listing = this.transformListing(
+        record,
+        this.getFieldMapping(source),
+        source ? source.timezone : undefined,
+        this.getClassificationRules(source)
+      );
+      if (listing && source) {
+        this.applySourceDefaults(listing, source);
+      }
+      return listing && listing.hs_name ? listing : null;
+    } catch (error) {
+      logger.error(`Error transforming listing at index ${index}`, { error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Transform an array of listings
    */
@@ -605,15 +698,8 @@ class DataTransformer {
     }
 
     const results = feedListings
-      .map((listing, index) => {
-        try {
-          return this.transformListing(listing);
-        } catch (error) {
-          logger.error(`Error transforming listing at index ${index}`, { error: error.message });
-          return null;
-        }
-      })
-      .filter(listing => listing !== null && listing.hs_name); // Filter out invalid listings (hs_name is required)
+      .map((listing, index) => this.transformRecord(listing, index))
+      .filter(listing => listing !== null);
 
     // Log aggregated warnings summary
     this.logWarningSummary();
@@ -0,0 +1,239 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Address ranges feeds may not be fetched from, with the reason reported.
+ * IPv4-mapped, NAT64 and 6to4 IPv6 addresses are checked against the IPv4
+ * ranges through the address they embed.
+ */
+const BLOCKED_RANGES = [
+  ['0.0.0.0/8', 'a "this network" address'],
+  ['10.0.0.0/8', 'a private network address'],
+  ['100.64.0.0/10', 'a carrier-grade NAT address'],
+  ['127.0.0.0/8', 'a loopback address'],
+  ['169.254.0.0/16', 'a link-local address (cloud metadata)'],
+  ['172.16.0.0/12', 'a private network address'],
+  ['192.0.0.0/24', 'an IETF protocol assignment address'],
+  ['192.168.0.0/16', 'a private network address'],
+  ['198.18.0.0/15', 'a benchmarking network address'],
+  ['224.0.0.0/4', 'a multicast address'],
+  ['240.0.0.0/4', 'a reserved address'],
+  ['::/128', 'the unspecified address'],
+  ['::1/128', 'a loopback address'],
+  ['fc00::/7', 'a unique local (private) address'],
+  ['fe80::/10', 'a link-local address'],
+  ['fec0::/10', 'a site-local address'],
+  ['ff00::/8', 'a multicast address'],
+].map(([cidr, reason]) => {
+  const [base, bits] = cidr.split('/');
+  const family = net.isIP(base);
+  return { family, base: addressToBigInt(base, family), bits: Number(bits), reason };
+});
+
+/**
+ * IPv6 prefixes that carry an IPv4 address: [prefix, prefix length, bit offset of the IPv4 address]
+ */
+const EMBEDDED_IPV4 = [
+  [addressToBigInt('::ffff:0:0', 6), 96, 0], // IPv4-mapped
+  [addressToBigInt('64:ff9b::', 6), 96, 0], // NAT64
+  [addressToBigInt('2002::', 6), 16, 80], // 6to4
+];
+
+/**
+ * Error for a feed URL refused by the SSRF guard (never retried)
+ */
+class BlockedUrlError extends Error {
+  constructor(message) {
+    super(`Feed URL blocked: ${message}`);
+    this.name = 'BlockedUrlError';
+    this.code = 'ERR_FEED_URL_BLOCKED';
+  }
+}
+
+/**
+ * Convert an IP address to an integer (32 bits for IPv4, 128 for IPv6)
+ */
+function addressToBigInt(address, family) {
+  if (family === 4) {
+    return address.split('.').reduce((value, octet) => (value << 8n) + BigInt(Number(octet)), 0n);
+  }
+
+  let text = address.split('%')[0].toLowerCase();
+  // A dotted IPv4 tail ("::ffff:10.0.0.1") becomes two hextets
+  const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (dotted) {
+    const value = addressToBigInt(dotted[1], 4);
+    text = `${text.slice(0, dotted.index)}${(value >> 16n).toString(16)}:${(value & 0xffffn).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const missing = text.includes('::') ? 8 - headParts.length - tailParts.length : 0;
+  const hextets = [...headParts, ...Array(missing).fill('0'), ...tailParts];
+  return hextets.reduce((value, hextet) => (value << 16n) + BigInt(parseInt(hextet, 16)), 0n);
+}
+
+/**
+ * Check whether an integer address falls inside a prefix
+ */
+function inRange(value, base, bits, width) {
+  const shift = BigInt(width - bits);
+  return (value >> shift) === (base >> shift);
+}
+
+/**
+ * Explain why an IP address must not be fetched from
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {string|null} Reason (e.g. "a private network address") or null if public
+ */
+function blockedReason(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return null;
+  }
+  const value = addressToBigInt(address, family);
+  const width = family === 4 ? 32 : 128;
+
+  if (family === 6) {
+    for (const [prefix, bits, offset] of EMBEDDED_IPV4) {
+      if (inRange(value, prefix, bits, 128)) {
+        const ipv4 = (value >> BigInt(offset)) & 0xffffffffn;
+        const embedded = [24n, 16n, 8n, 0n].map(shift => String((ipv4 >> shift) & 0xffn)).join('.');
+        const reason = blockedReason(embedded);
+        return reason ? `${reason} (embedded ${embedded})` : null;
+      }
+    }
+  }
+
+  const range = BLOCKED_RANGES.find(entry => entry.family === family && inRange(value, entry.base, entry.bits, width));
+  return range ? range.reason : null;
+}
+
+/**
+ * Check a hostname against the allowlist. Entries match exactly, or with a
+ * leading "*." match any subdomain ("*.corp.example" allows "feeds.corp.example").
+ * @param {string} hostname - URL hostname
+ * @param {string[]} allowedHosts - FEED_ALLOWED_HOSTS entries
+ */
+function isAllowedHost(hostname, allowedHosts = []) {
+  const host = normalizeHostname(hostname);
+  return allowedHosts.some(entry => {
+    const allowed = normalizeHostname(entry);
+    return allowed.startsWith('*.') ? host.endsWith(allowed.slice(1)) : host === allowed;
+  });
+}
+
+/**
+ * Lowercase a hostname and strip IPv6 brackets and a trailing dot
+ */
+function normalizeHostname(hostname) {
+  return String(hostname).toLowerCase().replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '');
+}
+
+/**
+ * Reject hostnames that are blocked without a DNS lookup: IP literals in a
+ * blocked range and localhost names. Allowlisted hosts always pass.
+ * @param {string} hostname - URL hostname
+ * @param {string[]} allowedHosts - FEED_ALLOWED_HOSTS entries
+ * @throws {BlockedUrlError} If the host is blocked
+ */
+function checkHostname(hostname, allowedHosts = []) {
+  if (isAllowedHost(hostname, allowedHosts)) {
+    return;
+  }
+  const host = normalizeHostname(hostname);
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    throw new BlockedUrlError(`${host} is a loopback host`);
+  }
+  const reason = blockedReason(host);
+  if (reason) {
+    throw new BlockedUrlError(`${host} is ${reason}`);
+  }
+}
+
+/**
+ * Check a URL before it is requested: only HTTP(S), and a host that passes
+ * checkHostname()
+ * @param {string} url - URL to request
+ * @param {string[]} allowedHosts - FEED_ALLOWED_HOSTS entries
+ * @throws {BlockedUrlError} If the URL points at a blocked address
+ */
+function checkUrl(url, allowedHosts = []) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid feed URL: ${error.message}`);
+  }
+
+  // Only allow http and https protocols
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    throw new Error('Invalid feed URL: Only HTTP and HTTPS protocols are allowed');
+  }
+
+  checkHostname(parsedUrl.hostname, allowedHosts);
+}
+
+/**
+ * Check a redirect before it is followed (an axios/follow-redirects beforeRedirect hook)
+ * @param {Object} options - Request options of the next hop
+ * @param {string[]} allowedHosts - FEED_ALLOWED_HOSTS entries
+ * @throws {BlockedUrlError} If the redirect target is refused
+ */
+function checkRedirect(options, allowedHosts = []) {
+  const location = options.href || `${options.protocol}//${options.host}${options.path}`;
+  try {
+    checkUrl(location, allowedHosts);
+  } catch (error) {
+    const reason = error instanceof BlockedUrlError ? error.message.replace(/^Feed URL blocked: /, '') : error.message;
+    throw new BlockedUrlError(`redirect to ${location} refused: ${reason}`);
+  }
+}
+
+/**
+ * Create a DNS lookup function for HTTP requests that refuses hosts resolving
+ * to a blocked address. It runs for every connection, including each redirect
+ * hop, so the address actually connected to is the one that was checked.
+ * @param {Function} getAllowedHosts - Returns the FEED_ALLOWED_HOSTS entries
+ * @param {Function} [resolve] - async (hostname, options) => [{ address, family }]
+ * @returns {Function} async (hostname, options) => [{ address, family }]
+ */
+function createGuardedLookup(getAllowedHosts, resolve = (hostname, options) => dns.promises.lookup(hostname, options)) {
+  return async (hostname, options = {}) => {
+    const addresses = await resolve(hostname, { family: options.family || 0, hints: options.hints, all: true });
+    if (!isAllowedHost(hostname, getAllowedHosts())) {
+      for (const { address } of addresses) {
+        const reason = blockedReason(address);
+        if (reason) {
+          throw new BlockedUrlError(`${hostname} resolves to ${address}, ${reason}`);
+        }
+      }
+    }
+    return addresses;
+  };
+}
+
+/**
+ * Find a BlockedUrlError in an error's cause chain (HTTP clients wrap it)
+ * @returns {BlockedUrlError|null}
+ */
+function findBlockedError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof BlockedUrlError) {
+      return current;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  BlockedUrlError,
+  blockedReason,
+  isAllowedHost,
+  checkHostname,
+  checkUrl,
+  checkRedirect,
+  createGuardedLookup,
+  findBlockedError,
+};
@@ -0,0 +1,205 @@
+const { parseXml, localName } = require('./xml-parser');
+
+/**
+ * Element names that hold one listing (compared case-insensitively)
+ */
+const LISTING_ELEMENTS = ['listing', 'property', 'home', 'item'];
+
+/**
+ * Elements that hold one photo, and the leaf names holding its URL
+ */
+const PICTURE_ELEMENTS = ['picture', 'photo', 'image', 'media'];
+const PICTURE_URL_FIELDS = ['pictureurl', 'photourl', 'imageurl', 'mediaurl', 'url'];
+
+/**
+ * Syndication field names (lowercase, without separators) mapped to the
+ * field names DataTransformer.transformListing understands. Covers the
+ * Zillow (Location / ListingDetails / BasicDetails) and Trulia
+ * (location / details, hyphenated names) listing feed layouts.
+ */
+const XML_FIELD_ALIASES = {
+  providerlistingid: 'externalListingId',
+  listingid: 'externalListingId',
+  propertyid: 'externalListingId',
+  id: 'externalListingId',
+  mlsid: 'referenceId',
+  mlsnumber: 'referenceId',
+  streetaddress: 'address',
+  unitnumber: 'unit',
+  unit: 'unit',
+  city: 'city',
+  cityname: 'city',
+  state: 'state',
+  statecode: 'state',
+  zip: 'zip',
+  zipcode: 'zip',
+  postalcode: 'zip',
+  county: 'county',
+  price: 'listPrice',
+  listprice: 'listPrice',
+  status: 'listingStatus',
+  listingstatus: 'listingStatus',
+  bedrooms: 'bedrooms',
+  numbedrooms: 'bedrooms',
+  bathrooms: 'bathrooms',
+  numbathrooms: 'bathrooms',
+  livingarea: 'squareFootage',
+  squarefeet: 'squareFootage',
+  lotsize: 'lotSize',
+  listingurl: 'listingUrl',
+  datelisted: 'listingStartDate',
+  listingdate: 'listingStartDate',
+};
+
+/**
+ * Syndication status values mapped to listing_status options
+ */
+const XML_STATUS_MAP = {
+  active: 'for_sale',
+  forsale: 'for_sale',
+  new: 'for_sale',
+  pending: 'under_contract',
+  contingent: 'under_contract',
+  undercontract: 'under_contract',
+  activeundercontract: 'under_contract',
+  sold: 'sold',
+  closed: 'sold',
+  withdrawn: 'withdrawn',
+  canceled: 'withdrawn',
+  cancelled: 'withdrawn',
+  offmarket: 'withdrawn',
+  expired: 'expired',
+};
+
+/**
+ * Normalize an element name for alias lookup ("street-address" => "streetaddress")
+ */
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Find the elements that each describe one listing: the first element named
+ * like a listing (breadth-first) together with its same-named siblings, else
+ * the root's children, else the root itself (an empty root holds no listings)
+ * @param {Object} root - Root element
+ * @returns {Object[]} Listing elements
+ */
+function findListingElements(root) {
+  const queue = [{ element: root, parent: null }];
+  while (queue.length > 0) {
+    const { element, parent } = queue.shift();
+    if (parent && LISTING_ELEMENTS.includes(localName(element).toLowerCase())) {
+      return parent.children.filter(child => child.name === element.name);
+    }
+    for (const child of element.children) {
+      queue.push({ element: child, parent: element });
+    }
+  }
+
+  if (root.children.length === 0) {
+    return [];
+  }
+  if (root.children.every(child => child.name === root.children[0].name && child.children.length > 0)) {
+    return root.children;
+  }
+  return [root];
+}
+
+/**
+ * Flatten a listing element into one object keyed by leaf element name.
+ * The first occurrence of a name wins; attributes of the listing element are
+ * included, and photo URLs are collected in document order.
+ * @param {Object} element - Listing element
+ * @returns {{fields: Object, pictures: string[]}}
+ */
+function flattenListing(element) {
+  const fields = { ...element.attributes };
+  const pictures = [];
+
+  const walk = (node, inPicture) => {
+    for (const child of node.children) {
+      const name = localName(child);
+      const normalized = normalizeName(name);
+      const isPicture = PICTURE_ELEMENTS.includes(normalized);
+
+      if (child.children.length > 0) {
+        walk(child, inPicture || isPicture);
+        continue;
+      }
+
+      const value = child.text.trim();
+      if (value === '') {
+        continue;
+      }
+      if (isPicture || (inPicture && PICTURE_URL_FIELDS.includes(normalized))) {
+        pictures.push(value);
+        continue;
+      }
+      if (fields[name] === undefined) {
+        fields[name] = value;
+      }
+    }
+  };
+
+  walk(element, false);
+  return { fields, pictures };
+}
+
+/**
+ * Map a flattened syndication listing onto transformer field names.
+ * The original element names are kept so a source's fieldMap can use them.
+ * @param {Object} fields - Flattened listing fields
+ * @param {string[]} pictures - Photo URLs
+ * @returns {Object} Listing record
+ */
+function mapXmlListing(fields, pictures) {
+  const listing = { ...fields };
+
+  for (const [name, value] of Object.entries(fields)) {
+    const alias = XML_FIELD_ALIASES[normalizeName(name)];
+    if (alias && listing[alias] === undefined) {
+      listing[alias] = value;
+    }
+  }
+
+  if (listing.listingStatus !== undefined) {
+    listing.listingStatus = XML_STATUS_MAP[normalizeName(listing.listingStatus)] || listing.listingStatus;
+  }
+
+  // Trulia splits bathrooms into full and half counts
+  if (listing.bathrooms === undefined) {
+    const full = Number(fields['num-full-bathrooms'] ?? fields.FullBathrooms);
+    const half = Number(fields['num-half-bathrooms'] ?? fields.HalfBathrooms);
+    if (Number.isFinite(full) || Number.isFinite(half)) {
+      listing.bathrooms = (Number.isFinite(full) ? full : 0) + (Number.isFinite(half) ? half * 0.5 : 0);
+    }
+  }
+
+  if (pictures.length > 0) {
+    listing.primaryImageUrl = listing.primaryImageUrl || pictures[0];
+    listing.pictures = pictures;
+  }
+
+  return listing;
+}
+
+/**
+ * Parse an XML listing feed into plain listing records
+ * @param {string} content - XML document
+ * @returns {Object[]} Listing records
+ */
+function parseXmlFeed(content) {
+  const root = parseXml(content);
+  return findListingElements(root).map(element => {
+    const { fields, pictures } = flattenListing(element);
+    return mapXmlListing(fields, pictures);
+  });
+}
+
+module.exports = {
+  parseXmlFeed,
+  findListingElements,
+  flattenListing,
+  mapXmlListing,
+};
@@ -0,0 +1,181 @@
+/**
+ * Minimal XML parser for listing syndication feeds.
+ *
+ * Builds a plain element tree ({ name, attributes, children, text }) and
+ * supports attributes, CDATA sections, comments, processing instructions,
+ * a DOCTYPE declaration, a leading UTF-8 BOM and the predefined and numeric
+ * character entities. DTDs, external entities and namespaces are not
+ * interpreted (prefixes are kept in element names).
+ */
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * Replace predefined and numeric character references
+ * @param {string} text - Raw text or attribute value
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[A-Za-z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Parse the attributes of a start tag
+ * @param {string} source - Tag content after the element name
+ * @returns {Object} Attribute name => decoded value
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+  }
+  return attributes;
+}
+
+/**
+ * Parse an XML document into an element tree
+ * @param {string} content - XML text
+ * @returns {{name: string, attributes: Object, children: Object[], text: string}} Root element
+ * @throws {SyntaxError} If the document is not well-formed
+ */
+function parseXml(content) {
+  const text = content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
+  const document = { name: null, attributes: {}, children: [], text: '' };
+  const stack = [document];
+  let pos = 0;
+
+  const fail = (message, at) => {
+    const line = text.slice(0, at).split('\n').length;
+    throw new SyntaxError(`Invalid XML: ${message} (line ${line})`);
+  };
+  const indexOrFail = (token, from, what) => {
+    const index = text.indexOf(token, from);
+    if (index === -1) {
+      fail(`unterminated ${what}`, from);
+    }
+    return index;
+  };
+
+  while (pos < text.length) {
+    const current = stack[stack.length - 1];
+    const lt = text.indexOf('<', pos);
+    const end = lt === -1 ? text.length : lt;
+    if (end > pos) {
+      current.text += decodeEntities(text.slice(pos, end));
+    }
+    if (lt === -1) {
+      break;
+    }
+
+    if (text.startsWith('<!--', lt)) {
+      pos = indexOrFail('-->', lt + 4, 'comment') + 3;
+    } else if (text.startsWith('<![CDATA[', lt)) {
+      const close = indexOrFail(']]>', lt + 9, 'CDATA section');
+      current.text += text.slice(lt + 9, close);
+      pos = close + 3;
+    } else if (text.startsWith('<?', lt)) {
+      pos = indexOrFail('?>', lt + 2, 'processing instruction') + 2;
+    } else if (text.startsWith('<!', lt)) {
+      // DOCTYPE, possibly with an internal subset in [...]
+      let depth = 0;
+      let i = lt + 2;
+      for (; i < text.length; i++) {
+        if (text[i] === '[') depth++;
+        else if (text[i] === ']') depth--;
+        else if (text[i] === '>' && depth === 0) break;
+      }
+      if (i >= text.length) {
+        fail('unterminated declaration', lt);
+      }
+      pos = i + 1;
+    } else if (text[lt + 1] === '/') {
+      const close = indexOrFail('>', lt, 'closing tag');
+      const name = text.slice(lt + 2, close).trim();
+      if (stack.length === 1 || current.name !== name) {
+        fail(`unexpected closing tag </${name}>`, lt);
+      }
+      stack.pop();
+      pos = close + 1;
+    } else {
+      // Start tag: find the closing '>' outside quoted attribute values
+      let quote = null;
+      let i = lt + 1;
+      for (; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+          if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+          quote = char;
+        } else if (char === '>') {
+          break;
+        }
+      }
+      if (i >= text.length) {
+        fail('unterminated start tag', lt);
+      }
+
+      let inner = text.slice(lt + 1, i);
+      const selfClosing = inner.endsWith('/');
+      if (selfClosing) {
+        inner = inner.slice(0, -1);
+      }
+      const nameMatch = /^[^\s/>]+/.exec(inner);
+      if (!nameMatch) {
+        fail('missing element name', lt);
+      }
+      if (current === document && document.children.length > 0) {
+        fail('more than one root element', lt);
+      }
+
+      const element = {
+        name: nameMatch[0],
+        attributes: parseAttributes(inner.slice(nameMatch[0].length)),
+        children: [],
+        text: '',
+      };
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+      pos = i + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    fail(`unclosed element <${stack[stack.length - 1].name}>`, text.length);
+  }
+  if (document.children.length === 0) {
+    fail('no root element', 0);
+  }
+  return document.children[0];
+}
+
+/**
+ * Element name without a namespace prefix
+ */
+function localName(element) {
+  const index = element.name.indexOf(':');
+  return index === -1 ? element.name : element.name.slice(index + 1);
+}
+
+module.exports = {
+  parseXml,
+  decodeEntities,
+  localName,
+};
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+/**
+ * ZIP record signatures
+ */
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * The end-of-central-directory record is 22 bytes plus a comment of up to 64 KB
+ */
+const MAX_EOCD_SEARCH = 22 + 0xffff;
+
+/**
+ * Convert a glob pattern to a regular expression.
+ * `*` matches within one path segment, `**` across segments and `?` one character.
+ * @param {string} pattern - Glob pattern (e.g. "exports/*.json")
+ * @returns {RegExp} Anchored, case-insensitive expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" also matches zero directories
+        const slash = pattern[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Read-only access to the entries of a ZIP archive on disk.
+ *
+ * Only the central directory is read up front; each entry is streamed from
+ * the file and inflated on demand, so large archives are never loaded into
+ * memory. Stored and deflated entries are supported; ZIP64, encrypted and
+ * multi-disk archives are rejected.
+ */
+class ZipArchive {
+  /**
+   * @param {string} filePath - Archive location
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = [];
+  }
+
+  /**
+   * Open an archive and read its central directory
+   * @param {string} filePath - Archive location
+   * @returns {ZipArchive} Archive with `entries` populated
+   */
+  static open(filePath) {
+    const archive = new ZipArchive(filePath);
+    archive.readCentralDirectory();
+    return archive;
+  }
+
+  /**
+   * Read `length` bytes at `position`
+   */
+  readBytes(fd, position, length) {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+  }
+
+  /**
+   * Locate the end-of-central-directory record and list the file entries
+   */
+  readCentralDirectory() {
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      const size = fs.fstatSync(fd).size;
+      const tailLength = Math.min(size, MAX_EOCD_SEARCH);
+      const tail = this.readBytes(fd, size - tailLength, tailLength);
+
+      let eocd = -1;
+      for (let i = tail.length - 22; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+          eocd = i;
+          break;
+        }
+      }
+      if (eocd === -1) {
+        throw new Error(`Not a ZIP archive: ${this.filePath}`);
+      }
+
+      const entryCount = tail.readUInt16LE(eocd + 10);
+      const directorySize = tail.readUInt32LE(eocd + 12);
+      const directoryOffset = tail.readUInt32LE(eocd + 16);
+      if (tail.readUInt16LE(eocd + 4) !== 0 || entryCount === 0xffff || directoryOffset === 0xffffffff) {
+        throw new Error(`Unsupported ZIP archive (ZIP64 or multi-disk): ${this.filePath}`);
+      }
+
+      const directory = this.readBytes(fd, directoryOffset, directorySize);
+      let offset = 0;
+      for (let n = 0; n < entryCount; n++) {
+        if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+          throw new Error(`Corrupt ZIP central directory: ${this.filePath}`);
+        }
+        const flags = directory.readUInt16LE(offset + 8);
+        const nameLength = directory.readUInt16LE(offset + 28);
+        const extraLength = directory.readUInt16LE(offset + 30);
+        const commentLength = directory.readUInt16LE(offset + 32);
+        // Bit 11: names are UTF-8; otherwise CP437, read as latin1
+        const name = directory.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+        if (!name.endsWith('/')) {
+          this.entries.push({
+            name,
+            encrypted: Boolean(flags & 0x1),
+            method: directory.readUInt16LE(offset + 10),
+            compressedSize: directory.readUInt32LE(offset + 20),
+            size: directory.readUInt32LE(offset + 24),
+            headerOffset: directory.readUInt32LE(offset + 42),
+          });
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Entries whose names match any of the glob patterns
+   * @param {string[]} patterns - Glob patterns
+   * @returns {Object[]} Matching entries in archive order
+   */
+  match(patterns) {
+    const expressions = patterns.map(globToRegExp);
+    return this.entries.filter(entry => expressions.some(expression => expression.test(entry.name)));
+  }
+
+  /**
+   * Open a readable stream of an entry's uncompressed content
+   * @param {Object} entry - Entry from `entries`
+   * @returns {Readable} Entry content
+   */
+  openEntry(entry) {
+    if (entry.encrypted) {
+      throw new Error(`Encrypted ZIP entries are not supported: ${entry.name}`);
+    }
+    if (entry.method !== 0 && entry.method !== 8) {
+      throw new Error(`Unsupported compression method ${entry.method} for ZIP entry: ${entry.name}`);
+    }
+
+    const fd = fs.openSync(this.filePath, 'r');
+    let header;
+    try {
+      header = this.readBytes(fd, entry.headerOffset, 30);
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt ZIP entry header: ${entry.name}`);
+    }
+
+    const start = entry.headerOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    if (entry.compressedSize === 0) {
+      // createReadStream treats an empty range as "to the end of the file"
+      return Readable.from([]);
+    }
+
+    const raw = fs.createReadStream(this.filePath, { start, end: start + entry.compressedSize - 1 });
+    if (entry.method === 0) {
+      return raw;
+    }
+    const inflate = zlib.createInflateRaw();
+    raw.on('error', error => inflate.destroy(error));
+    return raw.pipe(inflate);
+  }
+}
+
+ZipArchive.globToRegExp = globToRegExp;
+
+module.exports = ZipArchive;
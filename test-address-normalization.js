@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for address normalization:
+ * 1. Title casing
+ * 2. USPS street suffixes and unit designators
+ * 3. ZIP and ZIP+4
+ * 4. ADDRESS_NORMALIZATION rules in the transformer
+ */
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOTS = 'false';
+process.env.LOG_LEVEL = 'warn';
+
+const config = require('./src/config');
+const transformer = require('./src/transformer');
+const { titleCaseAddress, standardizeStreetLine, standardizeUnitLine, normalizeZip } = require('./src/address-normalizer');
+
+console.log('Testing Address Normalization...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function withRules(rules, fn) {
+  process.env.ADDRESS_NORMALIZATION = rules;
+  config.reload();
+  try {
+    return fn();
+  } finally {
+    delete process.env.ADDRESS_NORMALIZATION;
+    config.reload();
+  }
+}
+
+const VRM_RECORD = {
+  assetId: 22317,
+  addressLine1: '158 BRIANS WOODS ROAD',
+  addressLine2: 'APARTMENT 2B',
+  city: 'MAPLE HILL',
+  state: 'NC',
+  zip: 8454,
+  county: 'ONSLOW',
+};
+
+// ===========================================================================
+// Test 1: Title casing
+// ===========================================================================
+console.log('Test 1: Title casing');
+
+test('Capitals title-cased', titleCaseAddress('158 BRIANS WOODS RD'), '158 Brians Woods Rd');
+test('Directionals stay in capitals', titleCaseAddress('100 NW MAIN ST SE'), '100 NW Main St SE');
+test('Ordinals lowercase', titleCaseAddress('1 E 42ND ST'), '1 E 42nd St');
+test('Unit identifiers stay in capitals', titleCaseAddress('12 OAK LN UNIT 4B'), '12 Oak Ln Unit 4B');
+test('Hyphens, apostrophes and Mc', ['WINSTON-SALEM', "O'FALLON", 'MCKINNEY'].map(titleCaseAddress), ['Winston-Salem', "O'Fallon", 'McKinney']);
+test('Small words and PO Box', [titleCaseAddress('LAKE OF THE WOODS'), titleCaseAddress('PO BOX 12')], ['Lake of the Woods', 'PO Box 12']);
+test('Lowercase values title-cased', titleCaseAddress('las vegas'), 'Las Vegas');
+test('Mixed case kept', titleCaseAddress('DeKalb'), 'DeKalb');
+
+// ===========================================================================
+// Test 2: Street suffixes and unit designators
+// ===========================================================================
+console.log('\nTest 2: Street suffixes and unit designators');
+
+test('Spelled-out suffix abbreviated', standardizeStreetLine('158 BRIANS WOODS ROAD'), '158 BRIANS WOODS RD');
+test('Suffix variants', ['12 Park Avenue', '9 Elm Av', '3 Oak Boulv', '7 Bay Crossing'].map(line => standardizeStreetLine(line)),
+  ['12 Park Ave', '9 Elm Ave', '3 Oak Blvd', '7 Bay Xing']);
+test('Suffix before post-directional', standardizeStreetLine('100 MAIN STREET NW'), '100 MAIN ST NW');
+test('Suffix before a unit', standardizeStreetLine('2555 FLAT SHOALS ROAD APARTMENT 1401'), '2555 FLAT SHOALS RD APT 1401');
+test('Street names that are suffixes kept', [standardizeStreetLine('123 Street'), standardizeStreetLine('45 Court Street')],
+  ['123 Street', '45 Court St']);
+test('Unit designators in line 2', ['Suite 100', 'APARTMENT 2B', 'Bldg. 3 Room 12'].map(standardizeUnitLine),
+  ['Ste 100', 'APT 2B', 'Bldg 3 Rm 12']);
+test('Rules apply separately', [
+  standardizeStreetLine('12 Park Avenue Suite 5', { unitDesignator: false }),
+  standardizeStreetLine('12 Park Avenue Suite 5', { streetSuffix: false }),
+], ['12 Park Ave Suite 5', '12 Park Avenue Ste 5']);
+
+// ===========================================================================
+// Test 3: ZIP codes
+// ===========================================================================
+console.log('\nTest 3: ZIP codes');
+
+test('ZIP and ZIP+4 kept', [normalizeZip('28454'), normalizeZip('28454-1234')], ['28454', '28454-1234']);
+test('Leading zeros restored', [normalizeZip(2134), normalizeZip('501')], ['02134', '00501']);
+test('ZIP+4 hyphenated', [normalizeZip('021341234'), normalizeZip('28454 1234'), normalizeZip(21341234)], ['02134-1234', '28454-1234', '02134-1234']);
+test('Invalid ZIPs rejected', ['ABCDE', '284541', '28454-12'].map(normalizeZip), [null, null, null]);
+
+// ===========================================================================
+// Test 4: Transformer rules
+// ===========================================================================
+console.log('\nTest 4: Transformer rules');
+
+const plain = transformer.transformListing(VRM_RECORD);
+test('Addresses unchanged by default', [plain.hs_address_1, plain.hs_zip, plain.hs_name],
+  ['158 BRIANS WOODS ROAD', '8454', '158 BRIANS WOODS ROAD APARTMENT 2B, MAPLE HILL, NC 8454']);
+
+const normalized = withRules('all', () => transformer.transformListing(VRM_RECORD));
+test('All rules applied', [normalized.hs_address_1, normalized.hs_address_2, normalized.hs_city, normalized.county, normalized.hs_zip],
+  ['158 Brians Woods Rd', 'Apt 2B', 'Maple Hill', 'Onslow', '08454']);
+test('hs_name built from the normalized address', normalized.hs_name, '158 Brians Woods Rd Apt 2B, Maple Hill, NC 08454');
+test('Names stable between runs', withRules('all', () => transformer.transformListing(VRM_RECORD)).hs_name, normalized.hs_name);
+test('State names title-cased, codes kept', [
+  withRules('title_case', () => transformer.transformListing({ ...VRM_RECORD, state: 'NORTH CAROLINA' }).hs_state_province),
+  withRules('title_case', () => transformer.transformListing(VRM_RECORD).hs_state_province),
+], ['North Carolina', 'NC']);
+
+const selected = withRules('street_suffix,zip', () => transformer.transformListing(VRM_RECORD));
+test('Only listed rules applied', [selected.hs_address_1, selected.hs_address_2, selected.hs_city, selected.hs_zip],
+  ['158 BRIANS WOODS RD', 'APARTMENT 2B', 'MAPLE HILL', '08454']);
+
+transformer.resetWarnings();
+test('Invalid ZIP sent unchanged', withRules('zip', () => transformer.transformListing({ ...VRM_RECORD, zip: 'N/A' }).hs_zip), 'N/A');
+test('Invalid ZIPs aggregated as warnings', [transformer.warnings.invalidZip.count, transformer.warnings.invalidZip.examples], [1, ['N/A']]);
+transformer.resetWarnings();
+
+process.env.ADDRESS_NORMALIZATION = 'title_case,suffixes';
+test('Unknown rule rejected', errorOf(() => config.reload()),
+  'Invalid ADDRESS_NORMALIZATION rule "suffixes" (expected all, none, title_case, street_suffix, unit_designator, zip)');
+delete process.env.ADDRESS_NORMALIZATION;
+config.reload();
+
+console.log(`\n${'-'.repeat(60)}`);
+console.log(`Tests passed: ${testsPassed}`);
+console.log(`Tests failed: ${testsFailed}`);
+
+if (testsFailed > 0) {
+  process.exit(1);
+} else {
+  console.log('\n✓ All address normalization tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for listing type classification rules:
+ * 1. The built-in ruleset and the rule recorded on each listing
+ * 2. Feed listing types taking precedence over the rules
+ * 3. Custom JSON/YAML rules on transformed and raw fields
+ * 4. Validation and per-source rules
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'classification-rules-test-'));
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOTS = 'false';
+process.env.LOG_LEVEL = 'warn';
+
+const config = require('./src/config');
+const transformer = require('./src/transformer');
+const { loadClassificationRules, classifyListing } = require('./src/listing-classifier');
+
+console.log('Testing Classification Rules...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function writeFile(name, content) {
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  return filePath;
+}
+
+const BASE = { id: 'L1', address: '1 Main St', city: 'Austin', state: 'TX' };
+const classify = (record, rules) => {
+  const listing = transformer.transformListing({ ...BASE, ...record }, transformer.getFieldMapping(), 'UTC', rules);
+  return [listing.hs_listing_type, listing.listing_type_rule];
+};
+
+const BARNDOMINIUM_YAML = `# Vendor X property styles
+rules:
+  - name: barndominium
+    type: house
+    when:
+      - raw: details.style
+        matches: "barn(do|dominium)"
+  - name: tiny_lot_condo
+    type: condos_co_ops
+    when:
+      any:
+        - raw: details.style
+          in: [Condo, Loft]
+        - all:
+            - field: hs_square_footage
+              gt: 0
+              lte: 800
+            - field: lot_size_sqft
+              exists: false
+  - name: acreage
+    type: lots_land
+    when:
+      - field: lot_size_sqft
+        gte: 43560
+`;
+
+async function run() {
+  // ===========================================================================
+  // Test 1: Built-in rules
+  // ===========================================================================
+  console.log('Test 1: Built-in rules');
+
+  const builtIn = loadClassificationRules();
+  test('Built-in rules loaded in order', builtIn.rules.map(rule => rule.name),
+    ['vacant_land', 'manufactured', 'apartments', 'multi_family', 'condo', 'townhouse', 'house', 'fallback']);
+  test('Matching rule recorded', [
+    classify({ squareFootage: 0, bedrooms: 0, bathrooms: 0, lotSize: 8000 }),
+    classify({ squareFootage: 3000, bedrooms: 6, bathrooms: 4 }),
+    classify({ squareFootage: 900, bedrooms: 1, bathrooms: 1 }),
+  ], [['lots_land', 'vacant_land'], ['multi_family', 'multi_family'], ['condos_co_ops', 'condo']]);
+  test('Catch-all rule when nothing else matches', classify({}), ['house', 'fallback']);
+  test('Classification reads the lot in square feet', classify({ squareFootage: 0, bedrooms: 0, bathrooms: 0, lotSize: 1, lotSizeSource: 'ac' }),
+    ['lots_land', 'vacant_land']);
+
+  // ===========================================================================
+  // Test 2: Feed listing types
+  // ===========================================================================
+  console.log('\nTest 2: Feed listing types');
+
+  test('property_type mapped before the rules', [
+    classify({ property_type: 'condo', squareFootage: 3000, bedrooms: 6 }),
+    classify({ property_type: 'single_family' }),
+    classify({ property_type: 'townhome' }),
+  ], [['condos_co_ops', 'feed'], ['house', 'feed'], ['townhouse', 'feed']]);
+  transformer.resetWarnings();
+  const sampleFeed = JSON.parse(fs.readFileSync(path.join(__dirname, 'sample-feed.json'), 'utf8'));
+  const sampleTypes = sampleFeed.map(record => transformer.transformListing(record))
+    .map(listing => [listing.external_listing_id, listing.hs_listing_type, listing.listing_type_rule]);
+  test('sample-feed.json "type" hint used before the rules', sampleTypes.find(([id]) => id === 'LISTING-002'),
+    ['LISTING-002', 'condos_co_ops', 'feed']);
+  test('Vendor propertyType codes without a table left to the rules', [
+    classify({ propertyType: 14, squareFootage: 2000, bedrooms: 3 }),
+    transformer.warnings.unknownCode.count,
+  ], [['house', 'house'], 0]);
+  transformer.resetWarnings();
+  test('Unknown feed types fall back to the rules', classify({ property_type: 'castle', squareFootage: 0, bedrooms: 0, bathrooms: 0, lotSize: 9000 }),
+    ['lots_land', 'vacant_land']);
+  test('Unknown feed types reported', transformer.warnings.unknownEnumValue.examples, ['hs_listing_type="castle"']);
+  transformer.resetWarnings();
+
+  // ===========================================================================
+  // Test 3: Custom rules
+  // ===========================================================================
+  console.log('\nTest 3: Custom rules');
+
+  const custom = loadClassificationRules(writeFile('vendor-x.yaml', BARNDOMINIUM_YAML));
+  test('Raw field pattern', classify({ details: { style: 'Barndominium' }, squareFootage: 600 }, custom), ['house', 'barndominium']);
+  test('Raw field list, case-insensitive', classify({ details: { style: 'LOFT' } }, custom), ['condos_co_ops', 'tiny_lot_condo']);
+  test('Nested all inside any', [classify({ squareFootage: 700 }, custom), classify({ squareFootage: 700, lotSize: 2000 }, custom)],
+    [['condos_co_ops', 'tiny_lot_condo'], [undefined, undefined]]);
+  test('Rules run in file order', classify({ details: { style: 'Barndo' }, lotSize: 2, lotSizeSource: 'acres' }, custom), ['house', 'barndominium']);
+  test('classifyListing reports no match', classifyListing(custom, { hs_square_footage: 2000 }), null);
+
+  process.env.CLASSIFICATION_RULES_FILE = writeFile('land-only.json', {
+    rules: [{ name: 'everything_is_land', type: 'lots_land' }],
+  });
+  config.reload();
+  test('CLASSIFICATION_RULES_FILE replaces the built-in rules',
+    transformer.transformListing({ ...BASE, squareFootage: 2000, bedrooms: 3 }).listing_type_rule, 'everything_is_land');
+  test('inferHsListingType keeps the built-in rules', transformer.inferHsListingType({ squareFootage: 2000, bedrooms: 3 }), 'house');
+  delete process.env.CLASSIFICATION_RULES_FILE;
+  config.reload();
+
+  // ===========================================================================
+  // Test 4: Validation and per-source rules
+  // ===========================================================================
+  console.log('\nTest 4: Validation and per-source rules');
+
+  test('Rule problems listed together', errorOf(() => loadClassificationRules(writeFile('bad.json', {
+    rules: [
+      { name: 'big', type: 'mansion', when: [{ field: 'hs_bedrooms', gte: '6' }] },
+      { name: 'big', type: 'house', when: [{ field: 'hs_bedrooms', above: 6 }] },
+      { type: 'house', when: [{ raw: 'style', field: 'hs_bedrooms', eq: 1 }], priority: 1 },
+    ],
+  }))), `Invalid classification rules ${path.join(tempDir, 'bad.json')}: `
+    + 'big: type "mansion" is not one of house, townhouse, multi_family, condos_co_ops, lots_land, apartments, manufactured; '
+    + 'big: hs_bedrooms: "gte" needs a number; '
+    + 'big: duplicate rule name; '
+    + 'big: hs_bedrooms: unknown operator "above" (expected eq, ne, in, gt, gte, lt, lte, matches, exists); '
+    + '#3: unknown setting "priority" (expected name, type, when); '
+    + '#3: needs a "name"; '
+    + '#3: conditions need one of "field" or "raw", got {"raw":"style","field":"hs_bedrooms","eq":1}');
+  test('Missing rules list rejected', errorOf(() => loadClassificationRules(writeFile('empty.json', { types: [] }))),
+    `Invalid classification rules ${path.join(tempDir, 'empty.json')}: expected a "rules" list`);
+
+  process.env.CLASSIFICATION_RULES_FILE = path.join(tempDir, 'missing.json');
+  test('Invalid CLASSIFICATION_RULES_FILE fails at startup', /^Unable to read classification rules .*missing\.json/.test(errorOf(() => config.reload())), true);
+  delete process.env.CLASSIFICATION_RULES_FILE;
+  config.reload();
+
+  const source = config.normalizeSource({ name: 'vendor-x', url: 'https://feed.test', classificationRulesFile: 'vendor-x.yaml' }, 0, tempDir);
+  test('Source rules file resolved against the sources file', source.classificationRulesFile, path.join(tempDir, 'vendor-x.yaml'));
+  const listing = transformer.transformRecord({ ...BASE, details: { style: 'barndo' } }, 0, source);
+  test('Source rules applied to its records', [listing.hs_listing_type, listing.listing_type_rule], ['house', 'barndominium']);
+  test('Invalid source rules file rejected', /^Feed source "x" has an invalid classificationRulesFile: Invalid classification rules/.test(
+    errorOf(() => config.normalizeSource({ name: 'x', url: 'https://feed.test', classificationRulesFile: 'bad.json' }, 0, tempDir))), true);
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All classification rules tests passed!');
+      process.exit(0);
+    }
+  });
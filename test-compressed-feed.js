@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for gzip-compressed and ZIP-archived feeds
+ * Builds archives in a temp directory and serves them from a local HTTP server
+ */
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOTS = 'false';
+process.env.LOG_LEVEL = 'warn';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+const config = require('./src/config');
+const feedFetcher = require('./src/feed-fetcher');
+const FeedState = require('./src/feed-state');
+const ZipArchive = require('./src/zip-archive');
+
+console.log('Testing Compressed and Archived Feeds...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+async function collect(iterable) {
+  const records = [];
+  for await (const record of iterable) {
+    records.push(record);
+  }
+  return records;
+}
+
+async function errorOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a ZIP archive from { name: content } (names ending in "/" are directories).
+ * Entries are deflated unless `stored` lists them.
+ */
+function buildZip(files, stored = []) {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content);
+    const method = stored.includes(name) || name.endsWith('/') ? 0 : 8;
+    const compressed = method === 8 ? zlib.deflateRawSync(data) : data;
+    const nameBytes = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    directory.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+
+  const directoryBytes = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directoryBytes.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directoryBytes, end]);
+}
+
+const JSON_FEED = JSON.stringify({ listings: [{ externalListingId: 'J1' }, { externalListingId: 'J2' }] });
+const CSV_FEED = 'externalListingId,city\nC1,Austin\nC2,Dallas\n';
+const XML_FEED = '<Listings><Listing><ProviderListingId>X1</ProviderListingId></Listing></Listings>';
+
+const ARCHIVE = buildZip({
+  'export/': '',
+  'export/listings.json': JSON_FEED,
+  'export/extra.csv': CSV_FEED,
+  'syndication.xml': XML_FEED,
+  'README.txt': 'Nightly export',
+  '__MACOSX/export/._listings.json': 'resource fork',
+}, ['export/extra.csv']);
+
+const ids = records => records.map(record => record.externalListingId);
+
+async function run() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'compressed-feed-test-'));
+  const write = (name, content) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+  const fileSource = (filePath, overrides = {}) =>
+    config.getDefaultSource({ type: 'file', filePath, ...overrides });
+
+  const served = {
+    '/gzip-encoded': { headers: { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' }, body: zlib.gzipSync(JSON_FEED) },
+    '/feed.csv.gz': { headers: { 'Content-Type': 'application/octet-stream' }, body: zlib.gzipSync(CSV_FEED) },
+    '/export.zip': { headers: { 'Content-Type': 'application/zip' }, body: ARCHIVE },
+    '/download': { headers: { 'Content-Type': 'application/octet-stream' }, body: ARCHIVE },
+  };
+  const server = http.createServer((req, res) => {
+    const { headers, body } = served[req.url];
+    res.writeHead(200, headers);
+    res.end(body);
+  });
+
+  try {
+    // =========================================================================
+    // Test 1: ZIP reader
+    // =========================================================================
+    console.log('Test 1: ZIP reader');
+
+    const archive = ZipArchive.open(write('reader.zip', ARCHIVE));
+    test('Directories skipped', archive.entries.map(entry => entry.name), [
+      'export/listings.json', 'export/extra.csv', 'syndication.xml', 'README.txt', '__MACOSX/export/._listings.json',
+    ]);
+    test('Deflated entry read', await feedFetcher.readStreamText(archive.openEntry(archive.entries[0])), JSON_FEED);
+    test('Stored entry read', await feedFetcher.readStreamText(archive.openEntry(archive.entries[1])), CSV_FEED);
+
+    const glob = pattern => ZipArchive.globToRegExp(pattern);
+    test('* stays within a directory', [glob('*.json').test('a.json'), glob('*.json').test('export/a.json')], [true, false]);
+    test('** spans directories', [glob('**/*.json').test('a.json'), glob('**/*.json').test('x/y/a.json')], [true, true]);
+    test('? and case-insensitive match', glob('export/listing?.JSON').test('export/listings.json'), true);
+    const notZip = write('plain.zip', JSON_FEED);
+    const plainFeed = await feedFetcher.openFeed({ source: fileSource(notZip, { format: 'json' }) });
+    test('Plain file named .zip read as-is', ids(await collect(plainFeed.records)), ['J1', 'J2']);
+    test('Corrupt archive rejected', await errorOf(Promise.resolve().then(() => ZipArchive.open(notZip))), `Not a ZIP archive: ${notZip}`);
+
+    // =========================================================================
+    // Test 2: gzip files
+    // =========================================================================
+    console.log('\nTest 2: gzip files');
+
+    const jsonGz = write('feed.json.gz', zlib.gzipSync(JSON_FEED));
+    let feed = await feedFetcher.openFeed({ source: fileSource(jsonGz) });
+    test('.json.gz streamed', ids(await collect(feed.records)), ['J1', 'J2']);
+
+    const csvGz = write('feed.csv.gz', zlib.gzipSync(CSV_FEED));
+    feed = await feedFetcher.openFeed({ source: fileSource(csvGz) });
+    test('.csv.gz parsed as CSV', (await collect(feed.records)).map(r => r.city), ['Austin', 'Dallas']);
+    test('getFeed reads .csv.gz', ids(await feedFetcher.getFeed(fileSource(csvGz))), ['C1', 'C2']);
+
+    const misnamed = write('export.dat', zlib.gzipSync(JSON_FEED));
+    test('gzip detected by signature', ids(feedFetcher.validateFeed(await feedFetcher.fetchFromFile(misnamed, fileSource(misnamed)))), ['J1', 'J2']);
+    test('Plain file named .gz read as-is', ids(feedFetcher.validateFeed(await feedFetcher.fetchFromFile(write('plain.json.gz', JSON_FEED)))), ['J1', 'J2']);
+
+    // =========================================================================
+    // Test 3: ZIP files
+    // =========================================================================
+    console.log('\nTest 3: ZIP files');
+
+    const zipPath = write('export.zip', ARCHIVE);
+    feed = await feedFetcher.openFeed({ source: fileSource(zipPath) });
+    test('JSON, CSV and XML entries imported in archive order', ids(await collect(feed.records)), ['J1', 'J2', 'C1', 'C2', 'X1']);
+
+    feed = await feedFetcher.openFeed({ source: fileSource(zipPath, { archiveEntries: ['export/*.csv', '*.xml'] }) });
+    test('Entries picked by glob', ids(await collect(feed.records)), ['C1', 'C2', 'X1']);
+
+    test('getFeed reads ZIP entries', ids(await feedFetcher.getFeed(fileSource(zipPath, { archiveEntries: ['**/*.json'] }))), ['J1', 'J2']);
+    test('No matching entries rejected', await errorOf(feedFetcher.openFeed({ source: fileSource(zipPath, { archiveEntries: ['*.ndjson'] }) })),
+      'No files in ZIP archive export.zip match *.ndjson');
+
+    const resoZip = write('reso.zip', buildZip({ 'Property.json': JSON.stringify({ value: [{ ListingKey: 'R1', City: 'Waco' }] }) }));
+    feed = await feedFetcher.openFeed({ source: fileSource(resoZip, { format: 'reso' }) });
+    test('RESO responses in a ZIP are mapped', ids(await collect(feed.records)), ['R1']);
+    test('getFeed maps RESO ZIP entries once', ids(await feedFetcher.getFeed(fileSource(resoZip, { format: 'reso' }))), ['R1']);
+
+    // =========================================================================
+    // Test 4: URL feeds
+    // =========================================================================
+    console.log('\nTest 4: URL feeds');
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    // The test server is on loopback, which the SSRF guard rejects
+    feedFetcher.validateUrl = () => true;
+    const urlSource = (url, overrides = {}) => config.getDefaultSource({ type: 'url', url, ...overrides });
+
+    feed = await feedFetcher.openFeed({ source: urlSource(`${base}/gzip-encoded`) });
+    test('Content-Encoding: gzip streamed', ids(await collect(feed.records)), ['J1', 'J2']);
+    test('Content-Encoding: gzip fetched', ids(feedFetcher.validateFeed(await feedFetcher.fetchFeed(`${base}/gzip-encoded`))), ['J1', 'J2']);
+
+    feed = await feedFetcher.openFeed({ source: urlSource(`${base}/feed.csv.gz`) });
+    test('.csv.gz URL decompressed and parsed', ids(await collect(feed.records)), ['C1', 'C2']);
+    test('.csv.gz URL fetched', ids(await feedFetcher.fetchFeed(`${base}/feed.csv.gz`)), ['C1', 'C2']);
+
+    feed = await feedFetcher.openFeed({ source: urlSource(`${base}/export.zip`, { archiveEntries: ['**/*.json'] }) });
+    test('ZIP URL streamed', ids(await collect(feed.records)), ['J1', 'J2']);
+    test('ZIP URL detected by signature', ids(await feedFetcher.fetchFeed(`${base}/download`, urlSource(`${base}/download`))), ['J1', 'J2', 'C1', 'C2', 'X1']);
+
+    // With change detection the spooled copy is reused for the archive
+    config.config.changeDetection = true;
+    feedFetcher.feedState = new FeedState(path.join(tempDir, 'state.json'));
+    const before = fs.readdirSync(os.tmpdir()).filter(name => name.startsWith(`feed-${process.pid}-`)).length;
+    feed = await feedFetcher.openFeed({ source: urlSource(`${base}/export.zip`) });
+    test('Spooled ZIP imported', ids(await collect(feed.records)).length, 5);
+    feed.commit();
+    test('Spool file removed', fs.readdirSync(os.tmpdir()).filter(name => name.startsWith(`feed-${process.pid}-`)).length, before);
+    feed = await feedFetcher.openFeed({ source: urlSource(`${base}/export.zip`) });
+    test('Unchanged ZIP skipped', feed.unchanged, true);
+  } finally {
+    config.config.changeDetection = false;
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All compressed feed tests passed!');
+      process.exit(0);
+    }
+  });
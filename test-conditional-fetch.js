@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for conditional feed fetches (ETag / Last-Modified / content hash)
+ * Runs a local HTTP feed server and checks which runs are skipped as unchanged
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+console.log('Testing Conditional Feed Fetches...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+// Feed server state: body, validators and whether to honor conditional headers
+const feedServer = {
+  body: JSON.stringify([{ id: 'A' }, { id: 'B' }]),
+  etag: '"v1"',
+  lastModified: 'Mon, 06 Jan 2025 10:00:00 GMT',
+  honorConditional: true,
+  requests: [],
+};
+
+const server = http.createServer((req, res) => {
+  feedServer.requests.push({ ...req.headers });
+  if (feedServer.honorConditional && req.headers['if-none-match'] === feedServer.etag) {
+    res.writeHead(304);
+    res.end();
+    return;
+  }
+  const headers = { 'Content-Type': 'application/json' };
+  if (feedServer.etag) headers.ETag = feedServer.etag;
+  if (feedServer.lastModified) headers['Last-Modified'] = feedServer.lastModified;
+  res.writeHead(200, headers);
+  res.end(feedServer.body);
+});
+
+async function collect(iterable) {
+  const records = [];
+  for await (const record of iterable) {
+    records.push(record);
+  }
+  return records;
+}
+
+async function run() {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-state-test-'));
+  const stateFile = path.join(tempDir, 'state.json');
+
+  // Mock config and logger to avoid requiring environment variables
+  process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+  process.env.FEED_URL = `http://127.0.0.1:${server.address().port}/feed.json`;
+  process.env.FEED_STATE_FILE = stateFile;
+  process.env.FEED_SNAPSHOT_DIR = path.join(tempDir, 'snapshots');
+  process.env.LOG_LEVEL = 'warn';
+
+  const feedFetcher = require('./src/feed-fetcher');
+  // The test server is on loopback, which the SSRF guard rejects
+  feedFetcher.validateUrl = () => true;
+
+  try {
+    // =========================================================================
+    // Test 1: First run imports and records validators
+    // =========================================================================
+    console.log('Test 1: First run');
+
+    let feed = await feedFetcher.openFeed();
+    test('First run is not unchanged', feed.unchanged, false);
+    test('No conditional headers on first run', feedServer.requests[0]['if-none-match'], undefined);
+    test('Records streamed', (await collect(feed.records)).map(r => r.id), ['A', 'B']);
+    test('State not written before commit', fs.existsSync(stateFile), false);
+    feed.commit();
+
+    const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'))[process.env.FEED_URL];
+    test('ETag saved', saved.etag, '"v1"');
+    test('Last-Modified saved', saved.lastModified, 'Mon, 06 Jan 2025 10:00:00 GMT');
+    test('Content hash saved', /^[0-9a-f]{64}$/.test(saved.contentHash), true);
+
+    // =========================================================================
+    // Test 2: Server answers 304
+    // =========================================================================
+    console.log('\nTest 2: 304 Not Modified');
+
+    feed = await feedFetcher.openFeed();
+    const lastRequest = feedServer.requests[feedServer.requests.length - 1];
+    test('If-None-Match sent', lastRequest['if-none-match'], '"v1"');
+    test('If-Modified-Since sent', lastRequest['if-modified-since'], 'Mon, 06 Jan 2025 10:00:00 GMT');
+    test('Run reported unchanged', feed.unchanged, true);
+    test('Reason mentions 304', /304/.test(feed.reason), true);
+
+    // =========================================================================
+    // Test 3: Server ignores validators but body is identical
+    // =========================================================================
+    console.log('\nTest 3: Unchanged content hash');
+
+    feedServer.honorConditional = false;
+    feed = await feedFetcher.openFeed();
+    test('Identical body reported unchanged', feed.unchanged, true);
+    test('Reason mentions hash', /hash/.test(feed.reason), true);
+    test('Spool files cleaned up', fs.readdirSync(os.tmpdir()).filter(f => f.startsWith(`feed-${process.pid}-`)), []);
+
+    // =========================================================================
+    // Test 4: Force bypasses the check
+    // =========================================================================
+    console.log('\nTest 4: --force');
+
+    feedServer.honorConditional = true;
+    feed = await feedFetcher.openFeed({ force: true });
+    const forcedRequest = feedServer.requests[feedServer.requests.length - 1];
+    test('Force sends no conditional headers', forcedRequest['if-none-match'], undefined);
+    test('Force imports', feed.unchanged, false);
+    await collect(feed.records);
+
+    // =========================================================================
+    // Test 5: Changed content imports again
+    // =========================================================================
+    console.log('\nTest 5: Changed feed');
+
+    feedServer.body = JSON.stringify({ listings: [{ id: 'A' }, { id: 'B' }, { id: 'C' }] });
+    feedServer.etag = '"v2"';
+    feed = await feedFetcher.openFeed();
+    test('Changed feed is imported', feed.unchanged, false);
+    test('New records streamed', (await collect(feed.records)).length, 3);
+    feed.commit();
+    const updated = JSON.parse(fs.readFileSync(stateFile, 'utf8'))[process.env.FEED_URL];
+    test('New ETag committed', updated.etag, '"v2"');
+
+    // =========================================================================
+    // Test 6: HubSpot initialization fails after the feed was opened
+    // =========================================================================
+    console.log('\nTest 6: Failed initialization');
+
+    feedServer.body = JSON.stringify([{ id: 'D' }]);
+    feedServer.etag = '"v3"';
+    const Importer = require('./src/importer');
+    const importer = new Importer();
+    importer.initialize = async () => {
+      throw new Error('Invalid HubSpot access token');
+    };
+    let error = null;
+    try {
+      await importer.runSource(require('./src/config').getDefaultSource());
+    } catch (err) {
+      error = err.message;
+    }
+    test('Initialization error propagates', error, 'Invalid HubSpot access token');
+    test('Spooled feed removed', fs.readdirSync(os.tmpdir()).filter(f => f.startsWith(`feed-${process.pid}-`)), []);
+  } finally {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All conditional fetch tests passed!');
+      process.exit(0);
+    }
+  });
@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for in-feed duplicate detection:
+ * 1. Collisions by external_listing_id and hs_name
+ * 2. Resolution policies (last, newest, merge, reject, off)
+ * 3. Collisions in the run results
+ * 4. Settings
+ */
+
+const fs = require('fs');
+const os = require('os');
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOTS = 'false';
+process.env.LOG_LEVEL = 'warn';
+
+const config = require('./src/config');
+const Importer = require('./src/importer');
+const { listingKeys } = require('./src/duplicate-resolver');
+
+console.log('Testing Duplicate Listings...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Importer with HubSpot calls replaced by an in-memory recorder
+ */
+function createStubImporter() {
+  const importer = new Importer();
+  importer.batchSize = 2;
+  importer.upserted = [];
+  importer.hubspotClient.batchUpsert = async batch => {
+    importer.upserted.push(...batch);
+    return { created: batch.length, updated: 0, failed: 0, errors: [] };
+  };
+  return importer;
+}
+
+function record(id, address, extra = {}) {
+  return { id, address, city: 'Austin', state: 'TX', zip: '78701', ...extra };
+}
+
+const spools = () => fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('listing-spool-')).length;
+
+async function importWith(policy, records) {
+  const importer = createStubImporter();
+  const totals = await importer.processStream(records, config.getDefaultSource({ duplicatePolicy: policy }));
+  return { totals, upserted: importer.upserted };
+}
+
+const FEED = [
+  record('A1', '1 Main St', { listPrice: 100000, listingStartDate: '2024-03-01', county: 'Travis' }),
+  record('B1', '2 Oak Ave'),
+  record('A1', '1 Main St', { listPrice: 105000, listingStartDate: '2024-01-15' }),
+  record('C1', '3 Elm St'),
+];
+
+async function run() {
+  const spoolsBefore = spools();
+
+  // ===========================================================================
+  // Test 1: Detection
+  // ===========================================================================
+  console.log('Test 1: Detection');
+
+  test('hs_name compared ignoring case and spaces', listingKeys({ external_listing_id: 7, hs_name: ' 1  Main St, Austin ' }),
+    [['external_listing_id', '7'], ['hs_name', '1 main st, austin']]);
+
+  const { totals, upserted } = await importWith('last', FEED);
+  test('Unique listings sent in feed order, resolved collisions last', upserted.map(listing => listing.external_listing_id), ['B1', 'C1', 'A1']);
+  test('Collision listed with its keys and records', totals.duplicates, [{
+    keys: ['external_listing_id "A1"', 'hs_name "1 Main St, Austin, TX 78701"'],
+    records: [
+      { record: 1, external_listing_id: 'A1', hs_name: '1 Main St, Austin, TX 78701' },
+      { record: 3, external_listing_id: 'A1', hs_name: '1 Main St, Austin, TX 78701' },
+    ],
+    policy: 'last',
+    resolution: 'kept record 3 of 1, 3',
+  }]);
+
+  const sameName = await importWith('last', [record('X1', '9 Pine Rd'), record('X2', '9 PINE RD'), record('X3', '10 Pine Rd')]);
+  test('Different IDs with the same hs_name collide', [sameName.upserted.map(listing => listing.external_listing_id), sameName.totals.duplicates[0].keys],
+    [['X3', 'X2'], ['hs_name "9 Pine Rd, Austin, TX 78701"']]);
+
+  const chained = await importWith('last', [record('P1', '5 Bay St'), record('P2', '5 Bay St'), record('P2', '6 Bay St'), record('P3', '7 Bay St')]);
+  test('Collisions chained through another key form one group', [chained.totals.duplicates.length, chained.totals.duplicates[0].records.map(entry => entry.record)],
+    [1, [1, 2, 3]]);
+
+  // ===========================================================================
+  // Test 2: Policies
+  // ===========================================================================
+  console.log('\nTest 2: Policies');
+
+  test('last: the later record wins', upserted[2].hs_price, 105000);
+  const newest = await importWith('newest', FEED);
+  test('newest: the latest listing date wins', [newest.upserted[2].hs_price, newest.totals.duplicates[0].resolution], [100000, 'kept record 1 of 1, 3']);
+  const merged = await importWith('merge', FEED);
+  test('merge: later non-empty fields win, others kept', [merged.upserted[2].hs_price, merged.upserted[2].county, merged.upserted[2].listing_start_date],
+    [105000, 'Travis', Date.UTC(2024, 0, 15)]);
+  const nameOnly = await importWith('merge', [record('M1', '8 Ash Ct', { county: 'Travis' }), record('M2', '8 Ash Ct')]);
+  test('merge: different IDs sharing a name are not merged', [nameOnly.upserted.map(listing => [listing.external_listing_id, listing.county]),
+    nameOnly.totals.duplicates[0].policy, nameOnly.totals.duplicates[0].resolution],
+  [[['M2', undefined]], 'last', 'kept record 2 of 1, 2 (different external_listing_id values, not merged)']);
+
+  const rejected = await importWith('reject', FEED);
+  test('reject: neither listing sent', rejected.upserted.map(listing => listing.external_listing_id), ['B1', 'C1']);
+  test('reject: both counted as failed with the collision', [rejected.totals.failed, rejected.totals.errors.map(error => error.error)], [2, [
+    'Rejected as an in-feed duplicate (external_listing_id "A1", hs_name "1 Main St, Austin, TX 78701"; records 1, 3)',
+    'Rejected as an in-feed duplicate (external_listing_id "A1", hs_name "1 Main St, Austin, TX 78701"; records 1, 3)',
+  ]]);
+
+  const off = await importWith('off', FEED);
+  test('off: every listing sent as it arrives', [off.upserted.map(listing => listing.external_listing_id), off.totals.duplicates],
+    [['A1', 'B1', 'A1', 'C1'], []]);
+
+  // ===========================================================================
+  // Test 3: Run results
+  // ===========================================================================
+  console.log('\nTest 3: Run results');
+
+  const importer = createStubImporter();
+  importer.initialized = true;
+  const feedFetcher = require('./src/feed-fetcher');
+  const openFeed = feedFetcher.openFeed;
+  feedFetcher.openFeed = async () => ({ records: FEED, commit: () => {} });
+  const results = await importer.run();
+  feedFetcher.openFeed = openFeed;
+  test('Collisions in the run results with their source', results.duplicates.map(duplicate => [duplicate.source, duplicate.resolution]),
+    [['default', 'kept record 3 of 1, 3']]);
+  test('No duplicates, no collisions', (await importWith('last', [record('Z1', '1 A St'), record('Z2', '2 A St')])).totals.duplicates, []);
+  test('Spool files removed', spools(), spoolsBefore);
+
+  // ===========================================================================
+  // Test 4: Settings
+  // ===========================================================================
+  console.log('\nTest 4: Settings');
+
+  test('Default policy', config.get('duplicatePolicy'), 'last');
+  process.env.DUPLICATE_POLICY = 'first';
+  test('Invalid DUPLICATE_POLICY fails at startup', errorOf(() => config.reload()),
+    'Invalid DUPLICATE_POLICY "first" (expected last, newest, merge, reject, off)');
+  delete process.env.DUPLICATE_POLICY;
+  config.reload();
+  test('Source policy', config.normalizeSource({ name: 'vendor-x', url: 'https://feed.test', duplicatePolicy: 'Merge' }, 0, __dirname).duplicatePolicy, 'merge');
+  test('Invalid source policy rejected', errorOf(() => config.normalizeSource({ name: 'x', url: 'https://feed.test', duplicatePolicy: 'first' }, 0, __dirname)),
+    'Feed source "x" has invalid duplicatePolicy "first" (expected last, newest, merge, reject, off)');
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All duplicate listing tests passed!');
+      process.exit(0);
+    }
+  });
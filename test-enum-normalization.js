@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for enum normalization of select properties:
+ * 1. Case/separator folding, labels and synonyms
+ * 2. Unknown-value policies (omit, default, reject)
+ * 3. Mapping file validation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enum-normalization-test-'));
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOTS = 'false';
+process.env.LOG_LEVEL = 'warn';
+
+const transformer = require('./src/transformer');
+const { foldEnumValue, loadFieldMapping } = require('./src/field-mapping');
+
+console.log('Testing Enum Normalization...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function writeMapping(name, document) {
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, JSON.stringify(document));
+  return loadFieldMapping(filePath);
+}
+
+const BASE = { id: 'E1', address: '1 Main St', city: 'Austin', state: 'TX' };
+const transform = (record, mapping) => transformer.transformListing({ ...BASE, ...record }, mapping);
+const statusOf = (status, mapping) => {
+  const listing = transform({ status }, mapping);
+  return listing && listing.listing_status;
+};
+
+async function run() {
+  // ===========================================================================
+  // Test 1: Folding, labels and synonyms
+  // ===========================================================================
+  console.log('Test 1: Folding, labels and synonyms');
+
+  test('Folding ignores case, spaces, hyphens and underscores', [foldEnumValue(' For Sale '), foldEnumValue('FOR-SALE'), foldEnumValue('for_sale')],
+    ['forsale', 'forsale', 'forsale']);
+  test('Option values in any case', [statusOf('for_sale'), statusOf('SOLD'), statusOf(' Under-Contract ')],
+    ['for_sale', 'sold', 'under_contract']);
+  test('Option labels matched', [statusOf('For Sale'), statusOf('under contract')], ['for_sale', 'under_contract']);
+  test('Built-in synonyms', [statusOf('Active'), statusOf('pending'), statusOf('Closed'), statusOf('Off Market')],
+    ['for_sale', 'under_contract', 'sold', 'withdrawn']);
+  test('Lot size units', ['ac', 'SF', 'Square Feet', 'm2', 'acres'].map(units => transform({ lotSizeUnits: units }).lot_size_units),
+    ['acres', 'sqft', 'sqft', 'sqm', 'acres']);
+  test('Auction status labels and synonyms', ['Bidding Started', 'not on auction', 'Live'].map(status => transform({ auctionStatus: status }).auction_status),
+    ['active', 'not_on_auction', 'active']);
+
+  const custom = writeMapping('synonyms.json', {
+    properties: {
+      listing_status: { values: { 'Coming Soon': 'for_sale' } },
+      hs_listing_type: { from: 'PropType' },
+    },
+  });
+  test('Custom synonyms added to the built-in ones', [statusOf('coming soon', custom), statusOf('Pending', custom)],
+    ['for_sale', 'under_contract']);
+  test('Built-in listing type synonyms', ['Single Family', 'CONDO', 'Mobile Home'].map(type => transform({ PropType: type }, custom).hs_listing_type),
+    ['house', 'condos_co_ops', 'manufactured']);
+
+  // ===========================================================================
+  // Test 2: Unknown-value policies
+  // ===========================================================================
+  console.log('\nTest 2: Unknown-value policies');
+
+  transformer.resetWarnings();
+  const omitted = transform({ status: 'Short Sale', lotSizeUnits: 'hectares' });
+  test('Unknown values omitted by default', [omitted.listing_status, omitted.lot_size_units], [undefined, undefined]);
+  test('Omitted values aggregated as warnings', [transformer.warnings.unknownEnumValue.count, transformer.warnings.unknownEnumValue.examples],
+    [2, ['listing_status="Short Sale"', 'lot_size_units="hectares"']]);
+  test('A later source path can still match', transform({ listingStatus: 'Short Sale', status: 'Active' }).listing_status, 'for_sale');
+  transformer.resetWarnings();
+
+  const policies = writeMapping('policies.json', {
+    properties: {
+      listing_status: { unknown: 'reject' },
+      lot_size_units: { default: 'sqft', unknown: 'omit' },
+      auction_status: { default: 'not_on_auction' },
+    },
+  });
+  test('Policy defaults to "default" when a default is set', policies.properties.find(property => property.name === 'auction_status').unknown, 'default');
+  const defaulted = transform({ status: 'sold', lotSizeUnits: 'hectares', auctionStatus: 'Paused' }, policies);
+  test('default and omit policies', [defaulted.auction_status, defaulted.lot_size_units], ['not_on_auction', undefined]);
+  test('Defaults still fill missing values under omit', transform({ status: 'sold' }, policies).lot_size_units, 'sqft');
+  test('reject skips the listing', transform({ status: 'Short Sale' }, policies), null);
+  test('Rejections aggregated as warnings', [transformer.warnings.enumRejected.count, transformer.warnings.enumRejected.examples],
+    [1, ['listing_status="Short Sale"']]);
+  test('Missing values are not rejected', transform({}, policies).listing_status, undefined);
+  transformer.resetWarnings();
+
+  // ===========================================================================
+  // Test 3: Validation
+  // ===========================================================================
+  console.log('\nTest 3: Validation');
+
+  const problems = errorOf(() => writeMapping('invalid.json', {
+    properties: {
+      listing_status: { unknown: 'drop' },
+      lot_size_units: { unknown: 'default' },
+      auction_status: { values: { 'On Hold': 'upcoming', 'on-hold': 'ended' } },
+      hs_city: { from: 'town', unknown: 'omit' },
+    },
+  }));
+  test('Every problem listed', [
+    problems.includes('listing_status: unknown "drop" is not one of omit, default, reject'),
+    problems.includes('lot_size_units: unknown: default needs a "default"'),
+    problems.includes('auction_status: values "On Hold" and "on-hold" match the same feed values but map to different options'),
+    problems.includes('hs_city: "options", "values" and "unknown" only apply to enum properties'),
+  ], [true, true, true, true]);
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All enum normalization tests passed!');
+      process.exit(0);
+    }
+  });
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for authenticated feed sources:
+ * bearer, basic, API key (header and query), OAuth2 client credentials,
+ * and redaction of secrets from logger output
+ */
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-hubspot-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_AUTH_TYPE = 'bearer';
+process.env.FEED_AUTH_TOKEN = 'static-bearer-secret';
+process.env.FEED_ALLOWED_HOSTS = '127.0.0.1'; // The local test server
+process.env.LOG_LEVEL = 'warn';
+
+const http = require('http');
+const FeedAuth = require('./src/feed-auth');
+const feedFetcher = require('./src/feed-fetcher');
+const logger = require('./src/logger');
+
+console.log('Testing Feed Authentication...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+// Local server: /token issues OAuth2 tokens, /feed requires a valid bearer token
+const serverState = { tokensIssued: 0, expiresIn: 3600, revoked: new Set(), feedRequests: [] };
+
+// Replies with the credential headers it received
+const echo = (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ authorization: req.headers.authorization || null, apiKey: req.headers['x-partner-key'] || null }));
+};
+const otherHost = http.createServer(echo);
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/echo') {
+    echo(req, res);
+    return;
+  }
+  if (req.url.startsWith('/redirect-')) {
+    res.writeHead(302, { Location: req.url === '/redirect-same' ? '/echo' : `http://127.0.0.1:${otherHost.address().port}/echo` });
+    res.end();
+    return;
+  }
+  if (req.url === '/token-redirect') {
+    res.writeHead(302, { Location: 'http://169.254.169.254/latest/token' });
+    res.end();
+    return;
+  }
+  if (req.url === '/token') {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const expected = `Basic ${Buffer.from('client-id:client-secret-value').toString('base64')}`;
+      if (req.headers.authorization !== expected || !body.includes('grant_type=client_credentials')) {
+        res.writeHead(401);
+        res.end();
+        return;
+      }
+      serverState.tokensIssued++;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ access_token: `oauth-token-${serverState.tokensIssued}`, expires_in: serverState.expiresIn }));
+    });
+    return;
+  }
+
+  serverState.feedRequests.push(req.headers.authorization);
+  const token = (req.headers.authorization || '').replace('Bearer ', '');
+  if (!token.startsWith('oauth-token-') || serverState.revoked.has(token)) {
+    res.writeHead(401);
+    res.end();
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end('[{"id":"A"}]');
+});
+
+async function run() {
+  // ===========================================================================
+  // Test 1: Static credentials
+  // ===========================================================================
+  console.log('Test 1: Static credentials');
+
+  let request = await new FeedAuth({ type: 'bearer', token: 'tok-123' }).apply('https://feed.test/a');
+  test('Bearer header', request.headers.Authorization, 'Bearer tok-123');
+
+  request = await new FeedAuth({ type: 'basic', username: 'user', password: 'pass' }).apply('https://feed.test/a');
+  test('Basic header', request.headers.Authorization, `Basic ${Buffer.from('user:pass').toString('base64')}`);
+
+  request = await new FeedAuth({ type: 'api_key', apiKey: 'key-abc', apiKeyHeader: 'X-Partner-Key' }).apply('https://feed.test/a', { Accept: 'application/json' });
+  test('API key header', request.headers['X-Partner-Key'], 'key-abc');
+  test('Existing headers kept', request.headers.Accept, 'application/json');
+
+  request = await new FeedAuth({ type: 'api_key', apiKey: 'key-abc', apiKeyParam: 'apikey' }).apply('https://feed.test/a?page=2');
+  test('API key query parameter', request.url, 'https://feed.test/a?page=2&apikey=key-abc');
+  test('No header when using query parameter', request.headers['X-API-Key'], undefined);
+
+  let error = null;
+  try {
+    new FeedAuth({ type: 'oauth2', clientId: 'x' });
+  } catch (err) {
+    error = err;
+  }
+  test('Missing OAuth2 settings rejected', error && error.message, 'Feed auth type "oauth2" requires: tokenUrl, clientSecret');
+
+  error = null;
+  try {
+    new FeedAuth({ type: 'digest' });
+  } catch (err) {
+    error = err;
+  }
+  test('Unknown auth type rejected', error !== null, true);
+
+  // ===========================================================================
+  // Test 2: OAuth2 client credentials with caching and refresh
+  // ===========================================================================
+  console.log('\nTest 2: OAuth2 client credentials');
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const oauth = new FeedAuth({
+    type: 'oauth2',
+    tokenUrl: `${base}/token`,
+    clientId: 'client-id',
+    clientSecret: 'client-secret-value',
+  });
+
+  feedFetcher.auths.set('default', oauth);
+  feedFetcher.retryDelay = 1;
+
+  let response = await feedFetcher.requestFeed(`${base}/feed`);
+  test('Feed fetched with OAuth2 token', response.data, [{ id: 'A' }]);
+  test('Token requested once', serverState.tokensIssued, 1);
+
+  await feedFetcher.requestFeed(`${base}/feed`);
+  test('Cached token reused', serverState.tokensIssued, 1);
+
+  // Token revoked server-side: 401 invalidates it and the retry fetches a new one
+  serverState.revoked.add('oauth-token-1');
+  response = await feedFetcher.requestFeed(`${base}/feed`);
+  test('Refreshed after 401', serverState.tokensIssued, 2);
+  test('Retry used new token', serverState.feedRequests[serverState.feedRequests.length - 1], 'Bearer oauth-token-2');
+
+  // Token about to expire is refreshed before use
+  oauth.tokenExpiresAt = Date.now() + 1000;
+  await oauth.getAccessToken();
+  test('Expiring token refreshed', serverState.tokensIssued, 3);
+
+  const tokenError = async tokenUrl => {
+    try {
+      await new FeedAuth({ type: 'oauth2', tokenUrl, clientId: 'client-id', clientSecret: 'client-secret-value' }).getAccessToken();
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  };
+  test('Internal token URL refused', await tokenError('http://169.254.169.254/latest/token'),
+    'Feed URL blocked: 169.254.169.254 is a link-local address (cloud metadata)');
+  test('Token redirect to an internal address refused', await tokenError(`${base}/token-redirect`),
+    'Feed URL blocked: redirect to http://169.254.169.254/latest/token refused: 169.254.169.254 is a link-local address (cloud metadata)');
+
+  // ===========================================================================
+  // Test 3: Credentials on redirects
+  // ===========================================================================
+  console.log('\nTest 3: Credentials on redirects');
+
+  await new Promise(resolve => otherHost.listen(0, '127.0.0.1', resolve));
+  feedFetcher.auths.set('default', new FeedAuth({ type: 'api_key', apiKey: 'key-redirect', apiKeyHeader: 'X-Partner-Key' }));
+  response = await feedFetcher.requestFeed(`${base}/redirect-same`);
+  test('API key kept on a same-host redirect', response.data.apiKey, 'key-redirect');
+  response = await feedFetcher.requestFeed(`${base}/redirect-away`);
+  test('API key removed on a redirect to another host', response.data.apiKey, null);
+
+  feedFetcher.auths.set('default', new FeedAuth({ type: 'bearer', token: 'bearer-redirect' }));
+  response = await feedFetcher.requestFeed(`${base}/redirect-same`);
+  test('Bearer token kept on a same-host redirect', response.data.authorization, 'Bearer bearer-redirect');
+  response = await feedFetcher.requestFeed(`${base}/redirect-away`);
+  test('Bearer token removed on a redirect to another host', response.data.authorization, null);
+
+  // ===========================================================================
+  // Test 4: Secrets redacted from logs
+  // ===========================================================================
+  console.log('\nTest 4: Log redaction');
+
+  logger.addSecrets('s3cr/t+key');
+  const captured = [];
+  const originalLog = console.log;
+  console.log = (...args) => captured.push(args.join(' '));
+  try {
+    logger.warn('Using token static-bearer-secret and test-hubspot-token', {
+      url: `${base}/feed?apikey=key-abc`,
+      encodedName: `${base}/feed?page=2&api%5Fkey=unregistered-key-1`,
+      encodedValue: `${base}/feed?key=${encodeURIComponent('s3cr/t+key')}`,
+      headers: { Authorization: 'Bearer something', 'X-API-Key': 'plain' },
+      token: 'oauth-token-3',
+      clientSecret: 'client-secret-value',
+    });
+  } finally {
+    console.log = originalLog;
+  }
+  const output = captured.join('\n');
+  test('Config bearer token redacted', output.includes('static-bearer-secret'), false);
+  test('HubSpot token redacted', output.includes('test-hubspot-token'), false);
+  test('Runtime OAuth2 token redacted', output.includes('oauth-token-3'), false);
+  test('API key registered by FeedAuth redacted', output.includes('key-abc'), false);
+  test('Authorization header value masked', output.includes('Bearer something'), false);
+  test('Client secret masked', output.includes('client-secret-value'), false);
+  test('URL-encoded parameter name redacted', [output.includes('unregistered-key-1'), output.includes('page=2&api%5Fkey=[REDACTED]')], [false, true]);
+  test('URL-encoded secret value redacted', output.includes(encodeURIComponent('s3cr/t+key')), false);
+  test('Redaction marker present', output.includes('[REDACTED]'), true);
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    server.close();
+    otherHost.close();
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All feed auth tests passed!');
+      process.exit(0);
+    }
+  });
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the drop-folder inbox (watch-inbox):
+ * 1. Stability checks for files still being written
+ * 2. Importing and archiving to processed/ and failed/ with sidecars
+ * 3. Run-once, dry-run and polling until stopped
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-inbox-test-'));
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOTS = 'false';
+process.env.LOG_LEVEL = 'warn';
+
+const config = require('./src/config');
+const logger = require('./src/logger');
+const Importer = require('./src/importer');
+const FeedInbox = require('./src/feed-inbox');
+
+console.log('Testing Feed Inbox...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+// Inbox file results are logged as errors when they fail
+const originalError = logger.error;
+logger.error = () => {};
+
+const inboxDir = path.join(tempDir, 'inbox');
+fs.mkdirSync(inboxDir);
+
+const listing = (id, extra = {}) => ({ id, address: `${id} Main St`, city: 'Austin', state: 'TX', ...extra });
+
+/**
+ * Importer with HubSpot stubbed out; listings whose id starts with "BAD" are rejected
+ */
+function createImporter() {
+  const importer = new Importer();
+  importer.upserted = [];
+  importer.initialize = async () => {};
+  importer.hubspotClient.batchUpsert = async (batch) => {
+    const rejected = batch.filter(item => item.external_listing_id.startsWith('BAD'));
+    importer.upserted.push(...batch.map(item => item.external_listing_id));
+    return {
+      created: batch.length - rejected.length,
+      updated: 0,
+      failed: rejected.length,
+      errors: rejected.map(item => ({ external_listing_id: item.external_listing_id, error: 'Property values were not valid' })),
+    };
+  };
+  return importer;
+}
+
+function createInbox(options = {}) {
+  return new FeedInbox(inboxDir, {
+    importer: createImporter(),
+    source: config.getDefaultSource({ name: 'partner-drop' }),
+    interval: 20,
+    stableTime: 0,
+    ...options,
+  });
+}
+
+const drop = (name, content) => fs.writeFileSync(path.join(inboxDir, name), content);
+const list = (dir = inboxDir) => fs.existsSync(dir) ? fs.readdirSync(dir).sort() : [];
+const readSidecar = (dir, suffix) => {
+  const name = list(dir).find(file => file.endsWith(`${suffix}.result.json`));
+  return name ? JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')) : null;
+};
+const processedDir = path.join(inboxDir, 'processed');
+const failedDir = path.join(inboxDir, 'failed');
+
+async function run() {
+  // ===========================================================================
+  // Test 1: Stability
+  // ===========================================================================
+  console.log('Test 1: Stability');
+
+  let inbox = createInbox({ stableTime: 1000 });
+  drop('growing.json', '[');
+  drop('.upload.json', '[]');
+  drop('listings.csv.part', 'id');
+  drop('backup.json~', '[]');
+  test('Partial and hidden files ignored', inbox.scan().map(file => file.name), ['growing.json']);
+
+  test('New file waits', inbox.findStable(1000), []);
+  test('Unchanged but not yet stable', inbox.findStable(1500), []);
+  fs.appendFileSync(path.join(inboxDir, 'growing.json'), JSON.stringify([listing('G1')]).slice(1));
+  test('Growing file restarts the wait', inbox.findStable(2100), []);
+  test('Stable once unchanged for stableTime', inbox.findStable(3100), ['growing.json']);
+
+  fs.rmSync(path.join(inboxDir, 'growing.json'));
+  inbox.findStable(3200);
+  test('Removed files forgotten', inbox.pending.size, 0);
+  for (const name of list()) {
+    fs.rmSync(path.join(inboxDir, name));
+  }
+
+  // ===========================================================================
+  // Test 2: Import and archive
+  // ===========================================================================
+  console.log('\nTest 2: Import and archive');
+
+  inbox = createInbox();
+  drop('monday.json', JSON.stringify([listing('M1'), listing('M2')]));
+  drop('partial.csv', 'id,address,city,state\nBAD1,1 Main St,Austin,TX\nC2,2 Main St,Austin,TX\n');
+  drop('broken.xml', '<listings><listing>');
+
+  const results = await inbox.poll();
+  test('Files imported in name order', results.map(result => [result.file, result.status]),
+    [['broken.xml', 'failed'], ['monday.json', 'processed'], ['partial.csv', 'failed']]);
+  test('Inbox emptied', list(), ['failed', 'processed']);
+  test('Archived with timestamp prefix', list(processedDir).every(name => /^\d{4}-\d{2}-\d{2}T[\d-]+Z-monday\.json(\.result\.json)?$/.test(name)), true);
+  test('Processed file and sidecar', list(processedDir).length, 2);
+
+  const processed = readSidecar(processedDir, 'monday.json');
+  test('Sidecar holds the run counts', [processed.status, processed.success, processed.created, processed.updated, processed.failed],
+    ['processed', true, 2, 0, 0]);
+  test('Sidecar names the source and archive path', [processed.source, fs.existsSync(processed.archivedAs)], ['partner-drop', true]);
+  test('Sidecar keeps per-source results', processed.sources.map(result => result.fetched), [2]);
+
+  const partial = readSidecar(failedDir, 'partial.csv');
+  test('Rejected listings fail the file', [partial.status, partial.created, partial.failed], ['failed', 1, 1]);
+  test('Sidecar holds listing errors', partial.errors.map(error => [error.external_listing_id, error.error]),
+    [['BAD1', 'Property values were not valid']]);
+
+  const broken = readSidecar(failedDir, 'broken.xml');
+  test('Import error recorded', [broken.status, broken.success, typeof broken.error, broken.error.length > 0], ['failed', false, 'string', true]);
+
+  drop('monday.json', JSON.stringify([listing('M3')]));
+  await inbox.poll();
+  test('Same file name archived again', list(processedDir).filter(name => name.endsWith('monday.json')).length, 2);
+
+  // ===========================================================================
+  // Test 3: Run once, dry run and watching
+  // ===========================================================================
+  console.log('\nTest 3: Run once, dry run and watching');
+
+  inbox = createInbox({ stableTime: 50 });
+  drop('tuesday.json', JSON.stringify([listing('T1')]));
+  const once = await inbox.runOnce();
+  test('Run once waits for new files to settle', once.map(result => [result.file, result.status]), [['tuesday.json', 'processed']]);
+
+  inbox = createInbox({ dryRun: true });
+  drop('wednesday.json', JSON.stringify([listing('W1')]));
+  const dryResults = await inbox.poll();
+  test('Dry run imports but leaves the file', [dryResults.length, list().includes('wednesday.json'), dryResults[0].archivedAs], [1, true, undefined]);
+  test('Dry run does not re-import an unchanged file', (await inbox.poll()).length, 0);
+  fs.rmSync(path.join(inboxDir, 'wednesday.json'));
+
+  inbox = createInbox();
+  const watching = inbox.start();
+  drop('thursday.json', JSON.stringify([listing('H1')]));
+  for (let i = 0; i < 100 && list().includes('thursday.json'); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  inbox.stop();
+  await watching;
+  test('Watching picks up dropped files', [inbox.importer.upserted, list().includes('thursday.json')], [['H1'], false]);
+
+  let error = null;
+  try {
+    await new FeedInbox(path.join(tempDir, 'missing'), { importer: createImporter(), source: {} }).runOnce();
+  } catch (err) {
+    error = err.message;
+  }
+  test('Missing inbox directory rejected', /^Inbox directory not found: /.test(error), true);
+
+  test('Inbox settings from the environment', [config.get('inboxPollInterval'), config.get('inboxStableTime')], [10000, 5000]);
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    logger.error = originalError;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All feed inbox tests passed!');
+      process.exit(0);
+    }
+  });
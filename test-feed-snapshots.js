@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the feed snapshot archive and snapshot replay
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-snapshots-test-'));
+const snapshotDir = path.join(tempDir, 'snapshots');
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOT_DIR = snapshotDir;
+process.env.FEED_SNAPSHOT_KEEP = '2';
+process.env.LOG_LEVEL = 'warn';
+
+const config = require('./src/config');
+const feedFetcher = require('./src/feed-fetcher');
+const FeedSnapshots = require('./src/feed-snapshots');
+const Importer = require('./src/importer');
+
+console.log('Testing Feed Snapshots...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+async function collect(iterable) {
+  const records = [];
+  for await (const record of iterable) {
+    records.push(record);
+  }
+  return records;
+}
+
+const CSV_FEED = 'externalListingId\taddress\tcity\tstate\nS1\t1 Main St\tAustin\tTX\nS2\t2 Main St\tDallas\tTX\n';
+const PAGES = [[{ externalListingId: 'P1' }, { externalListingId: 'P2' }], [{ externalListingId: 'P3' }]];
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname === '/export') {
+    res.writeHead(200, { 'Content-Type': 'text/tab-separated-values' });
+    res.end(CSV_FEED);
+  } else if (url.pathname === '/feed.json.gz') {
+    res.writeHead(200, { 'Content-Type': 'application/gzip' });
+    res.end(zlib.gzipSync(JSON.stringify(PAGES[0])));
+  } else {
+    const page = Number(url.searchParams.get('page'));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ recordCount: 3, data: PAGES[page - 1] || [] }));
+  }
+});
+
+const fileNamePattern = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-[0-9a-f]{12}\./;
+
+async function run() {
+  const snapshots = feedFetcher.getSnapshots();
+
+  // ===========================================================================
+  // Test 1: Archiving feed files
+  // ===========================================================================
+  console.log('Test 1: Feed files');
+
+  const feedPath = path.join(tempDir, 'listings.tsv');
+  fs.writeFileSync(feedPath, CSV_FEED);
+  const fileSource = config.getDefaultSource({ name: 'vendor a', type: 'file', filePath: feedPath });
+
+  let feed = await feedFetcher.openFeed({ source: fileSource });
+  await collect(feed.records);
+  const first = path.basename(feed.snapshot);
+  test('Snapshot named by timestamp and hash', fileNamePattern.test(first), true);
+  test('Format extension kept and gzipped', first.endsWith('.tsv.gz'), true);
+  test('Stored per source', path.basename(path.dirname(feed.snapshot)), 'vendor_a');
+  test('Payload archived verbatim', zlib.gunzipSync(fs.readFileSync(feed.snapshot)).toString('utf8'), CSV_FEED);
+
+  feed = await feedFetcher.openFeed({ source: fileSource });
+  test('Identical payload archived once', snapshots.list('vendor a'), [path.basename(feed.snapshot)]);
+  test('Re-archived payload renewed', path.basename(feed.snapshot).slice(-20), first.slice(-20));
+
+  // ===========================================================================
+  // Test 2: Retention
+  // ===========================================================================
+  console.log('\nTest 2: Retention');
+
+  for (const id of ['S3', 'S4']) {
+    fs.writeFileSync(feedPath, `${CSV_FEED}${id}\t3 Main St\tWaco\tTX\n`);
+    await feedFetcher.openFeed({ source: fileSource });
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  const kept = snapshots.list('vendor a');
+  test('FEED_SNAPSHOT_KEEP snapshots kept', kept.length, 2);
+  test('Oldest snapshot removed first', kept.some(name => name.endsWith(first.slice(-20))), false);
+
+  const aged = new FeedSnapshots(snapshotDir, { maxAgeDays: 7 });
+  const old = aged.fileName('0123456789abcdef', '.tsv.gz', new Date(Date.now() - 8 * 24 * 60 * 60 * 1000));
+  fs.writeFileSync(path.join(snapshotDir, 'vendor_a', old), '');
+  test('Snapshots past the age limit removed', aged.prune('vendor a'), [old]);
+
+  // ===========================================================================
+  // Test 3: URL feeds
+  // ===========================================================================
+  console.log('\nTest 3: URL feeds');
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  // The test server is on loopback, which the SSRF guard rejects
+  feedFetcher.validateUrl = () => true;
+
+  feed = await feedFetcher.openFeed({ source: config.getDefaultSource({ name: 'tsv', type: 'url', url: `${base}/export` }) });
+  test('Streamed feed still imports', (await collect(feed.records)).length, 2);
+  test('Extension from content type', path.basename(feed.snapshot).endsWith('.tsv.gz'), true);
+
+  feed = await feedFetcher.openFeed({ source: config.getDefaultSource({ name: 'gz', type: 'url', url: `${base}/feed.json.gz` }) });
+  await collect(feed.records);
+  test('Compressed payload stored as received', [path.basename(feed.snapshot).endsWith('.json.gz'), fs.readFileSync(feed.snapshot)[0]], [true, 0x1f]);
+
+  const paged = config.getDefaultSource({
+    name: 'paged',
+    type: 'url',
+    url: `${base}/api`,
+    pagination: { ...config.getDefaultSource().pagination, mode: 'page', pageSize: 2 },
+  });
+  feed = await feedFetcher.openFeed({ source: paged });
+  test('Paginated records archived together', path.basename(feed.snapshot).endsWith('.records.json.gz'), true);
+  test('Records snapshot content', JSON.parse(zlib.gunzipSync(fs.readFileSync(feed.snapshot))).map(r => r.externalListingId), ['P1', 'P2', 'P3']);
+
+  config.config.feedSnapshots = false;
+  feed = await feedFetcher.openFeed({ source: config.getDefaultSource({ name: 'off', type: 'url', url: `${base}/export` }) });
+  await collect(feed.records);
+  test('FEED_SNAPSHOTS=false archives nothing', [feed.snapshot, fs.existsSync(path.join(snapshotDir, 'off'))], [null, false]);
+  config.config.feedSnapshots = true;
+
+  // ===========================================================================
+  // Test 4: Replay
+  // ===========================================================================
+  console.log('\nTest 4: Replay');
+
+  const pagedSnapshot = path.basename(feed.snapshot || snapshots.list('paged').map(name => path.join(snapshotDir, 'paged', name))[0]);
+  const found = snapshots.resolve(pagedSnapshot);
+  test('Snapshot found by file name', [found.sourceName, found.records], ['paged', true]);
+  test('Unknown snapshot rejected', (() => {
+    try {
+      snapshots.resolve('missing.json.gz');
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  })(), 'Snapshot not found: missing.json.gz');
+
+  const replaySource = snapshots.replaySource(found, paged);
+  test('Replay reads the snapshot file', [replaySource.type, replaySource.filePath, replaySource.pagination.mode], ['file', found.filePath, 'none']);
+  test('Records snapshot replayed as JSON', replaySource.format, 'json');
+
+  const tsvSnapshot = snapshots.resolve(path.join('tsv', snapshots.list('tsv')[0]));
+  const importer = new Importer({ sources: [snapshots.replaySource(tsvSnapshot, config.getDefaultSource({ name: 'tsv' }))] });
+  const upserted = [];
+  importer.initialize = async () => {};
+  importer.hubspotClient.batchUpsert = async (batch) => {
+    upserted.push(...batch);
+    return { created: batch.length, updated: 0, failed: 0, errors: [] };
+  };
+  const results = await importer.run();
+  test('Replay imports the archived listings', upserted.map(listing => listing.external_listing_id), ['S1', 'S2']);
+  test('Replayed listings keep their source', upserted[0].feed_source, 'tsv');
+  test('Replay result', [results.success, results.created], [true, 2]);
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All feed snapshot tests passed!');
+      process.exit(0);
+    }
+  });
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for declarative field mapping files:
+ * 1. Source paths and the YAML subset
+ * 2. The built-in mapping and custom JSON/YAML mappings
+ * 3. Type conversion, defaults and required properties
+ * 4. Validation on startup and per-source mappings
+ * 5. Vendor code tables
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'field-mapping-test-'));
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOTS = 'false';
+process.env.LOG_LEVEL = 'warn';
+
+const config = require('./src/config');
+const transformer = require('./src/transformer');
+const Importer = require('./src/importer');
+const { parseSourcePath, readSourcePath, loadFieldMapping } = require('./src/field-mapping');
+const YAML = require('yaml');
+
+console.log('Testing Field Mapping...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function writeFile(name, content) {
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  return filePath;
+}
+
+const VENDOR_YAML = `# Vendor X export
+properties:
+  external_listing_id: [MLS#, "listing.id"]   # shorthand: source paths only
+  hs_price:
+    from:
+      - pricing.asking
+      - pricing.original
+  hs_address_1: /location/street
+  hs_city: $.location.city
+  primary_image_url: "photos[0].url"
+  listing_status:
+    from: Status
+    required: true
+  hs_listing_type:
+    from: PropType
+    type: enum
+    values:
+      Condo: condos_co_ops
+      Land: lots_land
+  reference_id: null
+`;
+
+const VENDOR_RECORD = {
+  'MLS#': 'VX-1',
+  Status: 'for_sale',
+  PropType: 'Condo',
+  pricing: { asking: 'call', original: '450000' },
+  location: { street: '9 Harbor Rd', city: 'Boston' },
+  state: 'Massachusetts',
+  photos: [{ url: 'https://img.example/1.jpg' }, { url: 'https://img.example/2.jpg' }],
+  referenceId: 'REF-9',
+};
+
+async function run() {
+  // ===========================================================================
+  // Test 1: Source paths and YAML
+  // ===========================================================================
+  console.log('Test 1: Source paths and YAML');
+
+  test('Field name', parseSourcePath('listPrice'), ['listPrice']);
+  test('Dotted path with index', parseSourcePath('media[0].url'), ['media', '0', 'url']);
+  test('JSON Pointer and JSONPath', [parseSourcePath('/a/b'), parseSourcePath('$.a.b')], [['a', 'b'], ['a', 'b']]);
+  test('Malformed path rejected', errorOf(() => parseSourcePath('a..b')), 'Invalid source path "a..b"');
+  test('Whole-name field wins over nesting', readSourcePath({ 'a.b': 1, a: { b: 2 } }, { path: 'a.b', segments: ['a', 'b'] }), 1);
+
+  const yaml = YAML.parse(VENDOR_YAML);
+  test('YAML mappings, sequences and comments', [yaml.properties.external_listing_id, yaml.properties.hs_price.from],
+    [['MLS#', 'listing.id'], ['pricing.asking', 'pricing.original']]);
+  test('Invalid YAML reported with its line', errorOf(() => loadFieldMapping(writeFile('nested.yaml', 'properties:\n  hs_city: city: town\n'))),
+    `Unable to read field mapping ${path.join(tempDir, 'nested.yaml')}: Nested mappings are not allowed in compact mappings at line 2, column 12`);
+
+  // ===========================================================================
+  // Test 2: Built-in and custom mappings
+  // ===========================================================================
+  console.log('\nTest 2: Built-in and custom mappings');
+
+  const builtIn = loadFieldMapping();
+  const price = builtIn.properties.find(property => property.name === 'hs_price');
+  test('Built-in aliases ship as the default mapping', [price.type, price.from.map(source => source.path)],
+    ['number', ['listPrice', 'list_price', 'price']]);
+  test('Built-in mapping used by default', transformer.getFieldMapping().file, 'field-mapping.default.json');
+
+  const yamlPath = writeFile('vendor-x.yaml', VENDOR_YAML);
+  const vendor = loadFieldMapping(yamlPath);
+  const listing = transformer.transformListing(VENDOR_RECORD, vendor);
+  test('Nested paths, pointers and indexes', [listing.external_listing_id, listing.hs_address_1, listing.hs_city, listing.primary_image_url],
+    ['VX-1', '9 Harbor Rd', 'Boston', 'https://img.example/1.jpg']);
+  test('First convertible source path wins', listing.hs_price, 450000);
+  test('Overrides keep the inherited type', vendor.properties.find(property => property.name === 'hs_price').type, 'number');
+  test('Inherited properties still mapped', [listing.state_code, listing.marketing_eligible], ['MA', true]);
+  test('Dropped property not mapped', listing.reference_id, undefined);
+  test('Mapped listing type replaces inference', listing.hs_listing_type, 'condos_co_ops');
+  test('Generated hs_name uses mapped address', listing.hs_name, '9 Harbor Rd, Boston, Massachusetts');
+
+  const standalone = loadFieldMapping(writeFile('only-id.json', {
+    inherit: false,
+    properties: { external_listing_id: { from: 'Ref', required: true } },
+  }));
+  test('inherit: false starts from scratch', standalone.properties.map(property => property.name), ['external_listing_id']);
+
+  // ===========================================================================
+  // Test 3: Conversion, defaults and required properties
+  // ===========================================================================
+  console.log('\nTest 3: Conversion, defaults and required properties');
+
+  const typed = loadFieldMapping(writeFile('typed.json', {
+    properties: {
+      listing_status: { from: 'Status', required: true },
+      is_featured: { from: 'Hot', type: 'boolean', default: false },
+      listing_start_date: { from: 'Listed', type: 'date' },
+      lot_size_units: { from: 'Units', type: 'enum', values: { ac: 'acres' }, default: 'sqft' },
+    },
+  }));
+  const convert = record => transformer.transformListing({ id: 'T1', address: '1 Main St', ...record }, typed);
+
+  let result = convert({ Status: 'Active', Hot: 'yes', Listed: '2025-03-04T15:30:00Z', Units: 'ac' });
+  test('Types converted', [result.is_featured, result.listing_start_date, result.lot_size_units],
+    [true, Date.UTC(2025, 2, 4), 'acres']);
+  result = convert({ Status: 'Active', Units: 'hectares' });
+  test('Defaults fill missing and unconvertible values', [result.is_featured, result.lot_size_units], [false, 'sqft']);
+  test('Unconvertible values are left out', convert({ Status: 'Active', Listed: 'soon' }).listing_start_date, undefined);
+
+  transformer.resetWarnings();
+  test('Missing required property rejects the listing', [convert({ Status: '  ' }), convert({})], [null, null]);
+  test('Rejections aggregated as warnings', [transformer.warnings.missingRequired.count, transformer.warnings.missingRequired.examples[0]],
+    [2, 'listing_status (listing T1)']);
+  transformer.resetWarnings();
+
+  // ===========================================================================
+  // Test 4: Validation and sources
+  // ===========================================================================
+  console.log('\nTest 4: Validation and sources');
+
+  const invalid = writeFile('invalid.json', {
+    properties: {
+      hs_prce: 'price',
+      feed_source: 'vendor',
+      hs_price: { type: 'money' },
+      hs_city: { from: 'a..b' },
+      auction_status: { values: { Live: 'live' } },
+      is_featured: { from: 'Hot', type: 'boolean', default: 'yes', requred: true },
+    },
+  });
+  const problems = errorOf(() => loadFieldMapping(invalid));
+  test('Every problem listed', [
+    problems.startsWith(`Invalid field mapping ${invalid}: `),
+    problems.includes('hs_prce: unknown HubSpot property'),
+    problems.includes('feed_source: is set by the importer'),
+    problems.includes('hs_price: unknown type "money"'),
+    problems.includes('hs_city: Invalid source path "a..b"'),
+    problems.includes('auction_status: value "Live" maps to unknown option "live"'),
+    problems.includes('is_featured: unknown setting "requred"'),
+    problems.includes('is_featured: default "yes" does not match type boolean'),
+  ], [true, true, true, true, true, true, true, true]);
+  test('Missing properties object', errorOf(() => loadFieldMapping(writeFile('empty.yaml', '# nothing yet\n'))),
+    `Invalid field mapping ${path.join(tempDir, 'empty.yaml')}: expected a "properties" object`);
+
+  process.env.FIELD_MAPPING_FILE = invalid;
+  test('Invalid FIELD_MAPPING_FILE fails at startup', /^Invalid field mapping .*hs_prce/.test(errorOf(() => config.reload())), true);
+  process.env.FIELD_MAPPING_FILE = yamlPath;
+  config.reload();
+  test('FIELD_MAPPING_FILE on the default source', config.getDefaultSource().mappingFile, yamlPath);
+  delete process.env.FIELD_MAPPING_FILE;
+  config.reload();
+
+  const sourcesPath = writeFile('sources.json', [{ name: 'x', file: 'feed.json', mappingFile: 'invalid.json' }]);
+  test('Invalid source mappingFile rejected', /^Feed source "x" has an invalid mappingFile: Invalid field mapping/.test(errorOf(() => config.loadSourcesFile(sourcesPath))), true);
+
+  const feedPath = writeFile('feed.json', [VENDOR_RECORD, { ...VENDOR_RECORD, 'MLS#': 'VX-2', Status: '' }]);
+  writeFile('sources.json', [
+    { name: 'vendor-x', file: 'feed.json', mappingFile: 'vendor-x.yaml' },
+    { name: 'plain', file: 'feed.json' },
+  ]);
+  const [vendorSource, plainSource] = config.loadSourcesFile(sourcesPath);
+  test('Source mappingFile resolved against the sources file', [vendorSource.mappingFile, plainSource.mappingFile], [yamlPath, null]);
+
+  const importer = new Importer({ sources: [vendorSource] });
+  const upserted = [];
+  importer.initialize = async () => {};
+  importer.hubspotClient.batchUpsert = async (batch) => {
+    upserted.push(...batch);
+    return { created: batch.length, updated: 0, failed: 0, errors: [] };
+  };
+  const results = await importer.run();
+  test('Import applies the source mapping', upserted.map(item => [item.external_listing_id, item.hs_price, item.feed_source]),
+    [['VX-1', 450000, 'vendor-x']]);
+  test('Listing without required property not imported', results.sources[0].transformed, 1);
+  test('Sources without a mappingFile use the built-in mapping', transformer.transformRecord(VENDOR_RECORD, 0, plainSource).external_listing_id, undefined);
+
+  // ===========================================================================
+  // Test 5: Vendor code tables
+  // ===========================================================================
+  console.log('\nTest 5: Vendor code tables');
+
+  const VRM_RECORD = {
+    assetId: 22317, addressLine1: '158 BRIANS WOODS RD', city: 'MAPLE HILL', state: 'NC',
+    squareFootage: 1194, bedrooms: 3, bathrooms: 2, lotSize: 1.73,
+    propertyType: 14, listingStatusType: 2, assetListingStatusType: 2, dispositionType: 2,
+    auctionStatusType: 2, auctionStatus: null,
+  };
+  transformer.resetWarnings();
+  const vrm = transformer.transformListing(VRM_RECORD);
+  test('Built-in tables decode VRM status codes', [vrm.listing_status, vrm.auction_status], ['for_sale', 'active']);
+  test('propertyType left to the rules without a code table', [vrm.hs_listing_type, transformer.warnings.unknownCode.examples],
+    ['house', []]);
+  test('Text fields win over codes', transformer.transformListing({ ...VRM_RECORD, auctionStatus: 'Ended', listingStatus: 'sold' }).auction_status, 'ended');
+  test('Later coded paths used when earlier ones are empty',
+    transformer.transformListing({ ...VRM_RECORD, auctionStatusType: null, dispositionType: 1 }).auction_status, 'not_on_auction');
+  test('Codes mapped to null leave the property unset',
+    transformer.transformListing({ ...VRM_RECORD, auctionStatusType: null, dispositionType: 2 }).auction_status, undefined);
+  test('Codes mapped to null fall back to the next source path', [
+    transformer.transformListing({ ...VRM_RECORD, auctionStatusType: null, dispositionType: 2, auction_status: 'Upcoming' }).auction_status,
+    transformer.transformListing({ ...VRM_RECORD, auctionStatusType: 7, dispositionType: 2 }).auction_status,
+  ], ['upcoming', undefined]);
+  transformer.resetWarnings();
+  test('Codes missing from a table leave the property unset and are reported', [
+    transformer.transformListing({ ...VRM_RECORD, listingStatusType: 1, assetListingStatusType: 1 }).listing_status,
+    transformer.warnings.unknownCode.examples,
+  ], [undefined, ['listingStatusType=1', 'assetListingStatusType=1']]);
+  test('Inference is the fallback for missing codes', transformer.transformListing({ ...VRM_RECORD, propertyType: undefined }).hs_listing_type, 'house');
+  transformer.resetWarnings();
+  for (const code of [1, 3, 1]) {
+    transformer.transformListing({ ...VRM_RECORD, listingStatusType: code });
+  }
+  test('Unknown codes reported once per distinct code with a count', [
+    transformer.warnings.unknownCode.count,
+    transformer.warnings.unknownCode.examples,
+    [...transformer.warnings.unknownCode.counts],
+  ], [3, ['listingStatusType=1', 'listingStatusType=3'], [['listingStatusType=1', 2], ['listingStatusType=3', 1]]]);
+  transformer.resetWarnings();
+
+  const coded = loadFieldMapping(writeFile('codes.yaml', [
+    'properties:',
+    '  hs_listing_type:',
+    '    from:',
+    '      - path: propertyType',
+    '        codes: { 8: apartments, 14: lots_land }',
+    '      - PropType',
+    '    values: { Condo: condos_co_ops }',
+  ].join('\n')));
+  test('Code tables configurable in mapping files', [
+    transformer.transformListing({ ...VRM_RECORD, propertyType: 8 }, coded).hs_listing_type,
+    transformer.transformListing({ ...VRM_RECORD, propertyType: 99, PropType: 'Condo' }, coded).hs_listing_type,
+  ], ['apartments', 'condos_co_ops']);
+  const unknownCode = transformer.transformListing({ ...VRM_RECORD, propertyType: 99 }, coded);
+  test('Known propertyType codes decoded; unknown codes fall back to the rules', [
+    transformer.transformListing({ ...VRM_RECORD, propertyType: 14 }, coded).hs_listing_type,
+    unknownCode.hs_listing_type,
+    unknownCode.listing_type_rule,
+  ], ['lots_land', 'house', 'house']);
+  transformer.resetWarnings();
+
+  const badCodes = errorOf(() => loadFieldMapping(writeFile('bad-codes.json', {
+    properties: {
+      hs_listing_type: { from: [{ path: 'propertyType', codes: { 1: 'castle' } }] },
+      hs_bedrooms: { from: [{ path: 'bedroomCode', codes: { A: 'three' }, labels: true }] },
+      listing_status: { from: [{ path: 'statusCode', codes: ['for_sale'] }] },
+    },
+  })));
+  test('Code tables validated', [
+    badCodes.includes('hs_listing_type: propertyType code "1" maps to unknown option "castle"'),
+    badCodes.includes('hs_bedrooms: bedroomCode code "A" maps to "three", which does not match type number'),
+    badCodes.includes('hs_bedrooms: bedroomCode: unknown setting "labels"'),
+    badCodes.includes('listing_status: statusCode: "codes" must map vendor codes to values'),
+  ], [true, true, true, true]);
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All field mapping tests passed!');
+      process.exit(0);
+    }
+  });
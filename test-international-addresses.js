@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for Canadian and US territory addresses:
+ * 1. Province and territory codes
+ * 2. Country detection
+ * 3. Postal codes per country
+ * 4. hs_name per country
+ * 5. One-line addresses
+ * 6. state_code options added to the existing HubSpot property
+ */
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOTS = 'false';
+process.env.LOG_LEVEL = 'warn';
+
+const config = require('./src/config');
+const transformer = require('./src/transformer');
+const HubSpotClient = require('./src/hubspot-client');
+const { LISTINGS_PROPERTIES, US_STATE_CODES } = require('./src/properties');
+const { normalizeCanadianPostalCode, normalizePostalCode, formatListingName } = require('./src/countries');
+const { parseSingleLineAddress } = require('./src/address-parser');
+
+console.log('Testing International Addresses...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+const TORONTO = {
+  id: 'CA-1',
+  address: '150 King St W',
+  unit: 'Unit 1203',
+  city: 'Toronto',
+  state: 'ON',
+  zip: 'M5H 1J9',
+};
+
+const SAN_JUAN = {
+  id: 'PR-1',
+  address: '1250 Ave Ponce de Leon',
+  city: 'San Juan',
+  state: 'PR',
+  zip: '00907',
+};
+
+async function run() {
+  // ===========================================================================
+  // Test 1: Province and territory codes
+  // ===========================================================================
+  console.log('Test 1: Province and territory codes');
+
+  test('Province and territory codes accepted', ['on', 'QC', 'yt', 'PR', 'gu'].map(code => transformer.parseStateCode(code)),
+    ['ON', 'QC', 'YT', 'PR', 'GU']);
+  test('Names converted', ['British Columbia', 'Québec', 'Puerto Rico', 'U.S. Virgin Islands'].map(name => transformer.parseStateCode(name)),
+    ['BC', 'QC', 'PR', 'VI']);
+  const stateCode = LISTINGS_PROPERTIES.find(property => property.name === 'state_code');
+  test('state_code options cover states, territories and provinces', [stateCode.options.length, stateCode.options.some(o => o.value === 'NU')],
+    [US_STATE_CODES.length + 5 + 13, true]);
+
+  // ===========================================================================
+  // Test 2: Country detection
+  // ===========================================================================
+  console.log('\nTest 2: Country detection');
+
+  test('Country from the province', transformer.transformListing(TORONTO).country, 'CA');
+  test('Territories are in the US', transformer.transformListing(SAN_JUAN).country, 'US');
+  test('Country from a Canadian postal code', transformer.transformListing({ ...TORONTO, state: undefined }).country, 'CA');
+  test('Country names and codes mapped', ['Canada', 'CAN', 'usa', 'United States', 'Puerto Rico']
+    .map(country => transformer.transformListing({ ...TORONTO, country }).country), ['CA', 'CA', 'US', 'US', 'US']);
+
+  transformer.resetWarnings();
+  const mismatched = transformer.transformListing({ ...TORONTO, state: 'TX', country: 'Canada' });
+  test('Region outside the country dropped', [mismatched.country, mismatched.state_code], ['CA', undefined]);
+  test('Mismatches aggregated as warnings', transformer.warnings.regionCountryMismatch.examples, ['TX (CA)']);
+  transformer.resetWarnings();
+
+  // ===========================================================================
+  // Test 3: Postal codes
+  // ===========================================================================
+  console.log('\nTest 3: Postal codes');
+
+  test('Canadian postal codes formatted', ['m5h1j9', 'K1A 0B1', ' t2p 2m5 '].map(normalizeCanadianPostalCode), ['M5H 1J9', 'K1A 0B1', 'T2P 2M5']);
+  test('Invalid Canadian postal codes rejected', ['D5H 1J9', 'W1A 0B1', 'M5H-1J9', '12345'].map(normalizeCanadianPostalCode), [null, null, null, null]);
+  test('Validated per country', [normalizePostalCode('M5H1J9', 'CA'), normalizePostalCode('M5H1J9', 'US'), normalizePostalCode('907', 'US')],
+    ['M5H 1J9', null, '00907']);
+
+  process.env.ADDRESS_NORMALIZATION = 'zip';
+  config.reload();
+  transformer.resetWarnings();
+  test('ZIP rule formats each country\'s codes', [transformer.transformListing({ ...TORONTO, zip: 'm5h1j9' }).hs_zip, transformer.transformListing({ ...SAN_JUAN, zip: 907 }).hs_zip],
+    ['M5H 1J9', '00907']);
+  test('Postal codes of another country flagged', [transformer.transformListing({ ...TORONTO, zip: '28454' }).hs_zip, transformer.warnings.invalidZip.examples],
+    ['28454', ['28454']]);
+  transformer.resetWarnings();
+  delete process.env.ADDRESS_NORMALIZATION;
+  config.reload();
+
+  // ===========================================================================
+  // Test 4: hs_name
+  // ===========================================================================
+  console.log('\nTest 4: hs_name');
+
+  test('Canadian name: unit before the civic number, one locality line', transformer.transformListing(TORONTO).hs_name,
+    '1203-150 King St W, Toronto ON M5H 1J9');
+  test('Province code and formatted postal code used', transformer.transformListing({ ...TORONTO, unit: undefined, state: 'Ontario', zip: 'm5h1j9' }).hs_name,
+    '150 King St W, Toronto ON M5H 1J9');
+  test('Units that are not a bare identifier follow the street', transformer.transformListing({ ...TORONTO, unit: 'Penthouse Level' }).hs_name,
+    '150 King St W Penthouse Level, Toronto ON M5H 1J9');
+  test('US and territory names unchanged', [transformer.transformListing(SAN_JUAN).hs_name, formatListingName({ hs_address_1: '1 Main St', hs_address_2: 'Apt 4', hs_city: 'Austin', hs_state_province: 'TX', hs_zip: '78701' })],
+    ['1250 Ave Ponce de Leon, San Juan, PR 00907', '1 Main St Apt 4, Austin, TX 78701']);
+
+  // ===========================================================================
+  // Test 5: One-line addresses
+  // ===========================================================================
+  console.log('\nTest 5: One-line addresses');
+
+  test('Canadian one-line address', parseSingleLineAddress('150 KING ST W TORONTO ON M5H 1J9'),
+    { addressLine1: '150 KING ST W', addressLine2: null, city: 'TORONTO', state: 'ON', zip: 'M5H 1J9' });
+  test('Comma-separated with an unspaced postal code', parseSingleLineAddress('150 King St W, Unit 1203, Toronto, ON M5H1J9'),
+    { addressLine1: '150 King St W', addressLine2: 'Unit 1203', city: 'Toronto', state: 'ON', zip: 'M5H1J9' });
+
+  // ===========================================================================
+  // Test 6: Property sync
+  // ===========================================================================
+  console.log('\nTest 6: Property sync');
+
+  const client = new HubSpotClient();
+  const updates = [];
+  const existing = LISTINGS_PROPERTIES.map(property => ({
+    name: property.name,
+    options: property.name === 'state_code'
+      ? US_STATE_CODES.map((option, index) => ({ ...option, displayOrder: index, hidden: false }))
+      : property.options,
+  }));
+  client.client = {
+    crm: {
+      properties: {
+        coreApi: {
+          getAll: async () => ({ results: existing }),
+          create: async () => { throw new Error('unexpected create'); },
+          update: async (objectType, name, data) => updates.push({ name, values: data.options.map(option => option.value) }),
+        },
+      },
+    },
+  };
+
+  await client.ensureProperties();
+  test('Only properties missing options are updated', updates.map(update => update.name), ['state_code']);
+  test('New regions appended to the existing options', [updates[0].values.slice(0, 2), updates[0].values.slice(-2), updates[0].values.length],
+    [['AL', 'AK'], ['SK', 'YT'], US_STATE_CODES.length + 18]);
+
+  updates.length = 0;
+  process.env.DRY_RUN = 'true';
+  config.reload();
+  await client.ensureProperties();
+  test('Dry run changes nothing', updates, []);
+  delete process.env.DRY_RUN;
+  config.reload();
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All international address tests passed!');
+      process.exit(0);
+    }
+  });
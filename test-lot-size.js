@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for lot size units:
+ * 1. Unit detection and conversion
+ * 2. Transformed listings (companion fields, suffixes, LOT_SIZE_UNIT)
+ * 3. Classification in square feet
+ */
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOTS = 'false';
+process.env.LOG_LEVEL = 'warn';
+
+const config = require('./src/config');
+const transformer = require('./src/transformer');
+const { parseLotSizeUnit, parseLotSize, convertLotSize } = require('./src/lot-size');
+
+console.log('Testing Lot Size Units...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const BASE = { id: 'L1', address: '1 Main St', city: 'Austin', state: 'TX' };
+const lotOf = (record) => {
+  const listing = transformer.transformListing({ ...BASE, ...record });
+  return [listing.hs_lot_size, listing.lot_size_units];
+};
+
+// ===========================================================================
+// Test 1: Detection and conversion
+// ===========================================================================
+console.log('Test 1: Detection and conversion');
+
+test('Unit spellings', ['ac', 'Acres', 'SF', 'Sq. Ft.', 'ft²', 'm2', 'square metres', 'ha', 'lots'].map(parseLotSizeUnit),
+  ['acres', 'acres', 'sqft', 'sqft', 'sqft', 'sqm', 'sqm', 'hectares', null]);
+test('Plain numbers have no unit', [parseLotSize(4792), parseLotSize('4792')], [{ size: 4792, unit: null }, { size: 4792, unit: null }]);
+test('Suffixes detected', [parseLotSize('1.73 ac'), parseLotSize('10,000 sq ft'), parseLotSize('.5acres')],
+  [{ size: 1.73, unit: 'acres' }, { size: 10000, unit: 'sqft' }, { size: 0.5, unit: 'acres' }]);
+test('Unknown suffixes and text rejected', [parseLotSize('5 lots'), parseLotSize('n/a'), parseLotSize({})], [null, null, null]);
+test('Acres to square feet', convertLotSize(1.73, 'acres', 'sqft'), 75359);
+test('Square feet to acres', convertLotSize(10000, 'sqft', 'acres'), 0.23);
+test('Square meters and hectares', [convertLotSize(1000, 'sqm', 'sqft'), convertLotSize(0.5, 'hectares', 'sqm')], [10764, 5000]);
+test('Same unit unchanged', convertLotSize(1.7345, 'acres', 'acres'), 1.7345);
+
+// ===========================================================================
+// Test 2: Transformed listings
+// ===========================================================================
+console.log('\nTest 2: Transformed listings');
+
+test('Companion field sets the unit (VRM lotSizeSource)', [lotOf({ lotSize: 1.73, lotSizeSource: 'ac' }), lotOf({ lotSize: 4792, lotSizeSource: 'SF' })],
+  [[1.73, 'acres'], [4792, 'sqft']]);
+test('Suffix detected in the value', lotOf({ lotSize: '2.5 acres' }), [2.5, 'acres']);
+test('Suffix wins over the companion field', lotOf({ lotSize: '12,000 sf', lotSizeUnits: 'acres' }), [12000, 'sqft']);
+test('Unknown unit left as sent', lotOf({ lotSize: 6000 }), [6000, undefined]);
+test('Hectares written as square meters', lotOf({ lotSize: '0.5 ha' }), [5000, 'sqm']);
+
+process.env.LOT_SIZE_UNIT = 'sqft';
+config.reload();
+test('LOT_SIZE_UNIT=sqft converts acreage', lotOf({ lotSize: 1.73, lotSizeSource: 'ac' }), [75359, 'sqft']);
+process.env.LOT_SIZE_UNIT = 'acres';
+config.reload();
+test('LOT_SIZE_UNIT=acres converts square feet', lotOf({ lotSize: 21780, lotSizeSource: 'SF' }), [0.5, 'acres']);
+test('Sizes of unknown unit are not converted', lotOf({ lotSize: 6000 }), [6000, undefined]);
+process.env.LOT_SIZE_UNIT = 'hectares';
+test('Invalid LOT_SIZE_UNIT rejected', errorOf(() => config.reload()), 'Invalid LOT_SIZE_UNIT "hectares" (expected feed, sqft, acres, sqm)');
+delete process.env.LOT_SIZE_UNIT;
+config.reload();
+
+// ===========================================================================
+// Test 3: Classification
+// ===========================================================================
+console.log('\nTest 3: Classification');
+
+const typeOf = record => transformer.transformListing({ ...BASE, ...record }).hs_listing_type;
+test('Acreage land classified as land', typeOf({ squareFootage: 0, bedrooms: 0, bathrooms: 0, lotSize: 2, lotSizeSource: 'ac' }), 'lots_land');
+test('Square-foot lots unchanged', typeOf({ squareFootage: 0, bedrooms: 0, bathrooms: 0, lotSize: 8000, lotSizeSource: 'SF' }), 'lots_land');
+test('Small acreage no longer looks like a tiny lot', typeOf({ squareFootage: 1100, bedrooms: 2, bathrooms: 1, lotSize: 0.2, lotSizeSource: 'ac' }), 'manufactured');
+test('Classification independent of LOT_SIZE_UNIT', (() => {
+  process.env.LOT_SIZE_UNIT = 'acres';
+  config.reload();
+  const type = typeOf({ squareFootage: 0, bedrooms: 0, bathrooms: 0, lotSize: 8000, lotSizeSource: 'SF' });
+  delete process.env.LOT_SIZE_UNIT;
+  config.reload();
+  return type;
+})(), 'lots_land');
+
+console.log(`\n${'-'.repeat(60)}`);
+console.log(`Tests passed: ${testsPassed}`);
+console.log(`Tests failed: ${testsFailed}`);
+
+if (testsFailed > 0) {
+  process.exit(1);
+} else {
+  console.log('\n✓ All lot size tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for media galleries:
+ * 1. Grouping consecutive media rows by assetId
+ * 2. Gallery order and the primary image
+ * 3. Image URLs built from a template
+ * 4. Gallery properties on the listing (and on updates)
+ * 5. XML and RESO pictures
+ * 6. Settings validation
+ */
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOTS = 'false';
+process.env.LOG_LEVEL = 'warn';
+
+const config = require('./src/config');
+const transformer = require('./src/transformer');
+const Importer = require('./src/importer');
+const HubSpotClient = require('./src/hubspot-client');
+const ResoAdapter = require('./src/reso-adapter');
+const { mapXmlListing } = require('./src/xml-feed');
+const { groupMediaRows, mergeMediaRows, buildMediaUrl, checkMediaSettings } = require('./src/media-gallery');
+
+console.log('Testing Media Galleries...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const CDN = 'https://s3.amazonaws.com/photos.vrmresales.com';
+
+/**
+ * One feed row per media item, as the vendor's joined export sends them
+ */
+function mediaRow(assetId, mediaOrder, mediaGuid, extra = {}) {
+  return {
+    assetId,
+    addressLine1: `${assetId} Main St`,
+    city: 'Austin',
+    state: 'TX',
+    zip: '78701',
+    mediaOrder,
+    mediaGuid,
+    mediaTitle: mediaOrder === 1 ? 'Front' : 'Interior',
+    imageUrl: mediaGuid ? `${CDN}/${mediaGuid}.jpg` : null,
+    ...extra,
+  };
+}
+
+async function collect(records, media, stats) {
+  const listings = [];
+  for await (const listing of groupMediaRows(records, media, stats)) {
+    listings.push(listing);
+  }
+  return listings;
+}
+
+async function run() {
+  // ===========================================================================
+  // Test 1: Grouping
+  // ===========================================================================
+  console.log('Test 1: Grouping');
+
+  const stats = {};
+  const grouped = await collect([
+    mediaRow(101, 2, 'b'),
+    mediaRow(101, 1, 'a'),
+    mediaRow(101, 3, 'c'),
+    mediaRow(102, 1, 'd'),
+    { id: 'no-key', city: 'Austin' },
+    mediaRow(103, 1, 'e'),
+  ], undefined, stats);
+  test('Rows of one asset become one record', grouped.map(listing => listing.assetId || listing.id), [101, 102, 'no-key', 103]);
+  test('Rows and listings counted', stats, { rows: 6, listings: 4, split: 0, splitExamples: [] });
+  test('Lone rows are passed through as sent', [grouped[1].pictures, grouped[2]], [undefined, { id: 'no-key', city: 'Austin' }]);
+
+  const splitStats = {};
+  const split = await collect([
+    mediaRow(201, 1, 'a'),
+    mediaRow(201, 2, 'b'),
+    mediaRow(202, 1, 'c'),
+    mediaRow(201, 3, 'd'),
+    mediaRow(203, 1, 'e'),
+    mediaRow(202, 2, 'f'),
+  ], undefined, splitStats);
+  test('Only consecutive rows are grouped', split.map(listing => listing.assetId), [201, 202, 201, 203, 202]);
+  test('Interleaved rows counted as split galleries', [splitStats.split, splitStats.splitExamples], [2, ['201', '202']]);
+  const ungrouped = await collect([mediaRow(301, 1, 'a'), mediaRow(301, 2, 'b')], { groupBy: 'none' });
+  test('groupBy "none" keeps one record per row', ungrouped.length, 2);
+  const nested = await collect([{ asset: { id: 7 }, imageUrl: `${CDN}/x.jpg` }, { asset: { id: 7 }, imageUrl: `${CDN}/y.jpg` }], { groupBy: 'asset.id' });
+  test('Nested group key', nested.map(listing => listing.pictures), [[`${CDN}/x.jpg`, `${CDN}/y.jpg`]]);
+
+  // ===========================================================================
+  // Test 2: Gallery order
+  // ===========================================================================
+  console.log('\nTest 2: Gallery order');
+
+  test('Gallery ordered by mediaOrder', grouped[0].pictures, [`${CDN}/a.jpg`, `${CDN}/b.jpg`, `${CDN}/c.jpg`]);
+  test('Primary image is the lowest mediaOrder', [grouped[0].primaryImageUrl, grouped[0].mediaGuid], [`${CDN}/a.jpg`, 'a']);
+  test('Media items kept with their titles', grouped[0].media.map(item => [item.order, item.guid, item.title]),
+    [[1, 'a', 'Front'], [2, 'b', 'Interior'], [3, 'c', 'Interior']]);
+
+  const unordered = mergeMediaRows([
+    mediaRow(1, null, 'x'),
+    mediaRow(1, '2', 'y'),
+    mediaRow(1, 2, 'y'),
+    mediaRow(1, null, null),
+    mediaRow(1, 1, 'z'),
+  ], {});
+  test('Unordered media last, duplicates and rows without images dropped', unordered.pictures,
+    [`${CDN}/z.jpg`, `${CDN}/y.jpg`, `${CDN}/x.jpg`]);
+  test('Missing order recorded as null', unordered.media.map(item => item.order), [1, 2, 2, null]);
+
+  // ===========================================================================
+  // Test 3: URL template
+  // ===========================================================================
+  console.log('\nTest 3: URL template');
+
+  const template = 'https://cdn.example.com/listings/{assetId}/{mediaGuid}.jpg';
+  test('Placeholders filled and encoded', buildMediaUrl(template, { assetId: 5, mediaGuid: 'a b' }), 'https://cdn.example.com/listings/5/a%20b.jpg');
+  test('Missing placeholder field', buildMediaUrl(template, { assetId: 5 }), null);
+  const templated = mergeMediaRows([mediaRow(9, 1, 'g1', { imageUrl: null }), { ...mediaRow(9, 2, null), imageUrl: `${CDN}/own.jpg` }], { urlTemplate: template });
+  test('Template wins, row URL when the template cannot be filled', templated.pictures,
+    ['https://cdn.example.com/listings/9/g1.jpg', `${CDN}/own.jpg`]);
+  test('Template applies to lone rows', mergeMediaRows([mediaRow(9, 1, 'g1')], { urlTemplate: template }).primaryImageUrl,
+    'https://cdn.example.com/listings/9/g1.jpg');
+
+  // ===========================================================================
+  // Test 4: Gallery properties
+  // ===========================================================================
+  console.log('\nTest 4: Gallery properties');
+
+  const listing = transformer.transformListing(grouped[0]);
+  test('Gallery written to the listing', [listing.primary_image_url, listing.image_count, listing.additional_image_urls],
+    [`${CDN}/a.jpg`, 3, `${CDN}/b.jpg\n${CDN}/c.jpg`]);
+  const single = transformer.transformListing(mediaRow(102, 1, 'd'));
+  test('Single image clears additional URLs', [single.image_count, single.additional_image_urls], [1, '']);
+  test('No image, no gallery properties', transformer.transformListing({ id: 'x', address: '1 Main St', city: 'Austin' }).image_count, undefined);
+
+  const updates = new HubSpotClient().prepareUpdateProperties(listing);
+  test('Gallery updated on existing listings', [updates.primary_image_url, updates.image_count, updates.additional_image_urls],
+    [listing.primary_image_url, 3, listing.additional_image_urls]);
+  test('Single image clears additional URLs on update', new HubSpotClient().prepareUpdateProperties(single).additional_image_urls, '');
+  test('Record without images keeps the stored gallery', new HubSpotClient().prepareUpdateProperties({
+    hs_price: 100000, primary_image_url: '', image_count: 0, additional_image_urls: '',
+  }), { hs_price: 100000, list_price: null });
+
+  const importer = new Importer();
+  const upserted = [];
+  importer.hubspotClient.batchUpsert = async batch => {
+    upserted.push(...batch);
+    return { created: batch.length, updated: 0, failed: 0, errors: [] };
+  };
+  const totals = await importer.processStream([mediaRow(401, 2, 'b'), mediaRow(401, 1, 'a'), mediaRow(402, 1, 'c')]);
+  test('Import streams one listing per asset', [totals.fetched, upserted.map(entry => [entry.external_listing_id, entry.image_count])],
+    [2, [['401', 2], ['402', 1]]]);
+
+  const logger = require('./src/logger');
+  const warnings = [];
+  const warn = logger.warn;
+  logger.warn = message => warnings.push(message);
+  await importer.processStream([mediaRow(501, 1, 'a'), mediaRow(502, 1, 'b'), mediaRow(501, 2, 'c')]);
+  logger.warn = warn;
+  test('Split galleries logged', warnings.filter(message => message.startsWith('Media rows of')),
+    ['Media rows of 1 listing(s) were not consecutive, so their gallery was split across records; sort the feed by assetId (examples: 501)']);
+
+  process.env.MEDIA_URL_TEMPLATE = 'https://cdn.example.com/{mediaGuid}.webp';
+  config.reload();
+  upserted.length = 0;
+  await importer.processStream([mediaRow(403, 1, 'q')]);
+  test('MEDIA_URL_TEMPLATE used by the import', upserted[0].primary_image_url, 'https://cdn.example.com/q.webp');
+  delete process.env.MEDIA_URL_TEMPLATE;
+  config.reload();
+
+  // ===========================================================================
+  // Test 5: XML and RESO pictures
+  // ===========================================================================
+  console.log('\nTest 5: XML and RESO pictures');
+
+  const xml = transformer.transformListing(mapXmlListing({ MlsId: 'X1', StreetAddress: '1 Main St', City: 'Austin' }, ['https://x/1.jpg', 'https://x/2.jpg']));
+  test('XML pictures become the gallery', [xml.image_count, xml.additional_image_urls], [2, 'https://x/2.jpg']);
+  const reso = ResoAdapter.mapResoRecord({
+    ListingKey: 'R1',
+    UnparsedAddress: '1 Main St',
+    Media: [{ Order: 2, MediaURL: 'https://r/2.jpg' }, { Order: 1, MediaURL: 'https://r/1.jpg' }, { Order: 3 }],
+  });
+  test('RESO Media ordered into the gallery', [reso.primaryImageUrl, reso.pictures], ['https://r/1.jpg', ['https://r/1.jpg', 'https://r/2.jpg']]);
+
+  // ===========================================================================
+  // Test 6: Settings
+  // ===========================================================================
+  console.log('\nTest 6: Settings');
+
+  test('Settings problems', checkMediaSettings({ groupBy: '', urlTemplate: 'cdn.example.com/{mediaGuid}' }),
+    ['"groupBy" must be a field name, or "none"', '"urlTemplate" must be an http(s) URL, got "cdn.example.com/{mediaGuid}"']);
+  process.env.MEDIA_URL_TEMPLATE = 'https://cdn.example.com/photo.jpg';
+  test('Invalid MEDIA_URL_TEMPLATE fails at startup', errorOf(() => config.reload()),
+    'Invalid media settings: MEDIA_URL_TEMPLATE has no {field} placeholder (e.g. {mediaGuid})');
+  delete process.env.MEDIA_URL_TEMPLATE;
+  config.reload();
+
+  const source = config.normalizeSource({ name: 'vendor-x', url: 'https://feed.test', media: { urlTemplate: template } }, 0, __dirname);
+  test('Source media settings keep the defaults they do not set', source.media, { groupBy: 'assetId', urlTemplate: template });
+  test('Invalid source media settings rejected', errorOf(() => config.normalizeSource({ name: 'x', url: 'https://feed.test', media: { groupBy: 42 } }, 0, __dirname)),
+    'Feed source "x" has invalid media settings: "groupBy" must be a field name, or "none"');
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All media gallery tests passed!');
+      process.exit(0);
+    }
+  });
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for multi-source imports:
+ * 1. Sources file loading, validation and ${ENV} interpolation
+ * 2. Per-source field mapping, defaults and feed_source stamping
+ * 3. Per-source results with failure isolation
+ * 4. Feed state saved when listings were only rejected, not failed in HubSpot
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multi-source-test-'));
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_SOURCES_FILE = path.join(tempDir, 'sources.json');
+process.env.FEED_STATE_FILE = path.join(tempDir, 'state.json');
+process.env.FEED_SNAPSHOT_DIR = path.join(tempDir, 'snapshots');
+process.env.VENDOR_B_TOKEN = 'vendor-b-secret';
+process.env.LOG_LEVEL = 'warn';
+
+fs.writeFileSync(path.join(tempDir, 'vendor-a.json'), JSON.stringify([
+  { id: 'A1', address: '1 Main St', city: 'Austin', state: 'TX', zip: '78701' },
+  { id: 'A2', address: '2 Main St', city: 'Austin', state: 'TX', zip: '78701' },
+]));
+fs.writeFileSync(path.join(tempDir, 'vendor-b.json'), JSON.stringify({
+  results: [{ MLSNumber: 'B1', Street: '9 Oak Ave', Town: 'Dallas', state: 'TX', listing_status: 'under_contract' }],
+}));
+fs.writeFileSync(process.env.FEED_SOURCES_FILE, JSON.stringify({
+  sources: [
+    { name: 'vendor-a', file: 'vendor-a.json' },
+    {
+      name: 'vendor-b',
+      file: 'vendor-b.json',
+      auth: { type: 'bearer', token: '${VENDOR_B_TOKEN}' },
+      fieldMap: { MLSNumber: 'id', Street: 'address', Town: 'city' },
+      defaults: { listing_status: 'for_sale', county: 'Dallas' },
+    },
+    { name: 'vendor-c', file: 'missing.json' },
+  ],
+}));
+
+const config = require('./src/config');
+const feedFetcher = require('./src/feed-fetcher');
+const Importer = require('./src/importer');
+const logger = require('./src/logger');
+const { MAX_STRING_LENGTH } = require('./src/schema-validator');
+
+// Skipped state saves are warnings
+const warnings = [];
+logger.warn = (message) => warnings.push(message);
+
+console.log('Testing Multi-Source Imports...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+function loadError(sources) {
+  const filePath = path.join(tempDir, 'invalid.json');
+  fs.writeFileSync(filePath, JSON.stringify(sources));
+  try {
+    config.loadSourcesFile(filePath);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Importer with HubSpot calls replaced by an in-memory recorder
+ */
+function createStubImporter() {
+  const importer = new Importer();
+  importer.upserted = [];
+  importer.initializeCount = 0;
+  importer.initialize = async () => {
+    importer.initializeCount++;
+  };
+  importer.hubspotClient.batchUpsert = async (batch) => {
+    importer.upserted.push(...batch);
+    const failed = batch.filter(listing => listing.external_listing_id === 'A2');
+    return {
+      created: batch.length - failed.length,
+      updated: 0,
+      failed: failed.length,
+      errors: failed.map(listing => ({ hs_name: listing.hs_name, error: 'rejected' })),
+    };
+  };
+  return importer;
+}
+
+async function run() {
+  // ===========================================================================
+  // Test 1: Sources file
+  // ===========================================================================
+  console.log('Test 1: Sources file');
+
+  const sources = config.getSources();
+  test('All sources loaded', sources.map(s => s.name), ['vendor-a', 'vendor-b', 'vendor-c']);
+  test('Relative file resolved against sources file', sources[0].filePath, path.join(tempDir, 'vendor-a.json'));
+  test('Secret interpolated from environment', sources[1].auth.token, 'vendor-b-secret');
+  test('Auth defaults to none', sources[0].auth.type, 'none');
+  test('Pagination defaults applied', [sources[0].pagination.mode, sources[0].pagination.pageSize], ['none', 100]);
+  test('Default source still built from FEED_* settings', config.getDefaultSource().name, 'default');
+
+  test('Duplicate names rejected', loadError([{ name: 'x', file: 'a.json' }, { name: 'x', file: 'b.json' }]), 'Duplicate feed source name "x"');
+  test('Missing name rejected', loadError([{ file: 'a.json' }]), 'Feed source #1 is missing a "name"');
+  test('Both url and file rejected', loadError([{ name: 'x', file: 'a.json', url: 'https://feed.test' }]), 'Feed source "x" must set exactly one of "url" or "file"');
+  test('Invalid pagination rejected', loadError([{ name: 'x', url: 'https://feed.test', pagination: { mode: 'pages' } }]), 'Feed source "x" has invalid pagination mode "pages"');
+  test('Unset environment variable rejected', loadError([{ name: 'x', url: 'https://feed.test/${NOT_SET_ANYWHERE}' }]), 'Environment variable NOT_SET_ANYWHERE referenced in feed sources file is not set');
+  test('Empty sources rejected', /non-empty "sources" array/.test(loadError({ sources: [] })), true);
+
+  config.config.feedSourceNames = ['nope'];
+  let error = null;
+  try {
+    config.getSources();
+  } catch (err) {
+    error = err.message;
+  }
+  test('Unknown selected source rejected', error, 'Unknown feed source(s): nope');
+  config.config.feedSourceNames = ['vendor-b'];
+  test('Source selection', config.getSources().map(s => s.name), ['vendor-b']);
+  config.config.feedSourceNames = [];
+
+  test('Authenticators are per source', feedFetcher.getAuth(sources[0]) !== feedFetcher.getAuth(sources[1]), true);
+  test('Authenticator cached per source', feedFetcher.getAuth(sources[1]), feedFetcher.getAuth(sources[1]));
+
+  // ===========================================================================
+  // Test 2: Multi-source run
+  // ===========================================================================
+  console.log('\nTest 2: Multi-source run');
+
+  const importer = createStubImporter();
+  const results = await importer.run();
+  const byName = Object.fromEntries(results.sources.map(result => [result.name, result]));
+
+  test('HubSpot initialized once', importer.initializeCount, 1);
+  test('Listings stamped with source', importer.upserted.map(l => [l.external_listing_id, l.feed_source]), [
+    ['A1', 'vendor-a'], ['A2', 'vendor-a'], ['B1', 'vendor-b'],
+  ]);
+
+  const b1 = importer.upserted.find(l => l.external_listing_id === 'B1');
+  test('Field map applied', [b1.hs_address_1, b1.hs_city], ['9 Oak Ave', 'Dallas']);
+  test('Defaults fill empty properties', b1.county, 'Dallas');
+  test('Defaults never overwrite feed values', b1.listing_status, 'under_contract');
+
+  test('Per-source counts', [byName['vendor-a'].created, byName['vendor-a'].failed, byName['vendor-b'].created], [1, 1, 1]);
+  test('Failing source isolated', byName['vendor-c'].error, `File not found: ${path.join(tempDir, 'missing.json')}`);
+  test('Other sources still imported', byName['vendor-b'].success, true);
+  test('Overall totals', [results.created, results.failed], [2, 1]);
+  test('Run reports failure', results.success, false);
+  test('Errors tagged with source', results.errors.map(e => e.source), ['vendor-a']);
+  test('Describe failed source', importer.describeSource(byName['vendor-c']).startsWith('FAILED - File not found'), true);
+
+  const state = JSON.parse(fs.readFileSync(process.env.FEED_STATE_FILE, 'utf8'));
+  test('Only clean sources committed', Object.keys(state).map(key => path.basename(key)), ['vendor-b.json']);
+  test('Skipped commit logged', warnings.includes(
+    "Feed state for source 'vendor-a' not saved: 1 listing(s) failed to write to HubSpot; the feed will be imported again on the next run"), true);
+
+  // ===========================================================================
+  // Test 3: Unchanged and all-failed runs
+  // ===========================================================================
+  console.log('\nTest 3: Unchanged and failed runs');
+
+  const unchanged = await new Importer({ sources: [sources[1]] }).run();
+  test('Unchanged source skipped', [unchanged.unchanged, unchanged.sources[0].unchanged], [true, true]);
+
+  error = null;
+  try {
+    await Object.assign(createStubImporter(), { sources: [sources[2]] }).run();
+  } catch (err) {
+    error = err.message;
+  }
+  test('Single failed source rethrows its error', /File not found/.test(error), true);
+
+  error = null;
+  try {
+    await Object.assign(createStubImporter(), { sources: [sources[2], { ...sources[2], name: 'vendor-d' }] }).run();
+  } catch (err) {
+    error = err.message;
+  }
+  test('All sources failing aborts the run', /^All feed sources failed: vendor-c: .*; vendor-d: /.test(error), true);
+
+  // ===========================================================================
+  // Test 4: Rejected listings and the feed state
+  // ===========================================================================
+  console.log('\nTest 4: Rejected listings');
+
+  fs.writeFileSync(path.join(tempDir, 'vendor-r.json'), JSON.stringify([
+    { id: 'R1', address: '1 Elm St', city: 'Austin', state: 'TX' },
+    { id: 'R2', address: '2 Elm St', city: 'Austin', state: 'TX', url: `https://example.com/${'x'.repeat(MAX_STRING_LENGTH)}` },
+    { id: 'R3', address: '3 Elm St', city: 'Austin', state: 'TX' },
+    { id: 'R3', address: '3 Elm St', city: 'Austin', state: 'TX' },
+  ]));
+  const rejecting = createStubImporter();
+  rejecting.sources = [config.normalizeSource({ name: 'vendor-r', file: 'vendor-r.json', duplicatePolicy: 'reject' }, 0, tempDir)];
+  const rejected = await rejecting.run();
+  test('Rejected listings counted as failed', [rejected.created, rejected.failed, rejected.rejected], [1, 3, 1]);
+  const rejectedState = JSON.parse(fs.readFileSync(process.env.FEED_STATE_FILE, 'utf8'));
+  test('Source with only rejections committed', Object.keys(rejectedState).map(key => path.basename(key)), ['vendor-b.json', 'vendor-r.json']);
+  test('Rejections alone not reported as a skipped save', warnings.some(message => message.includes("source 'vendor-r' not saved")), false);
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All multi-source tests passed!');
+      process.exit(0);
+    }
+  });
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for NDJSON (JSON Lines) feeds and standard input:
+ * 1. Line parsing, malformed line reporting and chunk boundaries
+ * 2. Format detection and file/URL feeds
+ * 3. Reading feeds from standard input
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ndjson-feed-test-'));
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOTS = 'false';
+process.env.LOG_LEVEL = 'warn';
+
+const config = require('./src/config');
+const feedFetcher = require('./src/feed-fetcher');
+const logger = require('./src/logger');
+const { NdjsonStream, parseNdjson } = require('./src/ndjson-stream');
+
+console.log('Testing NDJSON Feeds and Standard Input...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+async function collect(iterable) {
+  const records = [];
+  for await (const record of iterable) {
+    records.push(record);
+  }
+  return records;
+}
+
+/**
+ * Parse text through NdjsonStream, feeding it in chunks of the given size
+ */
+async function parseChunked(text, chunkSize) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += chunkSize) {
+    chunks.push(Buffer.from(text.slice(i, i + chunkSize)));
+  }
+  const parser = new NdjsonStream();
+  Readable.from(chunks).pipe(parser);
+  return { records: await collect(parser), parser };
+}
+
+// Capture warnings (the malformed line report)
+const warnings = [];
+const originalWarn = logger.warn.bind(logger);
+logger.warn = (message, data) => {
+  warnings.push({ message, data });
+};
+
+const ids = records => records.map(record => record.id);
+
+const NDJSON = [
+  '{"id":"N1","address":"1 Main St","city":"Austin","state":"TX"}',
+  '',
+  '{"id":"N2","city":"São Paulo"}',
+  '{"id":"N3", "broken": }',
+  '[1, 2]',
+  '{"id":"N4","note":"line\\nbreak inside a string"}',
+].join('\n') + '\n';
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+  res.end(NDJSON);
+});
+
+async function run() {
+  // ===========================================================================
+  // Test 1: Line parsing
+  // ===========================================================================
+  console.log('Test 1: Line parsing');
+
+  let allMatch = true;
+  for (let size = 1; size <= 25; size++) {
+    const { records, parser } = await parseChunked(NDJSON, size);
+    if (JSON.stringify(ids(records)) !== JSON.stringify(['N1', 'N2', 'N4']) || parser.skippedCount !== 2) {
+      allMatch = false;
+      console.error(`  mismatch at chunk size ${size}`);
+    }
+  }
+  test('Every chunk size yields identical records', allMatch, true);
+
+  const { records, parser } = await parseChunked(NDJSON, 7);
+  test('Multi-byte characters kept', records[1].city, 'São Paulo');
+  test('Malformed lines reported by line number', parser.skipped.map(entry => entry.line), [4, 5]);
+  test('Non-object line explained', parser.skipped[1].error, 'expected a JSON object, got an array');
+
+  const crlf = parseNdjson('\uFEFF{"id":"B1"}\r\n{"id":"B2"}\r\n\r\n{"id":"B3"}');
+  test('BOM, CRLF and a missing final newline', [ids(crlf.records), crlf.skippedCount], [['B1', 'B2', 'B3'], 0]);
+
+  const many = parseNdjson(`${'oops\n'.repeat(30)}{"id":"OK"}`);
+  test('Report capped, count complete', [many.skipped.length, many.skippedCount, ids(many.records)], [20, 30, ['OK']]);
+
+  let error = null;
+  try {
+    parseNdjson('{\n  "id": "pretty"\n}\n');
+  } catch (err) {
+    error = err.message;
+  }
+  test('No valid line at all fails', /^Invalid NDJSON feed: none of 3 line\(s\) is a JSON object \(line 1: /.test(error), true);
+
+  // ===========================================================================
+  // Test 2: Format detection and feeds
+  // ===========================================================================
+  console.log('\nTest 2: Format detection and feeds');
+
+  test('Extensions detected', [feedFetcher.detectFormat('a.ndjson'), feedFetcher.detectFormat('b.JSONL'), feedFetcher.detectFormat('c.json')],
+    ['ndjson', 'ndjson', 'json']);
+  test('Content types detected', [
+    feedFetcher.detectFormat('https://x.test/export', 'application/x-ndjson'),
+    feedFetcher.detectFormat('https://x.test/export', 'application/jsonl; charset=utf-8'),
+  ], ['ndjson', 'ndjson']);
+  test('Format option wins', feedFetcher.detectFormat('feed.json', '', 'ndjson'), 'ndjson');
+
+  const ndjsonPath = path.join(tempDir, 'listings.jsonl');
+  fs.writeFileSync(ndjsonPath, NDJSON);
+  const fileSource = config.getDefaultSource({ type: 'file', filePath: ndjsonPath, url: null });
+
+  warnings.length = 0;
+  test('NDJSON file streamed', ids(await collect(await feedFetcher.openFileRecords(ndjsonPath, fileSource))), ['N1', 'N2', 'N4']);
+  test('Skipped lines logged once done', [warnings.length, warnings[0].message, warnings[0].data.lines[0].startsWith('line 4: ')],
+    [1, 'Skipped 2 malformed NDJSON line(s)', true]);
+
+  const gzPath = path.join(tempDir, 'listings.ndjson.gz');
+  fs.writeFileSync(gzPath, zlib.gzipSync(NDJSON));
+  test('Gzipped NDJSON file', ids(await feedFetcher.getFeed(config.getDefaultSource({ type: 'file', filePath: gzPath }))), ['N1', 'N2', 'N4']);
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  // The test server is on loopback, which the SSRF guard rejects
+  feedFetcher.validateUrl = () => true;
+  const url = `http://127.0.0.1:${server.address().port}/export`;
+  const feed = await feedFetcher.openFeed({ source: config.getDefaultSource({ type: 'url', url }) });
+  test('NDJSON URL streamed by content type', ids(await collect(feed.records)), ['N1', 'N2', 'N4']);
+  test('NDJSON URL fetched whole', ids(await feedFetcher.fetchFeed(url)), ['N1', 'N2', 'N4']);
+
+  // ===========================================================================
+  // Test 3: Standard input
+  // ===========================================================================
+  console.log('\nTest 3: Standard input');
+
+  const stdinSource = config.getDefaultSource({ type: 'stdin', url: null, filePath: null });
+  const readStdin = async (text, source = stdinSource) => {
+    feedFetcher.stdin = Readable.from([Buffer.from(text)]);
+    const opened = await feedFetcher.openFeed({ source });
+    return ids(await collect(opened.records));
+  };
+
+  test('NDJSON from stdin', await readStdin(NDJSON), ['N1', 'N2', 'N4']);
+  test('JSON array from stdin', await readStdin('[{"id":"J1"},{"id":"J2"}]'), ['J1', 'J2']);
+  test('Pretty JSON object from stdin', await readStdin('{\n  "listings": [{"id":"W1"}]\n}'), ['W1']);
+  test('CSV from stdin', await readStdin('id,address,city,state\nC1,1 Main St,Austin,TX\n'), ['C1']);
+  test('Gzipped stdin', await readStdin(zlib.gzipSync('{"id":"G1"}\n{"id":"G2"}\n')), ['G1', 'G2']);
+  test('Format option applies to stdin', await readStdin('{"id":"F1"}', { ...stdinSource, format: 'ndjson' }), ['F1']);
+
+  const spool = path.join(tempDir, 'spool');
+  const sniff = (text) => {
+    fs.writeFileSync(spool, text);
+    return feedFetcher.sniffFormat(spool);
+  };
+  test('Sniffed formats', [sniff('  [1]'), sniff('<listings/>'), sniff('{"a":1}\n{"a":2}'), sniff('{"a":1}'), sniff('a,b\n1,2')],
+    ['json', 'xml', 'ndjson', 'json', 'csv']);
+
+  const leftovers = fs.readdirSync(os.tmpdir()).filter(name => name.startsWith(`feed-${process.pid}-`));
+  test('Spooled stdin removed after reading', leftovers, []);
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    logger.warn = originalWarn;
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All NDJSON tests passed!');
+      process.exit(0);
+    }
+  });
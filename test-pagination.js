@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for paginated feed fetching
+ * Serves pages of data/properties_combined.json through a stubbed fetchFeed
+ */
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.LOG_LEVEL = 'warn';
+
+const fs = require('fs');
+const path = require('path');
+const feedFetcher = require('./src/feed-fetcher');
+
+console.log('Testing Paginated Feed Fetching...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+const feed = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'properties_combined.json'), 'utf8'));
+const allRecords = feed.properties;
+const PAGE_SIZE = 16; // VRM feed: 1704 records over 107 pages
+
+/**
+ * Replace fetchFeed with an in-memory page server
+ * @param {Function} respond - (URL) => response body
+ * @returns {string[]} Requested URLs
+ */
+function stubFetch(respond) {
+  const requested = [];
+  feedFetcher.fetchFeed = async (url) => {
+    requested.push(url);
+    return respond(new URL(url));
+  };
+  return requested;
+}
+
+function baseOptions(overrides) {
+  return { ...feedFetcher.getPaginationOptions(), pageSize: PAGE_SIZE, ...overrides };
+}
+
+async function run() {
+  // ===========================================================================
+  // Test 1: Page-number pagination walks every page
+  // ===========================================================================
+  console.log('Test 1: Page-number pagination');
+
+  let requested = stubFetch(url => {
+    const page = Number(url.searchParams.get('page'));
+    return allRecords.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+  });
+  let records = await feedFetcher.fetchPaginatedFeed('https://feed.test/listings', baseOptions({ mode: 'page' }));
+  test('All records fetched', records.length, 1704);
+  test('Stops at reported pageCount', requested.length, 107);
+  test('Page size parameter sent', new URL(requested[0]).searchParams.get('pageSize'), '16');
+  test('Rows arrive in order', records[1703].rowNumber, allRecords[1703].rowNumber);
+
+  // ===========================================================================
+  // Test 2: Missing pages fail the run
+  // ===========================================================================
+  console.log('\nTest 2: Truncated feed is rejected');
+
+  stubFetch(url => {
+    const page = Number(url.searchParams.get('page'));
+    // Server stops returning data after page 50
+    return page > 50 ? [] : allRecords.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+  });
+  let error = null;
+  try {
+    await feedFetcher.fetchPaginatedFeed('https://feed.test/listings', baseOptions({ mode: 'page' }));
+  } catch (err) {
+    error = err;
+  }
+  test('Throws on missing pages', error !== null, true);
+  test('Error reports received vs reported counts', error && /800 of 1704/.test(error.message), true);
+
+  // ===========================================================================
+  // Test 3: Offset/limit pagination with wrapper totals
+  // ===========================================================================
+  console.log('\nTest 3: Offset/limit pagination');
+
+  const wrapped = Array.from({ length: 25 }, (_, i) => ({ id: `L-${i}` }));
+  requested = stubFetch(url => {
+    const offset = Number(url.searchParams.get('offset'));
+    const limit = Number(url.searchParams.get('limit'));
+    return { recordCount: wrapped.length, results: wrapped.slice(offset, offset + limit) };
+  });
+  records = await feedFetcher.fetchPaginatedFeed('https://feed.test/listings?region=south', baseOptions({ mode: 'offset', pageSize: 10 }));
+  test('All offset records fetched', records.map(r => r.id), wrapped.map(r => r.id));
+  test('Offsets advance by page length', requested.map(u => new URL(u).searchParams.get('offset')), ['0', '10', '20']);
+  test('Existing query parameters preserved', new URL(requested[2]).searchParams.get('region'), 'south');
+
+  // ===========================================================================
+  // Test 4: Cursor and next-link pagination
+  // ===========================================================================
+  console.log('\nTest 4: Cursor and next-link pagination');
+
+  requested = stubFetch(url => {
+    const cursor = url.searchParams.get('cursor');
+    if (!cursor) return { data: [{ id: 'A' }, { id: 'B' }], meta: { next: 'c2', total: 5 } };
+    if (cursor === 'c2') return { data: [{ id: 'C' }, { id: 'D' }], meta: { next: 'https://feed.test/listings?cursor=c3', total: 5 } };
+    return { data: [{ id: 'E' }], meta: { next: null, total: 5 } };
+  });
+  records = await feedFetcher.fetchPaginatedFeed('https://feed.test/listings', baseOptions({
+    mode: 'cursor', nextField: 'meta.next', totalField: 'meta.total',
+  }));
+  test('All cursor records fetched', records.map(r => r.id), ['A', 'B', 'C', 'D', 'E']);
+  test('Bare cursor sent as parameter', new URL(requested[1]).searchParams.get('cursor'), 'c2');
+  test('Next link followed as-is', requested[2], 'https://feed.test/listings?cursor=c3');
+
+  // ===========================================================================
+  // Test 5: Runaway pagination is capped
+  // ===========================================================================
+  console.log('\nTest 5: Max pages guard');
+
+  stubFetch(() => ({ data: [{ id: 'X' }], next: 'again' }));
+  error = null;
+  try {
+    await feedFetcher.fetchPaginatedFeed('https://feed.test/listings', baseOptions({ mode: 'cursor', maxPages: 5 }));
+  } catch (err) {
+    error = err;
+  }
+  test('Throws after maxPages', error && /FEED_MAX_PAGES/.test(error.message), true);
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.message}`);
+    testsFailed++;
+  })
+  .then(() => {
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All pagination tests passed!');
+      process.exit(0);
+    }
+  });
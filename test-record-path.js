@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for configurable record paths (JSON Pointer / JSONPath):
+ * 1. Path parsing
+ * 2. Record selection, fallback and strict mode
+ * 3. Streaming a nested listings array
+ * 4. Source configuration and end-to-end import
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'record-path-test-'));
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOTS = 'false';
+process.env.FEED_RECORD_PATH = '$.payload.items';
+process.env.LOG_LEVEL = 'warn';
+
+const config = require('./src/config');
+const feedFetcher = require('./src/feed-fetcher');
+const Importer = require('./src/importer');
+const { JsonArrayStream } = require('./src/json-stream');
+const { parseRecordPath, selectRecords } = require('./src/record-path');
+
+console.log('Testing Record Paths...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Parse text through JsonArrayStream, feeding it in chunks of the given size
+ */
+async function parseChunked(text, chunkSize, options) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += chunkSize) {
+    chunks.push(Buffer.from(text.slice(i, i + chunkSize)));
+  }
+  const parser = new JsonArrayStream(options);
+  Readable.from(chunks).pipe(parser);
+  const records = [];
+  for await (const record of parser) {
+    records.push(record);
+  }
+  return { records, parser };
+}
+
+const ids = records => records.map(record => record.id);
+
+const NESTED = {
+  status: 'ok',
+  meta: { items: 'not these', note: 'a "quoted" [bracket] {brace}' },
+  payload: {
+    count: 2,
+    items: [{ id: 'N1', tags: ['a', { b: ']' }] }, { id: 'N2' }],
+  },
+};
+
+async function run() {
+  // ===========================================================================
+  // Test 1: Path parsing
+  // ===========================================================================
+  console.log('Test 1: Path parsing');
+
+  test('JSON Pointer', parseRecordPath('/payload/items'), ['payload', 'items']);
+  test('JSON Pointer escapes', parseRecordPath('/a~1b/c~0d'), ['a/b', 'c~d']);
+  test('Empty pointer is the root', parseRecordPath(''), []);
+  test('JSONPath dot notation', parseRecordPath('$.payload.items'), ['payload', 'items']);
+  test('JSONPath brackets and index', parseRecordPath('$[\'payload\']["the items"][0].rows'), ['payload', 'the items', '0', 'rows']);
+  test('Trailing wildcard ignored', [parseRecordPath('$.payload.items[*]'), parseRecordPath('$.items.*')], [['payload', 'items'], ['items']]);
+  test('JSONPath root', parseRecordPath('$'), []);
+  test('Bare property name rejected', errorOf(() => parseRecordPath('payload.items')),
+    'Invalid record path "payload.items": use a JSON Pointer (/payload/items) or JSONPath ($.payload.items)');
+  test('Filters rejected', errorOf(() => parseRecordPath('$.items[?(@.id)]')),
+    'Unsupported JSONPath "$.items[?(@.id)]" at "[?(@.id)]": only child names and array indexes are supported');
+  test('Recursive descent rejected', /Unsupported JSONPath/.test(errorOf(() => parseRecordPath('$..items'))), true);
+
+  // ===========================================================================
+  // Test 2: Record selection
+  // ===========================================================================
+  console.log('\nTest 2: Record selection');
+
+  test('Nested array selected', ids(selectRecords(NESTED, { path: '/payload/items' }).records), ['N1', 'N2']);
+  test('Array index in path', ids(selectRecords({ pages: [[], { rows: [{ id: 'R' }] }] }, { path: '$.pages[1].rows' }).records), ['R']);
+  test('Without a path the whole object is one listing', selectRecords(NESTED).single, true);
+
+  const missing = selectRecords({ listings: [{ id: 'L' }] }, { path: '/payload/items' });
+  test('Unresolved path falls back to wrapper detection', [ids(missing.records), missing.fallback],
+    [['L'], 'Record path "/payload/items" not found in feed']);
+
+  test('Strict: missing path fails', errorOf(() => selectRecords({ listings: [] }, { path: '/payload/items', strict: true })),
+    'Record path "/payload/items" not found in feed');
+  test('Strict: non-array fails', errorOf(() => selectRecords(NESTED, { path: '/payload', strict: true })),
+    'Record path "/payload" points to an object, not an array of listings');
+  test('Strict without a path refuses the single-object guess', /^Feed has no listings array/.test(errorOf(() => selectRecords(NESTED, { strict: true }))), true);
+  test('Strict without a path accepts wrappers', ids(selectRecords({ results: [{ id: 'W' }] }, { strict: true }).records), ['W']);
+
+  const source = config.getDefaultSource({ recordPathStrict: true });
+  test('validateFeed applies the source record path', ids(feedFetcher.validateFeed(NESTED, source)), ['N1', 'N2']);
+  test('validateFeed strict error', errorOf(() => feedFetcher.validateFeed({ items: [] }, source)),
+    'Record path "$.payload.items" not found in feed');
+  test('Extracted record arrays ignore the path', ids(feedFetcher.validateFeed([{ id: 'C1' }])), ['C1']);
+
+  // ===========================================================================
+  // Test 3: Streaming
+  // ===========================================================================
+  console.log('\nTest 3: Streaming');
+
+  const doc = JSON.stringify(NESTED, null, 2);
+  let allMatch = true;
+  for (let size = 1; size <= 30; size++) {
+    const { records, parser } = await parseChunked(doc, size, { path: '/payload/items' });
+    if (JSON.stringify(records) !== JSON.stringify(NESTED.payload.items) || parser.fallback !== null) {
+      allMatch = false;
+      console.error(`  mismatch at chunk size ${size}`);
+    }
+  }
+  test('Nested array streamed at every chunk size', allMatch, true);
+
+  let result = await parseChunked(JSON.stringify({ pages: [{ rows: [{ id: 'X' }] }, { rows: [{ id: 'R1' }, { id: 'R2' }] }] }), 3, { path: '$.pages[1].rows' });
+  test('Streamed path through an array index', ids(result.records), ['R1', 'R2']);
+  test('Streamed location reported', result.parser.location, 'at record path $.pages[1].rows');
+
+  result = await parseChunked('[{"id":"A"},{"id":"B"}]', 4, { path: '$' });
+  test('Root path streams a root array', ids(result.records), ['A', 'B']);
+
+  result = await parseChunked(JSON.stringify({ data: [{ id: 'D' }] }), 5, { path: '/payload/items' });
+  test('Streamed fallback to wrapper detection', [ids(result.records), result.parser.fallback], [['D'], 'Record path "/payload/items" not found in feed']);
+
+  const strictError = await parseChunked(JSON.stringify({ id: 'ONLY' }), 5, { strict: true }).catch(error => error.message);
+  test('Streamed strict mode refuses a bare object', /^Feed has no listings array/.test(strictError), true);
+
+  // ===========================================================================
+  // Test 4: Sources and import
+  // ===========================================================================
+  console.log('\nTest 4: Sources and import');
+
+  test('FEED_RECORD_PATH on the default source', [source.recordPath, config.getDefaultSource().recordPathStrict], ['$.payload.items', false]);
+
+  const sourcesPath = path.join(tempDir, 'sources.json');
+  fs.writeFileSync(sourcesPath, JSON.stringify([{ name: 'x', file: 'feed.json', recordPath: 'payload.items' }]));
+  test('Invalid source recordPath rejected', /^Feed source "x" has an invalid recordPath: Invalid record path/.test(errorOf(() => config.loadSourcesFile(sourcesPath))), true);
+  fs.writeFileSync(sourcesPath, JSON.stringify([{ name: 'x', file: 'feed.json', recordPath: '/payload/items', recordPathStrict: true }]));
+  const [loaded] = config.loadSourcesFile(sourcesPath);
+  test('Source recordPath loaded', [loaded.recordPath, loaded.recordPathStrict], ['/payload/items', true]);
+
+  const feedPath = path.join(tempDir, 'feed.json');
+  fs.writeFileSync(feedPath, JSON.stringify({
+    payload: {
+      items: [
+        { id: 'P1', address: '1 Main St', city: 'Austin', state: 'TX' },
+        { id: 'P2', address: '2 Main St', city: 'Austin', state: 'TX' },
+      ],
+    },
+  }));
+
+  const importFile = async (overrides) => {
+    const importer = new Importer({ sources: [config.getDefaultSource({ type: 'file', filePath: feedPath, ...overrides })] });
+    const upserted = [];
+    importer.initialize = async () => {};
+    importer.hubspotClient.batchUpsert = async (batch) => {
+      upserted.push(...batch);
+      return { created: batch.length, updated: 0, failed: 0, errors: [] };
+    };
+    const results = await importer.run();
+    return { results, upserted };
+  };
+
+  let run = await importFile({});
+  test('Record path imports every nested listing', run.upserted.map(listing => listing.external_listing_id), ['P1', 'P2']);
+
+  run = await importFile({ recordPath: '/payload/listings', recordPathStrict: true }).catch(error => error);
+  test('Strict import fails on a wrong path', run.message, 'Record path "/payload/listings" not found in feed');
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All record path tests passed!');
+      process.exit(0);
+    }
+  });
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the RESO Web API (OData) feed adapter
+ * Runs a local OData stand-in and checks paging, completeness and the
+ * RESO Data Dictionary mapping through the regular transformer
+ */
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOTS = 'false';
+process.env.LOG_LEVEL = 'warn';
+
+const http = require('http');
+const config = require('./src/config');
+const feedFetcher = require('./src/feed-fetcher');
+const transformer = require('./src/transformer');
+const ResoAdapter = require('./src/reso-adapter');
+
+console.log('Testing RESO Web API Feeds...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+const PROPERTIES = [
+  {
+    ListingKey: 'K1', ListingId: 'MLS-100', StandardStatus: 'Active', ListPrice: 450000,
+    PropertyType: 'Residential', PropertySubType: 'Single Family Residence',
+    BedroomsTotal: 3, BathroomsTotalInteger: 2, LivingArea: 1850, LotSizeAcres: 0.25,
+    StreetNumber: '123', StreetDirPrefix: 'N', StreetName: 'Oak', StreetSuffix: 'Ave', UnitNumber: '4',
+    City: 'Austin', StateOrProvince: 'TX', PostalCode: '78701', CountyOrParish: 'Travis',
+    ListingContractDate: '2025-03-01', ExpirationDate: '2025-09-01',
+    Media: [{ Order: 2, MediaURL: 'https://img.test/2.jpg' }, { Order: 1, MediaURL: 'https://img.test/1.jpg' }],
+  },
+  {
+    ListingKey: 'K2', StandardStatus: 'Active Under Contract', ListPrice: 299000, PropertySubType: 'Condominium',
+    UnparsedAddress: '9 Elm St', City: 'Dallas', StateOrProvince: 'TX', PostalCode: '75201',
+    LotSizeArea: 600, LotSizeUnits: 'Square Meters',
+  },
+  { ListingKey: 'K3', StandardStatus: 'Closed', PropertyType: 'Land', UnparsedAddress: '1 Pine Rd', City: 'Waco', StateOrProvince: 'TX' },
+  { ListingKey: 'K4', StandardStatus: 'Delete', UnparsedAddress: '2 Pine Rd', City: 'Waco', StateOrProvince: 'TX' },
+  { ListingKey: 'K5', StandardStatus: 'Expired', UnparsedAddress: '3 Pine Rd', City: 'Waco', StateOrProvince: 'TX' },
+];
+
+// OData stand-in: client-driven ($top/$skip) or server-driven (@odata.nextLink) paging
+const odata = { mode: 'client', reportedCount: null, requests: [] };
+
+const server = http.createServer((req, res) => {
+  odata.requests.push({ url: req.url, authorization: req.headers.authorization });
+  const url = new URL(req.url, 'http://odata.test');
+  const top = Number(url.searchParams.get('$top')) || 100;
+  const skip = Number(url.searchParams.get('$skip') || url.searchParams.get('skiptoken')) || 0;
+  const body = { '@odata.context': '$metadata#Property', value: PROPERTIES.slice(skip, skip + top) };
+
+  if (url.searchParams.get('$count') === 'true') {
+    body['@odata.count'] = odata.reportedCount ?? PROPERTIES.length;
+  }
+  if (odata.mode === 'server' && skip + top < PROPERTIES.length) {
+    body['@odata.nextLink'] = `/odata/Property?skiptoken=${skip + top}&$top=${top}`;
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+});
+
+function resoSource(base, reso = {}) {
+  return config.getDefaultSource({
+    name: 'mls',
+    format: 'reso',
+    url: `${base}/odata/Property`,
+    reso: { ...config.getDefaultSource().reso, top: 2, ...reso },
+    auth: { type: 'bearer', token: 'mls-token' },
+  });
+}
+
+async function run() {
+  // ===========================================================================
+  // Test 1: Data Dictionary mapping
+  // ===========================================================================
+  console.log('Test 1: RESO field mapping');
+
+  const first = transformer.transformListing(ResoAdapter.mapResoRecord(PROPERTIES[0]));
+  test('ListingKey -> external_listing_id', first.external_listing_id, 'K1');
+  test('ListingId -> reference_id', first.reference_id, 'MLS-100');
+  test('ListPrice -> hs_price', first.hs_price, 450000);
+  test('StandardStatus -> listing_status', first.listing_status, 'for_sale');
+  test('Rooms and area', [first.hs_bedrooms, first.hs_bathrooms, first.hs_square_footage], [3, 2, 1850]);
+  test('Lot size in acres', [first.hs_lot_size, first.lot_size_units], [0.25, 'acres']);
+  test('Street built from components', [first.hs_address_1, first.hs_address_2], ['123 N Oak Ave', '4']);
+  test('Location fields', [first.hs_city, first.state_code, first.hs_zip, first.county], ['Austin', 'TX', '78701', 'Travis']);
+  test('Primary image uses lowest Media order', first.primary_image_url, 'https://img.test/1.jpg');
+  test('Dates mapped', [first.listing_start_date, first.listing_end_date], [Date.UTC(2025, 2, 1), Date.UTC(2025, 8, 1)]);
+
+  const second = transformer.transformListing(ResoAdapter.mapResoRecord(PROPERTIES[1]));
+  test('Lookup with spaces mapped', second.listing_status, 'under_contract');
+  test('LotSizeArea with units', [second.hs_lot_size, second.lot_size_units], [600, 'sqm']);
+  test('UnparsedAddress used', second.hs_address_1, '9 Elm St');
+
+  test('Closed -> sold', ResoAdapter.mapResoStatus('Closed'), 'sold');
+  test('Unknown status omitted', ResoAdapter.mapResoRecord(PROPERTIES[3]).listingStatus, undefined);
+  test('Coming Soon left unset', transformer.transformListing(ResoAdapter.mapResoRecord({ ...PROPERTIES[2], StandardStatus: 'Coming Soon' })).listing_status,
+    undefined);
+  test('PropertySubType (or PropertyType) -> hs_listing_type', [first, second, transformer.transformListing(ResoAdapter.mapResoRecord(PROPERTIES[2]))]
+    .map(listing => [listing.hs_listing_type, listing.listing_type_rule]),
+  [['house', 'feed'], ['condos_co_ops', 'feed'], ['lots_land', 'feed']]);
+  test('Original RESO fields kept for field maps', ResoAdapter.mapResoRecord(PROPERTIES[2]).ListingKey, 'K3');
+
+  // ===========================================================================
+  // Test 2: Client-driven paging
+  // ===========================================================================
+  console.log('\nTest 2: $top/$skip paging');
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  // The stand-in is on loopback, which the SSRF guard rejects
+  feedFetcher.validateUrl = () => true;
+  feedFetcher.retryDelay = 1;
+
+  let records = await feedFetcher.getFeed(resoSource(base, { filter: "StandardStatus ne 'Delete'" }));
+  test('All records fetched', records.map(r => r.externalListingId), ['K1', 'K2', 'K3', 'K4', 'K5']);
+  test('Pages requested with $skip', odata.requests.map(r => new URL(r.url, base).searchParams.get('$skip')), ['0', '2', '4']);
+  test('Literal $ kept in query', odata.requests[0].url.includes('?$top=2&$skip=0&$count=true&$filter='), true);
+  test('Filter encoded', new URL(odata.requests[0].url, base).searchParams.get('$filter'), "StandardStatus ne 'Delete'");
+  test('Source auth applied', odata.requests[0].authorization, 'Bearer mls-token');
+
+  // ===========================================================================
+  // Test 3: Server-driven paging and completeness
+  // ===========================================================================
+  console.log('\nTest 3: @odata.nextLink and completeness');
+
+  odata.mode = 'server';
+  odata.requests = [];
+  records = await feedFetcher.getFeed(resoSource(base));
+  test('nextLink followed', records.length, 5);
+  test('Relative nextLink resolved', odata.requests[1].url.startsWith('/odata/Property?skiptoken=2'), true);
+
+  odata.mode = 'client';
+  odata.reportedCount = 7;
+  let error = null;
+  try {
+    await feedFetcher.getFeed(resoSource(base, { top: 5 }));
+  } catch (err) {
+    error = err.message;
+  }
+  test('Short feed rejected', error, 'RESO feed is incomplete: received 5 of 7 reported records across 2 page(s)');
+  odata.reportedCount = null;
+
+  // ===========================================================================
+  // Test 4: openFeed
+  // ===========================================================================
+  console.log('\nTest 4: openFeed');
+
+  const feed = await feedFetcher.openFeed({ source: resoSource(base) });
+  const listings = feed.records.map((record, index) => transformer.transformRecord(record, index));
+  test('Records transform into listings', listings.map(l => l.external_listing_id), ['K1', 'K2', 'K3', 'K4', 'K5']);
+
+  error = null;
+  try {
+    new ResoAdapter(feedFetcher).mapResponse({ items: [] });
+  } catch (err) {
+    error = err.message;
+  }
+  test('Non-OData response rejected', error, 'RESO response is missing the "value" array');
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    server.close();
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All RESO feed tests passed!');
+      process.exit(0);
+    }
+  });
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for pre-flight schema validation of transformed listings:
+ * 1. Property checks (types, enum options, text length, required, unknown)
+ * 2. Rejection during import, before any upsert
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-validation-test-'));
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOTS = 'false';
+process.env.LOG_LEVEL = 'warn';
+
+const config = require('./src/config');
+const logger = require('./src/logger');
+const Importer = require('./src/importer');
+const { validateListing, describeProblems, MAX_STRING_LENGTH } = require('./src/schema-validator');
+
+console.log('Testing Schema Validation...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+// The rejection summary is a warning
+const warnings = [];
+const originalWarn = logger.warn;
+logger.warn = (message) => warnings.push(message);
+
+const VALID = {
+  external_listing_id: 'V1',
+  hs_name: '1 Main St, Austin, TX',
+  hs_price: 250000,
+  listing_status: 'for_sale',
+  listing_start_date: Date.UTC(2025, 0, 6),
+  is_featured: false,
+  state_code: 'TX',
+  hs_listing_type: 'house',
+  feed_source: 'default',
+};
+
+const reasons = listing => validateListing(listing).map(problem => `${problem.property}: ${problem.reason}`);
+
+async function run() {
+  // ===========================================================================
+  // Test 1: Property checks
+  // ===========================================================================
+  console.log('Test 1: Property checks');
+
+  test('Valid listing passes', validateListing(VALID), []);
+  test('Null values accepted (they clear a property)', validateListing({ ...VALID, hs_price: null, county: null }), []);
+  test('Raw enum label rejected', reasons({ ...VALID, listing_status: 'For Sale' }),
+    ['listing_status: "For Sale" is not one of for_sale, under_contract, sold, withdrawn, expired']);
+  test('Long option lists summarized', reasons({ ...VALID, state_code: 'ZZ' }), ['state_code: "ZZ" is not a valid option']);
+  test('HubSpot-owned enum checked', reasons({ ...VALID, hs_listing_type: 'castle' })[0].startsWith('hs_listing_type: "castle" is not one of house,'), true);
+  test('Non-numeric number rejected', reasons({ ...VALID, hs_bedrooms: '3 beds' }), ['hs_bedrooms: "3 beds" is not a number']);
+  test('NaN rejected', reasons({ ...VALID, hs_price: NaN }), ['hs_price: null is not a number']);
+  test('Boolean type checked', reasons({ ...VALID, is_featured: 'yes' }), ['is_featured: expected true or false, got "yes"']);
+  test('Date must be midnight UTC', reasons({ ...VALID, listing_start_date: Date.UTC(2025, 0, 6, 15) }),
+    ['listing_start_date: 2025-01-06T15:00:00.000Z is not at midnight UTC (date-only property)']);
+  test('Date must be epoch milliseconds', reasons({ ...VALID, listing_end_date: '2025-01-06' }),
+    ['listing_end_date: expected a date as epoch milliseconds, got "2025-01-06"']);
+  test('Oversized text rejected', reasons({ ...VALID, listing_url: 'x'.repeat(MAX_STRING_LENGTH + 1) }),
+    [`listing_url: is ${MAX_STRING_LENGTH + 1} characters long (max ${MAX_STRING_LENGTH})`]);
+  test('Text type checked', reasons({ ...VALID, hs_city: 42 }), ['hs_city: expected text, got 42']);
+  test('Unknown property rejected', reasons({ ...VALID, hs_pool: true }), ['hs_pool: not a Listings property']);
+  test('hs_name required', reasons({ ...VALID, hs_name: '' }), ['hs_name: is required']);
+  test('Every problem reported', describeProblems(validateListing({ ...VALID, hs_price: 'abc', listing_status: 'Active' })),
+    'hs_price: "abc" is not a number; listing_status: "Active" is not one of for_sale, under_contract, sold, withdrawn, expired');
+
+  // ===========================================================================
+  // Test 2: Import
+  // ===========================================================================
+  console.log('\nTest 2: Import');
+
+  const feedPath = path.join(tempDir, 'feed.csv');
+  fs.writeFileSync(feedPath, [
+    'id,address,city,state,status,price,url',
+    'C1,1 Main St,Austin,TX,for_sale,100000,https://example.com/c1',
+    `C2,2 Main St,Austin,TX,for_sale,200000,https://example.com/${'x'.repeat(MAX_STRING_LENGTH)}`,
+    'C3,3 Main St,Austin,TX,sold,300000,https://example.com/c3',
+  ].join('\n'));
+
+  const importFeed = async () => {
+    const importer = new Importer({ sources: [config.getDefaultSource({ type: 'file', filePath: feedPath, url: null })] });
+    const upserted = [];
+    importer.initialize = async () => {};
+    importer.hubspotClient.batchUpsert = async (batch) => {
+      upserted.push(...batch.map(listing => listing.external_listing_id));
+      return { created: batch.length, updated: 0, failed: 0, errors: [] };
+    };
+    return { results: await importer.run(), upserted, importer };
+  };
+
+  let { results, upserted } = await importFeed();
+  test('Invalid listing never sent to HubSpot', upserted, ['C1', 'C3']);
+  test('Rejected listings counted as failed', [results.created, results.failed, results.rejected, results.success], [2, 1, 1, false]);
+  const tooLong = `is ${MAX_STRING_LENGTH + 20} characters long (max ${MAX_STRING_LENGTH})`;
+  test('Field-level reason in the run errors', [results.errors[0].external_listing_id, results.errors[0].error],
+    ['C2', `Rejected before upsert: listing_url: ${tooLong}`]);
+  test('Fields listed separately', results.errors[0].fields, [{ property: 'listing_url', reason: tooLong }]);
+  test('Per-source result counts rejections', results.sources[0].rejected, 1);
+  test('Rejections summarized in the log', warnings.includes('Rejected 1 listing(s) that do not fit the Listings property schema'), true);
+
+  const importer = new Importer();
+  importer.hubspotClient.batchUpsert = async (batch) => ({ created: batch.length, updated: 0, failed: 0, errors: [] });
+  const totals = await importer.processListings([VALID, { ...VALID, hs_price: 'abc' }]);
+  test('Batch pipeline validates too', [totals.created, totals.rejected], [1, 1]);
+
+  process.env.SCHEMA_VALIDATION = 'false';
+  config.reload();
+  ({ results, upserted } = await importFeed());
+  test('SCHEMA_VALIDATION=false sends every listing', [upserted, results.rejected], [['C1', 'C2', 'C3'], 0]);
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    logger.warn = originalWarn;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All schema validation tests passed!');
+      process.exit(0);
+    }
+  });
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the streaming import pipeline:
+ * 1. Incremental JSON array parsing across arbitrary chunk boundaries
+ * 2. Wrapper property detection and single-object fallback
+ * 3. Bounded upsert batches with totals and warning summary
+ * 4. Flat memory on a large generated feed
+ */
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.LOG_LEVEL = 'warn';
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { JsonArrayStream } = require('./src/json-stream');
+const Importer = require('./src/importer');
+const transformer = require('./src/transformer');
+
+console.log('Testing Streaming Import Pipeline...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Parse text through JsonArrayStream, feeding it in chunks of the given size
+ */
+async function parseChunked(text, chunkSize, options = {}) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += chunkSize) {
+    chunks.push(Buffer.from(text.slice(i, i + chunkSize)));
+  }
+  const parser = new JsonArrayStream(options);
+  Readable.from(chunks).pipe(parser);
+  const records = [];
+  for await (const record of parser) {
+    records.push(record);
+  }
+  return { records, parser };
+}
+
+async function parseError(text) {
+  try {
+    await parseChunked(text, 7);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Importer with HubSpot calls replaced by an in-memory recorder
+ */
+function createStubImporter(batchSize) {
+  const importer = new Importer();
+  importer.batchSize = batchSize;
+  importer.batchSizes = [];
+  importer.hubspotClient.batchUpsert = async (batch) => {
+    importer.batchSizes.push(batch.length);
+    return { created: batch.length, updated: 0, failed: 0, errors: [] };
+  };
+  return importer;
+}
+
+async function run() {
+  // ===========================================================================
+  // Test 1: Chunk boundaries
+  // ===========================================================================
+  console.log('Test 1: Incremental parsing across chunk boundaries');
+
+  const doc = JSON.stringify({
+    meta: { note: 'has "quotes", [brackets] and {braces}', list: [1, 2] },
+    listings: [
+      { id: 'A', address: '1 "Main" St, [Unit 2]', tags: ['x', { y: '}' }] },
+      { id: 'B', escaped: 'back\\slash \\" é' },
+      { id: 'C', nested: { deep: [[], {}] } },
+    ],
+    count: 3,
+  }, null, 2);
+
+  let allMatch = true;
+  for (let size = 1; size <= 40; size++) {
+    const { records } = await parseChunked(doc, size);
+    if (JSON.stringify(records) !== JSON.stringify(JSON.parse(doc).listings)) {
+      allMatch = false;
+      console.error(`  mismatch at chunk size ${size}`);
+    }
+  }
+  test('Every chunk size yields identical records', allMatch, true);
+
+  const multiByte = JSON.stringify([{ city: 'Mayagüez' }, { city: 'São Paulo' }]);
+  const { records: mb } = await parseChunked(multiByte, 1);
+  test('Multi-byte characters split across chunks', mb.map(r => r.city), ['Mayagüez', 'São Paulo']);
+
+  // ===========================================================================
+  // Test 2: Feed shapes
+  // ===========================================================================
+  console.log('\nTest 2: Feed shapes');
+
+  let result = await parseChunked('[{"id":1},{"id":2}]', 5);
+  test('Root array', result.records.length, 2);
+
+  result = await parseChunked('{"count":2,"data":{"x":1},"results":[{"id":1},{"id":2}]}', 5);
+  test('Non-array wrapper key skipped; results array used', result.records.map(r => r.id), [1, 2]);
+  test('Record key reported', result.parser.recordKey, 'results');
+
+  result = await parseChunked('{"id":"ONLY","city":"Oakland"}', 4);
+  test('Single object emitted as one listing', result.records, [{ id: 'ONLY', city: 'Oakland' }]);
+  test('Single object flagged', result.parser.singleObject, true);
+
+  result = await parseChunked('[{"id":1},null,{"id":2},3,[4],"x",null]', 3);
+  test('Null and non-object elements skipped, not ending the stream', [result.records.map(r => r.id), result.parser.count, result.parser.skipped],
+    [[1, 2], 2, 5]);
+
+  result = await parseChunked('{"listings":[null,{"id":1},null]}', 4, { path: '/missing' });
+  test('Null elements skipped when the buffered document is resolved at the end', [result.records.map(r => r.id), result.parser.skipped],
+    [[1], 2]);
+
+  result = await parseChunked('[]', 1);
+  test('Empty array yields nothing', result.records.length, 0);
+
+  test('Truncated document rejected', /Unexpected end/.test((await parseError('[{"id":1},{"id"')).message), true);
+  test('Malformed record rejected', /listing 2/.test((await parseError('[{"id":1},{"id":}]')).message), true);
+  test('Empty input rejected', /empty/.test((await parseError('  ')).message), true);
+
+  // ===========================================================================
+  // Test 3: Streaming importer batches and totals
+  // ===========================================================================
+  console.log('\nTest 3: Bounded batches and totals');
+
+  const feedPath = path.join(__dirname, 'data', 'properties_combined.json');
+  const importer = createStubImporter(100);
+  const parser = new JsonArrayStream();
+  fs.createReadStream(feedPath, { highWaterMark: 4096 }).pipe(parser);
+  const totals = await importer.processStream(parser);
+
+  test('All VRM records fetched', totals.fetched, 1704);
+  test('All VRM records transformed', totals.transformed, 1704);
+  test('Created total matches', totals.created, 1704);
+  test('Batches never exceed batch size', Math.max(...importer.batchSizes), 100);
+  test('Batch count', importer.batchSizes.length, 18);
+
+  const mixed = createStubImporter(2);
+  const mixedTotals = await mixed.processStream(Readable.from([
+    { id: 'ok-1', city: 'Austin', state: 'TX' },
+    { id: 'bad-date', city: 'Austin', listing_start_date: 'not-a-date' },
+    { id: 'ok-2', state: 'Atlantis' },
+  ]));
+  test('Warnings aggregate across the stream', transformer.warnings.invalidDate.count, 1);
+  test('Partial final batch flushed', mixed.batchSizes, [2, 1]);
+  test('Totals include every record', [mixedTotals.fetched, mixedTotals.created], [3, 3]);
+
+  // ===========================================================================
+  // Test 4: Memory stays flat on a large feed
+  // ===========================================================================
+  console.log('\nTest 4: Memory on a 200k-record feed');
+
+  const RECORDS = 200000;
+  const template = JSON.parse(fs.readFileSync(feedPath, 'utf8')).properties[0];
+  function* generateFeed() {
+    yield '{"properties":[';
+    for (let i = 0; i < RECORDS; i++) {
+      // Distinct addresses: records sharing an hs_name are in-feed duplicates
+      yield (i > 0 ? ',' : '') + JSON.stringify({ ...template, assetId: i, addressLine1: `${i} BRIANS WOODS RD` });
+    }
+    yield ']}';
+  }
+
+  if (global.gc) global.gc();
+  const baseline = process.memoryUsage().heapUsed;
+  let peak = baseline;
+  const large = createStubImporter(100);
+  const originalUpsert = large.hubspotClient.batchUpsert;
+  large.hubspotClient.batchUpsert = async (batch) => {
+    peak = Math.max(peak, process.memoryUsage().heapUsed);
+    return originalUpsert(batch);
+  };
+  const largeParser = new JsonArrayStream();
+  Readable.from(generateFeed()).pipe(largeParser);
+  const largeTotals = await large.processStream(largeParser);
+
+  test('All generated records imported', largeTotals.created, RECORDS);
+  const growthMb = (peak - baseline) / 1024 / 1024;
+  console.log(`  heap growth: ${growthMb.toFixed(1)} MB`);
+  // The whole feed is ~300 MB as objects; streaming should stay far below that
+  test('Heap growth stays bounded (< 64 MB)', growthMb < 64, true);
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All streaming tests passed!');
+      process.exit(0);
+    }
+  });
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for timezone-aware date parsing:
+ * 1. Date formats (seven-digit fractions, MM/DD/YYYY, date-only, epoch strings)
+ * 2. Source time zones and daylight saving
+ * 3. Date-only fields in the transformer (FEED_TIMEZONE and per-source timezone)
+ * 4. Configuration
+ */
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOTS = 'false';
+process.env.LOG_LEVEL = 'warn';
+
+const config = require('./src/config');
+const transformer = require('./src/transformer');
+const { parseDateString, wallTimeToEpoch, toDateOnly } = require('./src/timezone');
+
+console.log('Testing Timezone-Aware Dates...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const LA = 'America/Los_Angeles';
+const NY = 'America/New_York';
+const BASE = { id: 'L1', address: '1 Main St', city: 'Austin', state: 'TX' };
+const startDateOf = (listingStartDate, timeZone) =>
+  transformer.transformListing({ ...BASE, listing_start_date: listingStartDate }, transformer.getFieldMapping(), timeZone).listing_start_date;
+
+// ===========================================================================
+// Test 1: Date formats
+// ===========================================================================
+console.log('Test 1: Date formats');
+
+test('Seven-digit fraction truncated to milliseconds', parseDateString('2025-11-08T00:18:06.0977376'), Date.UTC(2025, 10, 8, 0, 18, 6, 97));
+test('Date-only and space-separated times', [parseDateString('2025-11-08'), parseDateString('2025-11-08 00:18')],
+  [Date.UTC(2025, 10, 8), Date.UTC(2025, 10, 8, 0, 18)]);
+test('Offsets applied', [parseDateString('2025-11-08T00:18:06Z'), parseDateString('2025-11-08T00:18:06-05:00'), parseDateString('2025-11-08T00:18:06+0530')],
+  [Date.UTC(2025, 10, 8, 0, 18, 6), Date.UTC(2025, 10, 8, 5, 18, 6), Date.UTC(2025, 10, 7, 18, 48, 6)]);
+test('MM/DD/YYYY', [parseDateString('11/08/2025'), parseDateString('11/8/2025 14:05:30')],
+  [Date.UTC(2025, 10, 8), Date.UTC(2025, 10, 8, 14, 5, 30)]);
+test('12-hour times', ['11/8/2025 2:05 PM', '11/8/2025 12:30 am', '11/8/2025 12:00 PM'].map(text => parseDateString(text)),
+  [Date.UTC(2025, 10, 8, 14, 5), Date.UTC(2025, 10, 8, 0, 30), Date.UTC(2025, 10, 8, 12)]);
+test('Epoch seconds and milliseconds as text', [parseDateString('1762560000'), parseDateString('1762560000000')],
+  [1762560000000, 1762560000000]);
+test('Impossible dates rejected', ['02/30/2025', '2025-13-01', '2025-11-08T25:00', '11/8/2025 13:00 PM', 'soon'].map(text => isNaN(parseDateString(text))),
+  [true, true, true, true, true]);
+
+// ===========================================================================
+// Test 2: Time zones
+// ===========================================================================
+console.log('\nTest 2: Time zones');
+
+test('Naive time read in the source zone', parseDateString('2025-11-08T00:18:06.0977376', LA), Date.UTC(2025, 10, 8, 8, 18, 6, 97));
+test('Daylight saving offset used in summer', parseDateString('07/01/2025 12:00', NY), Date.UTC(2025, 6, 1, 16));
+test('Offset wins over the source zone', parseDateString('2025-11-08T00:18:06Z', LA), Date.UTC(2025, 10, 8, 0, 18, 6));
+test('Skipped time moved forward', wallTimeToEpoch({ year: 2025, month: 3, day: 9, hour: 2, minute: 30 }, NY), Date.UTC(2025, 2, 9, 7, 30));
+test('Repeated time resolves to the first occurrence', wallTimeToEpoch({ year: 2025, month: 11, day: 2, hour: 1, minute: 30 }, NY), Date.UTC(2025, 10, 2, 5, 30));
+test('Other formats read in the source zone', parseDateString('Nov 8, 2025 10:00', LA), Date.UTC(2025, 10, 8, 18));
+test('Calendar date taken in the zone', [toDateOnly(Date.UTC(2025, 10, 8, 7), LA), toDateOnly(Date.UTC(2025, 10, 8, 7), 'UTC')],
+  [Date.UTC(2025, 10, 7), Date.UTC(2025, 10, 8)]);
+
+// ===========================================================================
+// Test 3: Transformer
+// ===========================================================================
+console.log('\nTest 3: Transformer');
+
+test('Naive timestamp keeps its date', startDateOf('2025-11-08T00:18:06.0977376', LA), Date.UTC(2025, 10, 8));
+test('Late-evening instant dated in the source zone', [startDateOf('2025-11-08T03:00:00Z', LA), startDateOf('2025-11-08T03:00:00Z', 'UTC')],
+  [Date.UTC(2025, 10, 7), Date.UTC(2025, 10, 8)]);
+test('Date-only and US dates unchanged by the zone', [startDateOf('2025-11-08', LA), startDateOf('11/08/2025', LA)],
+  [Date.UTC(2025, 10, 8), Date.UTC(2025, 10, 8)]);
+test('Epoch numbers dated in the source zone', startDateOf(1762570800, LA), Date.UTC(2025, 10, 7));
+
+process.env.FEED_TIMEZONE = LA;
+config.reload();
+test('FEED_TIMEZONE is the default zone', transformer.transformListing({ ...BASE, listing_start_date: '2025-11-08T03:00:00Z' }).listing_start_date,
+  Date.UTC(2025, 10, 7));
+delete process.env.FEED_TIMEZONE;
+config.reload();
+
+const source = config.normalizeSource({ name: 'west', url: 'https://feed.test', timezone: LA }, 0, __dirname);
+test('Source timezone applied to its records', transformer.transformRecord({ ...BASE, listing_start_date: '2025-11-08T03:00:00Z' }, 0, source).listing_start_date,
+  Date.UTC(2025, 10, 7));
+
+transformer.resetWarnings();
+test('Range checked in UTC', [transformer.parseDate('2101-01-01T02:00:00+05:00'), transformer.parseDate('2100-12-31T23:00:00-05:00')],
+  [Date.UTC(2100, 11, 31, 21), null]);
+test('Out-of-range and invalid dates aggregated as warnings', [transformer.warnings.dateOutOfRange.count, transformer.parseDate('02/30/2025'), transformer.warnings.invalidDate.examples],
+  [1, null, ['02/30/2025']]);
+transformer.resetWarnings();
+
+// ===========================================================================
+// Test 4: Configuration
+// ===========================================================================
+console.log('\nTest 4: Configuration');
+
+test('UTC by default', [config.get('feedTimezone'), config.getDefaultSource().timezone], ['UTC', 'UTC']);
+test('Sources do not inherit FEED_TIMEZONE', (() => {
+  process.env.FEED_TIMEZONE = NY;
+  config.reload();
+  const timezones = [config.getDefaultSource().timezone, config.normalizeSource({ name: 'x', url: 'https://feed.test' }, 0, __dirname).timezone];
+  delete process.env.FEED_TIMEZONE;
+  config.reload();
+  return timezones;
+})(), [NY, 'UTC']);
+test('Invalid source timezone rejected', errorOf(() => config.normalizeSource({ name: 'x', url: 'https://feed.test', timezone: 'Central' }, 0, __dirname)),
+  'Feed source "x" has an invalid timezone "Central"');
+process.env.FEED_TIMEZONE = 'Mars/Olympus';
+test('Invalid FEED_TIMEZONE rejected', errorOf(() => config.reload()),
+  'Invalid FEED_TIMEZONE "Mars/Olympus" (expected an IANA time zone such as America/Chicago)');
+delete process.env.FEED_TIMEZONE;
+config.reload();
+
+console.log(`\n${'-'.repeat(60)}`);
+console.log(`Tests passed: ${testsPassed}`);
+console.log(`Tests failed: ${testsFailed}`);
+
+if (testsFailed > 0) {
+  process.exit(1);
+} else {
+  console.log('\n✓ All timezone date tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for SSRF protection of feed URLs
+ * Checks blocked address ranges, DNS resolution, redirects and the host allowlist
+ */
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOTS = 'false';
+process.env.LOG_LEVEL = 'warn';
+
+const http = require('http');
+const config = require('./src/config');
+const feedFetcher = require('./src/feed-fetcher');
+const { blockedReason, isAllowedHost, createGuardedLookup } = require('./src/url-guard');
+
+console.log('Testing Feed URL SSRF Protection...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+async function errorOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Fake DNS: hostnames of the form *.test resolve to these addresses
+const DNS = {
+  'feeds.test': ['127.0.0.1'],
+  'internal.test': ['10.0.0.5'],
+  'mixed.test': ['93.184.216.34', 'fd12:3456::1'],
+  'public.test': ['93.184.216.34'],
+};
+const resolved = [];
+
+async function fakeResolve(hostname) {
+  resolved.push(hostname);
+  if (!DNS[hostname]) {
+    throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+  }
+  return DNS[hostname].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+}
+
+async function run() {
+  // ===========================================================================
+  // Test 1: Blocked address ranges
+  // ===========================================================================
+  console.log('Test 1: Address ranges');
+
+  test('Public IPv4 allowed', blockedReason('93.184.216.34'), null);
+  test('Private 10/8', blockedReason('10.20.30.40'), 'a private network address');
+  test('Private 172.16/12 edge', [blockedReason('172.31.255.255'), blockedReason('172.32.0.1')], ['a private network address', null]);
+  test('Loopback range', blockedReason('127.8.8.8'), 'a loopback address');
+  test('Cloud metadata', blockedReason('169.254.169.254'), 'a link-local address (cloud metadata)');
+  test('Carrier-grade NAT', blockedReason('100.100.1.1'), 'a carrier-grade NAT address');
+  test('Unspecified IPv4', blockedReason('0.0.0.0'), 'a "this network" address');
+  test('Public IPv6 allowed', blockedReason('2606:4700::1111'), null);
+  test('IPv6 loopback', blockedReason('::1'), 'a loopback address');
+  test('IPv6 unique local', blockedReason('fd00:ec2::254'), 'a unique local (private) address');
+  test('IPv6 link-local with zone', blockedReason('fe80::1%eth0'), 'a link-local address');
+  test('IPv4-mapped IPv6', blockedReason('::ffff:7f00:1'), 'a loopback address (embedded 127.0.0.1)');
+  test('Dotted IPv4-mapped IPv6', blockedReason('::ffff:169.254.169.254'), 'a link-local address (cloud metadata) (embedded 169.254.169.254)');
+  test('NAT64 of a private address', blockedReason('64:ff9b::a00:1'), 'a private network address (embedded 10.0.0.1)');
+  test('6to4 of a public address', blockedReason('2002:5db8:d822::1'), null);
+
+  // ===========================================================================
+  // Test 2: URL checks without DNS
+  // ===========================================================================
+  console.log('\nTest 2: URL checks');
+
+  const validate = url => errorOf(() => feedFetcher.validateUrl(url));
+  test('Public host passes', await validate('https://feeds.example.com/listings.json'), null);
+  test('Protocol rejected', await validate('file:///etc/passwd'), 'Invalid feed URL: Only HTTP and HTTPS protocols are allowed');
+  test('Malformed URL rejected', (await validate('not a url')).startsWith('Invalid feed URL: '), true);
+  test('localhost rejected', await validate('http://localhost:8080/feed'), 'Feed URL blocked: localhost is a loopback host');
+  test('Metadata literal rejected', await validate('http://169.254.169.254/latest/meta-data/'),
+    'Feed URL blocked: 169.254.169.254 is a link-local address (cloud metadata)');
+  test('Shorthand IPv4 normalized and rejected', await validate('http://0x7f.1/feed'), 'Feed URL blocked: 127.0.0.1 is a loopback address');
+  test('IPv6 literal rejected', await validate('http://[fd00::1]/feed'), 'Feed URL blocked: fd00::1 is a unique local (private) address');
+  test('Mapped IPv6 literal rejected', await validate('http://[::ffff:10.1.1.1]/feed'),
+    'Feed URL blocked: ::ffff:a01:101 is a private network address (embedded 10.1.1.1)');
+
+  test('Exact allowlist entry', isAllowedHost('Feeds.Internal', ['feeds.internal']), true);
+  test('Wildcard allowlist entry', [isAllowedHost('a.corp.test', ['*.corp.test']), isAllowedHost('corp.test', ['*.corp.test'])], [true, false]);
+  config.config.feedAllowedHosts = ['10.0.0.5'];
+  test('Allowlisted internal host passes', await validate('http://10.0.0.5/feed'), null);
+  config.config.feedAllowedHosts = [];
+
+  // ===========================================================================
+  // Test 3: DNS resolution
+  // ===========================================================================
+  console.log('\nTest 3: Resolved addresses');
+
+  const lookup = createGuardedLookup(() => config.get('feedAllowedHosts'), fakeResolve);
+  test('Public name resolves', await lookup('public.test'), [{ address: '93.184.216.34', family: 4 }]);
+  test('Name resolving to private address rejected', await errorOf(() => lookup('internal.test')),
+    'Feed URL blocked: internal.test resolves to 10.0.0.5, a private network address');
+  test('Any blocked address rejects the host', await errorOf(() => lookup('mixed.test')),
+    'Feed URL blocked: mixed.test resolves to fd12:3456::1, a unique local (private) address');
+  config.config.feedAllowedHosts = ['*.test'];
+  test('Allowlisted name may resolve internally', (await lookup('internal.test'))[0].address, '10.0.0.5');
+  config.config.feedAllowedHosts = [];
+
+  // ===========================================================================
+  // Test 4: Requests and redirects
+  // ===========================================================================
+  console.log('\nTest 4: Requests and redirects');
+
+  const server = http.createServer((req, res) => {
+    const redirects = {
+      '/to-metadata': 'http://169.254.169.254/latest/meta-data/',
+      '/to-internal': `http://internal.test:${server.address().port}/feed`,
+      '/to-trusted': `http://feeds.test:${server.address().port}/feed`,
+    };
+    if (redirects[req.url]) {
+      res.writeHead(302, { Location: redirects[req.url] });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify([{ id: 'A' }]));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const port = server.address().port;
+  const origin = `http://127.0.0.1:${port}`;
+
+  feedFetcher.lookup = createGuardedLookup(() => config.get('feedAllowedHosts'), fakeResolve);
+  feedFetcher.retryDelay = 1;
+
+  try {
+    test('Loopback feed refused', await errorOf(() => feedFetcher.fetchFeed(`${origin}/feed`)),
+      'Feed URL blocked: 127.0.0.1 is a loopback address');
+
+    resolved.length = 0;
+    test('Internal name refused at connect time', await errorOf(() => feedFetcher.fetchFeed(`http://internal.test:${port}/feed`)),
+      'Feed URL blocked: internal.test resolves to 10.0.0.5, a private network address');
+    test('Refusal is not retried', resolved, ['internal.test']);
+
+    // The local test server itself must be trusted to exercise redirects
+    config.config.feedAllowedHosts = ['127.0.0.1'];
+    test('Allowlisted feed fetched', await feedFetcher.fetchFeed(`${origin}/feed`), [{ id: 'A' }]);
+    test('Redirect to metadata refused', await errorOf(() => feedFetcher.fetchFeed(`${origin}/to-metadata`)),
+      'Feed URL blocked: redirect to http://169.254.169.254/latest/meta-data/ refused: 169.254.169.254 is a link-local address (cloud metadata)');
+    test('Redirect to internal name refused', await errorOf(() => feedFetcher.fetchFeed(`${origin}/to-internal`)),
+      'Feed URL blocked: internal.test resolves to 10.0.0.5, a private network address');
+
+    config.config.feedAllowedHosts = ['127.0.0.1', 'feeds.test'];
+    test('Redirect to trusted host followed', await feedFetcher.fetchFeed(`${origin}/to-trusted`), [{ id: 'A' }]);
+
+    const feed = await feedFetcher.openFeed({ source: config.getDefaultSource({ type: 'url', url: `${origin}/to-internal` }) })
+      .catch(error => error);
+    test('Streamed feeds are guarded too', feed.message, 'Feed URL blocked: internal.test resolves to 10.0.0.5, a private network address');
+  } finally {
+    config.config.feedAllowedHosts = [];
+    server.close();
+  }
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All URL guard tests passed!');
+      process.exit(0);
+    }
+  });
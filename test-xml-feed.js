@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for XML listing feeds (Zillow/Trulia-style syndication formats)
+ */
+
+// Mock config and logger to avoid requiring environment variables
+process.env.HUBSPOT_ACCESS_TOKEN = 'test-token';
+process.env.FEED_URL = 'http://test.com/feed.json';
+process.env.FEED_CHANGE_DETECTION = 'false';
+process.env.FEED_SNAPSHOTS = 'false';
+process.env.LOG_LEVEL = 'warn';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const config = require('./src/config');
+const { parseXml } = require('./src/xml-parser');
+const { parseXmlFeed } = require('./src/xml-feed');
+const feedFetcher = require('./src/feed-fetcher');
+const transformer = require('./src/transformer');
+
+console.log('Testing XML Feed Ingestion...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function test(name, actual, expected) {
+  const actualStr = JSON.stringify(actual);
+  const expectedStr = JSON.stringify(expected);
+  if (actualStr === expectedStr) {
+    console.log(`✓ ${name}`);
+    testsPassed++;
+  } else {
+    console.error(`✗ ${name}: got ${actualStr}, expected ${expectedStr}`);
+    testsFailed++;
+  }
+}
+
+function parseError(xml) {
+  try {
+    parseXml(xml);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const ZILLOW_FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE Listings [ <!ELEMENT Listings ANY> ]>
+<Listings>
+  <!-- generated nightly -->
+  <Listing>
+    <Location>
+      <StreetAddress>123 Main St</StreetAddress>
+      <UnitNumber>2B</UnitNumber>
+      <City>Austin</City>
+      <State>TX</State>
+      <Zip>78701</Zip>
+    </Location>
+    <ListingDetails>
+      <Status>Pending</Status>
+      <Price>450000</Price>
+      <ListingUrl>https://broker.test/listing?id=1&amp;ref=z</ListingUrl>
+      <MlsId>MLS-1</MlsId>
+      <ProviderListingId>Z-1</ProviderListingId>
+    </ListingDetails>
+    <BasicDetails>
+      <Description><![CDATA[Corner unit <b>with</b> views & parking]]></Description>
+      <Bedrooms>3</Bedrooms>
+      <Bathrooms>2.5</Bathrooms>
+      <LivingArea>1850</LivingArea>
+    </BasicDetails>
+    <Pictures>
+      <Picture><PictureUrl>https://img.test/z1-a.jpg</PictureUrl><Caption>Front</Caption></Picture>
+      <Picture><PictureUrl>https://img.test/z1-b.jpg</PictureUrl></Picture>
+    </Pictures>
+  </Listing>
+  <Listing>
+    <Location><StreetAddress>9 Elm St</StreetAddress><City>Dallas</City><State>TX</State><Zip>75201</Zip></Location>
+    <ListingDetails><Status>Active</Status><Price>299000</Price><ProviderListingId>Z-2</ProviderListingId></ListingDetails>
+  </Listing>
+</Listings>`;
+
+const TRULIA_FEED = `<?xml version="1.0"?>
+<feed>
+  <properties>
+    <property id="T-1">
+      <location>
+        <street-address>77 Sunset Blvd</street-address>
+        <city-name>Los Angeles</city-name>
+        <state-code>CA</state-code>
+        <zipcode>90028</zipcode>
+        <county>Los Angeles</county>
+      </location>
+      <details>
+        <price>1250000</price>
+        <num-bedrooms>4</num-bedrooms>
+        <num-full-bathrooms>2</num-full-bathrooms>
+        <num-half-bathrooms>1</num-half-bathrooms>
+        <square-feet>2400</square-feet>
+      </details>
+      <status>for sale</status>
+      <pictures><picture><picture-url>https://img.test/t1.jpg</picture-url></picture></pictures>
+    </property>
+  </properties>
+</feed>`;
+
+async function run() {
+  // ===========================================================================
+  // Test 1: XML parser
+  // ===========================================================================
+  console.log('Test 1: XML parser');
+
+  const tree = parseXml('\uFEFF<a x="1" y=\'two &amp; three\'><b>caf&#233; &#x26; &lt;tea&gt;</b><c/><d><![CDATA[<raw>]]></d></a>');
+  test('Root element and attributes', [tree.name, tree.attributes], ['a', { x: '1', y: 'two & three' }]);
+  test('Entities decoded', tree.children[0].text, 'café & <tea>');
+  test('Self-closing element', [tree.children[1].name, tree.children[1].children.length], ['c', 0]);
+  test('CDATA kept verbatim', tree.children[2].text, '<raw>');
+  test('Quoted > in attribute', parseXml('<a href="x>y">z</a>').attributes.href, 'x>y');
+
+  test('Mismatched tag rejected', parseError('<a>\n<b></a>'), 'Invalid XML: unexpected closing tag </a> (line 2)');
+  test('Unclosed element rejected', parseError('<a><b>'), 'Invalid XML: unclosed element <b> (line 1)');
+  test('Second root rejected', parseError('<a/><b/>'), 'Invalid XML: more than one root element (line 1)');
+  test('Empty document rejected', parseError('<?xml version="1.0"?>'), 'Invalid XML: no root element (line 1)');
+
+  // ===========================================================================
+  // Test 2: Syndication layouts
+  // ===========================================================================
+  console.log('\nTest 2: Zillow and Trulia layouts');
+
+  const zillow = parseXmlFeed(ZILLOW_FEED);
+  test('One record per Listing element', zillow.length, 2);
+
+  const z1 = transformer.transformListing(zillow[0]);
+  test('Listing identifiers', [z1.external_listing_id, z1.reference_id], ['Z-1', 'MLS-1']);
+  test('Nested Location mapped', [z1.hs_address_1, z1.hs_address_2, z1.hs_city, z1.state_code, z1.hs_zip], ['123 Main St', '2B', 'Austin', 'TX', '78701']);
+  test('Nested ListingDetails mapped', [z1.hs_price, z1.listing_status, z1.listing_url], [450000, 'under_contract', 'https://broker.test/listing?id=1&ref=z']);
+  test('BasicDetails mapped', [z1.hs_bedrooms, z1.hs_bathrooms, z1.hs_square_footage], [3, 2.5, 1850]);
+  test('First picture is primary image', z1.primary_image_url, 'https://img.test/z1-a.jpg');
+  test('All picture URLs collected', zillow[0].pictures, ['https://img.test/z1-a.jpg', 'https://img.test/z1-b.jpg']);
+  test('CDATA description kept', zillow[0].Description, 'Corner unit <b>with</b> views & parking');
+  test('Status mapped', transformer.transformListing(zillow[1]).listing_status, 'for_sale');
+
+  const trulia = parseXmlFeed(TRULIA_FEED);
+  const t1 = transformer.transformListing(trulia[0]);
+  test('Wrapped property elements found', trulia.length, 1);
+  test('Listing attribute used as ID', t1.external_listing_id, 'T-1');
+  test('Hyphenated names mapped', [t1.hs_address_1, t1.hs_city, t1.state_code, t1.hs_zip, t1.county], ['77 Sunset Blvd', 'Los Angeles', 'CA', '90028', 'Los Angeles']);
+  test('Full and half baths combined', t1.hs_bathrooms, 2.5);
+  test('Trulia details mapped', [t1.hs_price, t1.hs_bedrooms, t1.hs_square_footage, t1.listing_status], [1250000, 4, 2400, 'for_sale']);
+
+  test('Empty feed has no listings', parseXmlFeed('<Listings></Listings>'), []);
+  test('Single listing document', parseXmlFeed('<Listing><City>Waco</City><State>TX</State></Listing>')[0].city, 'Waco');
+
+  // ===========================================================================
+  // Test 3: Format selection
+  // ===========================================================================
+  console.log('\nTest 3: Format selection');
+
+  test('By extension', feedFetcher.detectFormat('/feeds/zillow.XML'), 'xml');
+  test('By content type', feedFetcher.detectFormat('https://x.test/feed', 'application/xml; charset=utf-8'), 'xml');
+  test('By +xml content type', feedFetcher.detectFormat('https://x.test/feed', 'application/rss+xml'), 'xml');
+  test('Explicit format wins', feedFetcher.detectFormat('https://x.test/feed.json', 'application/json', 'xml'), 'xml');
+  test('JSON by default', feedFetcher.detectFormat('https://x.test/feed'), 'json');
+  test('CSV still detected', feedFetcher.isDelimitedFeed('feed.csv'), true);
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xml-feed-test-'));
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': req.url === '/typed' ? 'text/xml' : 'text/plain' });
+    res.end(TRULIA_FEED);
+  });
+
+  try {
+    const xmlPath = path.join(tempDir, 'zillow.xml');
+    fs.writeFileSync(xmlPath, ZILLOW_FEED);
+    let feed = await feedFetcher.openFeed({ source: config.getDefaultSource({ type: 'file', filePath: xmlPath }) });
+    test('XML file imported by extension', feed.records.map(r => r.externalListingId), ['Z-1', 'Z-2']);
+
+    const untypedPath = path.join(tempDir, 'export.dat');
+    fs.writeFileSync(untypedPath, ZILLOW_FEED);
+    const records = await feedFetcher.getFeed(config.getDefaultSource({ type: 'file', filePath: untypedPath, format: 'xml' }));
+    test('Explicit xml format for other extensions', records.length, 2);
+
+    fs.writeFileSync(untypedPath, '<Listings><Listing>');
+    let error = null;
+    try {
+      await feedFetcher.fetchFromFile(untypedPath, config.getDefaultSource({ format: 'xml' }));
+    } catch (err) {
+      error = err.message;
+    }
+    test('Malformed XML file reported as XML', error, 'Invalid XML: unclosed element <Listing> (line 1)');
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    // The test server is on loopback, which the SSRF guard rejects
+    feedFetcher.validateUrl = () => true;
+
+    feed = await feedFetcher.openFeed({ source: config.getDefaultSource({ type: 'url', url: `${base}/typed` }) });
+    test('XML URL selected by content type', feed.records.map(r => r.externalListingId), ['T-1']);
+
+    const data = await feedFetcher.fetchFeed(`${base}/plain`, config.getDefaultSource({ format: 'xml' }));
+    test('XML URL selected by explicit format', data[0].city, 'Los Angeles');
+  } finally {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+run()
+  .catch(error => {
+    console.error(`✗ Unexpected error: ${error.stack}`);
+    testsFailed++;
+  })
+  .then(() => {
+    console.log(`\n${'-'.repeat(60)}`);
+    console.log(`Tests passed: ${testsPassed}`);
+    console.log(`Tests failed: ${testsFailed}`);
+
+    if (testsFailed > 0) {
+      process.exit(1);
+    } else {
+      console.log('\n✓ All XML feed tests passed!');
+      process.exit(0);
+    }
+  });